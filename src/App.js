@@ -3,13 +3,28 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import AdminLogin from './components/AdminLogin';
 import AdminDashboard from './components/AdminDashboard';
 import ProductsManager from './components/productManager';
+import SetupWizard from './components/SetupWizard';
+import StaffManager from './components/StaffManager';
+import AccountSettings from './components/AccountSettings';
+import AuditLog from './components/AuditLog';
+import BackupRestore from './components/BackupRestore';
+import KitchenDisplay from './components/KitchenDisplay';
+import OrderReadyDisplay from './components/OrderReadyDisplay';
+import NewOrder from './components/NewOrder';
+import Reports from './components/Reports';
+import Shifts from './components/Shifts';
+import SessionGuard from './components/SessionGuard';
 import { initDB } from './services/db';
 import { isAdminLoggedIn } from './services/auth';
+import { hasPermission } from './services/permissions';
 import { NetworkProvider } from './context/NetworkContext';
 import './App.css';
 
-function ProtectedRoute({ children }) {
-  return isAdminLoggedIn() ? children : <Navigate to="/login" />;
+function ProtectedRoute({ children, permission }) {
+  if (!isAdminLoggedIn()) return <Navigate to="/login" />;
+  // Logged in but not allowed here - fall back to the orders view
+  if (permission && !hasPermission(permission)) return <Navigate to="/dashboard" />;
+  return <SessionGuard>{children}</SessionGuard>;
 }
 
 function App() {
@@ -34,24 +49,99 @@ function App() {
       <Router>
         <Routes>
           <Route path="/login" element={<AdminLogin />} />
+          <Route path="/setup" element={<SetupWizard />} />
+          {/* Public counter screen - no login, order numbers only */}
+          <Route path="/display" element={<OrderReadyDisplay />} />
           
           <Route 
             path="/dashboard" 
             element={
-              <ProtectedRoute>
+              <ProtectedRoute permission="orders:view">
                 <AdminDashboard />
               </ProtectedRoute>
             } 
           />
 
+          <Route 
+            path="/kitchen" 
+            element={
+              <ProtectedRoute permission="orders:view">
+                <KitchenDisplay />
+              </ProtectedRoute>
+            } 
+          />
+
+          <Route 
+            path="/new-order" 
+            element={
+              <ProtectedRoute permission="orders:create">
+                <NewOrder />
+              </ProtectedRoute>
+            } 
+          />
+
+          <Route 
+            path="/reports" 
+            element={
+              <ProtectedRoute permission="stats:view">
+                <Reports />
+              </ProtectedRoute>
+            } 
+          />
+
+          <Route 
+            path="/shifts" 
+            element={
+              <ProtectedRoute permission="shifts:manage">
+                <Shifts />
+              </ProtectedRoute>
+            } 
+          />
+
           <Route 
             path="/products" 
             element={
-              <ProtectedRoute>
+              <ProtectedRoute permission="products:manage">
                 <ProductsManager />
               </ProtectedRoute>
             } 
           />
+
+          <Route 
+            path="/staff" 
+            element={
+              <ProtectedRoute permission="staff:manage">
+                <StaffManager />
+              </ProtectedRoute>
+            } 
+          />
+
+          <Route 
+            path="/account" 
+            element={
+              <ProtectedRoute>
+                <AccountSettings />
+              </ProtectedRoute>
+            } 
+          />
+
+          <Route 
+            path="/audit" 
+            element={
+              <ProtectedRoute permission="audit:view">
+                <AuditLog />
+              </ProtectedRoute>
+            } 
+          />
+
+          <Route 
+            path="/backup" 
+            element={
+              <ProtectedRoute permission="backup:manage">
+                <BackupRestore />
+              </ProtectedRoute>
+            } 
+          />
           
           <Route path="*" element={<Navigate to="/login" />} />
         </Routes>
@@ -0,0 +1,373 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { getCurrentUser } from '../services/auth';
+import { hasPermission } from '../services/permissions';
+import {
+  authenticate,
+  resetPassword,
+  setUserPin,
+  clearUserPin,
+  MIN_PASSWORD_LENGTH
+} from '../services/users';
+import {
+  getSessionSettings,
+  saveSessionSettings,
+  signOutEverywhere,
+  endSession
+} from '../services/session';
+import {
+  getNotificationSettings,
+  saveNotificationSettings,
+  requestDesktopPermission,
+  desktopNotificationsSupported,
+  unlockAudio,
+  playSound,
+  SOUNDS
+} from '../services/notifications';
+import { MdArrowBack, MdLogout, MdPin, MdVpnKey, MdTimer, MdDevices, MdNotifications } from 'react-icons/md';
+
+const cardStyle = {
+  background: 'white',
+  borderRadius: '12px',
+  padding: '1.5rem',
+  marginBottom: '1.5rem',
+  boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+};
+
+const inputStyle = {
+  width: '100%',
+  padding: '0.75rem',
+  border: '1px solid #d1d5db',
+  borderRadius: '8px',
+  fontSize: '1rem',
+  marginBottom: '1rem'
+};
+
+const buttonStyle = (background) => ({
+  padding: '0.75rem 1.5rem',
+  background,
+  color: 'white',
+  border: 'none',
+  borderRadius: '8px',
+  fontWeight: 600,
+  cursor: 'pointer',
+  display: 'inline-flex',
+  alignItems: 'center',
+  gap: '0.5rem'
+});
+
+/**
+ * My Account - PIN, password, order alerts, sign out everywhere and (for managers) idle timeouts
+ */
+function AccountSettings() {
+  const navigate = useNavigate();
+  const [user, setUser] = useState(() => getCurrentUser());
+  const [pin, setPin] = useState('');
+  const [passwords, setPasswords] = useState({ current: '', next: '', confirm: '' });
+  const [settings, setSettings] = useState(() => getSessionSettings());
+  const [alerts, setAlerts] = useState(() => getNotificationSettings());
+  const [busy, setBusy] = useState(false);
+
+  if (!user) {
+    return null;
+  }
+
+  const handleSetPin = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      await setUserPin(user.userId, pin);
+      setPin('');
+      setUser(getCurrentUser());
+      alert('✅ PIN saved. You can now unlock the screen with it.');
+    } catch (error) {
+      alert('Failed to set PIN: ' + error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleClearPin = () => {
+    if (!window.confirm('Remove your quick-unlock PIN?')) return;
+    clearUserPin(user.userId);
+    setUser(getCurrentUser());
+  };
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    if (passwords.next !== passwords.confirm) {
+      alert('New passwords do not match');
+      return;
+    }
+
+    setBusy(true);
+    try {
+      const check = await authenticate(user.username, passwords.current);
+      if (!check.success) {
+        throw new Error('Current password is incorrect');
+      }
+      await resetPassword(user.userId, passwords.next);
+      setPasswords({ current: '', next: '', confirm: '' });
+      alert('✅ Password changed');
+    } catch (error) {
+      alert('Failed to change password: ' + error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSaveSettings = (e) => {
+    e.preventDefault();
+    try {
+      setSettings(saveSessionSettings(settings));
+      alert('✅ Session timeouts saved');
+    } catch (error) {
+      alert('Failed to save: ' + error.message);
+    }
+  };
+
+  const handleSaveAlerts = async (e) => {
+    e.preventDefault();
+    try {
+      if (alerts.desktop && (await requestDesktopPermission()) === 'denied') {
+        alert('⚠️ Desktop notifications are blocked in this browser\'s site settings');
+      }
+      setAlerts(saveNotificationSettings(alerts));
+      alert('✅ Alert settings saved');
+    } catch (error) {
+      alert('Failed to save: ' + error.message);
+    }
+  };
+
+  const handleTestSound = () => {
+    unlockAudio();
+    playSound(alerts.sound, Number(alerts.volume));
+  };
+
+  const handleSignOutEverywhere = async () => {
+    if (!window.confirm('Sign out of every tab and device?')) return;
+    setBusy(true);
+    await signOutEverywhere();
+    navigate('/login');
+  };
+
+  const handleLogout = () => {
+    if (window.confirm('Logout from admin panel?')) {
+      endSession('logout');
+      navigate('/login');
+    }
+  };
+
+  return (
+    <div className="app">
+      <main className="app-main" style={{ padding: '2rem' }}>
+        <div style={{ maxWidth: '640px', margin: '0 auto' }}>
+          <button
+            onClick={() => navigate('/dashboard')}
+            style={{ ...buttonStyle('transparent'), color: '#374151', padding: '0.5rem 0', marginBottom: '1rem' }}
+          >
+            <MdArrowBack size={20} /> Back to Orders
+          </button>
+
+          <h1 style={{ fontSize: '2rem', fontWeight: 700, marginBottom: '0.5rem' }}>My Account</h1>
+          <p style={{ color: '#6b7280', marginBottom: '2rem' }}>
+            {user.displayName} (@{user.username})
+          </p>
+
+          {/* Quick-unlock PIN */}
+          <section style={cardStyle}>
+            <h2 style={{ fontSize: '1.25rem', fontWeight: 700, marginBottom: '0.5rem', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+              <MdPin size={22} /> Quick-unlock PIN
+            </h2>
+            <p style={{ fontSize: '0.875rem', color: '#6b7280', marginBottom: '1rem' }}>
+              {user.hasPin
+                ? 'A PIN is set. Use it to unlock the screen after inactivity.'
+                : 'Set a 4-6 digit PIN to unlock the screen without typing your full password.'}
+            </p>
+            <form onSubmit={handleSetPin}>
+              <input
+                type="password"
+                inputMode="numeric"
+                placeholder={user.hasPin ? 'New PIN' : 'PIN (4-6 digits)'}
+                value={pin}
+                onChange={(e) => setPin(e.target.value)}
+                pattern="\d{4,6}"
+                required
+                style={inputStyle}
+              />
+              <div style={{ display: 'flex', gap: '0.5rem' }}>
+                <button type="submit" disabled={busy} style={buttonStyle('#6200ea')}>
+                  {user.hasPin ? 'Change PIN' : 'Set PIN'}
+                </button>
+                {user.hasPin && (
+                  <button type="button" onClick={handleClearPin} style={buttonStyle('#6b7280')}>
+                    Remove PIN
+                  </button>
+                )}
+              </div>
+            </form>
+          </section>
+
+          {/* Password */}
+          <section style={cardStyle}>
+            <h2 style={{ fontSize: '1.25rem', fontWeight: 700, marginBottom: '1rem', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+              <MdVpnKey size={22} /> Change Password
+            </h2>
+            <form onSubmit={handleChangePassword}>
+              <input
+                type="password"
+                placeholder="Current password"
+                value={passwords.current}
+                onChange={(e) => setPasswords(p => ({ ...p, current: e.target.value }))}
+                autoComplete="current-password"
+                required
+                style={inputStyle}
+              />
+              <input
+                type="password"
+                placeholder={`New password (min ${MIN_PASSWORD_LENGTH} characters)`}
+                value={passwords.next}
+                onChange={(e) => setPasswords(p => ({ ...p, next: e.target.value }))}
+                autoComplete="new-password"
+                minLength={MIN_PASSWORD_LENGTH}
+                required
+                style={inputStyle}
+              />
+              <input
+                type="password"
+                placeholder="Confirm new password"
+                value={passwords.confirm}
+                onChange={(e) => setPasswords(p => ({ ...p, confirm: e.target.value }))}
+                autoComplete="new-password"
+                required
+                style={inputStyle}
+              />
+              <button type="submit" disabled={busy} style={buttonStyle('#6200ea')}>
+                Change Password
+              </button>
+            </form>
+          </section>
+
+          {/* Order alerts (per user) */}
+          <section style={cardStyle}>
+            <h2 style={{ fontSize: '1.25rem', fontWeight: 700, marginBottom: '1rem', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+              <MdNotifications size={22} /> Order Alerts
+            </h2>
+            <form onSubmit={handleSaveAlerts}>
+              <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontWeight: 600, marginBottom: '1rem' }}>
+                <input
+                  type="checkbox"
+                  checked={alerts.muted}
+                  onChange={(e) => setAlerts(a => ({ ...a, muted: e.target.checked }))}
+                />
+                Mute all order alerts
+              </label>
+              <label style={{ display: 'block', fontWeight: 600, marginBottom: '0.5rem' }}>Sound</label>
+              <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '1rem' }}>
+                <select
+                  value={alerts.sound}
+                  onChange={(e) => setAlerts(a => ({ ...a, sound: e.target.value }))}
+                  style={{ ...inputStyle, marginBottom: 0 }}
+                >
+                  {Object.entries(SOUNDS)
+                    .filter(([name]) => name !== 'urgent')
+                    .map(([name, sound]) => (
+                      <option key={name} value={name}>{sound.label}</option>
+                    ))}
+                </select>
+                <button type="button" onClick={handleTestSound} style={buttonStyle('#6b7280')}>
+                  Test
+                </button>
+              </div>
+              <label style={{ display: 'block', fontWeight: 600, marginBottom: '0.5rem' }}>
+                Volume ({Math.round(alerts.volume * 100)}%)
+              </label>
+              <input
+                type="range"
+                min="0"
+                max="1"
+                step="0.05"
+                value={alerts.volume}
+                onChange={(e) => setAlerts(a => ({ ...a, volume: Number(e.target.value) }))}
+                style={{ width: '100%', marginBottom: '1rem' }}
+              />
+              {desktopNotificationsSupported() && (
+                <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontWeight: 600, marginBottom: '1rem' }}>
+                  <input
+                    type="checkbox"
+                    checked={alerts.desktop}
+                    onChange={(e) => setAlerts(a => ({ ...a, desktop: e.target.checked }))}
+                  />
+                  Desktop notifications when this tab is in the background
+                </label>
+              )}
+              <label style={{ display: 'block', fontWeight: 600, marginBottom: '0.5rem' }}>
+                Remind me when an order is still pending after (minutes, 0 = off)
+              </label>
+              <input
+                type="number"
+                min="0"
+                value={alerts.escalateAfterMinutes}
+                onChange={(e) => setAlerts(a => ({ ...a, escalateAfterMinutes: e.target.value }))}
+                style={inputStyle}
+              />
+              <button type="submit" style={buttonStyle('#6200ea')}>Save Alerts</button>
+            </form>
+          </section>
+
+          {/* Idle timeouts */}
+          {hasPermission('settings:manage') && (
+            <section style={cardStyle}>
+              <h2 style={{ fontSize: '1.25rem', fontWeight: 700, marginBottom: '1rem', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                <MdTimer size={22} /> Session Timeouts (this terminal)
+              </h2>
+              <form onSubmit={handleSaveSettings}>
+                <label style={{ display: 'block', fontWeight: 600, marginBottom: '0.5rem' }}>
+                  Lock screen after inactivity (minutes)
+                </label>
+                <input
+                  type="number"
+                  min="1"
+                  value={settings.lockAfterMinutes}
+                  onChange={(e) => setSettings(s => ({ ...s, lockAfterMinutes: e.target.value }))}
+                  style={inputStyle}
+                />
+                <label style={{ display: 'block', fontWeight: 600, marginBottom: '0.5rem' }}>
+                  Sign out after being locked for (minutes)
+                </label>
+                <input
+                  type="number"
+                  min="1"
+                  value={settings.logoutAfterMinutes}
+                  onChange={(e) => setSettings(s => ({ ...s, logoutAfterMinutes: e.target.value }))}
+                  style={inputStyle}
+                />
+                <button type="submit" style={buttonStyle('#6200ea')}>Save Timeouts</button>
+              </form>
+            </section>
+          )}
+
+          {/* Sign out */}
+          <section style={cardStyle}>
+            <h2 style={{ fontSize: '1.25rem', fontWeight: 700, marginBottom: '0.5rem', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+              <MdDevices size={22} /> Sessions
+            </h2>
+            <p style={{ fontSize: '0.875rem', color: '#6b7280', marginBottom: '1rem' }}>
+              Signing out everywhere closes every open tab on this computer and revokes your login on other devices.
+            </p>
+            <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+              <button onClick={handleLogout} style={buttonStyle('#6b7280')}>
+                <MdLogout size={20} /> Logout
+              </button>
+              <button onClick={handleSignOutEverywhere} disabled={busy} style={buttonStyle('#dc2626')}>
+                <MdDevices size={20} /> Sign out everywhere
+              </button>
+            </div>
+          </section>
+        </div>
+      </main>
+    </div>
+  );
+}
+
+export default AccountSettings;
@@ -1,18 +1,24 @@
-import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { isAdminLoggedIn, logout } from '../services/auth';
-import { 
-  getAllOrders, 
-  updateOrderStatus,
-  deleteOrder,
-  syncWithServer 
-} from '../services/db';
-import { 
-  updateOrderStatus as apiUpdateOrderStatus,
-  deleteOrder as apiDeleteOrder,
-  fetchOrderByNumber
-} from '../services/api';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { isAdminLoggedIn, getCurrentUser } from '../services/auth';
+import { endSession } from '../services/session';
+import { hasPermission } from '../services/permissions';
+import { useOrders, orderKey } from '../hooks/useOrders';
+import { useOrderNotifications } from '../hooks/useOrderNotifications';
+import { useOrderSearch } from '../hooks/useOrderSearch';
+import { parseOrderQuery, toQueryParams, hasExtraFilters, EMPTY_ORDER_QUERY } from '../services/orderSearch';
+import { getNotificationSettings, saveNotificationSettings } from '../services/notifications';
 import { useNetwork } from '../context/NetworkContext';
+import { getStatusMeta, getStatuses, getTransitions, findTransition } from '../services/orderWorkflow';
+import { refundableItems, refundedAmount, netTotal, CANCEL_REASONS, REFUND_REASONS } from '../services/refunds';
+import { isOrderEditable } from '../services/orderItems';
+import { exportOrders } from '../services/orderExport';
+import { exportFilename } from '../services/exporters';
+import OrderAdjustmentDialog from './OrderAdjustmentDialog';
+import OrderItemsEditor from './OrderItemsEditor';
+import OrderFilters from './OrderFilters';
+import VirtualList from './VirtualList';
+import ExportMenu from './ExportMenu';
 import {
   MdDashboard,
   MdShoppingCart,
@@ -27,18 +33,83 @@ import {
   MdExpandLess,
   MdPerson,
   MdRefresh,
-  MdInventory
+  MdInventory,
+  MdPeople,
+  MdSecurity,
+  MdNotificationsActive,
+  MdNotificationsOff,
+  MdKitchen,
+  MdPause,
+  MdPlayArrow,
+  MdCancel,
+  MdUndo,
+  MdEdit,
+  MdPointOfSale,
+  MdBarChart,
+  MdAccountBalanceWallet,
+  MdBackup
 } from 'react-icons/md';
 
+// Icon for the button that moves an order into each status
+const TRANSITION_ICONS = {
+  pending: MdPlayArrow,
+  'on-hold': MdPause,
+  preparing: MdRestaurant,
+  ready: MdCheckCircle,
+  completed: MdCheckCircle,
+  cancelled: MdCancel,
+  refunded: MdUndo
+};
+
 function AdminDashboard() {
-  const [orders, setOrders] = useState([]);
-  const [stats, setStats] = useState(null);
-  const [filterStatus, setFilterStatus] = useState('all');
+  // Search, filters and sort live in the URL so a view can be bookmarked
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = useMemo(() => parseOrderQuery(searchParams), [searchParams]);
+  const updateQuery = useCallback((changes) => {
+    setSearchParams(toQueryParams({ ...query, ...changes }), { replace: true });
+  }, [query, setSearchParams]);
   const [expandedOrder, setExpandedOrder] = useState(null);
-  const [syncing, setSyncing] = useState(false);
-  const [lastUpdate, setLastUpdate] = useState(new Date());
   const navigate = useNavigate();
   const network = useNetwork();
+  const {
+    orders,
+    stats,
+    stale,
+    lastUpdated,
+    hasMore,
+    loadingMore,
+    loadMore,
+    syncing,
+    liveConnected,
+    newOrders,
+    acknowledge,
+    workflow,
+    refresh,
+    sync,
+    updateStatus,
+    cancel,
+    refund,
+    editItems,
+    remove
+  } = useOrders({ live: true });
+  // Key of the order whose items are being edited
+  const [editingOrder, setEditingOrder] = useState(null);
+  // {mode: 'cancel' | 'refund', order} while the dialog is open
+  const [adjusting, setAdjusting] = useState(null);
+  const { staleOrders } = useOrderNotifications(orders);
+  const [muted, setMuted] = useState(() => getNotificationSettings().muted);
+  const currentUser = getCurrentUser();
+  const canChangeStatus = hasPermission('orders:status');
+  const canDeleteOrders = hasPermission('orders:delete');
+  const canEditOrders = hasPermission('orders:edit');
+  const canSync = hasPermission('orders:sync');
+  const canViewStats = hasPermission('stats:view');
+  const canManageShifts = hasPermission('shifts:manage');
+  const canManageProducts = hasPermission('products:manage');
+  const canCreateOrders = hasPermission('orders:create');
+  const canManageStaff = hasPermission('staff:manage');
+  const canViewAudit = hasPermission('audit:view');
+  const canBackup = hasPermission('backup:manage');
 
   useEffect(() => {
     if (!isAdminLoggedIn()) {
@@ -46,12 +117,10 @@ function AdminDashboard() {
       return;
     }
 
-    loadData();
-
     const handleOnlineEvent = () => {
       console.log('🌐 Back online');
       network.detectServer();
-      handleSync();
+      sync().catch(error => console.error('❌ Sync failed:', error));
     };
 
     const handleOfflineEvent = () => {
@@ -61,79 +130,15 @@ function AdminDashboard() {
     window.addEventListener('online', handleOnlineEvent);
     window.addEventListener('offline', handleOfflineEvent);
 
-    // Auto-refresh disabled; rely on manual Refresh button instead
-    // If you want auto-refresh, re-enable a setInterval here.
+    // New/changed orders arrive over the live feed (see useOrders)
 
     return () => {
       window.removeEventListener('online', handleOnlineEvent);
       window.removeEventListener('offline', handleOfflineEvent);
     };
-  }, [navigate, network]);
+  }, [navigate, network, sync]);
 
-  const loadData = async () => {
-    try {
-      let allOrders = [];
-      
-      if (network.isOnline && network.serverUrl) {
-        try {
-          console.log('🔍 Fetching from:', network.serverUrl);
-          const response = await fetch(`${network.serverUrl}/api/orders`, {
-            method: 'GET',
-            headers: {
-              'Content-Type': 'application/json',
-              'Cache-Control': 'no-cache'
-            }
-          });
-          
-          if (response.ok) {
-            allOrders = await response.json();
-            console.log(`✅ Got ${allOrders.length} orders from backend`);
-            setLastUpdate(new Date());
-          } else {
-            console.warn('Backend response not OK, using local');
-            allOrders = await getAllOrders();
-          }
-        } catch (error) {
-          console.warn('Backend fetch failed, using local:', error.message);
-          allOrders = await getAllOrders();
-        }
-      } else {
-        console.log('📱 Using local orders (offline mode)');
-        allOrders = await getAllOrders();
-      }
-
-      // Sort by timestamp (newest first)
-      allOrders.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-      setOrders(allOrders);
-
-      // Calculate stats
-      const pending = allOrders.filter(o => o.status === 'pending').length;
-      const preparing = allOrders.filter(o => o.status === 'preparing').length;
-      const completed = allOrders.filter(o => o.status === 'completed').length;
-      const totalSales = allOrders.reduce((sum, o) => sum + (o.total || 0), 0);
-
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      const todayOrders = allOrders.filter(o => {
-        const oDate = new Date(o.timestamp);
-        oDate.setHours(0, 0, 0, 0);
-        return oDate >= today;
-      });
-      const todaySales = todayOrders.reduce((sum, o) => sum + (o.total || 0), 0);
-
-      setStats({
-        totalOrders: allOrders.length,
-        pendingOrders: pending,
-        preparingOrders: preparing,
-        completedOrders: completed,
-        totalSales,
-        todayOrders: todayOrders.length,
-        todaySales
-      });
-    } catch (error) {
-      console.error('❌ Load data failed:', error);
-    }
-  };
+  const findOrder = (key) => orders.find(o => orderKey(o) === key);
 
   const handleSync = async () => {
     if (!network.isOnline) {
@@ -141,80 +146,68 @@ function AdminDashboard() {
       return;
     }
 
-    setSyncing(true);
     try {
       console.log('🔄 Manual sync started...');
-      
-      // Force fresh data from server
-      if (network.serverUrl) {
-        const response = await fetch(`${network.serverUrl}/api/orders`, {
-          method: 'GET',
-          headers: {
-            'Content-Type': 'application/json',
-            'Cache-Control': 'no-cache, no-store, must-revalidate'
-          }
-        });
-        
-        if (response.ok) {
-          const serverOrders = await response.json();
-          console.log(`✅ Synced ${serverOrders.length} orders from server`);
-        }
-      }
-      
-      await syncWithServer();
-      await loadData();
-      
+      await sync();
       alert('✅ Sync completed successfully!');
     } catch (error) {
       console.error('❌ Sync failed:', error);
       alert('❌ Sync failed: ' + error.message);
-    } finally {
-      setSyncing(false);
     }
   };
 
   const handleManualRefresh = () => {
     console.log('🔄 Manual refresh triggered');
-    loadData();
+    refresh();
   };
 
-  const handleStatusUpdate = async (orderId, newStatus) => {
-    try {
-      const local = orders.find(o => 
-        o._id === orderId || o.id === orderId || o.orderId === orderId
-      );
-
-      if (network.isOnline && local) {
-        try {
-          let serverId = local._id || null;
-
-          if (!serverId && local.orderId) {
-            const serverOrder = await fetchOrderByNumber(local.orderId);
-            serverId = serverOrder?._id || null;
-          }
-
-          if (serverId) {
-            await apiUpdateOrderStatus(serverId, newStatus);
-            await syncWithServer();
-            await loadData();
-            return;
-          }
-        } catch (error) {
-          console.log('Server update failed, using local:', error.message);
-        }
-      }
+  const handleStatusUpdate = async (orderId, transition) => {
+    const local = findOrder(orderId);
+    if (!local) return;
+    if (transition.to === 'cancelled') {
+      setAdjusting({ mode: 'cancel', order: local });
+      return;
+    }
+    if (transition.confirm && !window.confirm(transition.confirm)) return;
 
-      if (local) {
-        await updateOrderStatus(local.id || local._id || local.orderId, newStatus);
-        await loadData();
-      }
+    try {
+      await updateStatus(local, transition.to);
     } catch (error) {
       console.error('Status update failed:', error);
-      alert('❌ Failed to update status');
+      alert(error.status === 403 || error.status === 409
+        ? `❌ ${error.message}`
+        : '❌ Failed to update status');
     }
   };
 
+  const handleSaveItems = async (orderKey, items) => {
+    const local = findOrder(orderKey);
+    if (!local) return;
+
+    // Errors are shown by the editor, which stays open
+    const where = await editItems(local, items);
+    setEditingOrder(null);
+    alert(where === 'local' ? '✅ Order updated (will sync when online)' : '✅ Order updated');
+  };
+
+  const handleCancelOrder = async (details) => {
+    const where = await cancel(adjusting.order, details);
+    setAdjusting(null);
+    alert(where === 'local' ? '✅ Order cancelled (will sync when online)' : '✅ Order cancelled');
+  };
+
+  const handleRefundOrder = async (record, full) => {
+    const where = await refund(adjusting.order, record, full);
+    setAdjusting(null);
+    alert(`✅ Refunded Rs. ${record.amount}${where === 'local' ? ' (will sync when online)' : ''}`);
+  };
+
   const handleDeleteOrder = async (orderKey) => {
+    if (!canDeleteOrders) {
+      alert('🔒 You do not have permission to delete orders');
+      return;
+    }
+
     if (!network.isOnline) {
       alert('⚠️ Cannot delete while offline');
       return;
@@ -223,74 +216,53 @@ function AdminDashboard() {
     if (!window.confirm('Delete this order?')) return;
 
     try {
-      const local = orders.find(o => 
-        o._id === orderKey || String(o.id) === String(orderKey) || o.orderId === orderKey
-      );
-
-      await deleteOrder(local ? (local.id || local._id || local.orderId) : orderKey);
-
-      if (network.isOnline && local) {
-        try {
-          let serverId = local._id || null;
-          
-          if (!serverId && local.orderId) {
-            const serverOrder = await fetchOrderByNumber(local.orderId);
-            serverId = serverOrder?._id || null;
-          }
-
-          if (serverId) {
-            await apiDeleteOrder(serverId);
-            await syncWithServer();
-          }
-        } catch (error) {
-          console.log('Server delete failed:', error.message);
-        }
-      }
-
-      await loadData();
+      await remove(findOrder(orderKey) || { id: orderKey });
     } catch (error) {
       console.error('Delete failed:', error);
       alert('❌ Failed to delete order');
     }
   };
 
+  const toggleMute = () => {
+    setMuted(saveNotificationSettings({ muted: !muted }).muted);
+  };
+
   const handleLogout = () => {
     if (window.confirm('Logout from admin panel?')) {
-      logout();
+      endSession('logout');
       navigate('/login');
     }
   };
 
-  const filteredOrders = orders.filter(order => {
-    if (filterStatus === 'all') return true;
-    return order.status === filterStatus;
-  });
+  const filteredOrders = useOrderSearch(query, orders, { fromCache: stale });
+
+  const handleExport = async (format) => {
+    const { blob, count, partial } = await exportOrders(query, format);
+    if (count === 0) throw new Error('No orders match these filters');
+    if (partial && !window.confirm(`Older orders couldn't be fetched, so these ${count} orders may not be all that match.\n\nDownload anyway?`)) {
+      return null;
+    }
+    return { blob, filename: exportFilename('orders', format) };
+  };
+
+  // Scrolling to the end of the list loads the next page (from the cache, then the server)
+  const loadOlderOrders = useCallback(() => {
+    if (hasMore) loadMore();
+  }, [hasMore, loadMore]);
 
   const getStatusBadge = (status) => {
-    const colors = {
-      pending: '#f59e0b',
-      preparing: '#0ea5e9',
-      ready: '#10b981',
-      completed: '#16a34a'
-    };
-    
-    const labels = {
-      pending: 'Pending',
-      preparing: 'Preparing',
-      ready: 'Ready',
-      completed: 'Completed'
-    };
+    const { label, color } = getStatusMeta(status, workflow);
 
     return (
       <span style={{
         padding: '0.25rem 0.75rem',
-        background: colors[status] || colors.pending,
+        background: color,
         color: 'white',
         borderRadius: '12px',
         fontSize: '0.75rem',
         fontWeight: 700
       }}>
-        {labels[status] || 'Pending'}
+        {label}
       </span>
     );
   };
@@ -329,20 +301,56 @@ function AdminDashboard() {
           <div className="logo-text">
             <h1 style={{ fontSize: '1.5rem', fontWeight: 700, margin: 0 }}>Admin Panel</h1>
             <p className="tagline" style={{ fontSize: '0.875rem', color: '#6b7280', margin: 0 }}>
-              Last update: {lastUpdate.toLocaleTimeString()}
+              {currentUser && (
+                <>
+                  Signed in as{' '}
+                  <button
+                    onClick={() => navigate('/account')}
+                    style={{ background: 'none', border: 'none', padding: 0, color: '#6200ea', fontWeight: 600, cursor: 'pointer' }}
+                  >
+                    {currentUser.displayName}
+                  </button>
+                  {' • '}
+                </>
+              )}
+              Last update: {lastUpdated ? lastUpdated.toLocaleTimeString() : '—'}
+              {stale && ' (showing cached orders)'}
             </p>
           </div>
         </div>
 
         {/* Actions */}
         <div className="header-actions" style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
-          {/* Products Button */}
+          {/* New Order (POS) Button */}
+          {canCreateOrders && (
+            <button 
+              className="header-btn"
+              onClick={() => navigate('/new-order')}
+              style={{
+                padding: '0.5rem 1rem',
+                background: '#10b981',
+                color: 'white',
+                border: 'none',
+                borderRadius: '8px',
+                fontWeight: 600,
+                cursor: 'pointer',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.5rem'
+              }}
+            >
+              <MdPointOfSale size={20} />
+              New Order
+            </button>
+          )}
+
+          {/* Kitchen Display Button */}
           <button 
             className="header-btn"
-            onClick={() => navigate('/products')}
+            onClick={() => navigate('/kitchen')}
             style={{
               padding: '0.5rem 1rem',
-              background: '#6200ea',
+              background: '#f59e0b',
               color: 'white',
               border: 'none',
               borderRadius: '8px',
@@ -353,8 +361,165 @@ function AdminDashboard() {
               gap: '0.5rem'
             }}
           >
-            <MdInventory size={20} />
-            Products
+            <MdKitchen size={20} />
+            Kitchen
+          </button>
+
+          {/* Reports Button */}
+          {canViewStats && (
+            <button 
+              className="header-btn"
+              onClick={() => navigate('/reports')}
+              style={{
+                padding: '0.5rem 1rem',
+                background: '#0ea5e9',
+                color: 'white',
+                border: 'none',
+                borderRadius: '8px',
+                fontWeight: 600,
+                cursor: 'pointer',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.5rem'
+              }}
+            >
+              <MdBarChart size={20} />
+              Reports
+            </button>
+          )}
+
+          {/* Shifts Button */}
+          {canManageShifts && (
+            <button 
+              className="header-btn"
+              onClick={() => navigate('/shifts')}
+              style={{
+                padding: '0.5rem 1rem',
+                background: '#0f766e',
+                color: 'white',
+                border: 'none',
+                borderRadius: '8px',
+                fontWeight: 600,
+                cursor: 'pointer',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.5rem'
+              }}
+            >
+              <MdAccountBalanceWallet size={20} />
+              Shift
+            </button>
+          )}
+
+          {/* Products Button */}
+          {canManageProducts && (
+            <button 
+              className="header-btn"
+              onClick={() => navigate('/products')}
+              style={{
+                padding: '0.5rem 1rem',
+                background: '#6200ea',
+                color: 'white',
+                border: 'none',
+                borderRadius: '8px',
+                fontWeight: 600,
+                cursor: 'pointer',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.5rem'
+              }}
+            >
+              <MdInventory size={20} />
+              Products
+            </button>
+          )}
+
+          {/* Staff Button */}
+          {canManageStaff && (
+            <button 
+              className="header-btn"
+              onClick={() => navigate('/staff')}
+              style={{
+                padding: '0.5rem 1rem',
+                background: '#374151',
+                color: 'white',
+                border: 'none',
+                borderRadius: '8px',
+                fontWeight: 600,
+                cursor: 'pointer',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.5rem'
+              }}
+            >
+              <MdPeople size={20} />
+              Staff
+            </button>
+          )}
+
+          {/* Access Log Button */}
+          {canViewAudit && (
+            <button 
+              className="header-btn"
+              onClick={() => navigate('/audit')}
+              style={{
+                padding: '0.5rem 1rem',
+                background: '#7c3aed',
+                color: 'white',
+                border: 'none',
+                borderRadius: '8px',
+                fontWeight: 600,
+                cursor: 'pointer',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.5rem'
+              }}
+            >
+              <MdSecurity size={20} />
+              Access Log
+            </button>
+          )}
+
+          {/* Backup Button */}
+          {canBackup && (
+            <button 
+              className="header-btn"
+              onClick={() => navigate('/backup')}
+              style={{
+                padding: '0.5rem 1rem',
+                background: '#475569',
+                color: 'white',
+                border: 'none',
+                borderRadius: '8px',
+                fontWeight: 600,
+                cursor: 'pointer',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.5rem'
+              }}
+            >
+              <MdBackup size={20} />
+              Backup
+            </button>
+          )}
+
+          {/* Order Alerts Mute */}
+          <button
+            className="header-btn"
+            onClick={toggleMute}
+            title={muted ? 'Order alerts muted - click to unmute' : 'Mute order alerts'}
+            style={{
+              padding: '0.5rem',
+              background: muted ? '#fee2e2' : '#f3f4f6',
+              color: muted ? '#991b1b' : '#374151',
+              border: 'none',
+              borderRadius: '8px',
+              cursor: 'pointer',
+              display: 'flex',
+              alignItems: 'center'
+            }}
+          >
+            {muted ? <MdNotificationsOff size={20} /> : <MdNotificationsActive size={20} />}
           </button>
 
           {/* Connection Status */}
@@ -376,6 +541,7 @@ function AdminDashboard() {
                 {network.mode === 'online' && '☁️ Cloud'}
                 {network.mode === 'local' && '📡 Hotspot'}
                 {network.mode === 'localhost' && '💻 Local'}
+                {network.isOnline && (liveConnected ? ' • ⚡ Live' : ' • Live feed off')}
               </div>
             </div>
           </div>
@@ -402,29 +568,31 @@ function AdminDashboard() {
           </button>
 
           {/* Sync Button */}
-          <button 
-            className="header-btn"
-            onClick={handleSync}
-            disabled={syncing || !network.isOnline}
-            style={{
-              padding: '0.5rem 1rem',
-              background: '#03b9d1',
-              color: 'white',
-              border: 'none',
-              borderRadius: '8px',
-              fontWeight: 600,
-              cursor: syncing || !network.isOnline ? 'not-allowed' : 'pointer',
-              opacity: syncing || !network.isOnline ? 0.5 : 1,
-              display: 'flex',
-              alignItems: 'center',
-              gap: '0.5rem'
-            }}
-          >
-            <MdSync size={20} style={{
-              animation: syncing ? 'spin 1s linear infinite' : 'none'
-            }} />
-            {syncing ? 'Syncing...' : 'Sync'}
-          </button>
+          {canSync && (
+            <button 
+              className="header-btn"
+              onClick={handleSync}
+              disabled={syncing || !network.isOnline}
+              style={{
+                padding: '0.5rem 1rem',
+                background: '#03b9d1',
+                color: 'white',
+                border: 'none',
+                borderRadius: '8px',
+                fontWeight: 600,
+                cursor: syncing || !network.isOnline ? 'not-allowed' : 'pointer',
+                opacity: syncing || !network.isOnline ? 0.5 : 1,
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.5rem'
+              }}
+            >
+              <MdSync size={20} style={{
+                animation: syncing ? 'spin 1s linear infinite' : 'none'
+              }} />
+              {syncing ? 'Syncing...' : 'Sync'}
+            </button>
+          )}
 
           {/* Logout Button */}
           <button 
@@ -453,7 +621,7 @@ function AdminDashboard() {
       <main className="app-main">
         <div className="admin-dashboard">
           {/* Stats Grid */}
-          {stats && (
+          {stats && canViewStats && (
             <div style={{
               display: 'grid',
               gridTemplateColumns: 'repeat(auto-fit, minmax(250px, 1fr))',
@@ -505,7 +673,9 @@ function AdminDashboard() {
                   <MdAttachMoney size={32} style={{ color: '#16a34a' }} />
                   <div>
                     <div style={{ fontSize: '2rem', fontWeight: 700 }}>Rs. {stats.todaySales}</div>
-                    <div style={{ fontSize: '0.875rem', color: '#666' }}>Today's Sales</div>
+                    <div style={{ fontSize: '0.875rem', color: '#666' }}>
+                      Today's Sales{stats.todayRefunds > 0 && ` (after Rs. ${stats.todayRefunds} refunds)`}
+                    </div>
                   </div>
                 </div>
               </div>
@@ -515,7 +685,9 @@ function AdminDashboard() {
                   <MdAttachMoney size={32} style={{ color: '#6200ea' }} />
                   <div>
                     <div style={{ fontSize: '2rem', fontWeight: 700 }}>Rs. {stats.totalSales}</div>
-                    <div style={{ fontSize: '0.875rem', color: '#666' }}>Total Sales</div>
+                    <div style={{ fontSize: '0.875rem', color: '#666' }}>
+                      Total Sales{stats.totalRefunds > 0 && ` (after Rs. ${stats.totalRefunds} refunds)`}
+                    </div>
                   </div>
                 </div>
               </div>
@@ -530,20 +702,24 @@ function AdminDashboard() {
               alignItems: 'center',
               marginBottom: '1.5rem'
             }}>
-              <h2 style={{ fontSize: '1.5rem', fontWeight: 700 }}>
-                Orders ({filteredOrders.length})
-              </h2>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '1rem', flexWrap: 'wrap' }}>
+                <h2 style={{ fontSize: '1.5rem', fontWeight: 700 }}>
+                  Orders ({filteredOrders.length}{filteredOrders.length !== orders.length && ` of ${orders.length}`})
+                </h2>
+                {/* Exports cover every cached order matching the filters, not just the loaded pages */}
+                {canViewStats && <ExportMenu onExport={handleExport} />}
+              </div>
 
               {/* Status Filters */}
               <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
-                {['all', 'pending', 'preparing', 'ready', 'completed'].map(status => (
+                {['all', ...getStatuses(workflow)].map(status => (
                   <button
                     key={status}
-                    onClick={() => setFilterStatus(status)}
+                    onClick={() => updateQuery({ status })}
                     style={{
                       padding: '0.5rem 1rem',
-                      background: filterStatus === status ? '#6200ea' : '#f3f4f6',
-                      color: filterStatus === status ? 'white' : '#374151',
+                      background: query.status === status ? '#6200ea' : '#f3f4f6',
+                      color: query.status === status ? 'white' : '#374151',
                       border: 'none',
                       borderRadius: '8px',
                       fontWeight: 600,
@@ -552,12 +728,18 @@ function AdminDashboard() {
                       fontSize: '0.875rem'
                     }}
                   >
-                    {status}
+                    {status === 'all' ? status : getStatusMeta(status, workflow).label}
                   </button>
                 ))}
               </div>
             </div>
 
+            <OrderFilters
+              query={query}
+              onChange={updateQuery}
+              onClear={() => updateQuery({ ...EMPTY_ORDER_QUERY, status: query.status, sort: query.sort })}
+            />
+
             {/* Orders List */}
             {filteredOrders.length === 0 ? (
               <div style={{
@@ -569,180 +751,326 @@ function AdminDashboard() {
               }}>
                 <MdShoppingCart size={64} style={{ opacity: 0.3, marginBottom: '1rem' }} />
                 <p style={{ fontSize: '1.125rem', fontWeight: 600 }}>No orders found</p>
-                <p style={{ fontSize: '0.875rem' }}>Orders will appear here automatically</p>
+                <p style={{ fontSize: '0.875rem' }}>
+                  {hasExtraFilters(query) ? 'Try a wider search or clear the filters' : 'Orders will appear here automatically'}
+                </p>
               </div>
             ) : (
-              filteredOrders.map(order => {
-                const key = order._id || order.id || order.orderId;
-                const isExpanded = expandedOrder === key;
-                
-                return (
-                  <div key={key} style={{
-                    background: 'white',
-                    borderRadius: '12px',
-                    padding: '1.5rem',
-                    marginBottom: '1rem',
-                    boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
-                    border: order.status === 'pending' ? '2px solid #f59e0b' : 'none'
-                  }}>
-                    <div 
-                      onClick={() => setExpandedOrder(isExpanded ? null : key)}
-                      style={{ cursor: 'pointer' }}
-                    >
-                      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-                        <div>
-                          <div style={{ fontSize: '1.25rem', fontWeight: 700, marginBottom: '0.5rem' }}>
-                            #{order.orderId}
-                          </div>
-                          <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.875rem', color: '#666' }}>
-                            <MdPerson size={16} />
-                            <span>{order.customerName}</span>
-                            <span>•</span>
-                            <span>{formatDate(order.timestamp)}</span>
+              <VirtualList
+                items={filteredOrders}
+                getKey={orderKey}
+                estimatedHeight={140}
+                onEndReached={loadOlderOrders}
+                renderItem={(order) => {
+                  const key = orderKey(order);
+                  const isExpanded = expandedOrder === key;
+                  const isNew = !!newOrders[orderKey(order)];
+                  const isStale = !!staleOrders[orderKey(order)];
+                  
+                  return (
+                    <div key={key} style={{
+                      background: isNew ? '#ecfdf5' : 'white',
+                      borderRadius: '12px',
+                      padding: '1.5rem',
+                      marginBottom: '1rem',
+                      boxShadow: isNew ? '0 0 0 3px #10b981' : '0 2px 4px rgba(0,0,0,0.1)',
+                      border: isStale ? '2px solid #dc2626' : order.status === 'pending' ? '2px solid #f59e0b' : 'none',
+                      transition: 'background 0.5s, box-shadow 0.5s'
+                    }}>
+                      <div 
+                        onClick={() => {
+                          setExpandedOrder(isExpanded ? null : key);
+                          acknowledge(orderKey(order));
+                        }}
+                        style={{ cursor: 'pointer' }}
+                      >
+                        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                          <div>
+                            <div style={{ fontSize: '1.25rem', fontWeight: 700, marginBottom: '0.5rem', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                              #{order.orderId}
+                              {isNew && (
+                                <span style={{
+                                  padding: '0.125rem 0.5rem',
+                                  background: '#10b981',
+                                  color: 'white',
+                                  borderRadius: '8px',
+                                  fontSize: '0.7rem',
+                                  fontWeight: 700
+                                }}>
+                                  NEW
+                                </span>
+                              )}
+                              {isStale && (
+                                <span style={{
+                                  padding: '0.125rem 0.5rem',
+                                  background: '#dc2626',
+                                  color: 'white',
+                                  borderRadius: '8px',
+                                  fontSize: '0.7rem',
+                                  fontWeight: 700
+                                }}>
+                                  ⏰ WAITING
+                                </span>
+                              )}
+                            </div>
+                            <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.875rem', color: '#666' }}>
+                              <MdPerson size={16} />
+                              <span>{order.customerName}</span>
+                              <span>•</span>
+                              <span>{formatDate(order.timestamp)}</span>
+                            </div>
                           </div>
-                        </div>
 
-                        <div style={{ textAlign: 'right', display: 'flex', alignItems: 'center', gap: '1rem' }}>
-                          <div>
-                            {getStatusBadge(order.status)}
-                            <div style={{ fontSize: '1.25rem', fontWeight: 700, color: '#6200ea', marginTop: '0.5rem' }}>
-                              Rs. {order.total}
+                          <div style={{ textAlign: 'right', display: 'flex', alignItems: 'center', gap: '1rem' }}>
+                            <div>
+                              {getStatusBadge(order.status)}
+                              <div style={{ fontSize: '1.25rem', fontWeight: 700, color: '#6200ea', marginTop: '0.5rem' }}>
+                                {netTotal(order) !== order.total && (
+                                  <span style={{ textDecoration: 'line-through', color: '#9ca3af', fontWeight: 400, marginRight: '0.5rem' }}>
+                                    Rs. {order.total}
+                                  </span>
+                                )}
+                                Rs. {netTotal(order)}
+                              </div>
                             </div>
+                            {isExpanded ? <MdExpandLess size={24} /> : <MdExpandMore size={24} />}
                           </div>
-                          {isExpanded ? <MdExpandLess size={24} /> : <MdExpandMore size={24} />}
                         </div>
                       </div>
-                    </div>
 
-                    {isExpanded && (
-                      <div style={{ marginTop: '1.5rem', paddingTop: '1.5rem', borderTop: '1px solid #e5e7eb' }}>
-                        <h4 style={{ marginBottom: '1rem', fontWeight: 600 }}>Items:</h4>
-                        {order.items.map((item, index) => (
-                          <div key={index} style={{
-                            display: 'flex',
-                            justifyContent: 'space-between',
-                            padding: '0.75rem',
-                            background: '#f9fafb',
-                            borderRadius: '8px',
-                            marginBottom: '0.5rem'
-                          }}>
-                            <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
-                              {item.image && (
-                                typeof item.image === 'string' && (item.image.startsWith('http') || item.image.startsWith('data:image')) ? (
-                                  <img 
-                                    src={item.image} 
-                                    alt={item.name}
-                                    style={{ 
-                                      width: 40,
-                                      height: 40,
-                                      objectFit: 'cover',
-                                      borderRadius: '50%'
-                                    }}
-                                  />
-                                ) : (
-                                  <span style={{ fontSize: '1.5rem' }}>{item.image}</span>
-                                )
+                      {isExpanded && (
+                        <div style={{ marginTop: '1.5rem', paddingTop: '1.5rem', borderTop: '1px solid #e5e7eb' }}>
+                          {editingOrder === key ? (
+                            <OrderItemsEditor
+                              order={order}
+                              onSave={(items) => handleSaveItems(key, items)}
+                              onCancel={() => setEditingOrder(null)}
+                            />
+                          ) : (
+                            <>
+                              <h4 style={{ marginBottom: '1rem', fontWeight: 600 }}>Items:</h4>
+                              {order.items.map((item, index) => (
+                                <div key={index} style={{
+                                  display: 'flex',
+                                  justifyContent: 'space-between',
+                                  padding: '0.75rem',
+                                  background: '#f9fafb',
+                                  borderRadius: '8px',
+                                  marginBottom: '0.5rem'
+                                }}>
+                                  <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                                    {item.image && (
+                                      typeof item.image === 'string' && (item.image.startsWith('http') || item.image.startsWith('data:image')) ? (
+                                        <img 
+                                          src={item.image} 
+                                          alt={item.name}
+                                          style={{ 
+                                            width: 40,
+                                            height: 40,
+                                            objectFit: 'cover',
+                                            borderRadius: '50%'
+                                          }}
+                                        />
+                                      ) : (
+                                        <span style={{ fontSize: '1.5rem' }}>{item.image}</span>
+                                      )
+                                    )}
+                                    <div>
+                                      <span style={{ fontWeight: 600 }}>{item.name}</span>
+                                      {item.notes && (
+                                        <div style={{ fontSize: '0.8rem', color: '#b45309' }}>↳ {item.notes}</div>
+                                      )}
+                                    </div>
+                                  </div>
+                                  <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
+                                    <span style={{ color: '#666' }}>x{item.quantity}</span>
+                                    <span style={{ fontWeight: 700 }}>Rs. {item.price * item.quantity}</span>
+                                  </div>
+                                </div>
+                              ))}
+                              {canEditOrders && isOrderEditable(order) && (
+                                <button
+                                  onClick={() => setEditingOrder(key)}
+                                  style={{
+                                    padding: '0.5rem 1rem',
+                                    background: 'white',
+                                    color: '#6200ea',
+                                    border: '2px solid #6200ea',
+                                    borderRadius: '8px',
+                                    fontWeight: 600,
+                                    cursor: 'pointer',
+                                    display: 'flex',
+                                    alignItems: 'center',
+                                    gap: '0.5rem'
+                                  }}
+                                >
+                                  <MdEdit size={18} /> Edit Items
+                                </button>
                               )}
-                              <span style={{ fontWeight: 600 }}>{item.name}</span>
-                            </div>
-                            <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
-                              <span style={{ color: '#666' }}>x{item.quantity}</span>
-                              <span style={{ fontWeight: 700 }}>Rs. {item.price * item.quantity}</span>
+                            </>
+                          )}
+
+                          {order.refunds?.length > 0 && (
+                            <div style={{ marginTop: '1rem', padding: '0.75rem', background: '#f5f3ff', borderRadius: '8px', fontSize: '0.875rem' }}>
+                              <h4 style={{ marginBottom: '0.5rem', fontWeight: 600 }}>Refunds (Rs. {refundedAmount(order)}):</h4>
+                              {order.refunds.map(entry => (
+                                <div key={entry.id} style={{ marginBottom: '0.25rem' }}>
+                                  {formatDate(entry.at)} • Rs. {entry.amount} • {REFUND_REASONS[entry.reason] || entry.reason}
+                                  {' • '}{entry.items.map(item => `${item.quantity}× ${item.name}`).join(', ')}
+                                  {entry.approvedBy?.username && ` • approved by ${entry.approvedBy.username}`}
+                                  {entry.note && ` • "${entry.note}"`}
+                                  {entry.synced === false && ' (not synced yet)'}
+                                </div>
+                              ))}
                             </div>
-                          </div>
-                        ))}
-
-                        <div style={{ display: 'flex', gap: '0.5rem', marginTop: '1rem', flexWrap: 'wrap' }}>
-                          {order.status === 'pending' && (
-                            <button
-                              onClick={() => handleStatusUpdate(key, 'preparing')}
-                              style={{
-                                padding: '0.5rem 1rem',
-                                background: '#0ea5e9',
-                                color: 'white',
-                                border: 'none',
-                                borderRadius: '8px',
-                                fontWeight: 600,
-                                cursor: 'pointer',
-                                display: 'flex',
-                                alignItems: 'center',
-                                gap: '0.5rem'
-                              }}
-                            >
-                              <MdRestaurant size={18} /> Start Preparing
-                            </button>
                           )}
 
-                          {order.status === 'preparing' && (
-                            <button
-                              onClick={() => handleStatusUpdate(key, 'ready')}
-                              style={{
-                                padding: '0.5rem 1rem',
-                                background: '#16a34a',
-                                color: 'white',
-                                border: 'none',
-                                borderRadius: '8px',
-                                fontWeight: 600,
-                                cursor: 'pointer',
-                                display: 'flex',
-                                alignItems: 'center',
-                                gap: '0.5rem'
-                              }}
-                            >
-                              <MdCheckCircle size={18} /> Mark Ready
-                            </button>
+                          {order.editHistory?.length > 0 && (
+                            <div style={{ marginTop: '1rem', fontSize: '0.8rem', color: '#6b7280' }}>
+                              <h4 style={{ marginBottom: '0.5rem', fontWeight: 600, color: '#374151' }}>Edits:</h4>
+                              {order.editHistory.map((entry, index) => (
+                                <div key={index}>
+                                  {formatDate(entry.at)} • {(entry.changes || []).join(', ') || 'No item changes'}
+                                  {entry.previousTotal !== entry.total && ` • Rs. ${entry.previousTotal} → Rs. ${entry.total}`}
+                                  {entry.username && ` by ${entry.username}`}
+                                  {entry.synced === false && ' (not synced yet)'}
+                                </div>
+                              ))}
+                            </div>
                           )}
 
-                          {order.status === 'ready' && (
-                            <button
-                              onClick={() => handleStatusUpdate(key, 'completed')}
-                              style={{
-                                padding: '0.5rem 1rem',
-                                background: '#16a34a',
-                                color: 'white',
-                                border: 'none',
-                                borderRadius: '8px',
-                                fontWeight: 600,
-                                cursor: 'pointer',
-                                display: 'flex',
-                                alignItems: 'center',
-                                gap: '0.5rem'
-                              }}
-                            >
-                              <MdCheckCircle size={18} /> Complete
-                            </button>
+                          {order.statusHistory?.length > 0 && (
+                            <div style={{ marginTop: '1rem', fontSize: '0.8rem', color: '#6b7280' }}>
+                              <h4 style={{ marginBottom: '0.5rem', fontWeight: 600, color: '#374151' }}>History:</h4>
+                              {order.statusHistory.map((entry, index) => (
+                                <div key={index}>
+                                  {formatDate(entry.at)} • {getStatusMeta(entry.from, workflow).label} → {getStatusMeta(entry.to, workflow).label}
+                                  {entry.username && ` by ${entry.username}`}
+                                  {entry.reason && ` • ${CANCEL_REASONS[entry.reason] || REFUND_REASONS[entry.reason] || entry.reason}`}
+                                  {entry.note && ` • "${entry.note}"`}
+                                  {entry.synced === false && ' (not synced yet)'}
+                                </div>
+                              ))}
+                            </div>
                           )}
 
-                          <button
-                            onClick={() => handleDeleteOrder(key)}
-                            disabled={!network.isOnline}
-                            style={{
-                              padding: '0.5rem 1rem',
-                              background: !network.isOnline ? '#9ca3af' : '#dc2626',
-                              color: 'white',
-                              border: 'none',
-                              borderRadius: '8px',
-                              fontWeight: 600,
-                              cursor: !network.isOnline ? 'not-allowed' : 'pointer',
-                              display: 'flex',
-                              alignItems: 'center',
-                              gap: '0.5rem',
-                              opacity: !network.isOnline ? 0.5 : 1
-                            }}
-                          >
-                            <MdDelete size={18} /> Delete
-                          </button>
+                          <div style={{ display: 'flex', gap: '0.5rem', marginTop: '1rem', flexWrap: 'wrap' }}>
+                            {canChangeStatus && getTransitions(order.status, currentUser?.role, workflow)
+                              .filter(transition => !transition.recall && transition.to !== 'refunded')
+                              .map(transition => {
+                                const Icon = TRANSITION_ICONS[transition.to] || MdCheckCircle;
+                                return (
+                                  <button
+                                    key={transition.to}
+                                    onClick={() => handleStatusUpdate(key, transition)}
+                                    style={{
+                                      padding: '0.5rem 1rem',
+                                      background: transition.primary ? getStatusMeta(transition.to, workflow).color : 'white',
+                                      color: transition.primary ? 'white' : getStatusMeta(transition.to, workflow).color,
+                                      border: transition.primary ? 'none' : `2px solid ${getStatusMeta(transition.to, workflow).color}`,
+                                      borderRadius: '8px',
+                                      fontWeight: 600,
+                                      cursor: 'pointer',
+                                      display: 'flex',
+                                      alignItems: 'center',
+                                      gap: '0.5rem'
+                                    }}
+                                  >
+                                    <Icon size={18} /> {transition.action}
+                                  </button>
+                                );
+                              })}
+
+                            {/* Refund - staff without approval rights get a manager to sign off */}
+                            {canChangeStatus && findTransition(order.status, 'refunded', workflow) &&
+                              refundableItems(order).some(item => item.remaining > 0) && (
+                              <button
+                                onClick={() => setAdjusting({ mode: 'refund', order })}
+                                style={{
+                                  padding: '0.5rem 1rem',
+                                  background: 'white',
+                                  color: getStatusMeta('refunded', workflow).color,
+                                  border: `2px solid ${getStatusMeta('refunded', workflow).color}`,
+                                  borderRadius: '8px',
+                                  fontWeight: 600,
+                                  cursor: 'pointer',
+                                  display: 'flex',
+                                  alignItems: 'center',
+                                  gap: '0.5rem'
+                                }}
+                              >
+                                <MdUndo size={18} /> Refund
+                              </button>
+                            )}
+
+                            {canDeleteOrders && (
+                              <button
+                                onClick={() => handleDeleteOrder(key)}
+                                disabled={!network.isOnline}
+                                style={{
+                                  padding: '0.5rem 1rem',
+                                  background: !network.isOnline ? '#9ca3af' : '#dc2626',
+                                  color: 'white',
+                                  border: 'none',
+                                  borderRadius: '8px',
+                                  fontWeight: 600,
+                                  cursor: !network.isOnline ? 'not-allowed' : 'pointer',
+                                  display: 'flex',
+                                  alignItems: 'center',
+                                  gap: '0.5rem',
+                                  opacity: !network.isOnline ? 0.5 : 1
+                                }}
+                              >
+                                <MdDelete size={18} /> Delete
+                              </button>
+                            )}
+                          </div>
                         </div>
-                      </div>
-                    )}
-                  </div>
-                );
-              })
+                      )}
+                    </div>
+                  );
+                }}
+              />
+            )}
+
+            {hasMore && (
+              <div style={{ textAlign: 'center', padding: '1rem', color: '#6b7280' }}>
+                {!network.isOnline ? (
+                  'Older orders can be loaded when online'
+                ) : loadingMore ? (
+                  'Loading older orders...'
+                ) : (
+                  <button
+                    onClick={loadMore}
+                    style={{
+                      padding: '0.5rem 1.5rem',
+                      background: '#f3f4f6',
+                      color: '#374151',
+                      border: 'none',
+                      borderRadius: '8px',
+                      fontWeight: 600,
+                      cursor: 'pointer'
+                    }}
+                  >
+                    Load older orders
+                  </button>
+                )}
+              </div>
             )}
           </div>
         </div>
       </main>
 
+      {adjusting && (
+        <OrderAdjustmentDialog
+          mode={adjusting.mode}
+          order={adjusting.order}
+          onSubmitCancel={handleCancelOrder}
+          onSubmitRefund={handleRefundOrder}
+          onClose={() => setAdjusting(null)}
+        />
+      )}
+
       <style>{`
         @keyframes spin {
           from { transform: rotate(0deg); }
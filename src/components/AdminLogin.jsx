@@ -1,30 +1,43 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { loginAdmin } from '../services/auth';
-import { MdLock, MdVisibility, MdVisibilityOff } from 'react-icons/md';
+import { loginAdmin, needsSetup } from '../services/auth';
+import { MdLock, MdPerson, MdVisibility, MdVisibilityOff } from 'react-icons/md';
 
 function AdminLogin() {
+  const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [showPassword, setShowPassword] = useState(false);
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
   const navigate = useNavigate();
 
-  const handleLogin = (e) => {
+  // No staff accounts yet - owner must run the setup wizard first
+  useEffect(() => {
+    if (needsSetup()) {
+      navigate('/setup');
+    }
+  }, [navigate]);
+
+  const handleLogin = async (e) => {
     e.preventDefault();
     setError('');
     setLoading(true);
 
-    setTimeout(() => {
-      const result = loginAdmin(password);
-      
+    try {
+      const result = await loginAdmin(username, password);
+
       if (result.success) {
-        navigate('/dashboard');
+        // Kitchen staff go straight to the ticket board
+        navigate(result.user.role === 'kitchen' ? '/kitchen' : '/dashboard');
       } else {
-        setError('Invalid password');
+        setError(result.error || 'Invalid username or password');
       }
+    } catch (err) {
+      console.error('❌ Login error:', err);
+      setError('Login failed: ' + err.message);
+    } finally {
       setLoading(false);
-    }, 500);
+    }
   };
 
   return (
@@ -34,11 +47,34 @@ function AdminLogin() {
           <div style={{ fontSize: '4rem', marginBottom: '1rem' }}>🔐</div>
           <h2>Admin Login</h2>
           <p style={{ color: 'var(--md-on-surface-variant)', marginTop: '0.5rem' }}>
-            Enter password to access admin panel
+            Sign in with your staff account
           </p>
         </div>
 
         <form onSubmit={handleLogin}>
+          <div style={{ position: 'relative', marginBottom: '1rem' }}>
+            <div style={{ 
+              position: 'absolute', 
+              left: '1rem', 
+              top: '50%', 
+              transform: 'translateY(-50%)',
+              color: 'var(--md-on-surface-variant)'
+            }}>
+              <MdPerson size={20} />
+            </div>
+
+            <input
+              type="text"
+              placeholder="Username"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              style={{ paddingLeft: '3rem' }}
+              autoComplete="username"
+              required
+              autoFocus
+            />
+          </div>
+
           <div style={{ position: 'relative', marginBottom: '1rem' }}>
             <div style={{ 
               position: 'absolute', 
@@ -52,15 +88,15 @@ function AdminLogin() {
             
             <input
               type={showPassword ? 'text' : 'password'}
-              placeholder="Admin Password"
+              placeholder="Password"
               value={password}
               onChange={(e) => setPassword(e.target.value)}
               style={{ 
                 paddingLeft: '3rem',
                 paddingRight: '3rem'
               }}
+              autoComplete="current-password"
               required
-              autoFocus
             />
 
             <button
@@ -109,7 +145,7 @@ function AdminLogin() {
           fontSize: '0.875rem',
           color: 'var(--md-on-surface-variant)'
         }}>
-          <p>Default password: <strong>admin123</strong></p>
+          <p>Forgot your password? Ask the owner to reset it.</p>
         </div>
       </div>
     </div>
@@ -0,0 +1,190 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  getAuthEvents,
+  exportAuthEvents,
+  AUTH_EVENTS,
+  AUTH_EVENT_LABELS
+} from '../services/authAudit';
+import { downloadBlob } from '../services/exporters';
+import { MdArrowBack, MdDownload, MdRefresh, MdSecurity } from 'react-icons/md';
+
+const EVENT_COLORS = {
+  login: '#16a34a',
+  logout: '#6b7280',
+  login_failed: '#f59e0b',
+  lockout: '#dc2626',
+  unlock_failed: '#f59e0b',
+  session_expired: '#0ea5e9',
+  session_revoked: '#7c3aed',
+  approval: '#16a34a',
+  approval_failed: '#f59e0b'
+};
+
+/**
+ * Access Log - who signed in/out of the panel and when
+ */
+function AuditLog() {
+  const navigate = useNavigate();
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [filters, setFilters] = useState({ type: '', username: '', from: '', to: '' });
+
+  useEffect(() => {
+    loadEvents();
+  }, [filters]);
+
+  const loadEvents = async () => {
+    setLoading(true);
+    try {
+      const data = await getAuthEvents({
+        type: filters.type || null,
+        username: filters.username,
+        from: filters.from ? new Date(filters.from).setHours(0, 0, 0, 0) : null,
+        to: filters.to ? new Date(filters.to).setHours(23, 59, 59, 999) : null
+      });
+      setEvents(data);
+    } catch (error) {
+      console.error('❌ Load audit events error:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleExport = async (format) => {
+    const stamp = new Date().toISOString().slice(0, 10);
+    try {
+      downloadBlob(await exportAuthEvents(events, format), `access-log-${stamp}.${format}`);
+    } catch (error) {
+      console.error('❌ Export audit events error:', error);
+      alert(`❌ ${error.message}`);
+    }
+  };
+
+  const fieldStyle = {
+    padding: '0.5rem 0.75rem',
+    border: '1px solid #d1d5db',
+    borderRadius: '8px',
+    fontSize: '0.875rem'
+  };
+
+  const buttonStyle = (background) => ({
+    padding: '0.5rem 1rem',
+    background,
+    color: 'white',
+    border: 'none',
+    borderRadius: '8px',
+    fontWeight: 600,
+    cursor: 'pointer',
+    display: 'flex',
+    alignItems: 'center',
+    gap: '0.5rem'
+  });
+
+  return (
+    <div className="app">
+      <main className="app-main" style={{ padding: '2rem' }}>
+        <div style={{ maxWidth: '1100px', margin: '0 auto' }}>
+          <button
+            onClick={() => navigate('/dashboard')}
+            style={{ ...buttonStyle('transparent'), color: '#374151', padding: '0.5rem 0', marginBottom: '1rem' }}
+          >
+            <MdArrowBack size={20} /> Back to Orders
+          </button>
+
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1.5rem', flexWrap: 'wrap', gap: '1rem' }}>
+            <div>
+              <h1 style={{ fontSize: '2rem', fontWeight: 700, marginBottom: '0.5rem', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                <MdSecurity size={32} style={{ color: '#6200ea' }} /> Access Log
+              </h1>
+              <p style={{ fontSize: '0.875rem', color: '#6b7280', margin: 0 }}>
+                Logins, logouts, failed attempts and expired sessions on this terminal
+              </p>
+            </div>
+
+            <div style={{ display: 'flex', gap: '0.5rem' }}>
+              <button onClick={loadEvents} style={buttonStyle('#10b981')}>
+                <MdRefresh size={18} /> Refresh
+              </button>
+              <button onClick={() => handleExport('csv')} disabled={events.length === 0} style={buttonStyle('#6200ea')}>
+                <MdDownload size={18} /> CSV
+              </button>
+              <button onClick={() => handleExport('json')} disabled={events.length === 0} style={buttonStyle('#374151')}>
+                <MdDownload size={18} /> JSON
+              </button>
+            </div>
+          </div>
+
+          {/* Filters */}
+          <div style={{ display: 'flex', gap: '0.75rem', flexWrap: 'wrap', marginBottom: '1.5rem' }}>
+            <select name="type" value={filters.type} onChange={handleFilterChange} style={fieldStyle}>
+              <option value="">All events</option>
+              {Object.values(AUTH_EVENTS).map(type => (
+                <option key={type} value={type}>{AUTH_EVENT_LABELS[type]}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              name="username"
+              placeholder="Username"
+              value={filters.username}
+              onChange={handleFilterChange}
+              style={fieldStyle}
+            />
+            <input type="date" name="from" value={filters.from} onChange={handleFilterChange} style={fieldStyle} />
+            <input type="date" name="to" value={filters.to} onChange={handleFilterChange} style={fieldStyle} />
+          </div>
+
+          {/* Events Table */}
+          <div style={{ background: 'white', borderRadius: '12px', boxShadow: '0 2px 4px rgba(0,0,0,0.1)', overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.875rem' }}>
+              <thead>
+                <tr style={{ background: '#f9fafb', textAlign: 'left' }}>
+                  <th style={{ padding: '0.75rem 1rem' }}>Time</th>
+                  <th style={{ padding: '0.75rem 1rem' }}>Event</th>
+                  <th style={{ padding: '0.75rem 1rem' }}>Username</th>
+                  <th style={{ padding: '0.75rem 1rem' }}>Detail</th>
+                </tr>
+              </thead>
+              <tbody>
+                {events.map(event => (
+                  <tr key={event.id} style={{ borderTop: '1px solid #e5e7eb' }}>
+                    <td style={{ padding: '0.75rem 1rem', whiteSpace: 'nowrap' }}>
+                      {new Date(event.timestamp).toLocaleString('en-PK')}
+                    </td>
+                    <td style={{ padding: '0.75rem 1rem' }}>
+                      <span style={{
+                        padding: '0.25rem 0.75rem',
+                        background: EVENT_COLORS[event.type] || '#6b7280',
+                        color: 'white',
+                        borderRadius: '12px',
+                        fontSize: '0.75rem',
+                        fontWeight: 700,
+                        whiteSpace: 'nowrap'
+                      }}>
+                        {AUTH_EVENT_LABELS[event.type] || event.type}
+                      </span>
+                    </td>
+                    <td style={{ padding: '0.75rem 1rem', fontWeight: 600 }}>{event.username || '—'}</td>
+                    <td style={{ padding: '0.75rem 1rem', color: '#6b7280' }}>{event.detail}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {!loading && events.length === 0 && (
+              <p style={{ padding: '2rem', textAlign: 'center', color: '#9ca3af' }}>No events match these filters</p>
+            )}
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
+
+export default AuditLog;
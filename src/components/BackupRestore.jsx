@@ -0,0 +1,302 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { createBackup, backupFile, readBackup, diffBackup, restoreBackup, RESTORE_MODES } from '../services/backup';
+import { downloadBlob } from '../services/exporters';
+import { MdArrowBack, MdBackup, MdDownload, MdUploadFile, MdRestore, MdWarning } from 'react-icons/md';
+
+// Records listed per change type in the preview
+const PREVIEW_LIMIT = 20;
+
+const formatTime = (time) => new Date(time).toLocaleString('en-PK', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const cardStyle = {
+  background: 'white',
+  borderRadius: '12px',
+  boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+  padding: '1.5rem',
+  marginBottom: '1.5rem'
+};
+
+const fieldStyle = {
+  padding: '0.5rem 0.75rem',
+  border: '1px solid #d1d5db',
+  borderRadius: '8px',
+  fontSize: '0.875rem'
+};
+
+const buttonStyle = (background) => ({
+  padding: '0.5rem 1rem',
+  background,
+  color: 'white',
+  border: 'none',
+  borderRadius: '8px',
+  fontWeight: 600,
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '0.5rem'
+});
+
+const cellStyle = { padding: '0.75rem 1rem' };
+
+const numberCell = (value, color) => (
+  <td style={{ ...cellStyle, textAlign: 'right', color: value > 0 ? color : '#9ca3af', fontWeight: value > 0 ? 700 : 400 }}>{value}</td>
+);
+
+function ChangeList({ title, color, records, describe }) {
+  if (records.length === 0) return null;
+  return (
+    <div style={{ marginBottom: '0.5rem' }}>
+      <strong style={{ color }}>{title}: </strong>
+      <span style={{ color: '#374151' }}>
+        {records.slice(0, PREVIEW_LIMIT).map(describe).join(', ')}
+        {records.length > PREVIEW_LIMIT && ` and ${records.length - PREVIEW_LIMIT} more`}
+      </span>
+    </div>
+  );
+}
+
+/**
+ * Backup & Restore - download everything on this terminal, or preview and
+ * apply a backup section by section
+ */
+function BackupRestore() {
+  const navigate = useNavigate();
+  const [working, setWorking] = useState(false);
+  const [lastBackup, setLastBackup] = useState(null);
+  // {backup, diff, fileName} once a file has been read
+  const [pending, setPending] = useState(null);
+  const [modes, setModes] = useState({});
+  const [conflicts, setConflicts] = useState('local');
+  const [expanded, setExpanded] = useState(null);
+
+  const handleBackup = async () => {
+    setWorking(true);
+    try {
+      const backup = await createBackup();
+      const { blob, filename } = backupFile(backup);
+      downloadBlob(blob, filename);
+      setLastBackup(backup);
+    } catch (error) {
+      console.error('❌ Backup error:', error);
+      alert(`❌ ${error.message}`);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setWorking(true);
+    try {
+      const backup = await readBackup(await file.text());
+      setPending({ backup, diff: await diffBackup(backup), fileName: file.name });
+      setModes({});
+      setExpanded(null);
+    } catch (error) {
+      console.error('❌ Backup read error:', error);
+      alert(`❌ ${error.message}`);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const modeOf = (name) => modes[name] || 'merge';
+
+  const handleRestore = async () => {
+    const { backup, diff } = pending;
+    const replacing = Object.keys(diff).filter(name => modeOf(name) === 'replace' && diff[name].localOnly > 0);
+    const warning = replacing.length > 0
+      ? `\n\nReplacing will delete ${replacing.map(name => `${diff[name].localOnly} ${diff[name].label.toLowerCase()}`).join(', ')} that only exist on this device.`
+      : '';
+    if (!window.confirm(`Restore this backup?${warning}`)) return;
+
+    setWorking(true);
+    try {
+      const summary = await restoreBackup(backup, { modes, conflicts });
+      const lines = Object.entries(summary).map(([name, result]) =>
+        `${diff[name].label}: ${result.added} added, ${result.updated} updated` +
+        (result.removed ? `, ${result.removed} removed` : '') +
+        (result.skipped ? `, ${result.skipped} conflicts kept` : '')
+      );
+      alert(`✅ Backup restored\n\n${lines.join('\n')}`);
+      // Show what's left to differ
+      setPending({ ...pending, diff: await diffBackup(backup) });
+    } catch (error) {
+      console.error('❌ Restore error:', error);
+      alert(`❌ ${error.message}`);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const sections = pending ? Object.entries(pending.diff) : [];
+  const hasConflicts = sections.some(([name, diff]) => modeOf(name) === 'merge' && diff.conflicts.length > 0);
+
+  return (
+    <div className="app">
+      <main className="app-main" style={{ padding: '2rem' }}>
+        <div style={{ maxWidth: '1000px', margin: '0 auto' }}>
+          <button
+            onClick={() => navigate('/dashboard')}
+            style={{ ...buttonStyle('transparent'), color: '#374151', padding: '0.5rem 0', marginBottom: '1rem' }}
+          >
+            <MdArrowBack size={20} /> Back to Orders
+          </button>
+
+          <h1 style={{ fontSize: '2rem', fontWeight: 700, marginBottom: '1.5rem', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+            <MdBackup size={32} style={{ color: '#6200ea' }} /> Backup & Restore
+          </h1>
+
+          {/* Backup */}
+          <div style={cardStyle}>
+            <h2 style={{ fontSize: '1.25rem', fontWeight: 700, marginTop: 0 }}>Create Backup</h2>
+            <p style={{ color: '#6b7280', marginTop: 0 }}>
+              Orders, products, the offline queue, shifts, settings and staff accounts in one file.
+              Staff password hashes are included, so keep backups somewhere safe.
+            </p>
+            <button onClick={handleBackup} disabled={working} style={buttonStyle('#6200ea')}>
+              <MdDownload size={18} /> Download Backup
+            </button>
+            {lastBackup && (
+              <p style={{ fontSize: '0.875rem', color: '#16a34a', marginBottom: 0 }}>
+                ✅ Saved {formatTime(lastBackup.createdAt)} - {Object.entries(lastBackup.counts).map(([name, count]) => `${count} ${name}`).join(', ')}
+              </p>
+            )}
+          </div>
+
+          {/* Restore */}
+          <div style={cardStyle}>
+            <h2 style={{ fontSize: '1.25rem', fontWeight: 700, marginTop: 0 }}>Restore</h2>
+            <p style={{ color: '#6b7280', marginTop: 0 }}>
+              Choose a backup file to see how it differs from this device before anything is changed.
+            </p>
+            <label style={{ ...buttonStyle('#0ea5e9'), display: 'inline-flex', opacity: working ? 0.6 : 1 }}>
+              <MdUploadFile size={18} /> Choose Backup File
+              <input type="file" accept=".json,application/json" onChange={handleFile} disabled={working} style={{ display: 'none' }} />
+            </label>
+
+            {pending && (
+              <>
+                <div style={{ margin: '1.25rem 0', padding: '1rem', background: '#f9fafb', borderRadius: '8px', fontSize: '0.875rem', color: '#374151' }}>
+                  <strong>{pending.fileName}</strong>
+                  <div>
+                    Made {formatTime(pending.backup.createdAt)} on till {pending.backup.device || '—'}
+                    {pending.backup.createdBy && ` by ${pending.backup.createdBy}`}
+                  </div>
+                  <div>
+                    Checksum verified • database schema v{pending.backup.schemaVersion}
+                    {pending.backup.migratedFrom && ` (upgraded from v${pending.backup.migratedFrom})`}
+                  </div>
+                </div>
+
+                <div style={{ overflowX: 'auto' }}>
+                  <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.875rem' }}>
+                    <thead>
+                      <tr style={{ background: '#f9fafb', textAlign: 'left' }}>
+                        <th style={cellStyle}>Section</th>
+                        <th style={{ ...cellStyle, textAlign: 'right' }}>New</th>
+                        <th style={{ ...cellStyle, textAlign: 'right' }}>Changed</th>
+                        <th style={{ ...cellStyle, textAlign: 'right' }}>Conflicts</th>
+                        <th style={{ ...cellStyle, textAlign: 'right' }}>Unchanged</th>
+                        <th style={{ ...cellStyle, textAlign: 'right' }}>Only here</th>
+                        <th style={cellStyle}>Restore</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {sections.map(([name, diff]) => (
+                        <React.Fragment key={name}>
+                          <tr style={{ borderTop: '1px solid #e5e7eb' }}>
+                            <td style={{ ...cellStyle, fontWeight: 600 }}>
+                              <button
+                                onClick={() => setExpanded(expanded === name ? null : name)}
+                                style={{ background: 'none', border: 'none', padding: 0, fontWeight: 600, cursor: 'pointer', color: '#111827' }}
+                              >
+                                {expanded === name ? '▾' : '▸'} {diff.label}
+                              </button>
+                            </td>
+                            {numberCell(diff.added.length, '#16a34a')}
+                            {numberCell(diff.changed.length, '#0ea5e9')}
+                            {numberCell(diff.conflicts.length, '#dc2626')}
+                            <td style={{ ...cellStyle, textAlign: 'right', color: '#6b7280' }}>{diff.unchanged}</td>
+                            {numberCell(diff.localOnly, modeOf(name) === 'replace' ? '#dc2626' : '#6b7280')}
+                            <td style={cellStyle}>
+                              <select
+                                value={modeOf(name)}
+                                onChange={(e) => setModes({ ...modes, [name]: e.target.value })}
+                                style={fieldStyle}
+                              >
+                                {Object.entries(RESTORE_MODES).map(([mode, label]) => (
+                                  <option key={mode} value={mode}>{label}</option>
+                                ))}
+                              </select>
+                            </td>
+                          </tr>
+                          {expanded === name && (
+                            <tr>
+                              <td colSpan={7} style={{ ...cellStyle, background: '#f9fafb' }}>
+                                <ChangeList title="New" color="#16a34a" records={diff.added} describe={diff.describe} />
+                                <ChangeList title="Changed" color="#0ea5e9" records={diff.changed.map(c => c.incoming)} describe={diff.describe} />
+                                <ChangeList title="Conflicts" color="#dc2626" records={diff.conflicts.map(c => c.local)} describe={diff.describe} />
+                                {diff.added.length + diff.changed.length + diff.conflicts.length === 0 && (
+                                  <span style={{ color: '#9ca3af' }}>Nothing to restore - this device already matches the backup</span>
+                                )}
+                              </td>
+                            </tr>
+                          )}
+                        </React.Fragment>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+
+                <p style={{ fontSize: '0.8125rem', color: '#6b7280' }}>
+                  Merge adds new records and updates changed ones. Replace makes the section exactly
+                  match the backup, deleting records that only exist on this device.
+                </p>
+
+                {hasConflicts && (
+                  <div style={{ padding: '1rem', background: '#fef2f2', borderRadius: '8px', marginBottom: '1rem', fontSize: '0.875rem', color: '#991b1b' }}>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontWeight: 700, marginBottom: '0.5rem' }}>
+                      <MdWarning size={18} /> Conflicts
+                    </div>
+                    Some records were changed on this device after the backup was made (unsynced orders,
+                    pending product edits, newer passwords).
+                    <select value={conflicts} onChange={(e) => setConflicts(e.target.value)} style={{ ...fieldStyle, display: 'block', marginTop: '0.5rem' }}>
+                      <option value="local">Keep this device's copy</option>
+                      <option value="backup">Use the backup's copy</option>
+                    </select>
+                  </div>
+                )}
+
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                  <button
+                    onClick={handleRestore}
+                    disabled={working || sections.every(([name]) => modeOf(name) === 'skip')}
+                    style={buttonStyle('#dc2626')}
+                  >
+                    <MdRestore size={18} /> Restore
+                  </button>
+                  <button onClick={() => setPending(null)} disabled={working} style={{ ...buttonStyle('#f3f4f6'), color: '#374151' }}>
+                    Cancel
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
+
+export default BackupRestore;
@@ -0,0 +1,58 @@
+import React, { useState } from 'react';
+import { EXPORT_FORMATS, downloadBlob } from '../services/exporters';
+import { MdDownload } from 'react-icons/md';
+
+/**
+ * CSV / Excel / PDF download buttons
+ * @param {Object} props
+ *   - onExport(format): resolves to {blob, filename}, or null to cancel
+ *   - disabled
+ *   - warning: asked to confirm before downloading (e.g. incomplete data)
+ */
+function ExportMenu({ onExport, disabled = false, warning = null }) {
+  const [busy, setBusy] = useState(null);
+
+  const handleExport = async (format) => {
+    if (warning && !window.confirm(`${warning}\n\nExport anyway?`)) return;
+    setBusy(format);
+    try {
+      const file = await onExport(format);
+      if (file) downloadBlob(file.blob, file.filename);
+    } catch (error) {
+      console.error('❌ Export error:', error);
+      alert(`❌ Export failed: ${error.message}`);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div style={{ display: 'flex', gap: '0.25rem' }}>
+      {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+        <button
+          key={format}
+          onClick={() => handleExport(format)}
+          disabled={disabled || busy !== null}
+          title={`Download as ${label}`}
+          style={{
+            padding: '0.5rem 0.75rem',
+            background: '#6200ea',
+            color: 'white',
+            border: 'none',
+            borderRadius: '8px',
+            fontWeight: 600,
+            cursor: disabled || busy ? 'not-allowed' : 'pointer',
+            opacity: disabled ? 0.5 : 1,
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.25rem'
+          }}
+        >
+          <MdDownload size={16} /> {busy === format ? 'Exporting…' : label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default ExportMenu;
@@ -0,0 +1,367 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { isAdminLoggedIn, getCurrentUser } from '../services/auth';
+import { endSession } from '../services/session';
+import { hasPermission } from '../services/permissions';
+import { useOrders, orderKey } from '../hooks/useOrders';
+import { useOrderNotifications } from '../hooks/useOrderNotifications';
+import { useNetwork } from '../context/NetworkContext';
+import { getStatusMeta, getPrimaryTransition, getRecallTransition } from '../services/orderWorkflow';
+import { shortOrderNumber } from '../services/orderNumbers';
+import { MdArrowBack, MdLogout, MdFullscreen, MdFullscreenExit, MdRestaurant } from 'react-icons/md';
+
+// Board columns, left to right; bumps follow the order workflow
+const COLUMNS = [
+  { status: 'pending', label: 'New' },
+  { status: 'preparing', label: 'Preparing' },
+  { status: 'ready', label: 'Ready' }
+];
+
+// Ticket age (minutes) at which the timer turns amber, then red
+const WARN_AFTER_MINUTES = 5;
+const LATE_AFTER_MINUTES = 10;
+
+// Elements whose keys the bump bar leaves alone
+const FORM_TAGS = ['INPUT', 'TEXTAREA', 'SELECT', 'BUTTON'];
+
+const formatElapsed = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+};
+
+const ageColor = (ms) => {
+  const minutes = ms / 60000;
+  if (minutes >= LATE_AFTER_MINUTES) return '#dc2626';
+  if (minutes >= WARN_AFTER_MINUTES) return '#f59e0b';
+  return '#16a34a';
+};
+
+/**
+ * Kitchen Display - full-screen ticket board for the kitchen
+ * Tap "bump" (or use the keyboard) to move a ticket to the next column.
+ * Works from the IndexedDB cache when offline; bumps are pushed on reconnect.
+ *
+ * Keys: ←/→ pick a column, ↑/↓ pick a ticket, Enter/Space bump,
+ * Backspace recall to the previous column
+ */
+function KitchenDisplay() {
+  const navigate = useNavigate();
+  const network = useNetwork();
+  const { orders, stale, lastUpdated, workflow, refresh, updateStatus } = useOrders({ live: true });
+  const { staleOrders } = useOrderNotifications(orders);
+  const [now, setNow] = useState(Date.now());
+  const [selected, setSelected] = useState({ column: 0, index: 0 });
+  const [bumping, setBumping] = useState({});
+  const [fullscreen, setFullscreen] = useState(!!document.fullscreenElement);
+  const currentUser = getCurrentUser();
+  const canBump = hasPermission('orders:status');
+
+  // Tickets per column, oldest first so the longest wait is on top
+  const board = useMemo(() => COLUMNS.map(column =>
+    orders
+      .filter(order => order.status === column.status)
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+  ), [orders]);
+
+  // Tick the timers
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Reload once the network comes back so offline bumps are pushed
+  useEffect(() => {
+    const handleOnline = () => refresh();
+    window.addEventListener('online', handleOnline);
+    return () => window.removeEventListener('online', handleOnline);
+  }, [refresh]);
+
+  useEffect(() => {
+    const handleChange = () => setFullscreen(!!document.fullscreenElement);
+    document.addEventListener('fullscreenchange', handleChange);
+    return () => document.removeEventListener('fullscreenchange', handleChange);
+  }, []);
+
+  const bump = useCallback(async (order, transition) => {
+    if (!canBump || !transition) {
+      alert('🔒 You do not have permission to change order status');
+      return;
+    }
+
+    const key = orderKey(order);
+    if (bumping[key]) return;
+
+    setBumping(prev => ({ ...prev, [key]: true }));
+    try {
+      await updateStatus(order, transition.to);
+    } catch (error) {
+      console.error('Status update failed:', error);
+      alert('❌ Failed to update status');
+    } finally {
+      setBumping(prev => {
+        const next = { ...prev };
+        delete next[key];
+        return next;
+      });
+    }
+  }, [canBump, bumping, updateStatus]);
+
+  // Keyboard bump bar
+  useEffect(() => {
+    const handleKey = (e) => {
+      // Focused controls keep their own keys (arrows in a select, Enter/Space on a button)
+      if (FORM_TAGS.includes(e.target.tagName) || e.target.isContentEditable) return;
+
+      const column = Math.min(selected.column, COLUMNS.length - 1);
+      const tickets = board[column];
+      const index = Math.min(selected.index, Math.max(0, tickets.length - 1));
+      const order = tickets[index];
+
+      switch (e.key) {
+        case 'ArrowLeft':
+          setSelected({ column: Math.max(0, column - 1), index: 0 });
+          break;
+        case 'ArrowRight':
+          setSelected({ column: Math.min(COLUMNS.length - 1, column + 1), index: 0 });
+          break;
+        case 'ArrowUp':
+          setSelected({ column, index: Math.max(0, index - 1) });
+          break;
+        case 'ArrowDown':
+          setSelected({ column, index: Math.min(Math.max(0, tickets.length - 1), index + 1) });
+          break;
+        case 'Enter':
+        case ' ':
+          if (order) bump(order, getPrimaryTransition(order.status, currentUser?.role, workflow));
+          break;
+        case 'Backspace':
+          if (order && getRecallTransition(order.status, currentUser?.role, workflow)) bump(order, getRecallTransition(order.status, currentUser?.role, workflow));
+          break;
+        default:
+          return;
+      }
+      e.preventDefault();
+    };
+
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [board, selected, bump, workflow]);
+
+  const toggleFullscreen = () => {
+    if (document.fullscreenElement) {
+      document.exitFullscreen().catch(() => {});
+    } else {
+      document.documentElement.requestFullscreen?.().catch(() => {});
+    }
+  };
+
+  const handleLogout = () => {
+    if (window.confirm('Logout from admin panel?')) {
+      endSession('logout');
+      navigate('/login');
+    }
+  };
+
+  if (!isAdminLoggedIn()) {
+    return null;
+  }
+
+  const headerButton = {
+    padding: '0.5rem 1rem',
+    background: '#1f2937',
+    color: 'white',
+    border: '1px solid #374151',
+    borderRadius: '8px',
+    fontWeight: 600,
+    cursor: 'pointer',
+    display: 'flex',
+    alignItems: 'center',
+    gap: '0.5rem'
+  };
+
+  return (
+    <div style={{ minHeight: '100vh', background: '#111827', color: 'white', display: 'flex', flexDirection: 'column' }}>
+      {/* Header */}
+      <header style={{
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        padding: '0.75rem 1.5rem',
+        borderBottom: '1px solid #374151'
+      }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
+          <button onClick={() => navigate('/dashboard')} style={headerButton}>
+            <MdArrowBack size={20} /> Orders
+          </button>
+          <MdRestaurant size={28} style={{ color: '#f59e0b' }} />
+          <div>
+            <h1 style={{ fontSize: '1.5rem', fontWeight: 700, margin: 0 }}>Kitchen</h1>
+            <p style={{ fontSize: '0.8rem', color: '#9ca3af', margin: 0 }}>
+              {currentUser && `${currentUser.displayName} • `}
+              Last update: {lastUpdated ? lastUpdated.toLocaleTimeString() : '—'}
+            </p>
+          </div>
+        </div>
+
+        <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
+          <span style={{ fontSize: '1.75rem', fontWeight: 700, fontVariantNumeric: 'tabular-nums' }}>
+            {new Date(now).toLocaleTimeString('en-PK', { hour: '2-digit', minute: '2-digit' })}
+          </span>
+          <button onClick={toggleFullscreen} style={headerButton} title="Toggle full screen">
+            {fullscreen ? <MdFullscreenExit size={20} /> : <MdFullscreen size={20} />}
+          </button>
+          <button onClick={handleLogout} style={{ ...headerButton, background: '#dc2626', border: 'none' }}>
+            <MdLogout size={20} />
+          </button>
+        </div>
+      </header>
+
+      {/* Offline banner */}
+      {(!network.isOnline || stale) && (
+        <div style={{ padding: '0.5rem 1.5rem', background: '#92400e', fontWeight: 600 }}>
+          📵 Offline - showing saved orders. Bumps are kept on this screen and sent when the connection returns.
+        </div>
+      )}
+
+      {/* Board */}
+      <main style={{
+        flex: 1,
+        display: 'grid',
+        gridTemplateColumns: `repeat(${COLUMNS.length}, 1fr)`,
+        gap: '1rem',
+        padding: '1rem',
+        minHeight: 0
+      }}>
+        {COLUMNS.map((column, columnIndex) => {
+          const { color } = getStatusMeta(column.status, workflow);
+          const next = getPrimaryTransition(column.status, currentUser?.role, workflow);
+          const recall = getRecallTransition(column.status, currentUser?.role, workflow);
+          return (
+            <section key={column.status} style={{ display: 'flex', flexDirection: 'column', minHeight: 0 }}>
+              <h2 style={{
+                margin: '0 0 0.75rem',
+                padding: '0.5rem 1rem',
+                background: color,
+                borderRadius: '8px',
+                fontSize: '1.25rem',
+                display: 'flex',
+                justifyContent: 'space-between'
+              }}>
+                <span>{column.label}</span>
+                <span>{board[columnIndex].length}</span>
+              </h2>
+
+              <div style={{ flex: 1, overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: '0.75rem' }}>
+                {board[columnIndex].length === 0 && (
+                  <p style={{ color: '#6b7280', textAlign: 'center', marginTop: '2rem' }}>No tickets</p>
+                )}
+
+                {board[columnIndex].map((order, index) => {
+                  const key = orderKey(order);
+                  const age = now - new Date(order.timestamp).getTime();
+                  const isSelected = selected.column === columnIndex && selected.index === index;
+                  const isBusy = !!bumping[key];
+
+                  return (
+                    <article
+                      key={key}
+                      onClick={() => setSelected({ column: columnIndex, index })}
+                      style={{
+                        background: '#1f2937',
+                        borderRadius: '12px',
+                        border: isSelected ? '3px solid white' : `3px solid ${staleOrders[key] ? '#dc2626' : '#374151'}`,
+                        overflow: 'hidden',
+                        opacity: isBusy ? 0.5 : 1
+                      }}
+                    >
+                      <div style={{
+                        display: 'flex',
+                        justifyContent: 'space-between',
+                        alignItems: 'center',
+                        padding: '0.5rem 0.75rem',
+                        background: ageColor(age)
+                      }}>
+                        <span style={{ fontSize: '1.25rem', fontWeight: 700 }}>#{shortOrderNumber(order.orderId) || order.id}</span>
+                        <span style={{ fontSize: '1.25rem', fontWeight: 700, fontVariantNumeric: 'tabular-nums' }}>
+                          {formatElapsed(age)}
+                        </span>
+                      </div>
+
+                      <div style={{ padding: '0.75rem' }}>
+                        {order.customerName && (
+                          <div style={{ color: '#9ca3af', marginBottom: '0.5rem' }}>{order.customerName}</div>
+                        )}
+                        {order.dirty && (
+                          <div style={{ color: '#fbbf24', fontSize: '0.75rem', marginBottom: '0.5rem' }}>⏳ Not synced yet</div>
+                        )}
+                        <ul style={{ listStyle: 'none', margin: 0, padding: 0 }}>
+                          {(order.items || []).map((item, i) => (
+                            <li key={i} style={{ fontSize: '1.1rem', padding: '0.25rem 0' }}>
+                              <strong>{item.quantity}×</strong> {item.name}
+                              {item.notes && (
+                                <div style={{ color: '#fbbf24', fontSize: '0.9rem', marginLeft: '1.5rem' }}>↳ {item.notes}</div>
+                              )}
+                            </li>
+                          ))}
+                        </ul>
+                        {order.notes && (
+                          <div style={{ marginTop: '0.5rem', color: '#fbbf24', fontStyle: 'italic' }}>📝 {order.notes}</div>
+                        )}
+                      </div>
+
+                      {canBump && next && (
+                        <div style={{ display: 'flex', borderTop: '1px solid #374151' }}>
+                          {recall && (
+                            <button
+                              disabled={isBusy}
+                              onClick={(e) => { e.stopPropagation(); bump(order, recall); }}
+                              style={{
+                                padding: '0.9rem 1rem',
+                                background: 'transparent',
+                                color: '#9ca3af',
+                                border: 'none',
+                                borderRight: '1px solid #374151',
+                                fontWeight: 600,
+                                cursor: 'pointer'
+                              }}
+                            >
+                              ↩ Recall
+                            </button>
+                          )}
+                          <button
+                            disabled={isBusy}
+                            onClick={(e) => { e.stopPropagation(); bump(order, next); }}
+                            style={{
+                              flex: 1,
+                              padding: '0.9rem',
+                              background: color,
+                              color: 'white',
+                              border: 'none',
+                              fontSize: '1.1rem',
+                              fontWeight: 700,
+                              cursor: 'pointer'
+                            }}
+                          >
+                            {next.action} ➜
+                          </button>
+                        </div>
+                      )}
+                    </article>
+                  );
+                })}
+              </div>
+            </section>
+          );
+        })}
+      </main>
+
+      <footer style={{ padding: '0.5rem 1.5rem', color: '#6b7280', fontSize: '0.8rem', borderTop: '1px solid #374151' }}>
+        ←/→ column • ↑/↓ ticket • Enter bump • Backspace recall
+      </footer>
+    </div>
+  );
+}
+
+export default KitchenDisplay;
@@ -0,0 +1,365 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { isAdminLoggedIn } from '../services/auth';
+import { useProducts } from '../hooks/useProducts';
+import { useOrders } from '../hooks/useOrders';
+import { useNetwork } from '../context/NetworkContext';
+import { addCatalogItem, updateLine, removeLine, calculateTotal, lineTotal, MAX_NOTE_LENGTH } from '../services/orderItems';
+import { ORDER_TYPES, validateOrderDraft } from '../services/orderEntry';
+import {
+  MdPointOfSale,
+  MdAdd,
+  MdRemove,
+  MdDelete,
+  MdSearch,
+  MdShoppingCart,
+  MdArrowBack
+} from 'react-icons/md';
+
+const smallButton = {
+  width: 32,
+  height: 32,
+  border: '1px solid #d1d5db',
+  borderRadius: '8px',
+  background: 'white',
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'center'
+};
+
+const inputStyle = {
+  width: '100%',
+  padding: '0.75rem',
+  border: '2px solid #e5e7eb',
+  borderRadius: '8px',
+  fontSize: '1rem',
+  marginBottom: '0.75rem'
+};
+
+const EMPTY_DRAFT = { items: [], customerName: '', customerPhone: '', orderType: 'dine-in' };
+
+/**
+ * Admin-side POS for walk-in and phone orders
+ * Orders are created on the server, or queued while offline
+ */
+function NewOrder() {
+  const navigate = useNavigate();
+  const network = useNetwork();
+  const { products, loading: productsLoading, stale } = useProducts();
+  const { place } = useOrders();
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [search, setSearch] = useState('');
+  const [category, setCategory] = useState('all');
+  const [placing, setPlacing] = useState(false);
+
+  useEffect(() => {
+    if (!isAdminLoggedIn()) {
+      navigate('/login');
+    }
+  }, [navigate]);
+
+  if (!isAdminLoggedIn()) {
+    return null;
+  }
+
+  const available = products.filter(p => p.available !== false);
+  const categories = ['all', ...new Set(available.map(p => p.category).filter(Boolean))];
+  const matches = available
+    .filter(p => category === 'all' || p.category === category)
+    .filter(p => !search || p.name.toLowerCase().includes(search.toLowerCase()));
+
+  const setItems = (change) => setDraft(d => ({ ...d, items: change(d.items) }));
+  const total = calculateTotal(draft.items);
+  const problems = draft.items.length > 0 ? validateOrderDraft(draft) : [];
+
+  const handlePlaceOrder = async () => {
+    setPlacing(true);
+    try {
+      const { order, where } = await place(draft);
+      alert(where === 'local'
+        ? `✅ Order #${order.orderId} saved (will sync when online)`
+        : `✅ Order #${order.orderId} placed`);
+      setDraft(EMPTY_DRAFT);
+    } catch (error) {
+      console.error('Failed to place order:', error);
+      alert('❌ ' + error.message);
+    } finally {
+      setPlacing(false);
+    }
+  };
+
+  return (
+    <div className="app" style={{ minHeight: '100vh', background: '#f9fafb' }}>
+      <header style={{
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        padding: '1rem 2rem',
+        background: 'white',
+        borderBottom: '1px solid #e5e7eb',
+        position: 'sticky',
+        top: 0,
+        zIndex: 100
+      }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
+          <MdPointOfSale size={32} style={{ color: '#6200ea' }} />
+          <div>
+            <h1 style={{ fontSize: '1.5rem', fontWeight: 700, margin: 0 }}>New Order</h1>
+            <p style={{ fontSize: '0.875rem', color: '#6b7280', margin: 0 }}>Walk-in and phone orders</p>
+          </div>
+        </div>
+
+        <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
+          <div style={{
+            padding: '0.5rem 1rem',
+            background: network.isOnline ? '#d1fae5' : '#fee2e2',
+            color: network.isOnline ? '#065f46' : '#991b1b',
+            borderRadius: '20px',
+            fontSize: '0.875rem',
+            fontWeight: 600
+          }}>
+            {network.isOnline ? '🟢 Online' : '🔴 Offline - orders will be queued'}
+          </div>
+          <button
+            onClick={() => navigate('/dashboard')}
+            style={{
+              padding: '0.5rem 1rem',
+              background: '#6b7280',
+              color: 'white',
+              border: 'none',
+              borderRadius: '8px',
+              fontWeight: 600,
+              cursor: 'pointer',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '0.5rem'
+            }}
+          >
+            <MdArrowBack size={20} />
+            Dashboard
+          </button>
+        </div>
+      </header>
+
+      <div style={{ display: 'flex', gap: '1.5rem', padding: '1.5rem 2rem', alignItems: 'flex-start', flexWrap: 'wrap' }}>
+        {/* Catalog */}
+        <div style={{ flex: '2 1 500px' }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '1rem' }}>
+            <MdSearch size={24} style={{ color: '#6b7280' }} />
+            <input
+              type="text"
+              placeholder="Search products…"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              style={{ ...inputStyle, marginBottom: 0 }}
+            />
+          </div>
+
+          <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', marginBottom: '1rem' }}>
+            {categories.map(name => (
+              <button
+                key={name}
+                onClick={() => setCategory(name)}
+                style={{
+                  padding: '0.4rem 1rem',
+                  background: category === name ? '#6200ea' : 'white',
+                  color: category === name ? 'white' : '#374151',
+                  border: '1px solid #d1d5db',
+                  borderRadius: '999px',
+                  fontWeight: 600,
+                  cursor: 'pointer',
+                  textTransform: 'capitalize'
+                }}
+              >
+                {name}
+              </button>
+            ))}
+          </div>
+
+          {stale && (
+            <p style={{ color: '#92400e', fontSize: '0.875rem', marginBottom: '1rem' }}>Showing saved catalog (offline)</p>
+          )}
+
+          {productsLoading && products.length === 0 ? (
+            <p style={{ color: '#6b7280' }}>Loading products...</p>
+          ) : (
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(150px, 1fr))', gap: '1rem' }}>
+              {matches.map(product => (
+                <button
+                  key={product.id}
+                  onClick={() => setItems(items => addCatalogItem(items, product))}
+                  style={{
+                    padding: '1rem',
+                    background: 'white',
+                    border: '1px solid #e5e7eb',
+                    borderRadius: '12px',
+                    cursor: 'pointer',
+                    textAlign: 'center',
+                    boxShadow: '0 1px 3px rgba(0,0,0,0.05)'
+                  }}
+                >
+                  {product.image && (
+                    typeof product.image === 'string' && (product.image.startsWith('http') || product.image.startsWith('data:image')) ? (
+                      <img
+                        src={product.image}
+                        alt={product.name}
+                        style={{ width: 64, height: 64, objectFit: 'cover', borderRadius: '50%' }}
+                      />
+                    ) : (
+                      <div style={{ fontSize: '2.5rem' }}>{product.image}</div>
+                    )
+                  )}
+                  <div style={{ fontWeight: 600, marginTop: '0.5rem' }}>{product.name}</div>
+                  <div style={{ color: '#6200ea', fontWeight: 700 }}>Rs. {product.price}</div>
+                </button>
+              ))}
+              {matches.length === 0 && (
+                <p style={{ color: '#6b7280' }}>No matching products</p>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Cart */}
+        <div style={{
+          flex: '1 1 320px',
+          background: 'white',
+          borderRadius: '12px',
+          padding: '1.5rem',
+          boxShadow: '0 1px 3px rgba(0,0,0,0.1)',
+          position: 'sticky',
+          top: '6rem'
+        }}>
+          <h2 style={{ fontSize: '1.25rem', fontWeight: 700, marginBottom: '1rem', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+            <MdShoppingCart size={24} /> Cart
+          </h2>
+
+          <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '1rem' }}>
+            {Object.entries(ORDER_TYPES).map(([type, label]) => (
+              <button
+                key={type}
+                onClick={() => setDraft(d => ({ ...d, orderType: type }))}
+                style={{
+                  flex: 1,
+                  padding: '0.5rem',
+                  background: draft.orderType === type ? '#6200ea' : '#f3f4f6',
+                  color: draft.orderType === type ? 'white' : '#374151',
+                  border: 'none',
+                  borderRadius: '8px',
+                  fontWeight: 600,
+                  cursor: 'pointer'
+                }}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          <input
+            type="text"
+            placeholder="Customer name (optional)"
+            value={draft.customerName}
+            onChange={(e) => setDraft(d => ({ ...d, customerName: e.target.value }))}
+            style={inputStyle}
+          />
+          <input
+            type="tel"
+            placeholder={draft.orderType === 'delivery' ? 'Phone number' : 'Phone number (optional)'}
+            value={draft.customerPhone}
+            onChange={(e) => setDraft(d => ({ ...d, customerPhone: e.target.value }))}
+            style={inputStyle}
+          />
+
+          {draft.items.length === 0 && (
+            <p style={{ color: '#6b7280', textAlign: 'center', padding: '1.5rem 0' }}>Tap a product to add it</p>
+          )}
+
+          {draft.items.map((item, index) => (
+            <div key={index} style={{ padding: '0.75rem', background: '#f9fafb', borderRadius: '8px', marginBottom: '0.5rem' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '0.5rem' }}>
+                <span style={{ fontWeight: 600 }}>{item.name}</span>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                  <button style={smallButton} onClick={() => setItems(items => updateLine(items, index, { quantity: item.quantity - 1 }))}>
+                    <MdRemove size={18} />
+                  </button>
+                  <span style={{ minWidth: '1.5rem', textAlign: 'center', fontWeight: 700 }}>{item.quantity}</span>
+                  <button style={smallButton} onClick={() => setItems(items => updateLine(items, index, { quantity: item.quantity + 1 }))}>
+                    <MdAdd size={18} />
+                  </button>
+                  <button
+                    style={{ ...smallButton, color: '#dc2626', borderColor: '#fecaca' }}
+                    onClick={() => setItems(items => removeLine(items, index))}
+                    title="Remove"
+                  >
+                    <MdDelete size={18} />
+                  </button>
+                </div>
+              </div>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginTop: '0.5rem' }}>
+                <input
+                  type="text"
+                  placeholder="Note, e.g. no onions"
+                  value={item.notes}
+                  maxLength={MAX_NOTE_LENGTH}
+                  onChange={(e) => setItems(items => updateLine(items, index, { notes: e.target.value }))}
+                  style={{ flex: 1, padding: '0.4rem', border: '1px solid #e5e7eb', borderRadius: '6px', fontSize: '0.875rem' }}
+                />
+                <span style={{ fontWeight: 700, minWidth: '5rem', textAlign: 'right' }}>Rs. {lineTotal(item)}</span>
+              </div>
+            </div>
+          ))}
+
+          {problems.length > 0 && (
+            <div style={{ padding: '0.75rem', background: '#fef3c7', color: '#92400e', borderRadius: '8px', margin: '0.75rem 0', fontSize: '0.875rem' }}>
+              {problems.map(problem => <div key={problem}>{problem}</div>)}
+            </div>
+          )}
+
+          <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '1.25rem', fontWeight: 700, margin: '1rem 0' }}>
+            <span>Total</span>
+            <span>Rs. {total}</span>
+          </div>
+
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <button
+              onClick={() => setDraft(EMPTY_DRAFT)}
+              disabled={placing || draft.items.length === 0}
+              style={{
+                padding: '0.75rem 1rem',
+                background: '#e5e7eb',
+                color: '#374151',
+                border: 'none',
+                borderRadius: '8px',
+                fontWeight: 600,
+                cursor: 'pointer'
+              }}
+            >
+              Clear
+            </button>
+            <button
+              onClick={handlePlaceOrder}
+              disabled={placing || draft.items.length === 0 || problems.length > 0}
+              style={{
+                flex: 1,
+                padding: '0.75rem 1rem',
+                background: '#10b981',
+                color: 'white',
+                border: 'none',
+                borderRadius: '8px',
+                fontWeight: 700,
+                fontSize: '1rem',
+                cursor: placing || draft.items.length === 0 || problems.length > 0 ? 'not-allowed' : 'pointer',
+                opacity: placing || draft.items.length === 0 || problems.length > 0 ? 0.5 : 1
+              }}
+            >
+              {placing ? 'Placing...' : `Place Order • Rs. ${total}`}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default NewOrder;
@@ -0,0 +1,245 @@
+import React, { useState } from 'react';
+import { hasPermission } from '../services/permissions';
+import {
+  CANCEL_REASONS,
+  REFUND_REASONS,
+  refundableItems,
+  refundedAmount,
+  buildRefund,
+  verifyApprover
+} from '../services/refunds';
+import { MdClose, MdCancel, MdUndo } from 'react-icons/md';
+
+const inputStyle = {
+  width: '100%',
+  padding: '0.75rem',
+  border: '2px solid #e5e7eb',
+  borderRadius: '8px',
+  fontSize: '1rem',
+  marginBottom: '1rem'
+};
+
+const labelStyle = { display: 'block', fontWeight: 600, marginBottom: '0.5rem' };
+
+/**
+ * Cancel or refund an order, with a reason and (for refunds) the items,
+ * quantities and a manager's approval when the cashier can't approve
+ * @param {Object} props
+ *   - mode: 'cancel' | 'refund'
+ *   - order
+ *   - onSubmitCancel({reason, note}) / onSubmitRefund(refund, full) - return a promise
+ *   - onClose()
+ */
+function OrderAdjustmentDialog({ mode, order, onSubmitCancel, onSubmitRefund, onClose }) {
+  const isRefund = mode === 'refund';
+  const items = refundableItems(order);
+  const canApprove = hasPermission('orders:refund');
+
+  const [reason, setReason] = useState('');
+  const [note, setNote] = useState('');
+  const [quantities, setQuantities] = useState(() =>
+    Object.fromEntries(items.map(item => [item.index, item.remaining]))
+  );
+  const [approverName, setApproverName] = useState('');
+  const [approverSecret, setApproverSecret] = useState('');
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const refundTotal = items.reduce((sum, item) => sum + item.price * (quantities[item.index] || 0), 0);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSaving(true);
+
+    try {
+      if (!isRefund) {
+        if (!reason) throw new Error('Choose a cancellation reason');
+        await onSubmitCancel({ reason, note });
+        return;
+      }
+
+      let approver = null;
+      if (!canApprove) {
+        const result = await verifyApprover(approverName, approverSecret);
+        if (!result.success) throw new Error(result.error);
+        approver = result.approver;
+      }
+
+      const lines = items.map(item => ({ index: item.index, quantity: Number(quantities[item.index]) || 0 }));
+      const { refund, full } = buildRefund(order, { lines, reason, note, approver });
+      await onSubmitRefund(refund, full);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const reasons = isRefund ? REFUND_REASONS : CANCEL_REASONS;
+  const color = isRefund ? '#7c3aed' : '#dc2626';
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      background: 'rgba(0,0,0,0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000,
+      padding: '1rem'
+    }}>
+      <form onSubmit={handleSubmit} style={{
+        background: 'white',
+        borderRadius: '12px',
+        padding: '2rem',
+        maxWidth: '520px',
+        width: '100%',
+        maxHeight: '90vh',
+        overflowY: 'auto'
+      }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1.5rem' }}>
+          <h2 style={{ fontSize: '1.5rem', fontWeight: 700 }}>
+            {isRefund ? 'Refund' : 'Cancel'} order #{order.orderId}
+          </h2>
+          <button type="button" onClick={onClose} style={{ background: 'none', border: 'none', cursor: 'pointer', padding: '0.5rem' }}>
+            <MdClose size={24} />
+          </button>
+        </div>
+
+        {isRefund && (
+          <div style={{ marginBottom: '1rem' }}>
+            <label style={labelStyle}>Items to refund</label>
+            {items.map(item => (
+              <div key={item.index} style={{
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'space-between',
+                gap: '1rem',
+                padding: '0.5rem 0.75rem',
+                background: '#f9fafb',
+                borderRadius: '8px',
+                marginBottom: '0.5rem',
+                opacity: item.remaining === 0 ? 0.5 : 1
+              }}>
+                <span style={{ fontWeight: 600 }}>
+                  {item.name}
+                  <span style={{ color: '#6b7280', fontWeight: 400 }}> • Rs. {item.price}</span>
+                  {item.refunded > 0 && (
+                    <span style={{ color: '#7c3aed', fontSize: '0.8rem' }}> ({item.refunded} already refunded)</span>
+                  )}
+                </span>
+                <input
+                  type="number"
+                  min="0"
+                  max={item.remaining}
+                  value={quantities[item.index]}
+                  disabled={item.remaining === 0}
+                  onChange={(e) => setQuantities(q => ({ ...q, [item.index]: e.target.value }))}
+                  style={{ ...inputStyle, width: '5rem', marginBottom: 0 }}
+                />
+              </div>
+            ))}
+            <div style={{ textAlign: 'right', fontWeight: 700, marginTop: '0.5rem' }}>
+              Refund: Rs. {refundTotal}
+              {refundedAmount(order) > 0 && (
+                <span style={{ color: '#6b7280', fontWeight: 400 }}> (Rs. {refundedAmount(order)} refunded before)</span>
+              )}
+            </div>
+          </div>
+        )}
+
+        <label style={labelStyle}>Reason</label>
+        <select value={reason} onChange={(e) => setReason(e.target.value)} style={inputStyle} required>
+          <option value="">Choose a reason…</option>
+          {Object.entries(reasons).map(([code, label]) => (
+            <option key={code} value={code}>{label}</option>
+          ))}
+        </select>
+
+        <label style={labelStyle}>Note {reason === 'other' ? '' : '(optional)'}</label>
+        <textarea
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          required={reason === 'other'}
+          rows={2}
+          style={{ ...inputStyle, resize: 'vertical' }}
+        />
+
+        {isRefund && !canApprove && (
+          <div style={{ padding: '1rem', background: '#f5f3ff', borderRadius: '8px', marginBottom: '1rem' }}>
+            <p style={{ fontWeight: 600, marginBottom: '0.75rem' }}>Manager approval required</p>
+            <input
+              type="text"
+              placeholder="Manager username"
+              value={approverName}
+              onChange={(e) => setApproverName(e.target.value)}
+              autoComplete="off"
+              required
+              style={inputStyle}
+            />
+            <input
+              type="password"
+              placeholder="Manager PIN or password"
+              value={approverSecret}
+              onChange={(e) => setApproverSecret(e.target.value)}
+              autoComplete="off"
+              required
+              style={{ ...inputStyle, marginBottom: 0 }}
+            />
+          </div>
+        )}
+
+        {error && (
+          <div style={{ padding: '0.75rem', background: '#fee2e2', color: '#991b1b', borderRadius: '8px', marginBottom: '1rem' }}>
+            {error}
+          </div>
+        )}
+
+        <div style={{ display: 'flex', gap: '1rem', justifyContent: 'flex-end' }}>
+          <button
+            type="button"
+            onClick={onClose}
+            style={{
+              padding: '0.75rem 1.5rem',
+              background: '#6b7280',
+              color: 'white',
+              border: 'none',
+              borderRadius: '8px',
+              fontWeight: 600,
+              cursor: 'pointer'
+            }}
+          >
+            Back
+          </button>
+          <button
+            type="submit"
+            disabled={saving}
+            style={{
+              padding: '0.75rem 1.5rem',
+              background: color,
+              color: 'white',
+              border: 'none',
+              borderRadius: '8px',
+              fontWeight: 600,
+              cursor: saving ? 'not-allowed' : 'pointer',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '0.5rem',
+              opacity: saving ? 0.5 : 1
+            }}
+          >
+            {isRefund ? <MdUndo size={20} /> : <MdCancel size={20} />}
+            {saving ? 'Saving...' : isRefund ? `Refund Rs. ${refundTotal}` : 'Cancel Order'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default OrderAdjustmentDialog;
@@ -0,0 +1,98 @@
+import React from 'react';
+import { SORT_OPTIONS, hasExtraFilters } from '../services/orderSearch';
+import { MdSearch, MdClose } from 'react-icons/md';
+
+const fieldStyle = {
+  padding: '0.5rem',
+  border: '1px solid #d1d5db',
+  borderRadius: '8px',
+  fontSize: '0.875rem'
+};
+
+const labelStyle = {
+  display: 'flex',
+  flexDirection: 'column',
+  gap: '0.25rem',
+  fontSize: '0.75rem',
+  fontWeight: 600,
+  color: '#6b7280'
+};
+
+/**
+ * Search box, date/time/amount filters and sort order for the orders list
+ * @param {Object} props - {query, onChange(changes), onClear()}
+ */
+function OrderFilters({ query, onChange, onClear }) {
+  const field = (key) => ({
+    value: query[key],
+    onChange: (e) => onChange({ [key]: e.target.value })
+  });
+
+  return (
+    <div style={{ marginBottom: '1.5rem' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '0.75rem' }}>
+        <MdSearch size={22} style={{ color: '#6b7280' }} />
+        <input
+          type="search"
+          placeholder="Search order number, customer or item…"
+          {...field('q')}
+          style={{ ...fieldStyle, flex: 1, fontSize: '1rem' }}
+        />
+        <select {...field('sort')} style={fieldStyle}>
+          {Object.entries(SORT_OPTIONS).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div style={{ display: 'flex', gap: '0.75rem', flexWrap: 'wrap', alignItems: 'flex-end' }}>
+        <label style={labelStyle}>
+          From date
+          <input type="date" {...field('from')} style={fieldStyle} />
+        </label>
+        <label style={labelStyle}>
+          To date
+          <input type="date" {...field('to')} style={fieldStyle} />
+        </label>
+        <label style={labelStyle}>
+          From time
+          <input type="time" {...field('timeFrom')} style={fieldStyle} />
+        </label>
+        <label style={labelStyle}>
+          To time
+          <input type="time" {...field('timeTo')} style={fieldStyle} />
+        </label>
+        <label style={labelStyle}>
+          Min Rs.
+          <input type="number" min="0" {...field('minTotal')} style={{ ...fieldStyle, width: '6rem' }} />
+        </label>
+        <label style={labelStyle}>
+          Max Rs.
+          <input type="number" min="0" {...field('maxTotal')} style={{ ...fieldStyle, width: '6rem' }} />
+        </label>
+
+        {hasExtraFilters(query) && (
+          <button
+            onClick={onClear}
+            style={{
+              padding: '0.5rem 1rem',
+              background: '#f3f4f6',
+              color: '#374151',
+              border: 'none',
+              borderRadius: '8px',
+              fontWeight: 600,
+              cursor: 'pointer',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '0.25rem'
+            }}
+          >
+            <MdClose size={16} /> Clear filters
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default OrderFilters;
@@ -0,0 +1,214 @@
+import React, { useState } from 'react';
+import { useProducts } from '../hooks/useProducts';
+import {
+  addCatalogItem,
+  updateLine,
+  removeLine,
+  calculateTotal,
+  lineTotal,
+  MAX_NOTE_LENGTH
+} from '../services/orderItems';
+import { MdAdd, MdRemove, MdDelete, MdSave, MdClose, MdSearch } from 'react-icons/md';
+
+const smallButton = {
+  width: 32,
+  height: 32,
+  border: '1px solid #d1d5db',
+  borderRadius: '8px',
+  background: 'white',
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'center'
+};
+
+/**
+ * Edit the items of a pending order: add from the catalog, change
+ * quantities, remove lines and add notes like "no onions"
+ * @param {Object} props - {order, onSave(items): Promise, onCancel()}
+ */
+function OrderItemsEditor({ order, onSave, onCancel }) {
+  const { products, loading: productsLoading, stale } = useProducts();
+  const [items, setItems] = useState(() =>
+    (order.items || []).map(item => ({ ...item, quantity: Number(item.quantity) || 1, notes: item.notes || '' }))
+  );
+  const [search, setSearch] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const total = calculateTotal(items);
+  const matches = products
+    .filter(p => p.available !== false)
+    .filter(p => !search || p.name.toLowerCase().includes(search.toLowerCase()));
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await onSave(items);
+    } catch (error) {
+      console.error('Order edit failed:', error);
+      alert('❌ ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div>
+      <h4 style={{ marginBottom: '1rem', fontWeight: 600 }}>Edit items:</h4>
+
+      {items.length === 0 && (
+        <p style={{ color: '#dc2626', marginBottom: '1rem' }}>Add at least one item, or cancel the order instead.</p>
+      )}
+
+      {items.map((item, index) => (
+        <div key={index} style={{
+          padding: '0.75rem',
+          background: '#f9fafb',
+          borderRadius: '8px',
+          marginBottom: '0.5rem'
+        }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem' }}>
+            <span style={{ fontWeight: 600 }}>{item.name}</span>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+              <button
+                type="button"
+                style={smallButton}
+                onClick={() => setItems(list => updateLine(list, index, { quantity: item.quantity - 1 }))}
+              >
+                <MdRemove size={18} />
+              </button>
+              <span style={{ minWidth: '2rem', textAlign: 'center', fontWeight: 700 }}>{item.quantity}</span>
+              <button
+                type="button"
+                style={smallButton}
+                onClick={() => setItems(list => updateLine(list, index, { quantity: item.quantity + 1 }))}
+              >
+                <MdAdd size={18} />
+              </button>
+              <span style={{ minWidth: '5rem', textAlign: 'right', fontWeight: 700 }}>Rs. {lineTotal(item)}</span>
+              <button
+                type="button"
+                style={{ ...smallButton, color: '#dc2626', borderColor: '#fecaca' }}
+                onClick={() => setItems(list => removeLine(list, index))}
+                title="Remove"
+              >
+                <MdDelete size={18} />
+              </button>
+            </div>
+          </div>
+          <input
+            type="text"
+            placeholder="Note for the kitchen, e.g. no onions"
+            value={item.notes}
+            maxLength={MAX_NOTE_LENGTH}
+            onChange={(e) => setItems(list => updateLine(list, index, { notes: e.target.value }))}
+            style={{
+              width: '100%',
+              marginTop: '0.5rem',
+              padding: '0.5rem',
+              border: '1px solid #e5e7eb',
+              borderRadius: '6px',
+              fontSize: '0.875rem'
+            }}
+          />
+        </div>
+      ))}
+
+      {/* Catalog */}
+      <div style={{ marginTop: '1rem', padding: '0.75rem', border: '1px dashed #d1d5db', borderRadius: '8px' }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '0.75rem' }}>
+          <MdSearch size={20} style={{ color: '#6b7280' }} />
+          <input
+            type="text"
+            placeholder="Add a product…"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            style={{ flex: 1, padding: '0.5rem', border: '1px solid #e5e7eb', borderRadius: '6px' }}
+          />
+        </div>
+        {productsLoading && products.length === 0 ? (
+          <p style={{ color: '#6b7280', fontSize: '0.875rem' }}>Loading products...</p>
+        ) : (
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', maxHeight: '10rem', overflowY: 'auto' }}>
+            {matches.map(product => (
+              <button
+                key={product.id}
+                type="button"
+                onClick={() => setItems(list => addCatalogItem(list, product))}
+                style={{
+                  padding: '0.4rem 0.75rem',
+                  background: '#ede9fe',
+                  color: '#5b21b6',
+                  border: 'none',
+                  borderRadius: '999px',
+                  fontWeight: 600,
+                  fontSize: '0.8rem',
+                  cursor: 'pointer'
+                }}
+              >
+                + {product.name} • Rs. {product.price}
+              </button>
+            ))}
+            {matches.length === 0 && (
+              <p style={{ color: '#6b7280', fontSize: '0.875rem' }}>No matching products</p>
+            )}
+          </div>
+        )}
+        {stale && (
+          <p style={{ color: '#92400e', fontSize: '0.75rem', marginTop: '0.5rem' }}>Showing saved catalog (offline)</p>
+        )}
+      </div>
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '1rem' }}>
+        <div style={{ fontWeight: 700, fontSize: '1.125rem' }}>
+          New total: Rs. {total}
+          {total !== order.total && (
+            <span style={{ color: '#6b7280', fontWeight: 400, fontSize: '0.875rem' }}> (was Rs. {order.total})</span>
+          )}
+        </div>
+        <div style={{ display: 'flex', gap: '0.5rem' }}>
+          <button
+            type="button"
+            onClick={onCancel}
+            style={{
+              padding: '0.5rem 1rem',
+              background: '#6b7280',
+              color: 'white',
+              border: 'none',
+              borderRadius: '8px',
+              fontWeight: 600,
+              cursor: 'pointer',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '0.5rem'
+            }}
+          >
+            <MdClose size={18} /> Discard
+          </button>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={saving || items.length === 0}
+            style={{
+              padding: '0.5rem 1rem',
+              background: '#10b981',
+              color: 'white',
+              border: 'none',
+              borderRadius: '8px',
+              fontWeight: 600,
+              cursor: saving || items.length === 0 ? 'not-allowed' : 'pointer',
+              opacity: saving || items.length === 0 ? 0.5 : 1,
+              display: 'flex',
+              alignItems: 'center',
+              gap: '0.5rem'
+            }}
+          >
+            <MdSave size={18} /> {saving ? 'Saving...' : 'Save Changes'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default OrderItemsEditor;
@@ -0,0 +1,180 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  subscribeToDisplay,
+  applyDisplayUpdate,
+  buildDisplayBoard,
+  announceReady,
+  speak,
+  speechSupported,
+  DISPLAY_COLUMNS
+} from '../services/orderDisplay';
+import { MdVolumeUp, MdVolumeOff } from 'react-icons/md';
+
+const SETTINGS_KEY = 'displaySettings';
+
+// How long a newly ready number stays highlighted
+const HIGHLIGHT_MS = 20 * 1000;
+
+const loadSettings = () => {
+  try {
+    return { speak: false, lang: 'en-US', ...JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}') };
+  } catch {
+    return { speak: false, lang: 'en-US' };
+  }
+};
+
+/**
+ * Order Ready Display - public TV screen at the counter
+ * No login: shows order numbers only, never names or totals.
+ * Completed orders disappear on their own.
+ */
+function OrderReadyDisplay() {
+  const [board, setBoard] = useState({});
+  const [connected, setConnected] = useState(false);
+  const [settings, setSettings] = useState(loadSettings);
+  const [now, setNow] = useState(Date.now());
+  const settingsRef = useRef(settings);
+  settingsRef.current = settings;
+  const boardRef = useRef(board);
+  boardRef.current = board;
+
+  useEffect(() => {
+    return subscribeToDisplay((event) => {
+      switch (event.type) {
+        case 'snapshot':
+          setBoard(buildDisplayBoard(event.orders));
+          break;
+        case 'update': {
+          const { order, removed } = event;
+          if (!order) break;
+          const before = boardRef.current[order.key];
+          if (!removed && order.status === 'ready' && before?.status !== 'ready' && settingsRef.current.speak) {
+            announceReady(order.number, settingsRef.current.lang);
+          }
+          setBoard(prev => applyDisplayUpdate(prev, order, removed));
+          break;
+        }
+        case 'status':
+          setConnected(event.connected);
+          break;
+        default:
+          break;
+      }
+    });
+  }, []);
+
+  // Fade highlights
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 5000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const toggleSpeech = () => {
+    const next = { ...settings, speak: !settings.speak };
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(next));
+    setSettings(next);
+    if (next.speak) {
+      // Speaking needs a user gesture once; this click counts
+      speak('Announcements on', next.lang);
+    }
+  };
+
+  const orders = Object.values(board);
+  const preparing = orders
+    .filter(o => DISPLAY_COLUMNS[o.status] === 'preparing')
+    .sort((a, b) => a.number.localeCompare(b.number, undefined, { numeric: true }));
+  const ready = orders
+    .filter(o => DISPLAY_COLUMNS[o.status] === 'ready')
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+
+  const columnStyle = {
+    flex: 1,
+    display: 'flex',
+    flexDirection: 'column',
+    padding: '1.5rem',
+    minHeight: 0
+  };
+
+  const numberGrid = {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(auto-fill, minmax(12rem, 1fr))',
+    gap: '1rem',
+    alignContent: 'start',
+    overflow: 'hidden'
+  };
+
+  return (
+    <div style={{ height: '100vh', display: 'flex', flexDirection: 'column', background: '#0f172a', color: 'white', fontFamily: 'inherit' }}>
+      <div style={{ flex: 1, display: 'flex', minHeight: 0 }}>
+        {/* Preparing */}
+        <section style={{ ...columnStyle, borderRight: '2px solid #1e293b' }}>
+          <h1 style={{ fontSize: '3rem', fontWeight: 800, margin: '0 0 1.5rem', color: '#fbbf24' }}>
+            Preparing
+          </h1>
+          <div style={numberGrid}>
+            {preparing.map(order => (
+              <div key={order.key} style={{
+                padding: '1rem',
+                background: '#1e293b',
+                borderRadius: '12px',
+                textAlign: 'center',
+                fontSize: '2.5rem',
+                fontWeight: 700,
+                color: '#cbd5e1'
+              }}>
+                {order.number}
+              </div>
+            ))}
+          </div>
+        </section>
+
+        {/* Ready */}
+        <section style={columnStyle}>
+          <h1 style={{ fontSize: '3rem', fontWeight: 800, margin: '0 0 1.5rem', color: '#34d399' }}>
+            Ready for pickup
+          </h1>
+          <div style={numberGrid}>
+            {ready.map(order => {
+              const fresh = now - order.updatedAt < HIGHLIGHT_MS;
+              return (
+                <div key={order.key} style={{
+                  padding: '1rem',
+                  background: fresh ? '#10b981' : '#065f46',
+                  borderRadius: '12px',
+                  textAlign: 'center',
+                  fontSize: '3rem',
+                  fontWeight: 800,
+                  transition: 'background 1s'
+                }}>
+                  {order.number}
+                </div>
+              );
+            })}
+          </div>
+        </section>
+      </div>
+
+      <footer style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        padding: '0.5rem 1.5rem',
+        color: '#64748b',
+        fontSize: '0.875rem'
+      }}>
+        <span>{connected ? '● Live' : '○ Reconnecting…'}</span>
+        {speechSupported() && (
+          <button
+            onClick={toggleSpeech}
+            title={settings.speak ? 'Turn announcements off' : 'Announce ready orders'}
+            style={{ background: 'none', border: 'none', color: '#64748b', cursor: 'pointer' }}
+          >
+            {settings.speak ? <MdVolumeUp size={22} /> : <MdVolumeOff size={22} />}
+          </button>
+        )}
+      </footer>
+    </div>
+  );
+}
+
+export default OrderReadyDisplay;
@@ -0,0 +1,221 @@
+import React, { useState, useMemo } from 'react';
+import { useProductReport } from '../hooks/useProductReport';
+import { DEFAULT_SLOW_DAYS, PRODUCT_STATES, rankProducts, exportProductReport } from '../services/productReport';
+import { exportFilename } from '../services/exporters';
+import ExportMenu from './ExportMenu';
+import { MdRefresh, MdCloudOff } from 'react-icons/md';
+
+const STATE_COLORS = {
+  active: '#16a34a',
+  unavailable: '#f59e0b',
+  deleted: '#dc2626'
+};
+
+const CATEGORY_COLORS = ['#6200ea', '#0ea5e9', '#f59e0b', '#10b981', '#9ca3af'];
+
+const formatMoney = (amount) => `Rs. ${Math.round(amount).toLocaleString('en-PK')}`;
+
+const INCOMPLETE_WARNING = 'Older orders haven\'t been synced to this device, so units, revenue and slow movers may be incomplete.';
+
+const cardStyle = {
+  background: 'white',
+  borderRadius: '12px',
+  boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+  padding: '1.25rem'
+};
+
+const fieldStyle = {
+  padding: '0.5rem 0.75rem',
+  border: '1px solid #d1d5db',
+  borderRadius: '8px',
+  fontSize: '0.875rem'
+};
+
+const buttonStyle = (background) => ({
+  padding: '0.5rem 1rem',
+  background,
+  color: 'white',
+  border: 'none',
+  borderRadius: '8px',
+  fontWeight: 600,
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '0.5rem'
+});
+
+const cellStyle = { padding: '0.75rem 1rem' };
+
+function StateBadge({ state }) {
+  return (
+    <span style={{
+      padding: '0.25rem 0.75rem',
+      background: STATE_COLORS[state],
+      color: 'white',
+      borderRadius: '12px',
+      fontSize: '0.75rem',
+      fontWeight: 700,
+      whiteSpace: 'nowrap'
+    }}>
+      {PRODUCT_STATES[state]}
+    </span>
+  );
+}
+
+/**
+ * Product performance - best sellers, category mix and slow movers
+ * @param {Object} props - {period}
+ */
+function ProductReport({ period }) {
+  const [slowDays, setSlowDays] = useState(DEFAULT_SLOW_DAYS);
+  const [rankBy, setRankBy] = useState('revenue');
+  const { report, partial, loading, error, stale, lastUpdated, refresh } = useProductReport(period, slowDays);
+
+  const ranked = useMemo(() => (report ? rankProducts(report.products, rankBy) : []), [report, rankBy]);
+
+  const handleExport = async (format) => ({
+    blob: await exportProductReport(report, format, { partial }),
+    filename: exportFilename(`product-report-${period}`, format)
+  });
+
+  return (
+    <>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1.5rem', flexWrap: 'wrap', gap: '1rem' }}>
+        <p style={{ fontSize: '0.875rem', color: '#6b7280', margin: 0 }}>
+          Last update: {lastUpdated ? lastUpdated.toLocaleTimeString() : '—'}
+        </p>
+        <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+          <select value={rankBy} onChange={(e) => setRankBy(e.target.value)} style={fieldStyle}>
+            <option value="revenue">Rank by revenue</option>
+            <option value="units">Rank by units</option>
+          </select>
+          <button onClick={refresh} disabled={loading} style={buttonStyle('#10b981')}>
+            <MdRefresh size={18} /> Refresh
+          </button>
+          <ExportMenu onExport={handleExport} disabled={!report} warning={partial ? INCOMPLETE_WARNING : null} />
+        </div>
+      </div>
+
+      {(stale || partial) && (
+        <div style={{ ...cardStyle, background: '#fffbeb', color: '#92400e', marginBottom: '1.5rem', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          <MdCloudOff size={20} />
+          {partial
+            ? INCOMPLETE_WARNING
+            : 'Offline - using the orders and catalog cached on this device.'}
+        </div>
+      )}
+
+      {error && !report && (
+        <p style={{ color: '#dc2626' }}>Could not load the report: {error.message}</p>
+      )}
+
+      {!report && loading && (
+        <p style={{ color: '#6b7280' }}>Loading report…</p>
+      )}
+
+      {report && (
+        <>
+          {/* Category mix */}
+          <div style={{ ...cardStyle, marginBottom: '1.5rem' }}>
+            <h2 style={{ fontSize: '1.125rem', fontWeight: 700, marginTop: 0 }}>Category Mix</h2>
+            <div style={{ display: 'flex', height: '16px', borderRadius: '8px', overflow: 'hidden', background: '#f3f4f6', marginBottom: '0.75rem' }}>
+              {report.categories.map((category, index) => (
+                <div
+                  key={category.category}
+                  title={`${category.label}: ${Math.round(category.share * 100)}%`}
+                  style={{ width: `${category.share * 100}%`, background: CATEGORY_COLORS[index % CATEGORY_COLORS.length] }}
+                />
+              ))}
+            </div>
+            <div style={{ display: 'flex', gap: '1.5rem', flexWrap: 'wrap', fontSize: '0.875rem' }}>
+              {report.categories.map((category, index) => (
+                <div key={category.category} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                  <span style={{ width: '10px', height: '10px', borderRadius: '50%', background: CATEGORY_COLORS[index % CATEGORY_COLORS.length] }} />
+                  <strong>{category.label}</strong>
+                  <span style={{ color: '#6b7280' }}>
+                    {formatMoney(category.revenue)} • {category.units} sold • {Math.round(category.share * 100)}%
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Ranking */}
+          <div style={{ ...cardStyle, padding: 0, overflowX: 'auto', marginBottom: '1.5rem' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.875rem' }}>
+              <thead>
+                <tr style={{ background: '#f9fafb', textAlign: 'left' }}>
+                  <th style={cellStyle}>#</th>
+                  <th style={cellStyle}>Product</th>
+                  <th style={cellStyle}>Category</th>
+                  <th style={{ ...cellStyle, textAlign: 'right' }}>Units</th>
+                  <th style={{ ...cellStyle, textAlign: 'right' }}>Revenue</th>
+                  <th style={{ ...cellStyle, textAlign: 'right' }}>Orders</th>
+                  <th style={cellStyle}>Catalog</th>
+                </tr>
+              </thead>
+              <tbody>
+                {ranked.map((row, index) => (
+                  <tr key={row.key} style={{ borderTop: '1px solid #e5e7eb' }}>
+                    <td style={{ ...cellStyle, color: '#6b7280' }}>{index + 1}</td>
+                    <td style={{ ...cellStyle, fontWeight: 600 }}>{row.name}</td>
+                    <td style={{ ...cellStyle, textTransform: 'capitalize' }}>{row.category}</td>
+                    <td style={{ ...cellStyle, textAlign: 'right' }}>{row.units}</td>
+                    <td style={{ ...cellStyle, textAlign: 'right' }}>{formatMoney(row.revenue)}</td>
+                    <td style={{ ...cellStyle, textAlign: 'right' }}>{row.orders}</td>
+                    <td style={cellStyle}><StateBadge state={row.state} /></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {ranked.length === 0 && (
+              <p style={{ padding: '2rem', textAlign: 'center', color: '#9ca3af' }}>No products sold in this period</p>
+            )}
+          </div>
+
+          {/* Slow movers */}
+          <div style={cardStyle}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '0.5rem', marginBottom: '0.75rem' }}>
+              <h2 style={{ fontSize: '1.125rem', fontWeight: 700, margin: 0 }}>Slow Movers</h2>
+              <label style={{ fontSize: '0.875rem', color: '#6b7280', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                Not sold in
+                <input
+                  type="number"
+                  min="1"
+                  max="365"
+                  value={slowDays}
+                  onChange={(e) => setSlowDays(Math.max(1, parseInt(e.target.value, 10) || DEFAULT_SLOW_DAYS))}
+                  style={{ ...fieldStyle, width: '5rem' }}
+                />
+                days
+              </label>
+            </div>
+
+            {report.slowMovers.length === 0 && (
+              <p style={{ color: '#9ca3af' }}>Every product has sold in the last {slowDays} days</p>
+            )}
+            {report.slowMovers.map(product => (
+              <div key={product.productId} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '0.5rem 0', borderTop: '1px solid #f3f4f6', fontSize: '0.875rem' }}>
+                <span>
+                  <strong>{product.name}</strong>
+                  <span style={{ color: '#6b7280', textTransform: 'capitalize' }}> • {product.category}</span>
+                </span>
+                <span style={{ display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
+                  <span style={{ color: '#6b7280' }}>
+                    {product.lastSoldAt
+                      ? `Last sold ${new Date(product.lastSoldAt).toLocaleDateString('en-PK')}`
+                      : `No sales in ${slowDays} days`}
+                  </span>
+                  <StateBadge state={product.state} />
+                </span>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </>
+  );
+}
+
+export default ProductReport;
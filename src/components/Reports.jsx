@@ -0,0 +1,313 @@
+import React from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { useReport } from '../hooks/useReport';
+import ProductReport from './ProductReport';
+import ExportMenu from './ExportMenu';
+import { REPORT_PERIODS, GRANULARITIES, DEFAULT_GRANULARITY } from '../services/reports';
+import { getStatusMeta } from '../services/orderWorkflow';
+import { exportTable, exportFilename } from '../services/exporters';
+import { salesReportTable } from '../services/orderExport';
+import { MdArrowBack, MdRefresh, MdBarChart, MdCloudOff } from 'react-icons/md';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const formatMoney = (amount) => `Rs. ${Math.round(amount).toLocaleString('en-PK')}`;
+
+const BUCKET_LABELS = {
+  hour: { hour: 'numeric' },
+  day: { day: 'numeric', month: 'short' },
+  week: { day: 'numeric', month: 'short' },
+  month: { month: 'short', year: '2-digit' }
+};
+
+const bucketLabel = (start, granularity) =>
+  new Date(start).toLocaleString('en-PK', BUCKET_LABELS[granularity] || BUCKET_LABELS.day);
+
+const cardStyle = {
+  background: 'white',
+  borderRadius: '12px',
+  boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+  padding: '1.25rem'
+};
+
+const fieldStyle = {
+  padding: '0.5rem 0.75rem',
+  border: '1px solid #d1d5db',
+  borderRadius: '8px',
+  fontSize: '0.875rem'
+};
+
+function Change({ value, invert = false }) {
+  if (value == null) {
+    return <span style={{ fontSize: '0.75rem', color: '#9ca3af' }}>no earlier data</span>;
+  }
+  const good = invert ? value <= 0 : value >= 0;
+  return (
+    <span style={{ fontSize: '0.75rem', fontWeight: 700, color: good ? '#16a34a' : '#dc2626' }}>
+      {value > 0 ? '▲' : value < 0 ? '▼' : '■'} {Math.abs(value)}% vs previous period
+    </span>
+  );
+}
+
+function SummaryCard({ title, value, change, invert }) {
+  return (
+    <div style={cardStyle}>
+      <p style={{ fontSize: '0.875rem', color: '#6b7280', margin: '0 0 0.5rem' }}>{title}</p>
+      <p style={{ fontSize: '1.75rem', fontWeight: 700, margin: '0 0 0.25rem' }}>{value}</p>
+      <Change value={change} invert={invert} />
+    </div>
+  );
+}
+
+function RevenueChart({ series, granularity }) {
+  const max = Math.max(1, ...series.map(bucket => bucket.revenue));
+  // Label every bucket when there's room, otherwise about a dozen of them
+  const labelEvery = Math.max(1, Math.ceil(series.length / 12));
+
+  return (
+    <div style={{ display: 'flex', alignItems: 'flex-end', gap: '2px', height: '220px', paddingTop: '1rem' }}>
+      {series.map((bucket, index) => (
+        <div
+          key={bucket.start}
+          title={`${bucketLabel(bucket.start, granularity)}: ${formatMoney(bucket.revenue)} (${bucket.orders} orders)`}
+          style={{ flex: 1, minWidth: 0, display: 'flex', flexDirection: 'column', alignItems: 'center', height: '100%', justifyContent: 'flex-end' }}
+        >
+          <div style={{
+            width: '100%',
+            height: `${(Math.max(0, bucket.revenue) / max) * 180}px`,
+            minHeight: bucket.revenue > 0 ? '2px' : 0,
+            background: '#6200ea',
+            borderRadius: '4px 4px 0 0'
+          }} />
+          <span style={{ fontSize: '0.625rem', color: '#6b7280', marginTop: '0.25rem', whiteSpace: 'nowrap', height: '1rem' }}>
+            {index % labelEvery === 0 ? bucketLabel(bucket.start, granularity) : ''}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function PeakHeatmap({ heatmap }) {
+  return (
+    <div style={{ overflowX: 'auto' }}>
+      <table style={{ borderCollapse: 'separate', borderSpacing: '2px', fontSize: '0.625rem' }}>
+        <thead>
+          <tr>
+            <th />
+            {Array.from({ length: 24 }, (_, hour) => (
+              <th key={hour} style={{ color: '#6b7280', fontWeight: 600 }}>{hour}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {heatmap.cells.map((row, day) => (
+            <tr key={WEEKDAYS[day]}>
+              <th style={{ color: '#6b7280', fontWeight: 600, paddingRight: '0.5rem', textAlign: 'right' }}>{WEEKDAYS[day]}</th>
+              {row.map((cell, hour) => (
+                <td
+                  key={hour}
+                  title={`${WEEKDAYS[day]} ${hour}:00 - ${cell.orders} orders, ${formatMoney(cell.revenue)}`}
+                  style={{
+                    width: '24px',
+                    height: '24px',
+                    borderRadius: '4px',
+                    background: cell.orders > 0
+                      ? `rgba(98, 0, 234, ${0.15 + 0.85 * (cell.orders / heatmap.max)})`
+                      : '#f3f4f6'
+                  }}
+                />
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+const buttonStyle = (background) => ({
+  padding: '0.5rem 1rem',
+  background,
+  color: 'white',
+  border: 'none',
+  borderRadius: '8px',
+  fontWeight: 600,
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '0.5rem'
+});
+
+const tabStyle = (active) => ({
+  padding: '0.5rem 1.25rem',
+  background: active ? '#6200ea' : '#f3f4f6',
+  color: active ? 'white' : '#374151',
+  border: 'none',
+  borderRadius: '20px',
+  fontWeight: 600,
+  cursor: 'pointer'
+});
+
+function SalesReport({ period, granularity, onGranularityChange }) {
+  const { report, range, partial, loading, error, stale, lastUpdated, refresh } = useReport(period, granularity);
+
+  const handleExport = async (format) => ({
+    blob: await exportTable(salesReportTable(report, { period, granularity, range }), format),
+    filename: exportFilename(`sales-report-${period}`, format)
+  });
+
+  return (
+    <>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1.5rem', flexWrap: 'wrap', gap: '1rem' }}>
+        <p style={{ fontSize: '0.875rem', color: '#6b7280', margin: 0 }}>
+          Last update: {lastUpdated ? lastUpdated.toLocaleTimeString() : '—'}
+          {report?.fromServer ? ' • totals from server' : ' • from orders on this device'}
+        </p>
+        <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+          <select value={granularity} onChange={(e) => onGranularityChange(e.target.value)} style={fieldStyle}>
+            {Object.entries(GRANULARITIES).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+          <button onClick={refresh} disabled={loading} style={buttonStyle('#10b981')}>
+            <MdRefresh size={18} /> Refresh
+          </button>
+          <ExportMenu onExport={handleExport} disabled={!report} />
+        </div>
+      </div>
+
+      {(stale || partial) && (
+        <div style={{ ...cardStyle, background: '#fffbeb', color: '#92400e', marginBottom: '1.5rem', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          <MdCloudOff size={20} />
+          {partial
+            ? 'Older orders haven\'t been synced to this device, so earlier figures may be incomplete.'
+            : 'Offline - figures are from the orders cached on this device.'}
+        </div>
+      )}
+
+      {error && !report && (
+        <p style={{ color: '#dc2626' }}>Could not load the report: {error.message}</p>
+      )}
+
+      {!report && loading && (
+        <p style={{ color: '#6b7280' }}>Loading report…</p>
+      )}
+
+      {report && (
+        <>
+          {/* Summary */}
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '1rem', marginBottom: '1.5rem' }}>
+            <SummaryCard title="Revenue" value={formatMoney(report.summary.revenue)} change={report.changes.revenue} />
+            <SummaryCard title="Orders" value={report.summary.orderCount} change={report.changes.orderCount} />
+            <SummaryCard title="Average Order" value={formatMoney(report.summary.averageOrderValue)} change={report.changes.averageOrderValue} />
+            <SummaryCard title="Refunds" value={formatMoney(report.summary.refunds)} change={report.changes.refunds} invert />
+          </div>
+
+          {/* Revenue over time */}
+          <div style={{ ...cardStyle, marginBottom: '1.5rem' }}>
+            <h2 style={{ fontSize: '1.125rem', fontWeight: 700, margin: 0 }}>
+              Revenue {GRANULARITIES[granularity].toLowerCase()}
+            </h2>
+            <RevenueChart series={report.series} granularity={granularity} />
+          </div>
+
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))', gap: '1.5rem' }}>
+            {/* Orders per status */}
+            <div style={cardStyle}>
+              <h2 style={{ fontSize: '1.125rem', fontWeight: 700, marginTop: 0 }}>Orders by Status</h2>
+              {Object.keys(report.summary.byStatus).length === 0 && (
+                <p style={{ color: '#9ca3af' }}>No orders in this period</p>
+              )}
+              {Object.entries(report.summary.byStatus).map(([status, count]) => {
+                const meta = getStatusMeta(status);
+                return (
+                  <div key={status} style={{ marginBottom: '0.75rem' }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.875rem', marginBottom: '0.25rem' }}>
+                      <span style={{ fontWeight: 600 }}>{meta.label}</span>
+                      <span>{count}</span>
+                    </div>
+                    <div style={{ height: '8px', background: '#f3f4f6', borderRadius: '4px' }}>
+                      <div style={{
+                        width: `${(count / Math.max(1, report.summary.orderCount)) * 100}%`,
+                        height: '100%',
+                        background: meta.color,
+                        borderRadius: '4px'
+                      }} />
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+
+            {/* Peak hours */}
+            <div style={cardStyle}>
+              <h2 style={{ fontSize: '1.125rem', fontWeight: 700, marginTop: 0 }}>Peak Hours</h2>
+              <PeakHeatmap heatmap={report.heatmap} />
+            </div>
+          </div>
+        </>
+      )}
+    </>
+  );
+}
+
+/**
+ * Reports - sales over time, status breakdown, peak hours and product performance
+ * Tab, period and granularity live in the URL so a report can be bookmarked
+ */
+function Reports() {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const view = searchParams.get('view') === 'products' ? 'products' : 'sales';
+  const period = REPORT_PERIODS[searchParams.get('period')] ? searchParams.get('period') : '7d';
+  const granularity = GRANULARITIES[searchParams.get('by')] ? searchParams.get('by') : DEFAULT_GRANULARITY[period];
+
+  // Changing the period resets the granularity to its default
+  const setParams = (changes) => {
+    const next = { view, period, by: searchParams.get('by'), ...changes };
+    if (changes.period) next.by = null;
+    const params = new URLSearchParams();
+    if (next.view !== 'sales') params.set('view', next.view);
+    params.set('period', next.period);
+    if (next.by) params.set('by', next.by);
+    setSearchParams(params, { replace: true });
+  };
+
+  return (
+    <div className="app">
+      <main className="app-main" style={{ padding: '2rem' }}>
+        <div style={{ maxWidth: '1100px', margin: '0 auto' }}>
+          <button
+            onClick={() => navigate('/dashboard')}
+            style={{ ...buttonStyle('transparent'), color: '#374151', padding: '0.5rem 0', marginBottom: '1rem' }}
+          >
+            <MdArrowBack size={20} /> Back to Orders
+          </button>
+
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1.5rem', flexWrap: 'wrap', gap: '1rem' }}>
+            <h1 style={{ fontSize: '2rem', fontWeight: 700, margin: 0, display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+              <MdBarChart size={32} style={{ color: '#6200ea' }} /> Reports
+            </h1>
+
+            <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', alignItems: 'center' }}>
+              <button onClick={() => setParams({ view: 'sales' })} style={tabStyle(view === 'sales')}>Sales</button>
+              <button onClick={() => setParams({ view: 'products' })} style={tabStyle(view === 'products')}>Products</button>
+              <select value={period} onChange={(e) => setParams({ period: e.target.value })} style={fieldStyle}>
+                {Object.entries(REPORT_PERIODS).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {view === 'sales'
+            ? <SalesReport period={period} granularity={granularity} onGranularityChange={(by) => setParams({ by })} />
+            : <ProductReport period={period} />}
+        </div>
+      </main>
+    </div>
+  );
+}
+
+export default Reports;
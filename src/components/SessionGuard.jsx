@@ -0,0 +1,232 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { getCurrentUser } from '../services/auth';
+import {
+  recordActivity,
+  getIdleStatus,
+  lockSession,
+  unlockWithPin,
+  unlockWithPassword,
+  endSession,
+  subscribeToSessionEvents
+} from '../services/session';
+import { MdLock, MdLogout } from 'react-icons/md';
+
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'scroll'];
+
+// Show a heads-up this long before the screen locks
+const LOCK_WARNING_MS = 30 * 1000;
+
+const formatCountdown = (ms) => {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+};
+
+/**
+ * Wraps protected pages: tracks activity, locks the screen when idle,
+ * signs out when the lock times out, and follows sign-outs from other tabs
+ */
+function SessionGuard({ children }) {
+  const [status, setStatus] = useState(() => getIdleStatus());
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    const onActivity = () => recordActivity();
+    ACTIVITY_EVENTS.forEach(evt => window.addEventListener(evt, onActivity, { passive: true }));
+
+    const tick = () => {
+      const next = getIdleStatus();
+
+      if (next.state === 'none') {
+        navigate('/login');
+        return;
+      }
+      if (next.state === 'expired') {
+        endSession('expired', 'Idle timeout while locked');
+        navigate('/login');
+        return;
+      }
+      if (next.state === 'locked' && next.lockIn === 0) {
+        lockSession();
+      }
+      setStatus(next);
+    };
+
+    tick();
+    const timer = setInterval(tick, 1000);
+
+    const unsubscribe = subscribeToSessionEvents((event) => {
+      if (event === 'signout') {
+        navigate('/login');
+      } else {
+        tick();
+      }
+    });
+
+    return () => {
+      ACTIVITY_EVENTS.forEach(evt => window.removeEventListener(evt, onActivity));
+      clearInterval(timer);
+      unsubscribe();
+    };
+  }, [navigate]);
+
+  return (
+    <>
+      {children}
+
+      {status.state === 'active' && status.lockIn <= LOCK_WARNING_MS && (
+        <div style={{
+          position: 'fixed',
+          bottom: '1.5rem',
+          left: '50%',
+          transform: 'translateX(-50%)',
+          background: '#1f2937',
+          color: 'white',
+          padding: '0.75rem 1.5rem',
+          borderRadius: '12px',
+          boxShadow: '0 4px 12px rgba(0,0,0,0.3)',
+          zIndex: 1500,
+          fontWeight: 600
+        }}>
+          🔒 Screen locks in {formatCountdown(status.lockIn)} — move the mouse to stay signed in
+        </div>
+      )}
+
+      {status.state === 'locked' && (
+        <LockScreen
+          logoutIn={status.logoutIn}
+          onUnlocked={() => setStatus(getIdleStatus())}
+          onSignOut={() => {
+            endSession('logout');
+            navigate('/login');
+          }}
+        />
+      )}
+    </>
+  );
+}
+
+function LockScreen({ logoutIn, onUnlocked, onSignOut }) {
+  const user = getCurrentUser();
+  const [usePassword, setUsePassword] = useState(!user?.hasPin);
+  const [secret, setSecret] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const result = usePassword
+        ? await unlockWithPassword(secret)
+        : await unlockWithPin(secret);
+
+      if (result.success) {
+        setSecret('');
+        onUnlocked();
+        return;
+      }
+
+      if (result.signedOut) {
+        alert(`❌ ${result.error}`);
+        onSignOut();
+        return;
+      }
+
+      setError(result.error);
+      setSecret('');
+      if (result.pinBlocked) {
+        setUsePassword(true);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="login-container" style={{
+      position: 'fixed',
+      inset: 0,
+      zIndex: 2000,
+      background: 'rgba(17, 24, 39, 0.92)'
+    }}>
+      <div className="login-card">
+        <div style={{ textAlign: 'center', marginBottom: '1.5rem' }}>
+          <MdLock size={56} style={{ color: '#6200ea' }} />
+          <h2>Screen Locked</h2>
+          <p style={{ color: 'var(--md-on-surface-variant)' }}>
+            {user?.displayName} — {usePassword ? 'enter your password' : 'enter your PIN'} to continue
+          </p>
+          {logoutIn != null && (
+            <p style={{ marginTop: '0.5rem', fontWeight: 700, color: '#dc2626' }}>
+              Signing out in {formatCountdown(logoutIn)}
+            </p>
+          )}
+        </div>
+
+        <form onSubmit={handleUnlock}>
+          <input
+            type="password"
+            inputMode={usePassword ? 'text' : 'numeric'}
+            placeholder={usePassword ? 'Password' : 'PIN'}
+            value={secret}
+            onChange={(e) => setSecret(e.target.value)}
+            autoComplete={usePassword ? 'current-password' : 'off'}
+            required
+            autoFocus
+          />
+
+          {error && (
+            <div style={{
+              padding: '0.75rem',
+              background: 'var(--md-error-container)',
+              color: 'var(--md-error)',
+              borderRadius: 'var(--md-sys-shape-corner-small)',
+              marginBottom: '1rem',
+              fontSize: '0.875rem',
+              fontWeight: 600
+            }}>
+              {error}
+            </div>
+          )}
+
+          <button type="submit" disabled={loading} style={{ marginBottom: '0.75rem' }}>
+            {loading ? 'Unlocking...' : 'Unlock'}
+          </button>
+        </form>
+
+        {user?.hasPin && (
+          <button
+            type="button"
+            onClick={() => { setUsePassword(!usePassword); setSecret(''); setError(''); }}
+            style={{ background: 'transparent', color: 'var(--md-primary)', boxShadow: 'none', marginBottom: '0.5rem' }}
+          >
+            {usePassword ? 'Use PIN instead' : 'Use password instead'}
+          </button>
+        )}
+
+        <button
+          type="button"
+          onClick={onSignOut}
+          style={{
+            background: 'transparent',
+            color: '#dc2626',
+            boxShadow: 'none',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            gap: '0.5rem'
+          }}
+        >
+          <MdLogout size={20} /> Sign out
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default SessionGuard;
@@ -0,0 +1,166 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { loginAdmin, needsSetup } from '../services/auth';
+import { createUser, MIN_PASSWORD_LENGTH } from '../services/users';
+import { MdArrowBack, MdArrowForward, MdCheckCircle } from 'react-icons/md';
+
+/**
+ * First-run setup - creates the owner account
+ * Only reachable while the user store is empty
+ */
+function SetupWizard() {
+  const [step, setStep] = useState(1);
+  const [displayName, setDisplayName] = useState('');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    if (!needsSetup()) {
+      navigate('/login');
+    }
+  }, [navigate]);
+
+  const handleNext = (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!username.trim()) {
+      setError('Please choose a username');
+      return;
+    }
+    setStep(2);
+  };
+
+  const handleFinish = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await createUser({ username, displayName, password, role: 'owner' });
+      const result = await loginAdmin(username, password);
+      // Account exists now; if the backend refused it, sign in from the login page
+      navigate(result.success ? '/dashboard' : '/login');
+    } catch (err) {
+      console.error('❌ Setup failed:', err);
+      setError(err.message);
+      setStep(1);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <div style={{ textAlign: 'center', marginBottom: '2rem' }}>
+          <div style={{ fontSize: '4rem', marginBottom: '1rem' }}>🛠️</div>
+          <h2>Welcome</h2>
+          <p style={{ color: 'var(--md-on-surface-variant)', marginTop: '0.5rem' }}>
+            Step {step} of 2 — {step === 1 ? 'create the owner account' : 'choose a password'}
+          </p>
+        </div>
+
+        {step === 1 ? (
+          <form onSubmit={handleNext}>
+            <input
+              type="text"
+              placeholder="Your name (e.g. Ali Khan)"
+              value={displayName}
+              onChange={(e) => setDisplayName(e.target.value)}
+              autoFocus
+            />
+            <input
+              type="text"
+              placeholder="Username"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              autoComplete="username"
+              required
+            />
+
+            {error && <SetupError message={error} />}
+
+            <button type="submit" style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '0.5rem' }}>
+              Next <MdArrowForward size={20} />
+            </button>
+          </form>
+        ) : (
+          <form onSubmit={handleFinish}>
+            <input
+              type="password"
+              placeholder={`Password (min ${MIN_PASSWORD_LENGTH} characters)`}
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete="new-password"
+              required
+              autoFocus
+            />
+            <input
+              type="password"
+              placeholder="Confirm password"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              autoComplete="new-password"
+              required
+            />
+
+            {error && <SetupError message={error} />}
+
+            <button type="submit" disabled={loading} style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '0.5rem', marginBottom: '0.75rem' }}>
+              <MdCheckCircle size={20} />
+              {loading ? 'Creating account...' : 'Finish Setup'}
+            </button>
+            <button
+              type="button"
+              onClick={() => { setError(''); setStep(1); }}
+              disabled={loading}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                gap: '0.5rem',
+                background: 'transparent',
+                color: 'var(--md-primary)',
+                boxShadow: 'none'
+              }}
+            >
+              <MdArrowBack size={20} /> Back
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function SetupError({ message }) {
+  return (
+    <div style={{
+      padding: '0.75rem',
+      background: 'var(--md-error-container)',
+      color: 'var(--md-error)',
+      borderRadius: 'var(--md-sys-shape-corner-small)',
+      marginBottom: '1rem',
+      fontSize: '0.875rem',
+      fontWeight: 600
+    }}>
+      {message}
+    </div>
+  );
+}
+
+export default SetupWizard;
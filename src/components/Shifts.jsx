@@ -0,0 +1,320 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useShifts } from '../hooks/useShifts';
+import { formatZReport } from '../services/shifts';
+import { downloadBlob } from '../services/exporters';
+import {
+  MdArrowBack,
+  MdRefresh,
+  MdAccountBalanceWallet,
+  MdLockOpen,
+  MdLock,
+  MdPrint,
+  MdDownload,
+  MdReceiptLong
+} from 'react-icons/md';
+
+const formatMoney = (amount) => `Rs. ${Math.round(amount || 0).toLocaleString('en-PK')}`;
+
+const formatTime = (time) => new Date(time).toLocaleString('en-PK', {
+  day: 'numeric',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const cardStyle = {
+  background: 'white',
+  borderRadius: '12px',
+  boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+  padding: '1.5rem',
+  marginBottom: '1.5rem'
+};
+
+const inputStyle = {
+  width: '100%',
+  padding: '0.75rem',
+  border: '2px solid #e5e7eb',
+  borderRadius: '8px',
+  fontSize: '1rem',
+  marginBottom: '0.75rem'
+};
+
+const buttonStyle = (background) => ({
+  padding: '0.5rem 1rem',
+  background,
+  color: 'white',
+  border: 'none',
+  borderRadius: '8px',
+  fontWeight: 600,
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '0.5rem'
+});
+
+const escapeHtml = (text) => text.replace(/[&<>]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' }[ch]));
+
+function printZReport(shift) {
+  const win = window.open('', '_blank', 'width=420,height=640');
+  if (!win) {
+    alert('❌ Allow pop-ups to print the Z-report');
+    return;
+  }
+  win.document.write(`<html><head><title>Z-Report</title></head><body>
+    <pre style="font-family: monospace; font-size: 12px">${escapeHtml(formatZReport(shift))}</pre>
+  </body></html>`);
+  win.document.close();
+  win.focus();
+  win.print();
+}
+
+function saveZReport(shift) {
+  const stamp = new Date(shift.closedAt).toISOString().slice(0, 10);
+  downloadBlob(
+    new Blob([formatZReport(shift)], { type: 'text/plain' }),
+    `z-report-${shift.device}-${stamp}-${shift.id.slice(-6)}.txt`
+  );
+}
+
+function Figure({ label, value, color = '#111827' }) {
+  return (
+    <div>
+      <p style={{ fontSize: '0.75rem', color: '#6b7280', margin: '0 0 0.25rem', textTransform: 'uppercase', fontWeight: 600 }}>{label}</p>
+      <p style={{ fontSize: '1.25rem', fontWeight: 700, margin: 0, color }}>{value}</p>
+    </div>
+  );
+}
+
+function ZReportView({ shift, onClose }) {
+  return (
+    <div style={{ ...cardStyle, borderLeft: '4px solid #6200ea' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem', flexWrap: 'wrap', gap: '0.5rem' }}>
+        <h2 style={{ fontSize: '1.25rem', fontWeight: 700, margin: 0, display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          <MdReceiptLong size={24} /> Z-Report
+        </h2>
+        <div style={{ display: 'flex', gap: '0.5rem' }}>
+          <button onClick={() => printZReport(shift)} style={buttonStyle('#374151')}>
+            <MdPrint size={18} /> Print
+          </button>
+          <button onClick={() => saveZReport(shift)} style={buttonStyle('#6200ea')}>
+            <MdDownload size={18} /> Save
+          </button>
+          {onClose && (
+            <button onClick={onClose} style={{ ...buttonStyle('#f3f4f6'), color: '#374151' }}>Close</button>
+          )}
+        </div>
+      </div>
+      <pre style={{ background: '#f9fafb', padding: '1rem', borderRadius: '8px', fontSize: '0.8125rem', overflowX: 'auto', margin: 0 }}>
+        {formatZReport(shift)}
+      </pre>
+    </div>
+  );
+}
+
+/**
+ * Shifts - open the till with a float, close it with a cash count and
+ * produce the Z-report
+ */
+function Shifts() {
+  const navigate = useNavigate();
+  const { current, preview, history, loading, lastUpdated, refresh, open, close } = useShifts();
+  const [openingFloat, setOpeningFloat] = useState('');
+  const [countedCash, setCountedCash] = useState('');
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [viewing, setViewing] = useState(null);
+
+  const handleOpen = async () => {
+    setSaving(true);
+    try {
+      await open({ openingFloat, note });
+      setOpeningFloat('');
+      setNote('');
+    } catch (error) {
+      console.error('❌ Open shift error:', error);
+      alert(`❌ ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleClose = async () => {
+    if (!window.confirm('Close this shift? The Z-report will be final.')) return;
+
+    setSaving(true);
+    try {
+      let closed;
+      try {
+        closed = await close({ countedCash, note });
+      } catch (error) {
+        if (error.code !== 'incomplete') throw error;
+        if (!window.confirm(`${error.message}.\n\nClose anyway?`)) return;
+        closed = await close({ countedCash, note, allowIncomplete: true });
+      }
+      setCountedCash('');
+      setNote('');
+      setViewing(closed);
+    } catch (error) {
+      console.error('❌ Close shift error:', error);
+      alert(`❌ ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const counted = countedCash === '' ? null : Number(countedCash);
+  const variance = preview && counted != null && Number.isFinite(counted) ? counted - preview.expectedCash : null;
+
+  return (
+    <div className="app">
+      <main className="app-main" style={{ padding: '2rem' }}>
+        <div style={{ maxWidth: '900px', margin: '0 auto' }}>
+          <button
+            onClick={() => navigate('/dashboard')}
+            style={{ ...buttonStyle('transparent'), color: '#374151', padding: '0.5rem 0', marginBottom: '1rem' }}
+          >
+            <MdArrowBack size={20} /> Back to Orders
+          </button>
+
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1.5rem', flexWrap: 'wrap', gap: '1rem' }}>
+            <div>
+              <h1 style={{ fontSize: '2rem', fontWeight: 700, marginBottom: '0.5rem', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                <MdAccountBalanceWallet size={32} style={{ color: '#6200ea' }} /> Shifts
+              </h1>
+              <p style={{ fontSize: '0.875rem', color: '#6b7280', margin: 0 }}>
+                Last update: {lastUpdated ? lastUpdated.toLocaleTimeString() : '—'}
+              </p>
+            </div>
+            <button onClick={refresh} disabled={loading} style={buttonStyle('#10b981')}>
+              <MdRefresh size={18} /> Refresh
+            </button>
+          </div>
+
+          {viewing && <ZReportView shift={viewing} onClose={() => setViewing(null)} />}
+
+          {!current && !loading && (
+            <div style={cardStyle}>
+              <h2 style={{ fontSize: '1.25rem', fontWeight: 700, marginTop: 0 }}>Open Shift</h2>
+              <p style={{ color: '#6b7280', marginTop: 0 }}>Count the cash in the drawer before taking orders.</p>
+              <label style={{ fontWeight: 600, fontSize: '0.875rem' }}>Opening float (Rs.)</label>
+              <input
+                type="number"
+                min="0"
+                value={openingFloat}
+                onChange={(e) => setOpeningFloat(e.target.value)}
+                style={inputStyle}
+              />
+              <input
+                type="text"
+                placeholder="Note (optional)"
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                style={inputStyle}
+              />
+              <button onClick={handleOpen} disabled={saving || openingFloat === ''} style={buttonStyle('#10b981')}>
+                <MdLockOpen size={18} /> {saving ? 'Opening…' : 'Open Shift'}
+              </button>
+            </div>
+          )}
+
+          {current && preview && (
+            <div style={cardStyle}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', flexWrap: 'wrap', gap: '0.5rem' }}>
+                <h2 style={{ fontSize: '1.25rem', fontWeight: 700, margin: 0 }}>Current Shift</h2>
+                <span style={{ fontSize: '0.875rem', color: '#6b7280' }}>
+                  Opened {formatTime(current.openedAt)} by {current.openedBy?.username || '—'}
+                </span>
+              </div>
+
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))', gap: '1rem', margin: '1.5rem 0' }}>
+                <Figure label="Opening float" value={formatMoney(preview.openingFloat)} />
+                <Figure label={`Completed (${preview.completed.count})`} value={formatMoney(preview.completed.total)} />
+                <Figure label={`Refunds (${preview.refunds.count})`} value={formatMoney(preview.refunds.total)} color="#dc2626" />
+                <Figure label={`Cancelled (${preview.cancelled.count})`} value={formatMoney(preview.cancelled.total)} color="#6b7280" />
+                <Figure label="Expected cash" value={formatMoney(preview.expectedCash)} color="#6200ea" />
+              </div>
+
+              {preview.open.count > 0 && (
+                <p style={{ background: '#fffbeb', color: '#92400e', padding: '0.75rem', borderRadius: '8px' }}>
+                  ⚠️ {preview.open.count} order(s) from this shift are still in progress and aren't counted yet.
+                </p>
+              )}
+
+              <h3 style={{ fontSize: '1rem', fontWeight: 700 }}>Close Shift</h3>
+              <label style={{ fontWeight: 600, fontSize: '0.875rem' }}>Counted cash (Rs.)</label>
+              <input
+                type="number"
+                min="0"
+                value={countedCash}
+                onChange={(e) => setCountedCash(e.target.value)}
+                style={inputStyle}
+              />
+              {variance != null && (
+                <p style={{ fontWeight: 700, marginTop: 0, color: variance === 0 ? '#16a34a' : '#dc2626' }}>
+                  Variance: {variance > 0 ? '+' : ''}{formatMoney(variance)}
+                  {variance !== 0 && (variance > 0 ? ' (over)' : ' (short)')}
+                </p>
+              )}
+              <input
+                type="text"
+                placeholder="Note (optional, e.g. why the till is short)"
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                style={inputStyle}
+              />
+              <button onClick={handleClose} disabled={saving || countedCash === ''} style={buttonStyle('#dc2626')}>
+                <MdLock size={18} /> {saving ? 'Closing…' : 'Close Shift & Print Z-Report'}
+              </button>
+            </div>
+          )}
+
+          {/* Past shifts */}
+          <div style={{ ...cardStyle, padding: 0, overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.875rem' }}>
+              <thead>
+                <tr style={{ background: '#f9fafb', textAlign: 'left' }}>
+                  <th style={{ padding: '0.75rem 1rem' }}>Closed</th>
+                  <th style={{ padding: '0.75rem 1rem' }}>By</th>
+                  <th style={{ padding: '0.75rem 1rem', textAlign: 'right' }}>Net sales</th>
+                  <th style={{ padding: '0.75rem 1rem', textAlign: 'right' }}>Variance</th>
+                  <th style={{ padding: '0.75rem 1rem' }}>Synced</th>
+                  <th style={{ padding: '0.75rem 1rem' }} />
+                </tr>
+              </thead>
+              <tbody>
+                {history.map(shift => (
+                  <tr key={shift.id} style={{ borderTop: '1px solid #e5e7eb' }}>
+                    <td style={{ padding: '0.75rem 1rem', whiteSpace: 'nowrap' }}>{formatTime(shift.closedAt)}</td>
+                    <td style={{ padding: '0.75rem 1rem' }}>{shift.closedBy?.username || '—'}</td>
+                    <td style={{ padding: '0.75rem 1rem', textAlign: 'right' }}>{formatMoney(shift.report.netSales)}</td>
+                    <td style={{
+                      padding: '0.75rem 1rem',
+                      textAlign: 'right',
+                      fontWeight: 700,
+                      color: shift.report.variance === 0 ? '#16a34a' : '#dc2626'
+                    }}>
+                      {shift.report.variance > 0 ? '+' : ''}{formatMoney(shift.report.variance)}
+                    </td>
+                    <td style={{ padding: '0.75rem 1rem' }}>{shift.synced ? '✅' : '⏳'}</td>
+                    <td style={{ padding: '0.75rem 1rem' }}>
+                      <button onClick={() => setViewing(shift)} style={{ ...buttonStyle('#f3f4f6'), color: '#374151' }}>
+                        <MdReceiptLong size={16} /> Z-Report
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {history.length === 0 && (
+              <p style={{ padding: '2rem', textAlign: 'center', color: '#9ca3af' }}>No closed shifts on this till yet</p>
+            )}
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
+
+export default Shifts;
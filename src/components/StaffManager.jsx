@@ -0,0 +1,506 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { isAdminLoggedIn, getCurrentUser } from '../services/auth';
+import { endSession } from '../services/session';
+import { hasPermission, ROLES, ROLE_LABELS, normalizeRole } from '../services/permissions';
+import {
+  listUsers,
+  createUser,
+  setUserDisabled,
+  setUserRole,
+  resetPassword,
+  MIN_PASSWORD_LENGTH
+} from '../services/users';
+import {
+  MdAdd,
+  MdClose,
+  MdSave,
+  MdDashboard,
+  MdLogout,
+  MdBlock,
+  MdCheckCircle,
+  MdVpnKey
+} from 'react-icons/md';
+
+const emptyForm = {
+  username: '',
+  displayName: '',
+  password: '',
+  role: ROLES.CASHIER
+};
+
+function StaffManager() {
+  const [users, setUsers] = useState([]);
+  const [showAddForm, setShowAddForm] = useState(false);
+  const [resettingUser, setResettingUser] = useState(null);
+  const [newPassword, setNewPassword] = useState('');
+  const [formData, setFormData] = useState(emptyForm);
+  const [loading, setLoading] = useState(false);
+  const navigate = useNavigate();
+  const currentUser = getCurrentUser();
+
+  useEffect(() => {
+    if (!isAdminLoggedIn()) {
+      navigate('/login');
+      return;
+    }
+    loadUsers();
+  }, [navigate]);
+
+  if (!currentUser) {
+    return null;
+  }
+
+  if (!hasPermission('staff:manage')) {
+    return (
+      <div style={{ padding: '3rem', textAlign: 'center', color: '#6b7280' }}>
+        <div style={{ fontSize: '3rem', marginBottom: '1rem' }}>🔒</div>
+        <p style={{ fontSize: '1.125rem', fontWeight: 600 }}>Only the owner can manage staff accounts</p>
+        <button onClick={() => navigate('/dashboard')} style={{ marginTop: '1rem' }}>Back to Orders</button>
+      </div>
+    );
+  }
+
+  function loadUsers() {
+    setUsers(listUsers());
+  }
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      await createUser(formData);
+      alert('✅ Staff account created!');
+      setShowAddForm(false);
+      setFormData(emptyForm);
+      loadUsers();
+    } catch (error) {
+      console.error('❌ Create user error:', error);
+      alert('Failed to create account: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleToggleDisabled = (user) => {
+    if (user.id === currentUser.userId) {
+      alert('⚠️ You cannot disable your own account');
+      return;
+    }
+
+    const action = user.disabled ? 'Enable' : 'Disable';
+    if (!window.confirm(`${action} account "${user.username}"?`)) return;
+
+    try {
+      setUserDisabled(user.id, !user.disabled);
+      loadUsers();
+    } catch (error) {
+      console.error('❌ Toggle user error:', error);
+      alert(`Failed to ${action.toLowerCase()} account: ` + error.message);
+    }
+  };
+
+  const handleRoleChange = (user, role) => {
+    try {
+      setUserRole(user.id, role);
+      loadUsers();
+    } catch (error) {
+      console.error('❌ Change role error:', error);
+      alert('Failed to change role: ' + error.message);
+    }
+  };
+
+  const handleResetPassword = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      await resetPassword(resettingUser.id, newPassword);
+      alert(`✅ Password reset for ${resettingUser.username}`);
+      setResettingUser(null);
+      setNewPassword('');
+    } catch (error) {
+      console.error('❌ Reset password error:', error);
+      alert('Failed to reset password: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleLogout = () => {
+    if (window.confirm('Logout from admin panel?')) {
+      endSession('logout');
+      navigate('/login');
+    }
+  };
+
+  const inputStyle = {
+    width: '100%',
+    padding: '0.75rem',
+    border: '1px solid #d1d5db',
+    borderRadius: '8px',
+    fontSize: '1rem',
+    marginBottom: '1rem'
+  };
+
+  const labelStyle = {
+    display: 'block',
+    marginBottom: '0.5rem',
+    fontWeight: 600
+  };
+
+  return (
+    <div className="app">
+      {/* Header with Navigation */}
+      <header className="app-header" style={{
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        padding: '1rem 2rem',
+        background: 'white',
+        borderBottom: '1px solid #e5e7eb',
+        position: 'sticky',
+        top: 0,
+        zIndex: 100
+      }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
+          <MdDashboard size={32} style={{ color: '#6200ea' }} />
+          <div>
+            <h1 style={{ fontSize: '1.5rem', fontWeight: 700, margin: 0 }}>Admin Panel</h1>
+            <p style={{ fontSize: '0.875rem', color: '#6b7280', margin: 0 }}>Staff Accounts</p>
+          </div>
+        </div>
+
+        <div style={{ display: 'flex', gap: '1rem' }}>
+          <button
+            onClick={() => navigate('/dashboard')}
+            style={{
+              padding: '0.5rem 1.5rem',
+              background: 'transparent',
+              color: '#374151',
+              border: 'none',
+              borderRadius: '8px',
+              fontWeight: 600,
+              cursor: 'pointer',
+              fontSize: '1rem'
+            }}
+          >
+            📊 Orders
+          </button>
+          <button
+            style={{
+              padding: '0.5rem 1.5rem',
+              background: '#6200ea',
+              color: 'white',
+              border: 'none',
+              borderRadius: '8px',
+              fontWeight: 600,
+              cursor: 'pointer',
+              fontSize: '1rem'
+            }}
+          >
+            👥 Staff
+          </button>
+        </div>
+
+        <button
+          onClick={handleLogout}
+          style={{
+            padding: '0.5rem 1rem',
+            background: '#dc2626',
+            color: 'white',
+            border: 'none',
+            borderRadius: '8px',
+            fontWeight: 600,
+            cursor: 'pointer',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.5rem'
+          }}
+        >
+          <MdLogout size={20} />
+          Logout
+        </button>
+      </header>
+
+      <main className="app-main" style={{ padding: '2rem' }}>
+        <div style={{ maxWidth: '1000px', margin: '0 auto' }}>
+          <div style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            marginBottom: '2rem'
+          }}>
+            <div>
+              <h1 style={{ fontSize: '2rem', fontWeight: 700, marginBottom: '0.5rem' }}>
+                Staff Accounts
+              </h1>
+              <p style={{ fontSize: '0.875rem', color: '#6b7280', margin: 0 }}>
+                Create logins for your team and control who can access the panel
+              </p>
+            </div>
+
+            <button
+              onClick={() => setShowAddForm(true)}
+              disabled={loading}
+              style={{
+                padding: '0.75rem 1.5rem',
+                background: '#6200ea',
+                color: 'white',
+                border: 'none',
+                borderRadius: '12px',
+                fontWeight: 700,
+                cursor: loading ? 'not-allowed' : 'pointer',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.5rem'
+              }}
+            >
+              <MdAdd size={22} />
+              Add Staff
+            </button>
+          </div>
+
+          {/* Create Account Modal */}
+          {showAddForm && (
+            <StaffModal title="Add Staff Account" onClose={() => { setShowAddForm(false); setFormData(emptyForm); }}>
+              <form onSubmit={handleCreate}>
+                <label style={labelStyle}>Full Name</label>
+                <input
+                  type="text"
+                  name="displayName"
+                  value={formData.displayName}
+                  onChange={handleInputChange}
+                  placeholder="e.g., Sara Ahmed"
+                  style={inputStyle}
+                />
+
+                <label style={labelStyle}>Username *</label>
+                <input
+                  type="text"
+                  name="username"
+                  value={formData.username}
+                  onChange={handleInputChange}
+                  required
+                  placeholder="e.g., sara"
+                  style={inputStyle}
+                />
+
+                <label style={labelStyle}>Temporary Password *</label>
+                <input
+                  type="password"
+                  name="password"
+                  value={formData.password}
+                  onChange={handleInputChange}
+                  required
+                  minLength={MIN_PASSWORD_LENGTH}
+                  placeholder={`At least ${MIN_PASSWORD_LENGTH} characters`}
+                  autoComplete="new-password"
+                  style={inputStyle}
+                />
+
+                <label style={labelStyle}>Role</label>
+                <select name="role" value={formData.role} onChange={handleInputChange} style={inputStyle}>
+                  {Object.values(ROLES).map(role => (
+                    <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                  ))}
+                </select>
+
+                <ModalActions loading={loading} onCancel={() => { setShowAddForm(false); setFormData(emptyForm); }} submitLabel="Create Account" />
+              </form>
+            </StaffModal>
+          )}
+
+          {/* Reset Password Modal */}
+          {resettingUser && (
+            <StaffModal title={`Reset password — ${resettingUser.username}`} onClose={() => { setResettingUser(null); setNewPassword(''); }}>
+              <form onSubmit={handleResetPassword}>
+                <label style={labelStyle}>New Password *</label>
+                <input
+                  type="password"
+                  value={newPassword}
+                  onChange={(e) => setNewPassword(e.target.value)}
+                  required
+                  minLength={MIN_PASSWORD_LENGTH}
+                  placeholder={`At least ${MIN_PASSWORD_LENGTH} characters`}
+                  autoComplete="new-password"
+                  autoFocus
+                  style={inputStyle}
+                />
+                <ModalActions loading={loading} onCancel={() => { setResettingUser(null); setNewPassword(''); }} submitLabel="Reset Password" />
+              </form>
+            </StaffModal>
+          )}
+
+          {/* Staff List */}
+          <div style={{ background: 'white', borderRadius: '12px', boxShadow: '0 2px 4px rgba(0,0,0,0.1)', overflow: 'hidden' }}>
+            {users.map(user => (
+              <div key={user.id} style={{
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'space-between',
+                padding: '1rem 1.5rem',
+                borderBottom: '1px solid #e5e7eb',
+                opacity: user.disabled ? 0.6 : 1
+              }}>
+                <div>
+                  <div style={{ fontWeight: 700, fontSize: '1.1rem' }}>
+                    {user.displayName}
+                    {user.id === currentUser.userId && (
+                      <span style={{ marginLeft: '0.5rem', fontSize: '0.75rem', color: '#6b7280' }}>(you)</span>
+                    )}
+                  </div>
+                  <div style={{ fontSize: '0.875rem', color: '#6b7280' }}>
+                    @{user.username} • {ROLE_LABELS[normalizeRole(user.role)]}
+                    {user.disabled && <span style={{ color: '#dc2626', fontWeight: 600 }}> • Disabled</span>}
+                  </div>
+                </div>
+
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                  <select
+                    value={normalizeRole(user.role)}
+                    onChange={(e) => handleRoleChange(user, e.target.value)}
+                    disabled={user.id === currentUser.userId}
+                    style={{
+                      padding: '0.5rem',
+                      border: '1px solid #d1d5db',
+                      borderRadius: '6px',
+                      fontWeight: 600
+                    }}
+                  >
+                    {Object.values(ROLES).map(role => (
+                      <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => setResettingUser(user)}
+                    style={{
+                      padding: '0.5rem 1rem',
+                      background: '#0ea5e9',
+                      color: 'white',
+                      border: 'none',
+                      borderRadius: '6px',
+                      fontWeight: 600,
+                      cursor: 'pointer',
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: '0.25rem'
+                    }}
+                  >
+                    <MdVpnKey size={16} /> Reset Password
+                  </button>
+                  <button
+                    onClick={() => handleToggleDisabled(user)}
+                    disabled={user.id === currentUser.userId}
+                    style={{
+                      padding: '0.5rem 1rem',
+                      background: user.disabled ? '#10b981' : '#ef4444',
+                      color: 'white',
+                      border: 'none',
+                      borderRadius: '6px',
+                      fontWeight: 600,
+                      cursor: user.id === currentUser.userId ? 'not-allowed' : 'pointer',
+                      opacity: user.id === currentUser.userId ? 0.5 : 1,
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: '0.25rem'
+                    }}
+                  >
+                    {user.disabled ? <><MdCheckCircle size={16} /> Enable</> : <><MdBlock size={16} /> Disable</>}
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
+
+function StaffModal({ title, onClose, children }) {
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      background: 'rgba(0,0,0,0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000,
+      padding: '1rem'
+    }}>
+      <div style={{
+        background: 'white',
+        borderRadius: '12px',
+        padding: '2rem',
+        maxWidth: '480px',
+        width: '100%'
+      }}>
+        <div style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: '1.5rem'
+        }}>
+          <h2 style={{ fontSize: '1.5rem', fontWeight: 700 }}>{title}</h2>
+          <button onClick={onClose} style={{ background: 'none', border: 'none', cursor: 'pointer', padding: '0.5rem' }}>
+            <MdClose size={24} />
+          </button>
+        </div>
+        {children}
+      </div>
+    </div>
+  );
+}
+
+function ModalActions({ loading, onCancel, submitLabel }) {
+  return (
+    <div style={{ display: 'flex', gap: '1rem', justifyContent: 'flex-end' }}>
+      <button
+        type="button"
+        onClick={onCancel}
+        style={{
+          padding: '0.75rem 1.5rem',
+          background: '#6b7280',
+          color: 'white',
+          border: 'none',
+          borderRadius: '8px',
+          fontWeight: 600,
+          cursor: 'pointer'
+        }}
+      >
+        Cancel
+      </button>
+      <button
+        type="submit"
+        disabled={loading}
+        style={{
+          padding: '0.75rem 1.5rem',
+          background: '#10b981',
+          color: 'white',
+          border: 'none',
+          borderRadius: '8px',
+          fontWeight: 600,
+          cursor: loading ? 'not-allowed' : 'pointer',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '0.5rem',
+          opacity: loading ? 0.5 : 1
+        }}
+      >
+        <MdSave size={20} />
+        {loading ? 'Saving...' : submitLabel}
+      </button>
+    </div>
+  );
+}
+
+export default StaffManager;
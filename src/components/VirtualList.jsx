@@ -0,0 +1,136 @@
+import React, { useState, useEffect, useLayoutEffect, useRef, useMemo, useCallback } from 'react';
+
+/**
+ * Window-scrolled list that only renders the rows near the viewport
+ * Rows may have any height (and change it, e.g. when expanded): each rendered
+ * row is measured and unmeasured rows use `estimatedHeight`.
+ * @param {Object} props
+ *   - items: Array
+ *   - getKey(item): stable key
+ *   - renderItem(item, index): row content
+ *   - estimatedHeight: px, for rows not rendered yet
+ *   - overscan: px rendered above and below the viewport
+ *   - onEndReached(): called when the last rows come into view (load more)
+ */
+function VirtualList({ items, getKey, renderItem, estimatedHeight = 120, overscan = 800, onEndReached }) {
+  const containerRef = useRef(null);
+  const heightsRef = useRef(new Map());
+  const observerRef = useRef(null);
+  const frameRef = useRef(null);
+  const [viewport, setViewport] = useState({ top: 0, bottom: 0 });
+  const [measured, setMeasured] = useState(0);
+
+  // Top offset of every row, plus the total height at the end
+  const offsets = useMemo(() => {
+    const result = new Array(items.length + 1);
+    result[0] = 0;
+    for (let i = 0; i < items.length; i++) {
+      result[i + 1] = result[i] + (heightsRef.current.get(String(getKey(items[i]))) ?? estimatedHeight);
+    }
+    return result;
+    // `measured` changes whenever a row height does
+  }, [items, getKey, estimatedHeight, measured]);
+
+  const updateViewport = useCallback(() => {
+    frameRef.current = null;
+    if (!containerRef.current) return;
+    const containerTop = containerRef.current.getBoundingClientRect().top;
+    const top = Math.max(0, -containerTop - overscan);
+    const bottom = -containerTop + window.innerHeight + overscan;
+    setViewport(prev => (prev.top === top && prev.bottom === bottom ? prev : { top, bottom }));
+  }, [overscan]);
+
+  useEffect(() => {
+    const schedule = () => {
+      if (frameRef.current == null) frameRef.current = requestAnimationFrame(updateViewport);
+    };
+    updateViewport();
+    window.addEventListener('scroll', schedule, { passive: true });
+    window.addEventListener('resize', schedule);
+    return () => {
+      window.removeEventListener('scroll', schedule);
+      window.removeEventListener('resize', schedule);
+      if (frameRef.current != null) cancelAnimationFrame(frameRef.current);
+    };
+  }, [updateViewport]);
+
+  // One observer for every rendered row; a height change re-lays out the list.
+  // Created on first use because row refs attach before effects run.
+  const getObserver = useCallback(() => {
+    if (!observerRef.current && typeof ResizeObserver !== 'undefined') {
+      observerRef.current = new ResizeObserver(entries => {
+        let changed = false;
+        entries.forEach(entry => {
+          const key = entry.target.dataset.key;
+          const height = entry.target.offsetHeight;
+          if (heightsRef.current.get(key) !== height) {
+            heightsRef.current.set(key, height);
+            changed = true;
+          }
+        });
+        if (changed) setMeasured(n => n + 1);
+      });
+    }
+    return observerRef.current;
+  }, []);
+
+  useEffect(() => () => {
+    observerRef.current?.disconnect();
+    observerRef.current = null;
+  }, []);
+
+  const measureRow = useCallback((node) => {
+    if (!node) return undefined;
+    const key = node.dataset.key;
+    if (!heightsRef.current.has(key)) {
+      heightsRef.current.set(key, node.offsetHeight);
+    }
+    const observer = getObserver();
+    observer?.observe(node);
+    return () => observer?.unobserve(node);
+  }, [getObserver]);
+
+  // First row whose bottom is below the top of the viewport (binary search)
+  const findIndex = (position) => {
+    let low = 0;
+    let high = items.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (offsets[mid + 1] <= position) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  };
+
+  const start = findIndex(viewport.top);
+  const end = Math.min(items.length, findIndex(viewport.bottom) + 1);
+  const total = offsets[items.length];
+
+  // New measurements can shift rows; make sure the range is still right
+  useLayoutEffect(() => {
+    updateViewport();
+  }, [measured, items.length, updateViewport]);
+
+  const reachedEnd = items.length > 0 && end >= items.length;
+  useEffect(() => {
+    if (reachedEnd && onEndReached) onEndReached();
+  }, [reachedEnd, onEndReached]);
+
+  return (
+    <div ref={containerRef} style={{ position: 'relative' }}>
+      <div style={{ height: offsets[start] }} />
+      {items.slice(start, end).map((item, i) => {
+        const key = String(getKey(item));
+        return (
+          // flow-root keeps the row's margins inside its measured height
+          <div key={key} data-key={key} ref={measureRow} style={{ display: 'flow-root' }}>
+            {renderItem(item, start + i)}
+          </div>
+        );
+      })}
+      <div style={{ height: total - offsets[end] }} />
+    </div>
+  );
+}
+
+export default VirtualList;
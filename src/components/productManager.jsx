@@ -1,6 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { isAdminLoggedIn, logout } from '../services/auth';
+import { isAdminLoggedIn } from '../services/auth';
+import { endSession } from '../services/session';
+import { useProducts } from '../hooks/useProducts';
+import { PRODUCT_CATEGORIES } from '../services/productRepository';
 import { useNetwork } from '../context/NetworkContext';
 import {
   MdAdd,
@@ -14,10 +17,21 @@ import {
 } from 'react-icons/md';
 
 function ProductsManager() {
-  const [products, setProducts] = useState([]);
+  const {
+    products,
+    loading: loadingProducts,
+    error: productsError,
+    stale,
+    outbox,
+    create,
+    update,
+    remove,
+    resolve
+  } = useProducts();
   const [showAddForm, setShowAddForm] = useState(false);
   const [editingProduct, setEditingProduct] = useState(null);
-  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const loading = saving || loadingProducts;
   const [imagePreview, setImagePreview] = useState(null);
   const network = useNetwork();
   const navigate = useNavigate();
@@ -39,7 +53,6 @@ function ProductsManager() {
       navigate('/login');
       return;
     }
-    loadProducts();
   }, [navigate]);
 
   // Return null if not authenticated
@@ -47,23 +60,6 @@ function ProductsManager() {
     return null;
   }
 
-  const loadProducts = async () => {
-    setLoading(true);
-    try {
-      const response = await fetch(`${network.serverUrl}/api/products`);
-      if (response.ok) {
-        const data = await response.json();
-        setProducts(data);
-        console.log('✅ Loaded products:', data.length);
-      }
-    } catch (error) {
-      console.error('❌ Load products error:', error);
-      alert('Failed to load products: ' + error.message);
-    } finally {
-      setLoading(false);
-    }
-  };
-
   const handleInputChange = (e) => {
     const { name, value, type, checked } = e.target;
     setFormData(prev => ({
@@ -99,8 +95,16 @@ function ProductsManager() {
     }
   };
 
-  const generateProductId = () => {
-    return 'prod_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  // Explain where a save ended up (server, offline queue, or stuck)
+  const describeSave = (result, doneMessage) => {
+    if (result.synced) return doneMessage;
+    if (result.conflict) {
+      return '⚠️ Saved on this device, but the server copy was changed elsewhere. Resolve it under "Unsynced changes".';
+    }
+    if (result.error) {
+      return `⚠️ Saved on this device, but the server rejected it: ${result.error}`;
+    }
+    return '📥 Saved on this device - it will sync when the server is reachable.';
   };
 
   const handleAddProduct = async (e) => {
@@ -111,96 +115,75 @@ function ProductsManager() {
       return;
     }
 
-    setLoading(true);
+    setSaving(true);
 
     try {
-      const productData = {
+      const result = await create({
         ...formData,
-        id: generateProductId(),
         price: parseFloat(formData.price)
-      };
-
-      const response = await fetch(`${network.serverUrl}/api/products`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(productData)
       });
 
-      if (response.ok) {
-        alert('✅ Product added successfully!');
-        setShowAddForm(false);
-        resetForm();
-        loadProducts();
-      } else {
-        const errorData = await response.json().catch(() => ({}));
-        const errorMsg = errorData.error || errorData.message || `Server error: ${response.status}`;
-        throw new Error(errorMsg);
-      }
+      alert(describeSave(result, '✅ Product added successfully!'));
+      setShowAddForm(false);
+      resetForm();
     } catch (error) {
       console.error('❌ Add product error:', error);
       console.error('Server URL:', network.serverUrl);
       console.error('Network status:', network.isOnline ? 'Online' : 'Offline');
       alert('Failed to add product: ' + error.message + '\n\nServer: ' + network.serverUrl);
     } finally {
-      setLoading(false);
+      setSaving(false);
     }
   };
 
   const handleUpdateProduct = async (e) => {
     e.preventDefault();
-    setLoading(true);
+    setSaving(true);
 
     try {
-      const productData = {
+      const result = await update(editingProduct.id, {
         ...formData,
         price: parseFloat(formData.price)
-      };
-
-      const response = await fetch(`${network.serverUrl}/api/products/${editingProduct.id}`, {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(productData)
       });
 
-      if (response.ok) {
-        alert('✅ Product updated successfully!');
-        setEditingProduct(null);
-        resetForm();
-        loadProducts();
-      } else {
-        throw new Error('Failed to update product');
-      }
+      alert(describeSave(result, '✅ Product updated successfully!'));
+      setEditingProduct(null);
+      resetForm();
     } catch (error) {
       console.error('❌ Update product error:', error);
       alert('Failed to update product: ' + error.message);
     } finally {
-      setLoading(false);
+      setSaving(false);
     }
   };
 
   const handleDeleteProduct = async (productId) => {
     if (!window.confirm('Are you sure you want to delete this product?')) return;
 
-    setLoading(true);
+    setSaving(true);
     try {
-      const response = await fetch(`${network.serverUrl}/api/products/${productId}`, {
-        method: 'DELETE'
-      });
-
-      if (response.ok) {
-        alert('✅ Product deleted!');
-        loadProducts();
-      } else {
-        throw new Error('Failed to delete product');
-      }
+      const result = await remove(productId);
+      alert(describeSave(result, '✅ Product deleted!'));
     } catch (error) {
       console.error('❌ Delete product error:', error);
       alert('Failed to delete product: ' + error.message);
     } finally {
-      setLoading(false);
+      setSaving(false);
+    }
+  };
+
+  const handleResolve = async (entryId, choice) => {
+    try {
+      await resolve(entryId, choice);
+    } catch (error) {
+      console.error('❌ Resolve product change error:', error);
+      alert('Failed to resolve change: ' + error.message);
     }
   };
 
+  const pendingChanges = outbox.filter(entry => entry.status === 'pending').length;
+  const stuckChanges = outbox.filter(entry => entry.status !== 'pending');
+
   const startEdit = (product) => {
     setEditingProduct(product);
     setFormData({
@@ -238,18 +221,11 @@ function ProductsManager() {
 
   const handleLogout = () => {
     if (window.confirm('Logout from admin panel?')) {
-      logout();
+      endSession('logout');
       navigate('/login');
     }
   };
 
-  const categories = [
-    { value: 'food', label: 'Food' },
-    { value: 'drinks', label: 'Drinks' },
-    { value: 'desserts', label: 'Desserts' },
-    { value: 'snacks', label: 'Snacks' }
-  ];
-
   return (
     <div className="app">
       {/* Header with Navigation */}
@@ -631,7 +607,7 @@ function ProductsManager() {
                         fontSize: '1rem'
                       }}
                     >
-                      {categories.map(cat => (
+                      {PRODUCT_CATEGORIES.map(cat => (
                         <option key={cat.value} value={cat.value}>
                           {cat.label}
                         </option>
@@ -739,6 +715,79 @@ function ProductsManager() {
             </div>
           )}
 
+          {(stale || productsError) && !loadingProducts && (
+            <div style={{
+              padding: '0.75rem 1rem',
+              marginBottom: '1rem',
+              background: '#fef3c7',
+              color: '#92400e',
+              borderRadius: '8px',
+              fontSize: '0.875rem',
+              fontWeight: 600
+            }}>
+              {network.isOnline
+                ? `⚠️ Could not load products from the server${productsError ? `: ${productsError.message}` : ''}`
+                : '📵 Offline'}
+              {stale && ' — showing the catalog saved on this device'}
+            </div>
+          )}
+
+          {/* Unsynced changes */}
+          {(pendingChanges > 0 || stuckChanges.length > 0) && (
+            <div style={{
+              padding: '1rem',
+              marginBottom: '1.5rem',
+              background: 'white',
+              border: '1px solid #fcd34d',
+              borderRadius: '12px'
+            }}>
+              <h3 style={{ fontSize: '1rem', fontWeight: 700, margin: 0 }}>Unsynced changes</h3>
+              {pendingChanges > 0 && (
+                <p style={{ fontSize: '0.875rem', color: '#6b7280', margin: '0.5rem 0 0' }}>
+                  📥 {pendingChanges} change{pendingChanges === 1 ? '' : 's'} waiting for the server
+                </p>
+              )}
+              {stuckChanges.map(entry => {
+                const name = entry.payload?.name || entry.serverProduct?.name || entry.productId;
+                const isConflict = entry.status === 'conflict';
+                return (
+                  <div key={entry.id} style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'space-between',
+                    gap: '1rem',
+                    flexWrap: 'wrap',
+                    paddingTop: '0.75rem',
+                    marginTop: '0.75rem',
+                    borderTop: '1px solid #f3f4f6'
+                  }}>
+                    <div style={{ fontSize: '0.875rem' }}>
+                      <strong>{name}</strong>
+                      <span style={{ color: '#6b7280', textTransform: 'capitalize' }}> ({entry.type})</span>
+                      <div style={{ color: isConflict ? '#b45309' : '#dc2626' }}>
+                        {isConflict ? '⚠️ ' : '❌ '}{entry.lastError}
+                      </div>
+                    </div>
+                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                      <button
+                        onClick={() => handleResolve(entry.id, 'local')}
+                        style={{ padding: '0.4rem 0.9rem', background: '#6200ea', color: 'white', border: 'none', borderRadius: '6px', fontWeight: 600, cursor: 'pointer' }}
+                      >
+                        {isConflict ? 'Keep mine' : 'Retry'}
+                      </button>
+                      <button
+                        onClick={() => handleResolve(entry.id, 'server')}
+                        style={{ padding: '0.4rem 0.9rem', background: '#e5e7eb', color: '#374151', border: 'none', borderRadius: '6px', fontWeight: 600, cursor: 'pointer' }}
+                      >
+                        {isConflict ? 'Use server copy' : 'Discard'}
+                      </button>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
           {/* Products Grid */}
           {loading && !showAddForm ? (
             <div style={{
@@ -838,6 +887,18 @@ function ProductsManager() {
                       {product.category}
                     </div>
 
+                    {(product._pending || product._conflict) && (
+                      <div style={{
+                        textAlign: 'center',
+                        fontSize: '0.75rem',
+                        fontWeight: 700,
+                        color: product._conflict ? '#b45309' : '#6b7280',
+                        marginBottom: '0.5rem'
+                      }}>
+                        {product._conflict ? '⚠️ Needs review' : '⏳ Not synced yet'}
+                      </div>
+                    )}
+
                     <p style={{
                       fontSize: '0.875rem',
                       color: '#6b7280',
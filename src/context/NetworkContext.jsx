@@ -5,6 +5,9 @@ import {
   invalidateServerCache,
   startHealthChecks
 } from '../utils/network';
+import { flushProductOutbox } from '../services/productOutbox';
+import { pushQueuedOrders } from '../services/orderRepository';
+import { getQueueStats } from '../services/offlineQueue';
 
 const NetworkContext = createContext(null);
 
@@ -90,40 +93,15 @@ export function NetworkProvider({ children }) {
     const tryFlush = async () => {
       if (!isOnline || !serverUrl) return;
 
+      // Product edits made offline
+      flushProductOutbox().catch(err => {
+        console.warn('⚠️ Product outbox flush failed:', err.message);
+      });
+
       try {
-        // Check if there's an offline queue module
-        const queueModule = await import('../services/offlineQueue').catch(() => null);
-        if (!queueModule) return;
-
-        const queued = await queueModule.getQueuedOrders?.(true);
-        if (!queued || queued.length === 0) {
-          setQueuedCount(0);
-          return;
-        }
-
-        setQueuedCount(queued.length);
-        console.log(`📤 Auto-syncing ${queued.length} queued orders...`);
-
-        // POST batch
-        const resp = await fetch(`${serverUrl}/sync/batch`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(queued)
-        });
-
-        if (resp.ok || resp.status === 202 || resp.status === 207) {
-          const data = await resp.json();
-          console.log('✅ Sync successful:', data);
-          
-          // Mark orders as synced
-          if (data.synced && data.synced > 0) {
-            const ids = (data.orders || []).map(o => o.id).filter(Boolean);
-            if (ids.length && queueModule.markOrdersAsSynced) {
-              await queueModule.markOrdersAsSynced(ids);
-              setQueuedCount(0);
-            }
-          }
-        }
+        // Same path as loading orders, so an order is never posted twice
+        await pushQueuedOrders();
+        setQueuedCount((await getQueueStats()).unsynced);
       } catch (err) {
         console.warn('⚠️ Auto-sync attempt failed:', err.message);
       }
@@ -0,0 +1,87 @@
+import { useState, useEffect, useRef } from 'react';
+import { subscribeToOrderFeed } from '../services/orderFeed';
+import {
+  getNotificationSettings,
+  notifyNewOrder,
+  notifyEscalation,
+  findStalePendingOrders,
+  planEscalations,
+  setTitleBadge,
+  unlockAudio
+} from '../services/notifications';
+import { orderKey } from './useOrders';
+
+const ESCALATION_CHECK_MS = 30 * 1000;
+
+/**
+ * Sound/desktop alerts for new orders, a pending-count title badge and
+ * reminders for orders left pending too long
+ * @param {Array} orders - Current order list (for the badge and escalation)
+ * @returns {Object} - {staleOrders: {orderKey: true}}
+ */
+export function useOrderNotifications(orders) {
+  const [staleOrders, setStaleOrders] = useState({});
+  const ordersRef = useRef(orders);
+  ordersRef.current = orders;
+  // orderKey -> last time we escalated it
+  const escalatedRef = useRef({});
+  // Orders already stale when the list first loads aren't announced all at once
+  const seededRef = useRef(false);
+
+  // Audio can only start after the user has interacted with the page
+  useEffect(() => {
+    const unlock = () => unlockAudio();
+    window.addEventListener('pointerdown', unlock);
+    window.addEventListener('keydown', unlock);
+    return () => {
+      window.removeEventListener('pointerdown', unlock);
+      window.removeEventListener('keydown', unlock);
+    };
+  }, []);
+
+  useEffect(() => {
+    return subscribeToOrderFeed((event) => {
+      if (event.type === 'created' && event.order.status === 'pending') {
+        notifyNewOrder(event.order);
+      } else if (event.type === 'backfill') {
+        const missed = event.orders.filter(o => o.status === 'pending');
+        if (missed.length > 0) notifyNewOrder(missed[0]);
+      }
+    });
+  }, []);
+
+  const pendingCount = orders.filter(o => o.status === 'pending').length;
+
+  useEffect(() => {
+    setTitleBadge(pendingCount);
+  }, [pendingCount]);
+
+  useEffect(() => () => setTitleBadge(0), []);
+
+  useEffect(() => {
+    const check = () => {
+      const { escalateAfterMinutes } = getNotificationSettings();
+      const stale = findStalePendingOrders(ordersRef.current, escalateAfterMinutes);
+
+      // Remind again every threshold period until someone acts on it
+      const { due, escalated } = planEscalations(stale, escalatedRef.current, {
+        keyOf: orderKey,
+        repeatMs: escalateAfterMinutes * 60 * 1000,
+        seed: !seededRef.current
+      });
+      escalatedRef.current = escalated;
+      if (ordersRef.current.length > 0) seededRef.current = true;
+      notifyEscalation(due);
+
+      setStaleOrders(Object.fromEntries(stale.map(o => [orderKey(o), true])));
+    };
+
+    check();
+    const timer = setInterval(check, ESCALATION_CHECK_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  return { staleOrders };
+}
+
+export default useOrderNotifications;
@@ -0,0 +1,47 @@
+import { useState, useEffect, useMemo } from 'react';
+import { searchOrders } from '../services/orderRepository';
+import { applyOrderQuery, hasExtraFilters } from '../services/orderSearch';
+
+/**
+ * Orders matching a search query
+ * Online the loaded list is filtered in memory. Offline the IndexedDB cache
+ * is searched through its indexes, and re-searched whenever the query or the
+ * loaded orders change.
+ * @param {Object} query - Parsed with orderSearch.parseOrderQuery (keep it memoized)
+ * @param {Array} orders - The loaded orders, newest first
+ * @param {Object} options - {fromCache: search the IndexedDB cache}
+ * @returns {Array}
+ */
+export function useOrderSearch(query, orders, { fromCache = false } = {}) {
+  // The loaded list is already newest first, so the default view needs no work
+  const unfiltered = query.status === 'all' && query.sort === 'newest' && !hasExtraFilters(query);
+  const inMemory = useMemo(
+    () => (unfiltered ? orders : applyOrderQuery(orders, query)),
+    [unfiltered, orders, query]
+  );
+  const [cached, setCached] = useState(null);
+  const useCache = fromCache && !unfiltered;
+
+  useEffect(() => {
+    if (!useCache) {
+      setCached(null);
+      return undefined;
+    }
+    let cancelled = false;
+
+    searchOrders(query)
+      .then(found => {
+        if (!cancelled) setCached(found);
+      })
+      .catch(error => {
+        console.warn('⚠️ Cache search failed, filtering loaded orders:', error.message);
+        if (!cancelled) setCached(null);
+      });
+
+    return () => { cancelled = true; };
+  }, [useCache, query, orders]);
+
+  return useCache && cached ? cached : inMemory;
+}
+
+export default useOrderSearch;
@@ -0,0 +1,233 @@
+import { useMemo, useState, useCallback, useEffect, useRef } from 'react';
+import { useRepositoryQuery } from './useRepositoryQuery';
+import {
+  loadOrders,
+  loadOlderOrders,
+  loadOrder,
+  placeOrder,
+  changeOrderStatus,
+  cancelOrder,
+  refundOrder,
+  editOrderItems,
+  removeOrder,
+  syncOrders,
+  loadOrderWorkflow
+} from '../services/orderRepository';
+import { computeOrderStats } from '../services/statsRepository';
+import { getWorkflow } from '../services/orderWorkflow';
+import { subscribeToOrderFeed, isSameOrder, mergeOrderInto, mergeOrders } from '../services/orderFeed';
+
+// How long a newly arrived order stays highlighted
+const HIGHLIGHT_MS = 2 * 60 * 1000;
+
+// localId first: it stays the same when an order made here reaches the server
+export const orderKey = (order) => order.localId || order._id || order.orderId || `local-${order.id}`;
+
+/**
+ * Orders for the dashboard, with derived stats and the actions that change them
+ * Only a window of the newest cached orders is held; loadMore grows it a page
+ * at a time (from the cache, then the server). Actions put the changed order
+ * back from the cache rather than reloading the window.
+ * @param {Object} options
+ *   - live: merge real-time order events into the list as they arrive
+ * @returns {Object} - {orders, stats, loading, error, stale, source, lastUpdated,
+ *   hasMore, loadingMore, loadMore,
+ *   syncing, liveConnected, newOrders, acknowledge, workflow, refresh, sync, place, updateStatus, cancel, refund, editItems, remove}
+ */
+export function useOrders({ live = false } = {}) {
+  // How many orders a refresh reads back into the window (the first page until loadMore)
+  const windowSizeRef = useRef(0);
+  const loadWindow = useCallback((options) => loadOrders({ ...options, limit: windowSizeRef.current || undefined }), []);
+  const query = useRepositoryQuery(loadWindow, []);
+  const [syncing, setSyncing] = useState(false);
+  const [liveConnected, setLiveConnected] = useState(false);
+  // orderKey -> time it arrived over the live feed
+  const [newOrders, setNewOrders] = useState({});
+  // Status workflow in force: the stored one until the server's arrives
+  const [workflow, setWorkflow] = useState(getWorkflow);
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const loadingMoreRef = useRef(false);
+  const { refresh, mutate } = query;
+  const ordersRef = useRef(query.data);
+  ordersRef.current = query.data;
+
+  const highlight = useCallback((orders) => {
+    if (orders.length === 0) return;
+    const now = Date.now();
+    setNewOrders(prev => {
+      const next = { ...prev };
+      orders.forEach(order => { next[orderKey(order)] = now; });
+      return next;
+    });
+  }, []);
+
+  const acknowledge = useCallback((key) => {
+    setNewOrders(prev => {
+      if (!(key in prev)) return prev;
+      const next = { ...prev };
+      delete next[key];
+      return next;
+    });
+  }, []);
+
+  // Pick up the server's status workflow (buttons and badges follow it)
+  useEffect(() => {
+    const controller = new AbortController();
+    loadOrderWorkflow({ signal: controller.signal })
+      .then(setWorkflow)
+      .catch(() => {});
+    return () => controller.abort();
+  }, []);
+
+  useEffect(() => {
+    if (!live) return undefined;
+
+    return subscribeToOrderFeed((event) => {
+      switch (event.type) {
+        case 'created':
+          mutate(orders => mergeOrderInto(orders, event.order));
+          highlight([event.order]);
+          break;
+        case 'updated':
+          mutate(orders => mergeOrderInto(orders, event.order));
+          break;
+        case 'deleted':
+          mutate(orders => orders.filter(order => !isSameOrder(order, event.order)));
+          break;
+        case 'backfill': {
+          const known = new Map(ordersRef.current.map(order => [orderKey(order), order]));
+          highlight(event.orders.filter(order => !known.has(orderKey(order))));
+          mutate(orders => mergeOrders(orders, event.orders));
+          break;
+        }
+        case 'status':
+          setLiveConnected(event.connected);
+          break;
+        default:
+          break;
+      }
+    });
+  }, [live, mutate, highlight]);
+
+  // Let highlights fade out
+  useEffect(() => {
+    if (Object.keys(newOrders).length === 0) return undefined;
+
+    const timer = setInterval(() => {
+      const cutoff = Date.now() - HIGHLIGHT_MS;
+      setNewOrders(prev => {
+        const next = Object.fromEntries(Object.entries(prev).filter(([, at]) => at > cutoff));
+        return Object.keys(next).length === Object.keys(prev).length ? prev : next;
+      });
+    }, 10000);
+
+    return () => clearInterval(timer);
+  }, [newOrders]);
+
+  const stats = useMemo(() => computeOrderStats(query.data), [query.data]);
+
+  useEffect(() => {
+    setHasMore(!!query.meta?.hasMore);
+  }, [query.meta]);
+
+  const loadMore = useCallback(async () => {
+    if (loadingMoreRef.current) return;
+    loadingMoreRef.current = true;
+    setLoadingMore(true);
+    try {
+      const loaded = ordersRef.current.length;
+      const { orders: older, hasMore: more } = await loadOlderOrders(loaded);
+      windowSizeRef.current = loaded + older.length;
+      mutate(orders => mergeOrders(orders, older));
+      setHasMore(more);
+    } catch (error) {
+      console.warn('⚠️ Could not load older orders:', error.message);
+    } finally {
+      loadingMoreRef.current = false;
+      setLoadingMore(false);
+    }
+  }, [mutate]);
+
+  const sync = useCallback(async () => {
+    setSyncing(true);
+    try {
+      const result = await syncOrders();
+      if (!result.success) {
+        throw new Error(result.error || result.message || 'Sync failed');
+      }
+      await refresh();
+    } finally {
+      setSyncing(false);
+    }
+  }, [refresh]);
+
+  // Put the cached copy of a changed order back into the window
+  const reloadOrder = useCallback(async (order) => {
+    const fresh = await loadOrder(order);
+    mutate(orders => (fresh ? mergeOrderInto(orders, fresh) : orders.filter(o => !isSameOrder(o, order))));
+  }, [mutate]);
+
+  const place = useCallback(async (draft) => {
+    const result = await placeOrder(draft);
+    await reloadOrder(result.order);
+    return result;
+  }, [reloadOrder]);
+
+  const updateStatus = useCallback(async (order, status) => {
+    const where = await changeOrderStatus(order, status);
+    await reloadOrder(order);
+    return where;
+  }, [reloadOrder]);
+
+  const cancel = useCallback(async (order, details) => {
+    const where = await cancelOrder(order, details);
+    await reloadOrder(order);
+    return where;
+  }, [reloadOrder]);
+
+  const refund = useCallback(async (order, record, full) => {
+    const where = await refundOrder(order, record, full);
+    await reloadOrder(order);
+    return where;
+  }, [reloadOrder]);
+
+  const editItems = useCallback(async (order, items) => {
+    const where = await editOrderItems(order, items);
+    await reloadOrder(order);
+    return where;
+  }, [reloadOrder]);
+
+  const remove = useCallback(async (order) => {
+    await removeOrder(order);
+    mutate(orders => orders.filter(o => !isSameOrder(o, order)));
+  }, [mutate]);
+
+  return {
+    orders: query.data,
+    stats,
+    loading: query.loading,
+    error: query.error,
+    stale: query.stale,
+    source: query.source,
+    lastUpdated: query.lastUpdated,
+    hasMore,
+    loadingMore,
+    loadMore,
+    syncing,
+    liveConnected,
+    newOrders,
+    acknowledge,
+    workflow,
+    refresh,
+    sync,
+    place,
+    updateStatus,
+    cancel,
+    refund,
+    editItems,
+    remove
+  };
+}
+
+export default useOrders;
@@ -0,0 +1,39 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { useRepositoryQuery } from './useRepositoryQuery';
+import { loadProductReport } from '../services/statsRepository';
+
+/**
+ * Product performance for the reports page
+ * @param {string} period - Key of reports.REPORT_PERIODS
+ * @param {number} slowDays - Products unsold this long are slow movers
+ * @returns {Object} - {report, range, partial, loading, error, stale, lastUpdated, refresh}
+ */
+export function useProductReport(period, slowDays) {
+  const load = useCallback(
+    (options) => loadProductReport({ period, slowDays }, options),
+    [period, slowDays]
+  );
+  const query = useRepositoryQuery(load, null);
+  const { refresh } = query;
+
+  // The first load happens on mount; reload on later changes only
+  const loadedRef = useRef(load);
+  useEffect(() => {
+    if (loadedRef.current === load) return;
+    loadedRef.current = load;
+    refresh();
+  }, [load, refresh]);
+
+  return {
+    report: query.data?.report || null,
+    range: query.data?.range || null,
+    partial: !!query.data?.partial,
+    loading: query.loading,
+    error: query.error,
+    stale: query.stale,
+    lastUpdated: query.lastUpdated,
+    refresh
+  };
+}
+
+export default useProductReport;
@@ -0,0 +1,73 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useRepositoryQuery } from './useRepositoryQuery';
+import {
+  loadProducts,
+  addProduct,
+  saveProduct,
+  removeProduct,
+  getProductOutbox,
+  resolveProductChange
+} from '../services/productRepository';
+
+/**
+ * Product catalog for the products screen
+ * Works offline: writes are queued and replayed when the connection returns
+ * @returns {Object} - {products, outbox, loading, error, stale, source, lastUpdated,
+ *   refresh, create, update, remove, resolve}
+ */
+export function useProducts() {
+  const query = useRepositoryQuery(loadProducts, []);
+  const [outbox, setOutbox] = useState([]);
+  const { refresh, data } = query;
+
+  // Keep the unsynced-changes list in step with every reload
+  useEffect(() => {
+    getProductOutbox().then(setOutbox).catch(() => setOutbox([]));
+  }, [data]);
+
+  // Replay queued changes as soon as we're back online
+  useEffect(() => {
+    window.addEventListener('online', refresh);
+    return () => window.removeEventListener('online', refresh);
+  }, [refresh]);
+
+  const create = useCallback(async (product) => {
+    const result = await addProduct(product);
+    await refresh();
+    return result;
+  }, [refresh]);
+
+  const update = useCallback(async (productId, product) => {
+    const result = await saveProduct(productId, product);
+    await refresh();
+    return result;
+  }, [refresh]);
+
+  const remove = useCallback(async (productId) => {
+    const result = await removeProduct(productId);
+    await refresh();
+    return result;
+  }, [refresh]);
+
+  const resolve = useCallback(async (entryId, choice) => {
+    await resolveProductChange(entryId, choice);
+    await refresh();
+  }, [refresh]);
+
+  return {
+    products: query.data,
+    outbox,
+    loading: query.loading,
+    error: query.error,
+    stale: query.stale,
+    source: query.source,
+    lastUpdated: query.lastUpdated,
+    refresh,
+    create,
+    update,
+    remove,
+    resolve
+  };
+}
+
+export default useProducts;
@@ -0,0 +1,47 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { useRepositoryQuery } from './useRepositoryQuery';
+import { loadReport } from '../services/statsRepository';
+
+/**
+ * Sales report for the reports page
+ * Reloads when the period or granularity changes, and when the connection
+ * returns so server totals replace the cached ones
+ * @param {string} period - Key of reports.REPORT_PERIODS
+ * @param {string} granularity - Key of reports.GRANULARITIES
+ * @returns {Object} - {report, range, partial, loading, error, stale, source, lastUpdated, refresh}
+ */
+export function useReport(period, granularity) {
+  const load = useCallback(
+    (options) => loadReport({ period, granularity }, options),
+    [period, granularity]
+  );
+  const query = useRepositoryQuery(load, null);
+  const { refresh } = query;
+
+  // The first load happens on mount; reload on later changes only
+  const loadedRef = useRef(load);
+  useEffect(() => {
+    if (loadedRef.current === load) return;
+    loadedRef.current = load;
+    refresh();
+  }, [load, refresh]);
+
+  useEffect(() => {
+    window.addEventListener('online', refresh);
+    return () => window.removeEventListener('online', refresh);
+  }, [refresh]);
+
+  return {
+    report: query.data?.report || null,
+    range: query.data?.range || null,
+    partial: !!query.data?.partial,
+    loading: query.loading,
+    error: query.error,
+    stale: query.stale,
+    source: query.source,
+    lastUpdated: query.lastUpdated,
+    refresh
+  };
+}
+
+export default useReport;
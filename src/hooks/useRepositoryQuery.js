@@ -0,0 +1,62 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+/**
+ * Shared state for repository-backed hooks
+ * Runs `load(options)` on mount and on refresh(); requests still in flight
+ * are cancelled on unmount or when a newer refresh starts
+ * @param {Function} load - Repository loader returning {data, source, stale, error, fetchedAt, meta?}
+ * @param {*} initialData
+ * @returns {Object} - {data, meta, loading, error, stale, source, lastUpdated, refresh, mutate}
+ */
+export function useRepositoryQuery(load, initialData) {
+  const [state, setState] = useState({
+    data: initialData,
+    meta: null,
+    loading: true,
+    error: null,
+    stale: false,
+    source: null,
+    lastUpdated: null
+  });
+  const controllerRef = useRef(null);
+  const loadRef = useRef(load);
+  loadRef.current = load;
+
+  const refresh = useCallback(async () => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    setState(prev => ({ ...prev, loading: true }));
+    try {
+      const result = await loadRef.current({ signal: controller.signal });
+      if (controller.signal.aborted) return;
+      setState(prev => ({
+        data: result.data,
+        meta: result.meta || null,
+        loading: false,
+        error: result.error || null,
+        stale: result.stale,
+        source: result.source,
+        lastUpdated: result.fetchedAt ? new Date(result.fetchedAt) : prev.lastUpdated
+      }));
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      setState(prev => ({ ...prev, loading: false, error, stale: true }));
+    }
+  }, []);
+
+  // Apply a local change (e.g. a live event) without reloading
+  const mutate = useCallback((updater) => {
+    setState(prev => ({ ...prev, data: updater(prev.data) }));
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    return () => controllerRef.current?.abort();
+  }, [refresh]);
+
+  return { ...state, refresh, mutate };
+}
+
+export default useRepositoryQuery;
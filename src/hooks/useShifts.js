@@ -0,0 +1,44 @@
+import { useCallback, useEffect } from 'react';
+import { useRepositoryQuery } from './useRepositoryQuery';
+import { loadShifts, openShift, closeShift } from '../services/shifts';
+
+/**
+ * Till shifts for the shifts screen
+ * Unsynced shifts are pushed again whenever the connection returns
+ * @returns {Object} - {current, preview, history, loading, error, lastUpdated, refresh, open, close}
+ */
+export function useShifts() {
+  const query = useRepositoryQuery(loadShifts, null);
+  const { refresh } = query;
+
+  useEffect(() => {
+    window.addEventListener('online', refresh);
+    return () => window.removeEventListener('online', refresh);
+  }, [refresh]);
+
+  const open = useCallback(async (params) => {
+    const shift = await openShift(params);
+    await refresh();
+    return shift;
+  }, [refresh]);
+
+  const close = useCallback(async (params) => {
+    const shift = await closeShift(params);
+    await refresh();
+    return shift;
+  }, [refresh]);
+
+  return {
+    current: query.data?.current || null,
+    preview: query.data?.preview || null,
+    history: query.data?.history || [],
+    loading: query.loading,
+    error: query.error,
+    lastUpdated: query.lastUpdated,
+    refresh,
+    open,
+    close
+  };
+}
+
+export default useShifts;
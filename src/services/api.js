@@ -1,5 +1,15 @@
 // API Service - Backend Connection with Dynamic Server Detection
 import { getServerUrl } from '../utils/network';
+import { requirePermission } from './permissions';
+import {
+  authHeaders,
+  getRefreshToken,
+  isTokenExpiring,
+  setTokens,
+  handleUnauthorized
+} from './tokens';
+import http, { ApiError } from './httpClient';
+import { assertTransition, createHistoryEntry, isKnownStatus, WorkflowError } from './orderWorkflow';
 
 // Default to Vercel backend; can be overridden by environment variable or getServerUrl detection
 const DEFAULT_BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'https://pos-backend-sooty.vercel.app';
@@ -42,159 +52,308 @@ export const isOnline = () => {
   return navigator.onLine;
 };
 
-// ==================== PRODUCTS ====================
+// ==================== AUTH ====================
 
-export const fetchProducts = async () => {
-  try {
-    const url = await getAPIUrl();
-    const response = await fetch(`${url}/products`);
-    if (!response.ok) throw new Error('Failed to fetch products');
-    return await response.json();
-  } catch (error) {
-    console.error('❌ Fetch products error:', error);
-    throw error;
+let refreshPromise = null;
+
+/**
+ * Exchange the refresh token for a new access token
+ * Concurrent callers share one in-flight refresh
+ * @returns {Promise<boolean>} - True if a new token was stored
+ */
+export const refreshAccessToken = async () => {
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) return false;
+
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      try {
+        const url = await getAPIUrl();
+        setTokens(await http.post(`${url}/auth/refresh`, { refreshToken }));
+        console.log('🔑 Access token refreshed');
+        return true;
+      } catch (error) {
+        console.warn('⚠️ Token refresh failed:', error.message);
+        return false;
+      } finally {
+        refreshPromise = null;
+      }
+    })();
   }
+
+  return refreshPromise;
 };
 
-export const syncProducts = async (products) => {
-  try {
-    const url = await getAPIUrl();
-    const response = await fetch(`${url}/products/bulk`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ products })
-    });
-    
-    if (!response.ok) throw new Error('Failed to sync products');
-    return await response.json();
-  } catch (error) {
-    console.error('❌ Sync products error:', error);
-    throw error;
+/**
+ * fetch() with the bearer token attached
+ * Refreshes an expiring token first, retries once after a 401, then signs out
+ */
+export const authFetch = async (url, options = {}) => {
+  if (isTokenExpiring()) {
+    await refreshAccessToken();
   }
-};
 
-// ==================== ORDERS ====================
+  let response = await fetch(url, { ...options, headers: authHeaders(options.headers) });
 
-export const fetchOrders = async (status = null) => {
-  try {
-    const baseUrl = await getAPIUrl();
-    const url = status ? `${baseUrl}/orders?status=${status}` : `${baseUrl}/orders`;
-    const response = await fetch(url);
-    
-    if (!response.ok) throw new Error('Failed to fetch orders');
-    return await response.json();
-  } catch (error) {
-    console.error('❌ Fetch orders error:', error);
-    throw error;
+  if (response.status === 401 && await refreshAccessToken()) {
+    response = await fetch(url, { ...options, headers: authHeaders(options.headers) });
   }
-};
 
-export const fetchOrderByNumber = async (orderNumber) => {
-  try {
-    const url = await getAPIUrl();
-    const response = await fetch(`${url}/orders/number/${orderNumber}`);
-    if (!response.ok) throw new Error('Failed to fetch order by number');
-    return await response.json();
-  } catch (error) {
-    console.error('❌ Fetch order by number error:', error);
-    throw error;
+  if (response.status === 401) {
+    handleUnauthorized();
   }
+
+  return response;
 };
 
-export const createOrder = async (orderData) => {
+/**
+ * Authenticated request against the API base URL
+ * Logs failures under `label` and rethrows the ApiError
+ * @param {string} path - Path below /api, e.g. '/orders'
+ * @param {Object} options - httpClient request options plus `label`
+ */
+const apiRequest = async (path, { label, ...options } = {}) => {
   try {
     const url = await getAPIUrl();
-    const response = await fetch(`${url}/orders`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(orderData)
-    });
-    
-    if (!response.ok) throw new Error('Failed to create order');
-    return await response.json();
+    return await http.request(`${url}${path}`, { fetchImpl: authFetch, ...options });
   } catch (error) {
-    console.error('❌ Create order error:', error);
+    if (!error.isAborted) {
+      console.error(`❌ ${label || 'API request'} error:`, error);
+    }
     throw error;
   }
 };
 
-// Bulk sync orders (upsert)
-export const syncOrders = async (orders) => {
-  try {
-    const url = await getAPIUrl();
-    const response = await fetch(`${url}/orders/sync`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ orders })
-    });
-
-    if (!response.ok) throw new Error('Failed to sync orders');
-    return await response.json();
-  } catch (error) {
-    console.error('❌ Sync orders error:', error);
-    throw error;
-  }
+/**
+ * Log in against the backend and store the returned tokens
+ * Throws an ApiError with `status` set when the server rejects the credentials
+ */
+export const loginBackend = async (username, password, options = {}) => {
+  const url = await getAPIUrl();
+  const data = await http.post(`${url}/auth/login`, { username, password }, options);
+  setTokens(data);
+  return data;
 };
 
-export const updateOrderStatus = async (orderId, status) => {
-  try {
-    const url = await getAPIUrl();
-    // Backend expects PATCH /api/orders/:id with { status }
-    const response = await fetch(`${url}/orders/${orderId}`, {
-      method: 'PATCH',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ status })
-    });
-    
-    if (!response.ok) throw new Error('Failed to update status');
-    return await response.json();
-  } catch (error) {
-    console.error('❌ Update status error:', error);
-    throw error;
-  }
+/**
+ * Revoke every session/refresh token for the logged-in account on the backend
+ */
+export const revokeAllSessions = (options = {}) =>
+  apiRequest('/auth/logout-all', { ...options, method: 'POST', label: 'Revoke sessions' });
+
+// ==================== PRODUCTS ====================
+
+export const fetchProducts = (options = {}) =>
+  apiRequest('/products', { ...options, label: 'Fetch products' });
+
+export const syncProducts = async (products, options = {}) => {
+  requirePermission('products:manage');
+  return apiRequest('/products/bulk', {
+    ...options,
+    method: 'POST',
+    body: { products },
+    label: 'Sync products'
+  });
 };
 
-export const deleteOrder = async (orderId) => {
-  try {
-    const url = await getAPIUrl();
-    const response = await fetch(`${url}/orders/${orderId}`, {
-      method: 'DELETE'
-    });
-    
-    if (!response.ok) throw new Error('Failed to delete order');
-    return await response.json();
-  } catch (error) {
-    console.error('❌ Delete order error:', error);
-    throw error;
+export const createProduct = async (product, options = {}) => {
+  requirePermission('products:manage');
+  return apiRequest('/products', { ...options, method: 'POST', body: product, label: 'Create product' });
+};
+
+export const updateProduct = async (productId, product, options = {}) => {
+  requirePermission('products:manage');
+  return apiRequest(`/products/${encodeURIComponent(productId)}`, {
+    ...options,
+    method: 'PUT',
+    body: product,
+    label: 'Update product'
+  });
+};
+
+export const deleteProduct = async (productId, options = {}) => {
+  requirePermission('products:manage');
+  return apiRequest(`/products/${encodeURIComponent(productId)}`, {
+    ...options,
+    method: 'DELETE',
+    label: 'Delete product'
+  });
+};
+
+// ==================== ORDERS ====================
+
+/**
+ * One page of orders, newest first
+ * Servers that don't paginate answer with a plain array, which is treated as
+ * the only page
+ * @param {Object} params
+ *   - status: only orders with this status
+ *   - since: epoch ms - only orders created or changed after that time
+ *   - cursor: nextCursor from the previous page
+ *   - limit: page size
+ * @param {Object} options - Request options
+ * @returns {Promise<Object>} - {orders, nextCursor, deleted} - deleted lists
+ *   server _ids removed since `since`
+ */
+export const fetchOrderPage = async ({ status = null, since = null, cursor = null, limit = null } = {}, options = {}) => {
+  const result = await apiRequest('/orders', {
+    ...options,
+    query: { status, since, cursor, limit },
+    label: 'Fetch orders'
+  });
+
+  if (Array.isArray(result)) {
+    return { orders: result, nextCursor: null, deleted: [] };
   }
+  return {
+    orders: result?.orders || [],
+    nextCursor: result?.nextCursor || null,
+    deleted: result?.deleted || []
+  };
 };
 
-export const fetchStats = async () => {
-  try {
-    const url = await getAPIUrl();
-    const response = await fetch(`${url}/stats`);
-    if (!response.ok) throw new Error('Failed to fetch stats');
-    return await response.json();
-  } catch (error) {
-    console.error('❌ Fetch stats error:', error);
-    throw error;
+/**
+ * @param {string|null} status - Only orders with this status
+ * @param {Object} options - Request options, plus `since` (epoch ms) to only
+ *   get orders created or changed after that time, and `cursor`/`limit` for one page
+ * @returns {Promise<Array>}
+ */
+export const fetchOrders = async (status = null, { since = null, cursor = null, limit = null, ...options } = {}) =>
+  (await fetchOrderPage({ status, since, cursor, limit }, options)).orders;
+
+export const fetchOrderByNumber = (orderNumber, options = {}) =>
+  apiRequest(`/orders/number/${encodeURIComponent(orderNumber)}`, {
+    ...options,
+    label: 'Fetch order by number'
+  });
+
+export const createOrder = (orderData, options = {}) =>
+  apiRequest('/orders', { ...options, method: 'POST', body: orderData, label: 'Create order' });
+
+// Bulk sync orders (upsert) - replaying the same batch is harmless, so retry it
+export const syncOrders = (orders, options = {}) =>
+  apiRequest('/orders/sync', {
+    retry: true,
+    ...options,
+    method: 'POST',
+    body: { orders },
+    label: 'Sync orders'
+  });
+
+/**
+ * Change an order's status
+ * @param {string} orderId - Server _id
+ * @param {string} status
+ * @param {Object} options
+ *   - from: current status; when given the change is checked against the workflow
+ *   - historyEntry: statusHistory entry to record (one is created if omitted)
+ */
+export const updateOrderStatus = async (orderId, status, options = {}) => {
+  requirePermission('orders:status');
+  const { from, historyEntry, ...requestOptions } = options;
+
+  if (from !== undefined) {
+    assertTransition(from, status);
+  } else if (!isKnownStatus(status)) {
+    throw new WorkflowError(null, status);
   }
+
+  // Backend expects PATCH /api/orders/:id with { status }
+  return apiRequest(`/orders/${orderId}`, {
+    ...requestOptions,
+    method: 'PATCH',
+    body: { status, statusHistoryEntry: historyEntry || createHistoryEntry(from, status) },
+    label: 'Update status'
+  });
+};
+
+/**
+ * Replace the items of an order that hasn't been started yet
+ * @param {string} orderId - Server _id
+ * @param {Object} changes - {items, total, edit} - edit is the editHistory entry
+ */
+export const updateOrderItems = async (orderId, { items, total, edit }, options = {}) => {
+  requirePermission('orders:edit');
+  return apiRequest(`/orders/${orderId}/items`, {
+    ...options,
+    method: 'PATCH',
+    body: { items, total, edit },
+    label: 'Update order items'
+  });
 };
 
+/**
+ * Record a (partial) refund; the server moves the order to `refunded` once
+ * nothing is left to refund
+ * @param {string} orderId - Server _id
+ * @param {Object} refund - From refunds.buildRefund
+ */
+export const refundOrder = async (orderId, refund, options = {}) => {
+  requirePermission('orders:status');
+  return apiRequest(`/orders/${orderId}/refunds`, {
+    ...options,
+    method: 'POST',
+    body: { refund },
+    label: 'Refund order'
+  });
+};
+
+export const deleteOrder = async (orderId, options = {}) => {
+  requirePermission('orders:delete');
+  return apiRequest(`/orders/${orderId}`, { ...options, method: 'DELETE', label: 'Delete order' });
+};
+
+/**
+ * Server-side sales aggregates
+ * @param {Object} options - Request options, plus `from`/`to` (epoch ms) and
+ *   `groupBy` (hour, day, week or month) for a revenue series
+ * @returns {Promise<Object>} - {orderCount, revenue, refunds, averageOrderValue, byStatus, series}
+ */
+export const fetchStats = ({ from = null, to = null, groupBy = null, ...options } = {}) =>
+  apiRequest('/stats', { ...options, query: { from, to, groupBy }, label: 'Fetch stats' });
+
+// Bulk sync till shifts (upsert by id) - safe to replay, like syncOrders
+export const syncShifts = (shifts, options = {}) =>
+  apiRequest('/shifts/sync', {
+    retry: true,
+    ...options,
+    method: 'POST',
+    body: { shifts },
+    label: 'Sync shifts'
+  });
+
+// Status workflow published by the server (see orderWorkflow.js)
+export const fetchOrderWorkflow = (options = {}) =>
+  apiRequest('/orders/workflow', { ...options, label: 'Fetch order workflow' });
+
 // Initialize API on module load
 initAPI();
 
+export { ApiError };
+
 const api = {
   initAPI,
   isOnline,
+  authFetch,
+  loginBackend,
+  refreshAccessToken,
+  revokeAllSessions,
   fetchProducts,
   syncProducts,
+  createProduct,
+  updateProduct,
+  deleteProduct,
   fetchOrders,
+  fetchOrderPage,
   createOrder,
   syncOrders,
   updateOrderStatus,
+  updateOrderItems,
+  refundOrder,
   deleteOrder,
   fetchStats,
+  syncShifts,
+  fetchOrderWorkflow,
   fetchOrderByNumber
 };
 
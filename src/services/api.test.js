@@ -0,0 +1,77 @@
+import { authFetch } from './api';
+import { setTokens, getTokens, setUnauthorizedHandler } from './tokens';
+
+jest.mock('../utils/network', () => ({
+  getServerUrl: jest.fn().mockResolvedValue({ url: 'https://pos.test', mode: 'cloud' })
+}));
+
+const jsonResponse = (status, body = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: (name) => (name.toLowerCase() === 'content-type' ? 'application/json' : null) },
+  text: async () => JSON.stringify(body)
+});
+
+const authOf = (call) => call[1].headers.Authorization;
+const isRefresh = (url) => url.endsWith('/auth/refresh');
+
+let onUnauthorized;
+
+beforeEach(() => {
+  localStorage.clear();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  global.fetch = jest.fn();
+  onUnauthorized = jest.fn();
+  setUnauthorizedHandler(onUnauthorized);
+  setTokens({ accessToken: 'old', refreshToken: 'refresh-1', expiresIn: 3600 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('authFetch', () => {
+  test('sends the bearer token', async () => {
+    fetch.mockResolvedValue(jsonResponse(200));
+
+    expect((await authFetch('https://pos.test/api/orders')).status).toBe(200);
+    expect(authOf(fetch.mock.calls[0])).toBe('Bearer old');
+  });
+
+  test('refreshes once after a 401 and retries with the new token', async () => {
+    fetch.mockImplementation(async (url, init) => {
+      if (isRefresh(url)) return jsonResponse(200, { accessToken: 'new', expiresIn: 3600 });
+      return jsonResponse(init.headers.Authorization === 'Bearer new' ? 200 : 401);
+    });
+
+    // Two requests failing together share one refresh
+    const responses = await Promise.all([authFetch('https://pos.test/api/orders'), authFetch('https://pos.test/api/products')]);
+
+    expect(responses.map(r => r.status)).toEqual([200, 200]);
+    expect(fetch.mock.calls.filter(([url]) => isRefresh(url))).toHaveLength(1);
+    // The refresh token is kept when the server doesn't rotate it
+    expect(getTokens()).toMatchObject({ accessToken: 'new', refreshToken: 'refresh-1' });
+    expect(onUnauthorized).not.toHaveBeenCalled();
+  });
+
+  test('refreshes an expiring token before the request', async () => {
+    setTokens({ accessToken: 'old', refreshToken: 'refresh-1', expiresIn: 30 });
+    fetch.mockImplementation(async (url) =>
+      (isRefresh(url) ? jsonResponse(200, { accessToken: 'new', refreshToken: 'refresh-2', expiresIn: 3600 }) : jsonResponse(200)));
+
+    await authFetch('https://pos.test/api/orders');
+
+    expect(fetch.mock.calls.map(([url]) => url)).toEqual(['https://pos.test/api/auth/refresh', 'https://pos.test/api/orders']);
+    expect(authOf(fetch.mock.calls[1])).toBe('Bearer new');
+    expect(getTokens().refreshToken).toBe('refresh-2');
+  });
+
+  test('signs out when the refresh is refused too', async () => {
+    fetch.mockImplementation(async (url) => jsonResponse(401, isRefresh(url) ? { error: 'Refresh token revoked' } : {}));
+
+    expect((await authFetch('https://pos.test/api/orders')).status).toBe(401);
+    expect(onUnauthorized).toHaveBeenCalledTimes(1);
+    expect(getTokens()).toBeNull();
+  });
+});
@@ -1,49 +1,158 @@
 // Authentication Service
-const ADMIN_PASSWORD = 'admin123'; // Change this to your password
+import { authenticate, getUserById, hasUsers } from './users';
+import { loginBackend } from './api';
+import { clearTokens } from './tokens';
+import { logAuthEvent, AUTH_EVENTS } from './authAudit';
+import { getLockout, recordFailure, recordSuccess, formatRetry } from './loginThrottle';
+
+const SESSION_KEY = 'adminSession';
+
+const readSession = () => {
+  const adminSession = localStorage.getItem(SESSION_KEY);
+  if (!adminSession) return null;
+
+  try {
+    return JSON.parse(adminSession);
+  } catch {
+    return null;
+  }
+};
+
+// Raw session object ({userId, timestamp, lastActivity, locked, ...}) or null
+export const getSession = () => readSession();
+
+// Merge fields into the stored session (used by the idle lock)
+export const updateSession = (patch) => {
+  const session = readSession();
+  if (!session) return null;
+  const updated = { ...session, ...patch };
+  localStorage.setItem(SESSION_KEY, JSON.stringify(updated));
+  return updated;
+};
 
 // Check if admin is logged in
 export const isAdminLoggedIn = () => {
-  const adminSession = localStorage.getItem('adminSession');
-  if (!adminSession) return false;
-  
-  const session = JSON.parse(adminSession);
+  const session = readSession();
+  if (!session || !session.userId) return false;
+
   const now = Date.now();
-  
+
   // Session expires after 8 hours
   if (now - session.timestamp > 8 * 60 * 60 * 1000) {
     logout();
+    logAuthEvent(AUTH_EVENTS.SESSION_EXPIRED, { ...session, detail: '8 hour limit reached' });
     return false;
   }
-  
+
+  // Account was removed or disabled after login
+  const user = getUserById(session.userId);
+  if (!user || user.disabled) {
+    logout();
+    logAuthEvent(AUTH_EVENTS.SESSION_REVOKED, { ...session, detail: 'Account disabled or removed' });
+    return false;
+  }
+
   return true;
 };
 
-// Admin login
-export const loginAdmin = (password) => {
-  if (password === ADMIN_PASSWORD) {
+// First run: no staff accounts exist yet
+export const needsSetup = () => !hasUsers();
+
+// Staff login
+export const loginAdmin = async (username, password) => {
+  const lockout = getLockout(username);
+  if (lockout.locked) {
+    return {
+      success: false,
+      retryIn: lockout.retryIn,
+      error: `Too many failed attempts. Try again in ${formatRetry(lockout.retryIn)}`
+    };
+  }
+
+  const result = await authenticate(username, password);
+
+  if (result.success) {
+    const { user } = result;
+
+    // Get a bearer token for REST/Socket calls. An unreachable backend is fine
+    // (offline mode), but an explicit rejection means this account can't log in.
+    try {
+      await loginBackend(user.username, password);
+    } catch (error) {
+      if (error.status === 401 || error.status === 403) {
+        logAuthEvent(AUTH_EVENTS.LOGIN_FAILED, { username: user.username, userId: user.id, detail: 'Rejected by server' });
+        return { success: false, error: 'Server rejected these credentials' };
+      }
+      console.warn('⚠️ Backend login unavailable, continuing offline:', error.message);
+    }
+
     const session = {
-      isAdmin: true,
-      timestamp: Date.now()
+      userId: user.id,
+      username: user.username,
+      displayName: user.displayName,
+      role: user.role,
+      timestamp: Date.now(),
+      lastActivity: Date.now(),
+      locked: false
     };
-    localStorage.setItem('adminSession', JSON.stringify(session));
-    return { success: true };
+    localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    recordSuccess(username);
+    logAuthEvent(AUTH_EVENTS.LOGIN, { username: user.username, userId: user.id });
+    return { success: true, user };
   }
-  return { success: false, error: 'Invalid password' };
+
+  const failure = recordFailure(username);
+  logAuthEvent(AUTH_EVENTS.LOGIN_FAILED, { username: String(username || '').trim().toLowerCase(), detail: result.error });
+
+  if (failure.locked) {
+    logAuthEvent(AUTH_EVENTS.LOCKOUT, {
+      username: String(username || '').trim().toLowerCase(),
+      detail: `${failure.failures} failed attempts, locked for ${formatRetry(failure.retryIn)}`
+    });
+    return {
+      success: false,
+      retryIn: failure.retryIn,
+      error: `Too many failed attempts. Try again in ${formatRetry(failure.retryIn)}`
+    };
+  }
+
+  return { success: false, error: result.error };
 };
 
 // Logout
 export const logout = () => {
-  localStorage.removeItem('adminSession');
+  localStorage.removeItem(SESSION_KEY);
+  clearTokens();
 };
 
-// Get current role
+// Get the logged-in staff member ({userId, username, displayName, role}) or null
+export const getCurrentUser = () => {
+  if (!isAdminLoggedIn()) return null;
+  const { userId } = readSession();
+  // Read from the user store so role/name changes apply without re-login
+  const user = getUserById(userId);
+  return {
+    userId: user.id,
+    username: user.username,
+    displayName: user.displayName,
+    role: user.role,
+    hasPin: user.hasPin
+  };
+};
+
+// Get current role (owner, manager, cashier, kitchen) or null when logged out
 export const getCurrentRole = () => {
-  return isAdminLoggedIn() ? 'admin' : 'user';
+  const user = getCurrentUser();
+  return user ? user.role : null;
 };
 
 export default {
   isAdminLoggedIn,
+  needsSetup,
+  getSession,
+  updateSession,
   loginAdmin,
   logout,
+  getCurrentUser,
   getCurrentRole
-};
\ No newline at end of file
+};
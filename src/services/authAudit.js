@@ -0,0 +1,106 @@
+/**
+ * Auth Audit Service - persists login/logout/failure/expiry events in IndexedDB
+ */
+import { initDB } from './db';
+import { toCsv } from './exporters';
+
+const STORE_NAME = 'authEvents';
+
+export const AUTH_EVENTS = {
+  LOGIN: 'login',
+  LOGOUT: 'logout',
+  LOGIN_FAILED: 'login_failed',
+  LOCKOUT: 'lockout',
+  UNLOCK_FAILED: 'unlock_failed',
+  SESSION_EXPIRED: 'session_expired',
+  SESSION_REVOKED: 'session_revoked',
+  APPROVAL: 'approval',
+  APPROVAL_FAILED: 'approval_failed'
+};
+
+export const AUTH_EVENT_LABELS = {
+  login: 'Login',
+  logout: 'Logout',
+  login_failed: 'Failed login',
+  lockout: 'Account locked out',
+  unlock_failed: 'Failed unlock',
+  session_expired: 'Session expired',
+  session_revoked: 'Session revoked',
+  approval: 'Manager approval',
+  approval_failed: 'Failed approval'
+};
+
+/**
+ * Record an authentication event
+ * Never throws - a failed audit write must not block login/logout
+ * @param {string} type - One of AUTH_EVENTS
+ * @param {Object} details - {username, userId, detail}
+ * @returns {Promise<number|null>} - Event ID
+ */
+export async function logAuthEvent(type, { username = null, userId = null, detail = '' } = {}) {
+  try {
+    const db = await initDB();
+    const id = await db.add(STORE_NAME, {
+      type,
+      username,
+      userId,
+      detail,
+      timestamp: Date.now(),
+      userAgent: navigator.userAgent
+    });
+    return id;
+  } catch (err) {
+    console.error('Failed to write auth audit event:', err);
+    return null;
+  }
+}
+
+/**
+ * Read audit events, newest first
+ * @param {Object} filters - {type, username, from, to}
+ * @returns {Promise<Array>}
+ */
+export async function getAuthEvents({ type = null, username = '', from = null, to = null } = {}) {
+  const db = await initDB();
+  const range = from || to
+    ? IDBKeyRange.bound(from || 0, to || Number.MAX_SAFE_INTEGER)
+    : undefined;
+
+  const events = await db.getAllFromIndex(STORE_NAME, 'timestamp', range);
+  const needle = username.trim().toLowerCase();
+
+  return events
+    .filter(e => !type || e.type === type)
+    .filter(e => !needle || (e.username || '').toLowerCase().includes(needle))
+    .reverse();
+}
+
+/**
+ * Serialize audit events for download
+ * @param {Array} events
+ * @param {string} format - 'csv' | 'json'
+ * @returns {Promise<Blob>}
+ */
+export async function exportAuthEvents(events, format = 'csv') {
+  if (format === 'json') {
+    return new Blob([JSON.stringify({ events, exportedAt: Date.now() }, null, 2)], { type: 'application/json' });
+  }
+
+  return toCsv({
+    columns: ['Time', 'Event', 'Username', 'Detail', 'Device'].map(label => ({ label })),
+    rows: events.map(e => [
+      new Date(e.timestamp).toISOString(),
+      AUTH_EVENT_LABELS[e.type] || e.type,
+      e.username,
+      e.detail,
+      e.userAgent
+    ])
+  });
+}
+
+export default {
+  AUTH_EVENTS,
+  logAuthEvent,
+  getAuthEvents,
+  exportAuthEvents
+};
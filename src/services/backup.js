@@ -0,0 +1,518 @@
+/**
+ * Backup & Restore - everything on this terminal in one versioned, checksummed file
+ * A backup holds the IndexedDB stores (orders, catalog, offline queue, shifts)
+ * plus the settings and staff accounts kept in localStorage. Restoring is
+ * previewed as a diff against this device and applied per section, either
+ * merged into the local data or replacing it. Backups from an older schema
+ * are upgraded through the database migrations before they're compared.
+ * The audit trail is deliberately left out so it can't be rewritten by a restore.
+ */
+import { deleteDB } from 'idb';
+import { openDatabase, openDatabaseAt, DB_NAME, DB_VERSION, MIGRATIONS } from './database';
+import { exportUserRecords, importUserRecords } from './users';
+import { getCurrentUser } from './auth';
+import { configureWorkflow, validateWorkflow } from './orderWorkflow';
+import { requirePermission } from './permissions';
+import { getDevicePrefix } from './orderNumbers';
+
+export const BACKUP_FORMAT = 'pos-admin-backup';
+
+// Layout of the file itself; the data's schema is tracked by schemaVersion
+export const BACKUP_VERSION = 1;
+
+export const RESTORE_MODES = {
+  merge: 'Merge',
+  replace: 'Replace',
+  skip: 'Skip'
+};
+
+// Scratch database that older backups are migrated in
+const RESTORE_DB_NAME = `${DB_NAME}-restore`;
+
+// localStorage settings that travel with a backup. The device prefix and
+// order number sequence stay behind: they identify this terminal.
+const SETTINGS_KEYS = {
+  orderWorkflow: 'Order workflow',
+  notificationSettings: 'Notifications',
+  sessionSettings: 'Session lock',
+  displaySettings: 'Customer display'
+};
+
+/**
+ * Errors reading or restoring a backup (code: format, version, schema, checksum, invalid, users)
+ */
+export class BackupError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'BackupError';
+    this.code = code;
+  }
+}
+
+// ==================== SECTIONS ====================
+
+// Orders are matched like the order cache does: server _id, then localId, then
+// order number. The cache key `id` differs between devices.
+const orderKeys = (order) => {
+  const keys = [
+    order._id && `server:${order._id}`,
+    order.localId && `local:${order.localId}`,
+    order.orderId && `number:${order.orderId}`
+  ].filter(Boolean);
+  return keys.length > 0 ? keys : [`id:${order.id}`];
+};
+
+function readSettings() {
+  return Object.keys(SETTINGS_KEYS).flatMap(key => {
+    const raw = localStorage.getItem(key);
+    if (raw == null) return [];
+    try {
+      return [{ key, value: JSON.parse(raw) }];
+    } catch {
+      return [];
+    }
+  });
+}
+
+function writeSettings(records, mode) {
+  if (mode === 'replace') {
+    Object.keys(SETTINGS_KEYS).forEach(key => localStorage.removeItem(key));
+  }
+  records
+    .filter(record => SETTINGS_KEYS[record.key])
+    .forEach(record => localStorage.setItem(record.key, JSON.stringify(record.value)));
+}
+
+/**
+ * What a backup contains
+ * store: IndexedDB store, or read() for localStorage data
+ * autoKey: the store numbers records itself, so keys aren't carried across devices
+ * keepLocalKey: a matched record keeps the local id (sessions refer to user ids)
+ * keys: identities used to match a backup record with a local one
+ * localAhead: the local copy has changes the backup would lose
+ */
+const SECTIONS = {
+  orders: {
+    label: 'Orders',
+    store: 'orders',
+    autoKey: true,
+    keys: orderKeys,
+    describe: order => order.orderId || order.customerName || `Local order ${order.localId || order.id}`,
+    localAhead: order => !!order.dirty || order.synced === false
+  },
+  products: {
+    label: 'Products',
+    store: 'products',
+    keys: product => [`id:${product.id}`],
+    describe: product => product.name || product.id,
+    localAhead: product => !!product._pending || !!product._conflict
+  },
+  queue: {
+    label: 'Offline queue',
+    store: 'offlineQueue',
+    autoKey: true,
+    keys: orderKeys,
+    describe: entry => entry.orderId || entry.customerName || `Queued order ${entry.id}`,
+    localAhead: entry => !entry.synced
+  },
+  shifts: {
+    label: 'Shifts',
+    store: 'shifts',
+    keys: shift => [`id:${shift.id}`],
+    describe: shift => `${shift.device || 'Till'} ${new Date(shift.openedAt).toLocaleString('en-PK')}`,
+    localAhead: (shift, incoming) => (shift.updatedAt || 0) > (incoming.updatedAt || 0)
+  },
+  settings: {
+    label: 'Settings',
+    keys: setting => [`key:${setting.key}`],
+    describe: setting => SETTINGS_KEYS[setting.key] || setting.key,
+    localAhead: () => false,
+    read: readSettings
+  },
+  users: {
+    label: 'Staff accounts',
+    keys: user => [`id:${user.id}`, `username:${user.username}`],
+    describe: user => user.displayName || user.username,
+    // Restoring would bring back an old password
+    localAhead: (user, incoming) => (user.passwordChangedAt || 0) > (incoming.passwordChangedAt || 0),
+    keepLocalKey: true,
+    read: exportUserRecords
+  }
+};
+
+export const BACKUP_SECTIONS = Object.fromEntries(
+  Object.entries(SECTIONS).map(([name, section]) => [name, section.label])
+);
+
+const storeSections = () => Object.entries(SECTIONS).filter(([, section]) => section.store);
+
+// ==================== FILE FORMAT ====================
+
+// JSON with sorted object keys, so a record compares and hashes the same however it was built
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * SHA-256 of the backup's sections, as hex
+ * Unkeyed, so it catches a damaged file but not a deliberate edit
+ * @param {Object} sections
+ * @returns {Promise<string>}
+ */
+export async function checksumSections(sections) {
+  const bytes = new TextEncoder().encode(stableStringify(sections));
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Snapshot every section on this terminal
+ * @returns {Promise<Object>} - The backup, ready to be saved as JSON
+ */
+export async function createBackup() {
+  requirePermission('backup:manage');
+  const db = await openDatabase();
+
+  const sections = {};
+  for (const [name, section] of Object.entries(SECTIONS)) {
+    sections[name] = section.store ? await db.getAll(section.store) : section.read();
+  }
+
+  const user = getCurrentUser();
+  const backup = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    schemaVersion: DB_VERSION,
+    createdAt: Date.now(),
+    device: getDevicePrefix(),
+    createdBy: user?.username || null,
+    counts: Object.fromEntries(Object.entries(sections).map(([name, records]) => [name, records.length])),
+    checksum: await checksumSections(sections),
+    sections
+  };
+  console.log('✅ Backup created:', backup.counts);
+  return backup;
+}
+
+/**
+ * The backup as a downloadable file
+ * @param {Object} backup
+ * @returns {Object} - {blob, filename}
+ */
+export function backupFile(backup) {
+  const d = new Date(backup.createdAt);
+  const pad = (n) => String(n).padStart(2, '0');
+  const stamp = `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}-${pad(d.getHours())}${pad(d.getMinutes())}`;
+  return {
+    blob: new Blob([JSON.stringify(backup)], { type: 'application/json' }),
+    filename: `pos-backup-${backup.device || 'device'}-${stamp}.json`
+  };
+}
+
+/**
+ * Upgrade the records of an older backup by running the database migrations
+ * on them in a scratch database
+ * @param {Object} backup - A validated backup with schemaVersion < DB_VERSION
+ * @returns {Promise<Object>} - The backup at DB_VERSION
+ */
+export async function migrateBackup(backup) {
+  await deleteDB(RESTORE_DB_NAME);
+  try {
+    const old = await openDatabaseAt(RESTORE_DB_NAME, backup.schemaVersion);
+    try {
+      for (const [name, section] of storeSections()) {
+        const records = backup.sections[name] || [];
+        if (records.length === 0) continue;
+        if (!old.objectStoreNames.contains(section.store)) {
+          throw new BackupError(`${section.label} can't exist in a v${backup.schemaVersion} backup`, 'invalid');
+        }
+        const tx = old.transaction(section.store, 'readwrite');
+        for (const record of records) {
+          await tx.store.put(record);
+        }
+        await tx.done;
+      }
+    } finally {
+      old.close();
+    }
+
+    const current = await openDatabaseAt(RESTORE_DB_NAME, DB_VERSION);
+    const sections = { ...backup.sections };
+    try {
+      for (const [name, section] of storeSections()) {
+        sections[name] = await current.getAll(section.store);
+      }
+    } finally {
+      current.close();
+    }
+
+    console.log(`🗄️ Backup migrated from v${backup.schemaVersion} to v${DB_VERSION}`);
+    return { ...backup, schemaVersion: DB_VERSION, migratedFrom: backup.schemaVersion, sections };
+  } finally {
+    await deleteDB(RESTORE_DB_NAME);
+  }
+}
+
+/**
+ * Parse and check a backup file: format, checksum and schema version.
+ * Older schemas are migrated; newer ones are refused.
+ * @param {string|Object} input - File contents or an already-parsed backup
+ * @returns {Promise<Object>} - The backup, at DB_VERSION
+ */
+export async function readBackup(input) {
+  let backup = input;
+  if (typeof input === 'string') {
+    try {
+      backup = JSON.parse(input);
+    } catch {
+      throw new BackupError('This file is not a backup (it is not valid JSON)', 'format');
+    }
+  }
+
+  if (!backup || backup.format !== BACKUP_FORMAT || !backup.sections || typeof backup.sections !== 'object') {
+    throw new BackupError('This file is not a POS backup', 'format');
+  }
+  if (backup.version > BACKUP_VERSION) {
+    throw new BackupError('This backup was made by a newer version of the app. Update the app to restore it.', 'version');
+  }
+  if (backup.schemaVersion > DB_VERSION) {
+    throw new BackupError(
+      `This backup uses database schema v${backup.schemaVersion}; this app supports up to v${DB_VERSION}. Update the app to restore it.`,
+      'schema'
+    );
+  }
+  if (!MIGRATIONS.some(m => m.version === backup.schemaVersion)) {
+    throw new BackupError(`Unknown database schema v${backup.schemaVersion}`, 'schema');
+  }
+
+  for (const [name, records] of Object.entries(backup.sections)) {
+    if (!SECTIONS[name] || !Array.isArray(records)) {
+      throw new BackupError(`Unexpected section "${name}" in backup`, 'format');
+    }
+  }
+
+  if (backup.checksum !== await checksumSections(backup.sections)) {
+    throw new BackupError('Checksum mismatch - the backup file is damaged or incomplete', 'checksum');
+  }
+
+  return backup.schemaVersion < DB_VERSION ? migrateBackup(backup) : backup;
+}
+
+// ==================== DIFF & RESTORE ====================
+
+// Compare records without their device-local cache key
+const comparable = (section, record) => {
+  if (!section.autoKey) return stableStringify(record);
+  const { id, ...rest } = record;
+  return stableStringify(rest);
+};
+
+async function readLocalSection(db, section) {
+  return section.store ? db.getAll(section.store) : section.read();
+}
+
+function diffSection(section, local, incoming) {
+  const index = new Map();
+  local.forEach(record => section.keys(record).forEach(key => {
+    if (!index.has(key)) index.set(key, record);
+  }));
+
+  const matched = new Set();
+  const result = { added: [], changed: [], conflicts: [], unchanged: 0, localOnly: 0 };
+
+  incoming.forEach(record => {
+    const match = section.keys(record).map(key => index.get(key)).find(Boolean);
+    if (!match) {
+      result.added.push(record);
+      return;
+    }
+    matched.add(match);
+    if (comparable(section, match) === comparable(section, record)) {
+      result.unchanged += 1;
+    } else if (section.localAhead(match, record)) {
+      result.conflicts.push({ local: match, incoming: record });
+    } else {
+      result.changed.push({ local: match, incoming: record });
+    }
+  });
+
+  result.localOnly = local.filter(record => !matched.has(record)).length;
+  return result;
+}
+
+/**
+ * Preview a restore: per section, the records that are new, changed, in
+ * conflict (the local copy has changes the backup doesn't), unchanged, and
+ * only on this device
+ * @param {Object} backup - From readBackup
+ * @returns {Promise<Object>} - {[section]: {label, added, changed, conflicts, unchanged, localOnly, describe}}
+ */
+export async function diffBackup(backup) {
+  const db = await openDatabase();
+  const diff = {};
+  for (const [name, section] of Object.entries(SECTIONS)) {
+    if (!backup.sections[name]) continue;
+    const local = await readLocalSection(db, section);
+    diff[name] = {
+      label: section.label,
+      describe: section.describe,
+      ...diffSection(section, local, backup.sections[name])
+    };
+  }
+  return diff;
+}
+
+// Matched records keep the local copy's key, so they're updated in place
+const withLocalKey = (section, local, incoming) =>
+  (section.autoKey || section.keepLocalKey ? { ...incoming, id: local.id } : incoming);
+
+const withoutKey = (section, record) => {
+  if (!section.autoKey) return record;
+  const { id, ...rest } = record;
+  return rest;
+};
+
+// What a merge writes: new records, and changed ones (conflicts only when the backup wins)
+function mergePlan(section, diff, conflicts) {
+  const takeBackup = conflicts === 'backup';
+  const updates = [...diff.changed, ...(takeBackup ? diff.conflicts : [])];
+  return {
+    added: diff.added.map(record => withoutKey(section, record)),
+    updated: updates.map(({ local, incoming }) => withLocalKey(section, local, incoming)),
+    skipped: takeBackup ? 0 : diff.conflicts.length
+  };
+}
+
+const mergeSummary = (plan) => ({ mode: 'merge', added: plan.added.length, updated: plan.updated.length, removed: 0, skipped: plan.skipped });
+
+const replaceSummary = (diff) => ({
+  mode: 'replace',
+  added: diff.added.length,
+  updated: diff.changed.length + diff.conflicts.length,
+  removed: diff.localOnly,
+  skipped: 0
+});
+
+// The staff list a restore would leave behind
+function restoredUsers(backup, diff, mode, conflicts) {
+  if (mode === 'replace') return backup.sections.users;
+  const plan = mergePlan(SECTIONS.users, diff, conflicts);
+  const updated = new Map(plan.updated.map(user => [user.id, user]));
+  return [...exportUserRecords().map(user => updated.get(user.id) || user), ...plan.added];
+}
+
+// The settings a restore would write (replace clears the rest first)
+function restoredSettings(backup, diff, mode, conflicts) {
+  if (mode === 'replace') return backup.sections.settings;
+  const plan = mergePlan(SECTIONS.settings, diff, conflicts);
+  return [...plan.added, ...plan.updated];
+}
+
+/**
+ * Apply a backup
+ * @param {Object} backup - From readBackup
+ * @param {Object} options - {modes: {[section]: 'merge'|'replace'|'skip'} (default merge),
+ *   conflicts: 'local'|'backup' - which copy wins a conflict when merging (default local)}
+ * @returns {Promise<Object>} - {[section]: {mode, added, updated, removed, skipped}}
+ */
+export async function restoreBackup(backup, { modes = {}, conflicts = 'local' } = {}) {
+  requirePermission('backup:manage');
+  if (backup.schemaVersion !== DB_VERSION) {
+    throw new BackupError('Read the backup with readBackup before restoring it', 'schema');
+  }
+
+  const diff = await diffBackup(backup);
+  const modeOf = (name) => modes[name] || 'merge';
+  const selected = Object.keys(diff).filter(name => modeOf(name) !== 'skip');
+
+  // Checked before anything is written
+  const users = selected.includes('users') ? restoredUsers(backup, diff.users, modeOf('users'), conflicts) : null;
+  if (users && !users.some(user => user.role === 'owner' && !user.disabled)) {
+    throw new BackupError('The restored staff accounts have no active owner', 'users');
+  }
+  const signedIn = getCurrentUser();
+  if (users && signedIn && !users.some(user => user.id === signedIn.userId && !user.disabled)) {
+    throw new BackupError(
+      `The restored staff accounts don't include yours (${signedIn.username}) as an active account. Merge staff accounts instead, or sign in as an account in the backup.`,
+      'users'
+    );
+  }
+  const settings = selected.includes('settings') ? restoredSettings(backup, diff.settings, modeOf('settings'), conflicts) : null;
+  const workflow = settings?.find(record => record.key === 'orderWorkflow');
+  const workflowProblems = workflow ? validateWorkflow(workflow.value) : [];
+  if (workflowProblems.length > 0) {
+    throw new BackupError(`The backup's order workflow is invalid: ${workflowProblems.join('; ')}`, 'invalid');
+  }
+
+  const summary = {};
+  const stores = selected.filter(name => SECTIONS[name].store);
+  if (stores.length > 0) {
+    const db = await openDatabase();
+    // One transaction, so a failed restore leaves the database as it was
+    const tx = db.transaction(stores.map(name => SECTIONS[name].store), 'readwrite');
+    for (const name of stores) {
+      const section = SECTIONS[name];
+      const store = tx.objectStore(section.store);
+
+      if (modeOf(name) === 'replace') {
+        await store.clear();
+        for (const record of backup.sections[name]) {
+          await store.put(record);
+        }
+        summary[name] = replaceSummary(diff[name]);
+        continue;
+      }
+
+      const plan = mergePlan(section, diff[name], conflicts);
+      for (const record of [...plan.added, ...plan.updated]) {
+        await store.put(record);
+      }
+      summary[name] = mergeSummary(plan);
+    }
+    await tx.done;
+  }
+
+  if (settings) {
+    writeSettings(settings, modeOf('settings'));
+    summary.settings = modeOf('settings') === 'replace'
+      ? replaceSummary(diff.settings)
+      : mergeSummary(mergePlan(SECTIONS.settings, diff.settings, conflicts));
+    // The workflow is held in memory, so swap it in now rather than on reload
+    if (workflow || modeOf('settings') === 'replace') configureWorkflow(workflow?.value || null);
+  }
+
+  if (users) {
+    importUserRecords(users);
+    summary.users = modeOf('users') === 'replace'
+      ? replaceSummary(diff.users)
+      : mergeSummary(mergePlan(SECTIONS.users, diff.users, conflicts));
+  }
+
+  console.log('✅ Backup restored:', summary);
+  return summary;
+}
+
+export default {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  BACKUP_SECTIONS,
+  RESTORE_MODES,
+  BackupError,
+  checksumSections,
+  createBackup,
+  backupFile,
+  migrateBackup,
+  readBackup,
+  diffBackup,
+  restoreBackup
+};
@@ -0,0 +1,179 @@
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { TextEncoder } from 'util';
+import { webcrypto } from 'crypto';
+import { closeDatabase, openDatabase, DB_VERSION } from './database';
+import { createBackup, readBackup, diffBackup, restoreBackup, checksumSections, BACKUP_FORMAT } from './backup';
+import { DEFAULT_WORKFLOW, getWorkflow } from './orderWorkflow';
+
+jest.mock('./auth', () => ({
+  getCurrentUser: () => ({ userId: 'u1', username: 'owner', role: 'owner' })
+}));
+
+// jsdom has neither the encoder nor SubtleCrypto
+Object.assign(global, { TextEncoder });
+Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+
+const owner = { id: 'u1', username: 'owner', role: 'owner', disabled: false, passwordHash: 'h1', passwordChangedAt: 100 };
+const cashier = { id: 'u2', username: 'sana', role: 'cashier', disabled: false, passwordHash: 'h2', passwordChangedAt: 100 };
+
+// A cached order under an explicit cache key; `id` differs between devices
+const cachedOrder = (id, orderId, status = 'pending', extra = {}) => ({
+  id,
+  orderId,
+  localId: `loc-${orderId}`,
+  status,
+  total: 250,
+  timestamp: 1700000000000,
+  ...extra
+});
+
+const putOrders = async (orders) => {
+  const db = await openDatabase();
+  for (const o of orders) {
+    await db.add('orders', o);
+  }
+};
+
+const signed = async (backup) => ({ ...backup, checksum: await checksumSections(backup.sections) });
+
+beforeEach(() => {
+  global.indexedDB = new IDBFactory();
+  localStorage.clear();
+  localStorage.setItem('adminUsers', JSON.stringify([owner, cashier]));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  await closeDatabase();
+  jest.restoreAllMocks();
+});
+
+test('a backup round-trips and damaged or newer files are refused', async () => {
+  await putOrders([cachedOrder(1, 'ORD-1'), cachedOrder(2, 'ORD-2', 'completed')]);
+  localStorage.setItem('notificationSettings', JSON.stringify({ muted: true }));
+
+  const backup = await createBackup();
+  expect(backup).toMatchObject({ format: BACKUP_FORMAT, schemaVersion: DB_VERSION });
+  expect(backup.counts).toMatchObject({ orders: 2, users: 2, settings: 1 });
+
+  const read = await readBackup(JSON.stringify(backup));
+  expect(read.sections.orders).toHaveLength(2);
+
+  const edited = JSON.parse(JSON.stringify(backup));
+  edited.sections.orders[0].total = 1;
+  await expect(readBackup(edited)).rejects.toMatchObject({ code: 'checksum' });
+
+  await expect(readBackup({ ...backup, schemaVersion: DB_VERSION + 1 })).rejects.toMatchObject({ code: 'schema' });
+  await expect(readBackup('not json')).rejects.toMatchObject({ code: 'format' });
+});
+
+test('diff finds new, changed and conflicting records; merge keeps local conflicts', async () => {
+  const backup = await signed({
+    format: BACKUP_FORMAT,
+    version: 1,
+    schemaVersion: DB_VERSION,
+    sections: {
+      orders: [
+        cachedOrder(1, 'ORD-1'),
+        cachedOrder(2, 'ORD-2', 'completed'),
+        cachedOrder(3, 'ORD-3', 'completed'),
+        cachedOrder(4, 'ORD-4')
+      ]
+    }
+  });
+  // Different cache keys on this device; ORD-3 has offline changes
+  await putOrders([
+    cachedOrder(11, 'ORD-1'),
+    cachedOrder(12, 'ORD-2'),
+    cachedOrder(13, 'ORD-3', 'ready', { dirty: true }),
+    cachedOrder(15, 'ORD-5')
+  ]);
+
+  const diff = await diffBackup(await readBackup(backup));
+  expect(diff.orders.added.map(o => o.orderId)).toEqual(['ORD-4']);
+  expect(diff.orders.changed.map(c => c.local.id)).toEqual([12]);
+  expect(diff.orders.conflicts.map(c => c.local.id)).toEqual([13]);
+  expect(diff.orders).toMatchObject({ unchanged: 1, localOnly: 1 });
+
+  const summary = await restoreBackup(backup);
+  expect(summary.orders).toEqual({ mode: 'merge', added: 1, updated: 1, removed: 0, skipped: 1 });
+
+  const db = await openDatabase();
+  const cached = await db.getAll('orders');
+  expect(cached.map(o => [o.orderId, o.status])).toEqual([
+    ['ORD-1', 'pending'],
+    ['ORD-2', 'completed'],
+    ['ORD-3', 'ready'],
+    ['ORD-5', 'pending'],
+    ['ORD-4', 'pending']
+  ]);
+
+  await restoreBackup(backup, { modes: { orders: 'replace' } });
+  expect((await db.getAll('orders')).map(o => o.id)).toEqual([1, 2, 3, 4]);
+});
+
+test('older backups are migrated to the current schema', async () => {
+  const backup = await signed({
+    format: BACKUP_FORMAT,
+    version: 1,
+    schemaVersion: 3,
+    sections: {
+      orders: [{ id: 1, status: 'pending', total: 100, timestamp: '2024-01-02T10:00:00.000Z' }],
+      products: [{ id: 'p1', name: 'Tea', price: 100 }]
+    }
+  });
+
+  const read = await readBackup(backup);
+  expect(read).toMatchObject({ schemaVersion: DB_VERSION, migratedFrom: 3 });
+  expect(read.sections.orders[0].timestamp).toBe(new Date('2024-01-02T10:00:00.000Z').getTime());
+  expect(read.sections.orders[0].localId).toEqual(expect.any(String));
+
+  const misplaced = await signed({ ...backup, sections: { shifts: [{ id: 's1', openedAt: 1 }] } });
+  await expect(readBackup(misplaced)).rejects.toMatchObject({ code: 'invalid' });
+});
+
+test('staff restores must leave an active owner', async () => {
+  const staffBackup = (users) => signed({ format: BACKUP_FORMAT, version: 1, schemaVersion: DB_VERSION, sections: { users } });
+
+  const noOwner = await staffBackup([cashier]);
+  await expect(restoreBackup(noOwner, { modes: { users: 'replace' } })).rejects.toMatchObject({ code: 'users' });
+  const disabledOwner = await staffBackup([{ ...owner, disabled: true }]);
+  await expect(restoreBackup(disabledOwner)).rejects.toMatchObject({ code: 'users' });
+
+  // The owner matches by username and keeps the local id; sana's newer password is kept
+  const backup = await staffBackup([{ ...owner, id: 'other', displayName: 'Boss' }, { ...cashier, passwordHash: 'old', passwordChangedAt: 50 }]);
+  const summary = await restoreBackup(backup);
+  expect(summary.users).toMatchObject({ updated: 1, skipped: 1 });
+  const users = JSON.parse(localStorage.getItem('adminUsers'));
+  expect(users.map(u => [u.id, u.displayName, u.passwordHash])).toEqual([['u1', 'Boss', 'h1'], ['u2', undefined, 'h2']]);
+});
+
+test('a staff restore that drops the signed-in account is refused', async () => {
+  const backup = await signed({
+    format: BACKUP_FORMAT,
+    version: 1,
+    schemaVersion: DB_VERSION,
+    sections: { users: [{ ...owner, id: 'u9', username: 'boss' }] }
+  });
+
+  await expect(restoreBackup(backup, { modes: { users: 'replace' } })).rejects.toMatchObject({ code: 'users' });
+  expect(JSON.parse(localStorage.getItem('adminUsers')).map(u => u.id)).toEqual(['u1', 'u2']);
+});
+
+test('a restored order workflow takes effect without a reload', async () => {
+  const workflow = { ...DEFAULT_WORKFLOW, statuses: { ...DEFAULT_WORKFLOW.statuses, ready: { ...DEFAULT_WORKFLOW.statuses.ready, label: 'Pick up' } } };
+  const settingsBackup = (settings) => signed({ format: BACKUP_FORMAT, version: 1, schemaVersion: DB_VERSION, sections: { settings } });
+  expect(getWorkflow().statuses.ready.label).not.toBe('Pick up');
+
+  await expect(restoreBackup(await settingsBackup([{ key: 'orderWorkflow', value: { statuses: {} } }])))
+    .rejects.toMatchObject({ code: 'invalid' });
+  expect(localStorage.getItem('orderWorkflow')).toBeNull();
+
+  await restoreBackup(await settingsBackup([{ key: 'orderWorkflow', value: workflow }]));
+  expect(getWorkflow().statuses.ready.label).toBe('Pick up');
+
+  // Replacing with settings that have no workflow goes back to the default
+  await restoreBackup(await settingsBackup([]), { modes: { settings: 'replace' } });
+  expect(getWorkflow()).toBe(DEFAULT_WORKFLOW);
+});
@@ -0,0 +1,233 @@
+/**
+ * Database - the single IndexedDB database for the admin app
+ *
+ * The schema is built by an ordered list of migrations. Each step upgrades
+ * the database from the previous version and may transform existing data.
+ * To change the schema, append a new step; never edit a step that has shipped.
+ */
+import { openDB, deleteDB } from 'idb';
+import { ulid } from './orderNumbers';
+
+export const DB_NAME = 'pos-admin-db';
+
+// Old standalone offline-queue database, folded into DB_NAME in v4
+export const LEGACY_QUEUE_DB_NAME = 'POS_ADMIN_DB';
+
+/**
+ * Order timestamps arrive as numbers or ISO strings; IndexedDB sorts those
+ * into separate key ranges, so keep them as epoch milliseconds
+ * @param {number|string|Date} value
+ * @returns {number}
+ */
+export function normalizeTimestamp(value) {
+  if (typeof value === 'number') return value;
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? Date.now() : time;
+}
+
+/**
+ * Visit every record in a store during an upgrade, replacing it with
+ * whatever `transform` returns (return undefined to leave it unchanged)
+ */
+async function transformRecords(transaction, storeName, transform) {
+  let cursor = await transaction.objectStore(storeName).openCursor();
+  while (cursor) {
+    const next = transform(cursor.value);
+    if (next !== undefined) {
+      await cursor.update(next);
+    }
+    cursor = await cursor.continue();
+  }
+}
+
+/**
+ * Ordered schema history
+ * upgrade(db, transaction) runs inside the version-change transaction, so it
+ * may only await IndexedDB requests
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Order cache',
+    upgrade(db) {
+      const orders = db.createObjectStore('orders', { keyPath: 'id', autoIncrement: true });
+      orders.createIndex('orderId', 'orderId', { unique: false });
+      orders.createIndex('status', 'status', { unique: false });
+      orders.createIndex('timestamp', 'timestamp', { unique: false });
+    }
+  },
+  {
+    version: 2,
+    description: 'Authentication audit trail',
+    upgrade(db) {
+      const events = db.createObjectStore('authEvents', { keyPath: 'id', autoIncrement: true });
+      events.createIndex('timestamp', 'timestamp', { unique: false });
+      events.createIndex('type', 'type', { unique: false });
+      events.createIndex('username', 'username', { unique: false });
+    }
+  },
+  {
+    version: 3,
+    description: 'Product catalog cache and product outbox',
+    upgrade(db) {
+      const products = db.createObjectStore('products', { keyPath: 'id' });
+      products.createIndex('category', 'category', { unique: false });
+
+      const outbox = db.createObjectStore('productOutbox', { keyPath: 'id', autoIncrement: true });
+      outbox.createIndex('productId', 'productId', { unique: false });
+      outbox.createIndex('createdAt', 'createdAt', { unique: false });
+    }
+  },
+  {
+    version: 4,
+    description: 'Offline order queue moved in from POS_ADMIN_DB; numeric order timestamps; server id index',
+    async upgrade(db, transaction) {
+      const queue = db.createObjectStore('offlineQueue', { keyPath: 'id', autoIncrement: true });
+      queue.createIndex('timestamp', 'timestamp', { unique: false });
+
+      db.createObjectStore('meta', { keyPath: 'key' });
+
+      const orders = transaction.objectStore('orders');
+      orders.createIndex('serverId', '_id', { unique: false });
+
+      await transformRecords(transaction, 'orders', (order) => {
+        if (typeof order.timestamp === 'number') return undefined;
+        return { ...order, timestamp: normalizeTimestamp(order.timestamp) };
+      });
+    }
+  },
+  {
+    version: 5,
+    description: 'Device-independent local order ids',
+    async upgrade(db, transaction) {
+      const orders = transaction.objectStore('orders');
+      orders.createIndex('localId', 'localId', { unique: false });
+
+      // Orders known only by their cache key could be confused with another device's
+      await transformRecords(transaction, 'orders', (order) => {
+        if (order._id || order.orderId || order.localId) return undefined;
+        return { ...order, localId: ulid() };
+      });
+    }
+  },
+  {
+    version: 6,
+    description: 'Till shifts and Z-reports',
+    upgrade(db) {
+      const shifts = db.createObjectStore('shifts', { keyPath: 'id' });
+      shifts.createIndex('openedAt', 'openedAt', { unique: false });
+      shifts.createIndex('status', 'status', { unique: false });
+    }
+  }
+];
+
+export const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Apply every migration between oldVersion and newVersion, in order
+ */
+export async function runMigrations(db, oldVersion, newVersion, transaction) {
+  const steps = MIGRATIONS.filter(m => m.version > oldVersion && m.version <= newVersion);
+  for (const step of steps) {
+    console.log(`🗄️ Migrating ${db.name} to v${step.version}: ${step.description}`);
+    await step.upgrade(db, transaction);
+  }
+}
+
+/**
+ * Open a database at a specific schema version (no caching, no legacy import)
+ * Used by openDatabase, tests and backup checks
+ * @param {string} name
+ * @param {number} version
+ */
+export function openDatabaseAt(name = DB_NAME, version = DB_VERSION) {
+  return openDB(name, version, {
+    upgrade(db, oldVersion, newVersion, transaction) {
+      runMigrations(db, oldVersion, newVersion, transaction).catch(err => {
+        console.error('❌ Database migration failed:', err);
+        transaction.abort();
+      });
+    }
+  });
+}
+
+/**
+ * Copy any orders left in the old POS_ADMIN_DB queue into offlineQueue,
+ * then delete the old database. Runs once per browser.
+ */
+async function importLegacyQueue(db) {
+  if (await db.get('meta', 'legacyQueueImported')) return;
+
+  // Opening without a version never creates stores, so an absent DB stays empty
+  const legacy = await openDB(LEGACY_QUEUE_DB_NAME);
+  try {
+    if (legacy.objectStoreNames.contains('orders')) {
+      const queued = await legacy.getAll('orders');
+      const tx = db.transaction('offlineQueue', 'readwrite');
+      for (const order of queued) {
+        await tx.store.put(order);
+      }
+      await tx.done;
+      console.log(`✅ Moved ${queued.length} queued orders from ${LEGACY_QUEUE_DB_NAME}`);
+    }
+  } finally {
+    legacy.close();
+  }
+
+  await db.put('meta', { key: 'legacyQueueImported', value: Date.now() });
+  deleteDB(LEGACY_QUEUE_DB_NAME).catch(err => {
+    console.warn(`⚠️ Could not delete ${LEGACY_QUEUE_DB_NAME}:`, err);
+  });
+}
+
+let dbPromise = null;
+
+/**
+ * Shared connection to the app database, upgraded to DB_VERSION
+ * @returns {Promise<IDBPDatabase>}
+ */
+export function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = (async () => {
+      const db = await openDatabaseAt(DB_NAME, DB_VERSION);
+
+      // Let a newer version in another tab upgrade; reopen on next use
+      db.addEventListener('versionchange', () => {
+        db.close();
+        dbPromise = null;
+      });
+
+      await importLegacyQueue(db);
+      return db;
+    })().catch(err => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Close the shared connection (tests, restore)
+ */
+export async function closeDatabase() {
+  if (!dbPromise) return;
+  const pending = dbPromise;
+  dbPromise = null;
+  try {
+    (await pending).close();
+  } catch {
+    // Never opened
+  }
+}
+
+export default {
+  DB_NAME,
+  DB_VERSION,
+  MIGRATIONS,
+  normalizeTimestamp,
+  runMigrations,
+  openDatabaseAt,
+  openDatabase,
+  closeDatabase
+};
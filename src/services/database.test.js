@@ -0,0 +1,109 @@
+/**
+ * @jest-environment node
+ */
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { openDB } from 'idb';
+import {
+  DB_NAME,
+  DB_VERSION,
+  LEGACY_QUEUE_DB_NAME,
+  MIGRATIONS,
+  openDatabaseAt,
+  openDatabase,
+  closeDatabase,
+  normalizeTimestamp
+} from './database';
+
+const sampleOrders = [
+  { orderId: 'ORD-1', _id: 'srv-1', status: 'pending', total: 450, timestamp: 1700000000000, items: [{ name: 'Tea', quantity: 2 }] },
+  { orderId: 'ORD-2', _id: 'srv-2', status: 'completed', total: 1200, timestamp: '2024-01-02T10:00:00.000Z', customerName: 'Ali' },
+  { orderId: 'ORD-3', status: 'ready', total: 300, timestamp: 1700000500000 }
+];
+
+beforeEach(() => {
+  // Fresh, empty IndexedDB for every test
+  global.indexedDB = new IDBFactory();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  await closeDatabase();
+  jest.restoreAllMocks();
+});
+
+test('migrations are numbered 1..DB_VERSION without gaps', () => {
+  expect(MIGRATIONS.map(m => m.version)).toEqual(
+    Array.from({ length: DB_VERSION }, (_, i) => i + 1)
+  );
+});
+
+describe.each(MIGRATIONS.slice(0, -1).map(m => m.version))('upgrading from v%i', (fromVersion) => {
+  test('keeps existing orders and reaches the current schema', async () => {
+    const old = await openDatabaseAt(DB_NAME, fromVersion);
+    for (const order of sampleOrders) {
+      // From v4 on, timestamps are always stored as numbers
+      await old.add('orders', fromVersion >= 4 ? { ...order, timestamp: normalizeTimestamp(order.timestamp) } : order);
+    }
+    const before = await old.getAll('orders');
+    old.close();
+
+    const db = await openDatabaseAt(DB_NAME, DB_VERSION);
+    const after = await db.getAll('orders');
+
+    expect(db.version).toBe(DB_VERSION);
+    expect(after).toHaveLength(before.length);
+    after.forEach((order, i) => {
+      const { timestamp, ...rest } = order;
+      const { timestamp: oldTimestamp, ...oldRest } = before[i];
+      expect(rest).toEqual(oldRest);
+      expect(timestamp).toBe(new Date(oldTimestamp).getTime());
+    });
+
+    expect([...db.objectStoreNames].sort()).toEqual(
+      ['authEvents', 'meta', 'offlineQueue', 'orders', 'productOutbox', 'products', 'shifts']
+    );
+    expect(await db.getAllFromIndex('orders', 'serverId', 'srv-2')).toHaveLength(1);
+    db.close();
+  });
+});
+
+test('fresh install builds the full schema', async () => {
+  const db = await openDatabaseAt(DB_NAME, DB_VERSION);
+  expect([...db.objectStoreNames]).toContain('offlineQueue');
+  expect([...db.transaction('orders').store.indexNames].sort()).toEqual(
+    ['localId', 'orderId', 'serverId', 'status', 'timestamp']
+  );
+  db.close();
+});
+
+test('orders known only by their cache key get a local id on upgrade', async () => {
+  const old = await openDatabaseAt(DB_NAME, 4);
+  await old.add('orders', { status: 'pending', total: 100, timestamp: 1 });
+  old.close();
+
+  const db = await openDatabaseAt(DB_NAME, DB_VERSION);
+  const [order] = await db.getAll('orders');
+  expect(order.localId).toHaveLength(26);
+  expect(await db.getAllFromIndex('orders', 'localId', order.localId)).toHaveLength(1);
+  db.close();
+});
+
+test('moves the old POS_ADMIN_DB queue into the shared database', async () => {
+  const legacy = await openDB(LEGACY_QUEUE_DB_NAME, 1, {
+    upgrade(db) {
+      const store = db.createObjectStore('orders', { keyPath: 'id', autoIncrement: true });
+      store.createIndex('synced', 'synced', { unique: false });
+      store.createIndex('timestamp', 'timestamp', { unique: false });
+    }
+  });
+  await legacy.add('orders', { total: 500, synced: false, timestamp: 1, retryCount: 0 });
+  await legacy.add('orders', { total: 250, synced: true, timestamp: 2, retryCount: 1 });
+  legacy.close();
+
+  const db = await openDatabase();
+  const queued = await db.getAll('offlineQueue');
+
+  expect(queued.map(o => o.total)).toEqual([500, 250]);
+  expect(await db.get('meta', 'legacyQueueImported')).toBeTruthy();
+});
@@ -1,57 +1,232 @@
-import { openDB } from 'idb';
-import { fetchOrders as apiFetchOrders, syncOrders as apiSyncOrders, updateOrderStatus as apiUpdateOrderStatus, fetchOrderByNumber as apiFetchOrderByNumber } from './api';
-
-const DB_NAME = 'pos-admin-db';
-const DB_VERSION = 1;
+import { fetchOrderPage as apiFetchOrderPage, syncOrders as apiSyncOrders, updateOrderStatus as apiUpdateOrderStatus, refundOrder as apiRefundOrder, updateOrderItems as apiUpdateOrderItems, fetchOrderByNumber as apiFetchOrderByNumber } from './api';
+import { requirePermission } from './permissions';
+import { openDatabase, normalizeTimestamp } from './database';
+import { assertTransition, findTransition, createHistoryEntry, WorkflowError } from './orderWorkflow';
+import { assignOrderNumber } from './orderNumbers';
+import { createBackup, readBackup, restoreBackup } from './backup';
 
 // ==================== DATABASE INITIALIZATION ====================
 
-export const initDB = async () => {
-  const db = await openDB(DB_NAME, DB_VERSION, {
-    upgrade(db) {
-      // Orders store (for caching)
-      if (!db.objectStoreNames.contains('orders')) {
-        const orderStore = db.createObjectStore('orders', { 
-          keyPath: 'id', 
-          autoIncrement: true 
-        });
-        orderStore.createIndex('orderId', 'orderId', { unique: false });
-        orderStore.createIndex('status', 'status', { unique: false });
-        orderStore.createIndex('timestamp', 'timestamp', { unique: false });
-      }
+// Schema and migrations live in database.js
+export const initDB = () => openDatabase();
+
+// ==================== ORDERS (READ ONLY - Admin View) ====================
+
+// Server orders fetched per request
+export const ORDER_PAGE_SIZE = 200;
+
+// Ask for a little extra on incremental syncs in case server and terminal clocks differ
+const SYNC_OVERLAP = 60 * 1000;
+
+const SYNC_STATE_KEY = 'orderSync';
+
+/**
+ * Find the cached copy of an order by server _id, localId or order number
+ * @param {IDBPObjectStore} store - The orders store, from any transaction
+ */
+const findInStore = async (store, ref) => {
+  if (ref._id) {
+    const match = await store.index('serverId').get(ref._id);
+    if (match) return match;
+  }
+  if (ref.localId) {
+    const match = await store.index('localId').get(ref.localId);
+    if (match) return match;
+  }
+  if (ref.orderId) {
+    const match = await store.index('orderId').get(ref.orderId);
+    if (match) return match;
+  }
+  return null;
+};
+
+const findCachedOrder = (db, ref) => findInStore(db.transaction('orders').store, ref);
+
+/**
+ * Insert or update server orders in the cache, in one transaction
+ * A cached copy with unsynced offline changes (dirty) is kept and only
+ * learns the server _id; pushDirtyOrders sends its changes
+ * @param {Array} orders
+ * @returns {Promise<Array>} - The cached records
+ */
+export const upsertCachedOrders = async (orders) => {
+  if (orders.length === 0) return [];
+  const db = await initDB();
+  const tx = db.transaction('orders', 'readwrite');
+  const saved = [];
+
+  for (const order of orders) {
+    const existing = await findInStore(tx.store, order);
+    const record = existing?.dirty
+      ? { ...existing, _id: order._id || existing._id }
+      : { ...order, timestamp: normalizeTimestamp(order.timestamp) };
+
+    if (existing) {
+      record.id = existing.id;
+    } else {
+      // A cache key from another device means nothing here
+      delete record.id;
     }
-  });
+    record.id = await tx.store.put(record);
+    saved.push(record);
+  }
 
-  return db;
+  await tx.done;
+  return saved;
 };
 
-// ==================== ORDERS (READ ONLY - Admin View) ====================
+/**
+ * Drop cached orders the server no longer has
+ * Only valid when `orders` is the server's complete list. Orders created or
+ * changed here and not yet synced are kept.
+ * @param {Array} orders - Every order on the server
+ * @returns {Promise<number>} - How many were removed
+ */
+export const pruneCachedOrders = async (orders) => {
+  const serverIds = new Set(orders.map(o => o._id).filter(Boolean));
+  const numbers = new Set(orders.map(o => o.orderId).filter(Boolean));
+  const db = await initDB();
+  const tx = db.transaction('orders', 'readwrite');
+  let removed = 0;
 
+  let cursor = await tx.store.openCursor();
+  while (cursor) {
+    const order = cursor.value;
+    const known = order._id ? serverIds.has(order._id) : numbers.has(order.orderId);
+    if (!known && order.synced !== false && !order.dirty) {
+      await cursor.delete();
+      removed++;
+    }
+    cursor = await cursor.continue();
+  }
+
+  await tx.done;
+  return removed;
+};
+
+/**
+ * Bring the local order cache in line with a complete server list
+ * Updates in place rather than clearing, so unsynced local orders survive
+ */
+export const cacheOrders = async (orders) => {
+  await upsertCachedOrders(orders);
+  await pruneCachedOrders(orders);
+};
+
+/**
+ * Every cached order, newest first (read in timestamp-index order, no sort needed)
+ */
+export const getCachedOrders = async () => {
+  const db = await initDB();
+  const orders = await db.getAllFromIndex('orders', 'timestamp');
+  return orders.reverse();
+};
+
+/**
+ * A slice of the cached orders, newest first, read from the timestamp index
+ * (the dashboard's window; see useOrders)
+ * @param {number} offset - How many of the newest to skip
+ * @param {number} limit
+ * @returns {Promise<Array>}
+ */
+export const getCachedOrderPage = async (offset = 0, limit = ORDER_PAGE_SIZE) => {
+  const db = await initDB();
+  let cursor = await db.transaction('orders').store.index('timestamp').openCursor(null, 'prev');
+  if (cursor && offset > 0) cursor = await cursor.advance(offset);
+
+  const orders = [];
+  while (cursor && orders.length < limit) {
+    orders.push(cursor.value);
+    cursor = await cursor.continue();
+  }
+  return orders;
+};
+
+export const countCachedOrders = async () => {
+  const db = await initDB();
+  return db.count('orders');
+};
+
+/**
+ * A cached order by any identifier it has ({id, _id, localId, orderId})
+ * @returns {Promise<Object|null>}
+ */
+export const getCachedOrder = async (ref) => {
+  const db = await initDB();
+  if (typeof ref.id === 'number') {
+    const byId = await db.get('orders', ref.id);
+    if (byId) return byId;
+  }
+  return (await findCachedOrder(db, ref)) || null;
+};
+
+/**
+ * Cached orders narrowed by the timestamp or status index
+ * Used for searching offline; the caller applies the remaining filters
+ * @param {Object} filter
+ *   - range: {lower?, upper?} epoch ms (uses the timestamp index)
+ *   - status: only this status (uses the status index when there's no range)
+ * @returns {Promise<Array>}
+ */
+export const queryCachedOrders = async ({ range = null, status = 'all' } = {}) => {
+  const db = await initDB();
+  const byStatus = status && status !== 'all';
+
+  if (range && (range.lower != null || range.upper != null)) {
+    let keyRange;
+    if (range.lower != null && range.upper != null) keyRange = IDBKeyRange.bound(range.lower, range.upper);
+    else if (range.lower != null) keyRange = IDBKeyRange.lowerBound(range.lower);
+    else keyRange = IDBKeyRange.upperBound(range.upper);
+
+    const orders = await db.getAllFromIndex('orders', 'timestamp', keyRange);
+    return byStatus ? orders.filter(order => order.status === status) : orders;
+  }
+
+  if (byStatus) {
+    return db.getAllFromIndex('orders', 'status', status);
+  }
+  return db.getAll('orders');
+};
+
+/**
+ * Orders from the server, synced into the cache first when online
+ * @returns {Promise<Array>} - Newest first
+ */
 export const getAllOrders = async () => {
-  // Try to get from server first
   if (navigator.onLine) {
     try {
-      const orders = await apiFetchOrders();
-      console.log('db.getAllOrders: fetched from server', Array.isArray(orders) ? orders.length : '(not array)');
-      // Cache locally
-      const db = await initDB();
-      const tx = db.transaction('orders', 'readwrite');
-      await tx.store.clear(); // Clear old cache
-      for (const order of orders) {
-        await tx.store.add(order);
-      }
-      await tx.done;
-      return orders.sort((a, b) => b.timestamp - a.timestamp);
+      await syncOrderCache();
     } catch (error) {
       console.log('Using cached orders (fetch error):', error.message);
     }
   }
 
-  // Fallback to cache
+  const orders = await getCachedOrders();
+  console.log('db.getAllOrders: returned from cache', orders.length);
+  return orders;
+};
+
+/**
+ * Insert or replace one server order in the cache (used by the live feed)
+ * @returns {Promise<Object>} - The cached record
+ */
+export const upsertCachedOrder = async (order) => {
+  const [record] = await upsertCachedOrders([order]);
+  return record;
+};
+
+/**
+ * Drop an order deleted on the server from the cache
+ * @param {Object} ref - {_id} and/or {orderId}
+ * @returns {Promise<Object|null>} - The removed record
+ */
+export const removeCachedOrder = async (ref) => {
   const db = await initDB();
-  const orders = await db.getAll('orders');
-  console.log('db.getAllOrders: returned from cache', Array.isArray(orders) ? orders.length : '(not array)');
-  return orders.sort((a, b) => b.timestamp - a.timestamp);
+  const existing = await findCachedOrder(db, ref);
+  if (existing) {
+    await db.delete('orders', existing.id);
+  }
+  return existing;
 };
 
 export const getOrderById = async (id) => {
@@ -59,21 +234,45 @@ export const getOrderById = async (id) => {
   return await db.get('orders', id);
 };
 
-export const updateOrderStatus = async (orderId, status) => {
-  const db = await initDB();
-  // Try direct primary key lookup first
-  let order = await db.get('orders', orderId);
-
-  // If not found, try to find by orderId or _id fields
-  if (!order) {
-    const all = await db.getAll('orders');
-    order = all.find(o => o._id === orderId || o.orderId === orderId || String(o.id) === String(orderId));
+/**
+ * Look up a cached order by cache id (a number), server _id, localId or order number
+ */
+const findCachedOrderByKey = async (db, key) => {
+  if (typeof key === 'number') {
+    return (await db.get('orders', key)) || null;
   }
+  if (!key) return null;
+  // A string may be any of the three, so try each index
+  return findCachedOrder(db, { _id: key, localId: key, orderId: key });
+};
 
+const findOrderForUpdate = async (db, orderId) => {
+  const order = await findCachedOrderByKey(db, orderId);
   if (!order) {
     throw new Error('Order not found');
   }
+  return order;
+};
+
+/**
+ * Change an order's status in the cache only (offline fallback)
+ * The change is checked against the workflow and recorded in statusHistory;
+ * entries marked `synced: false` are replayed to the server by pushDirtyOrders
+ * @param {number|string} orderId - Cache id, server _id or order number
+ * @param {string} status
+ * @param {Object} extra - Extra fields for the history entry (e.g. reason)
+ */
+export const updateOrderStatus = async (orderId, status, extra = {}) => {
+  requirePermission('orders:status');
+  const db = await initDB();
+  const order = await findOrderForUpdate(db, orderId);
+
+  assertTransition(order.status, status);
 
+  order.statusHistory = [
+    ...(order.statusHistory || []),
+    { ...createHistoryEntry(order.status, status, extra), synced: false }
+  ];
   order.status = status;
   // mark as dirty/offline-change so it can be reconciled later if needed
   order.dirty = true;
@@ -83,30 +282,119 @@ export const updateOrderStatus = async (orderId, status) => {
   return order;
 };
 
-// Save or update a single order (used by bluetooth incoming sync)
-export const saveOrder = async (order) => {
+/**
+ * Replace an order's items in the cache only (offline fallback)
+ * Editability and validation are checked by the caller (orderRepository.editOrderItems)
+ * @param {number|string} orderId - Cache id, server _id or order number
+ * @param {Object} changes - {items, total, edit}
+ */
+export const updateCachedOrderItems = async (orderId, { items, total, edit }) => {
+  requirePermission('orders:edit');
+  const db = await initDB();
+  const order = await findOrderForUpdate(db, orderId);
+
+  order.items = items;
+  order.total = total;
+  order.editHistory = [...(order.editHistory || []), { ...edit, synced: false }];
+  // Items are sent as a whole, so one flag covers any number of offline edits
+  order.itemsDirty = true;
+  order.dirty = true;
+  await db.put('orders', order);
+
+  console.log('✅ Order items updated locally:', order.orderId || orderId);
+  return order;
+};
+
+/**
+ * Record a refund in the cache only (offline fallback)
+ * Approval is checked by the caller (orderRepository.refundOrder)
+ * @param {number|string} orderId - Cache id, server _id or order number
+ * @param {Object} refund - From refunds.buildRefund
+ * @param {boolean} full - Nothing left to refund; the order becomes `refunded`
+ */
+export const recordRefund = async (orderId, refund, full) => {
+  requirePermission('orders:status');
   const db = await initDB();
-  // Use put to add or update (preserve given id if present)
+  const order = await findOrderForUpdate(db, orderId);
+
+  order.refunds = [...(order.refunds || []), { ...refund, synced: false }];
+
+  if (full) {
+    if (!findTransition(order.status, 'refunded')) {
+      throw new WorkflowError(order.status, 'refunded');
+    }
+    // The server sets this status itself when the refund arrives
+    order.statusHistory = [
+      ...(order.statusHistory || []),
+      { ...createHistoryEntry(order.status, 'refunded', { reason: refund.reason, refundId: refund.id }), synced: false }
+    ];
+    order.status = 'refunded';
+  }
+
+  order.dirty = true;
   await db.put('orders', order);
-  console.log('✅ Order saved locally:', order.id || order.orderId || 'unknown');
+
+  console.log('✅ Refund recorded locally:', order.orderId || orderId, `Rs. ${refund.amount}`);
   return order;
 };
 
+/**
+ * Save or update a single order (bluetooth incoming sync, orders placed offline)
+ * Orders without a number get one, so they can't collide with other devices' orders
+ */
+export const saveOrder = async (order) => {
+  const db = await initDB();
+  const numbered = assignOrderNumber(order);
+  const existing = await findCachedOrder(db, numbered);
+  const record = { ...numbered, timestamp: normalizeTimestamp(numbered.timestamp) };
+  if (existing) {
+    record.id = existing.id;
+  } else {
+    // A cache key from another device means nothing here
+    delete record.id;
+  }
+  record.id = await db.put('orders', record);
+  console.log('✅ Order saved locally:', record.orderId);
+  return record;
+};
+
+/**
+ * Record the server's copy of an order created here, keeping local-only
+ * fields (cache key, unsynced history) and marking it synced
+ * @param {Object} serverOrder - Must carry the localId or orderId it was created with
+ * @returns {Promise<Object>} - The cached record
+ */
+export const reconcileOrder = async (serverOrder) => {
+  const db = await initDB();
+  const existing = await findCachedOrder(db, serverOrder);
+  let record;
+  if (existing?.dirty) {
+    // Changed here since it was queued - keep our copy until pushDirtyOrders sends it
+    record = { ...existing, _id: serverOrder._id, synced: true };
+  } else {
+    record = { ...serverOrder, timestamp: normalizeTimestamp(serverOrder.timestamp), synced: true };
+    if (existing) record.id = existing.id;
+    else delete record.id;
+  }
+  record.id = await db.put('orders', record);
+  console.log('✅ Order reconciled with server:', record.orderId, '→', record._id);
+  return record;
+};
+
 // Clear all locally cached orders
 export const clearOrders = async () => {
+  requirePermission('orders:delete');
   const db = await initDB();
   await db.clear('orders');
+  // Next sync starts again from the newest page
+  await db.delete('meta', SYNC_STATE_KEY);
   console.log('✅ All cached orders cleared');
 };
 
 export const deleteOrder = async (orderId) => {
+  requirePermission('orders:delete');
   const db = await initDB();
-  // Try primary key delete first
-  let existing = await db.get('orders', orderId);
-  if (!existing) {
-    const all = await db.getAll('orders');
-    existing = all.find(o => o._id === orderId || o.orderId === orderId || String(o.id) === String(orderId));
-  }
+  const existing = await findCachedOrderByKey(db, orderId);
   if (existing) {
     await db.delete('orders', existing.id);
     console.log('✅ Order deleted locally:', existing.orderId || existing._id || existing.id);
@@ -117,8 +405,145 @@ export const deleteOrder = async (orderId) => {
   }
 };
 
+// ==================== PRODUCTS (Catalog Cache) ====================
+
+/**
+ * Replace the cached catalog
+ * @param {Array} products
+ */
+export const cacheProducts = async (products) => {
+  const db = await initDB();
+  const tx = db.transaction('products', 'readwrite');
+  await tx.store.clear();
+  for (const product of products) {
+    await tx.store.put(product);
+  }
+  await tx.done;
+};
+
+export const getCachedProducts = async () => {
+  const db = await initDB();
+  return await db.getAll('products');
+};
+
+export const getCachedProduct = async (productId) => {
+  const db = await initDB();
+  return await db.get('products', productId);
+};
+
+export const saveCachedProduct = async (product) => {
+  const db = await initDB();
+  await db.put('products', product);
+  return product;
+};
+
+export const deleteCachedProduct = async (productId) => {
+  const db = await initDB();
+  await db.delete('products', productId);
+};
+
 // ==================== SYNC ====================
 
+/**
+ * Where the order cache stands against the server
+ * @returns {Promise<Object>} - {syncedAt?: epoch ms of the last sync, olderCursor?: cursor
+ *   for the next page of older orders (null once everything is cached)}
+ */
+export const getOrderSyncState = async () => {
+  const db = await initDB();
+  return (await db.get('meta', SYNC_STATE_KEY))?.value || {};
+};
+
+/**
+ * Whether every order placed since `since` is in the cache
+ * False while older pages are still on the server only and the oldest
+ * cached order is newer than `since` (null: since the beginning)
+ * @param {number|null} since - Epoch ms
+ * @returns {Promise<boolean>}
+ */
+export const hasCachedOrdersSince = async (since = null) => {
+  const { olderCursor } = await getOrderSyncState();
+  if (!olderCursor) return true;
+  if (since == null) return false;
+
+  const db = await initDB();
+  // The timestamp index is in order, so its first entry is the oldest order
+  const oldest = await db.transaction('orders').store.index('timestamp').openCursor();
+  return !!oldest && oldest.value.timestamp <= since;
+};
+
+const saveOrderSyncState = async (changes) => {
+  const db = await initDB();
+  const current = (await db.get('meta', SYNC_STATE_KEY))?.value || {};
+  await db.put('meta', { key: SYNC_STATE_KEY, value: { ...current, ...changes } });
+};
+
+/**
+ * Fetch and cache every order created or changed since a time, following
+ * cursors across pages, and drop orders the server reports deleted
+ * @param {number} since - Epoch ms
+ * @returns {Promise<Array>} - The cached records
+ */
+export const fetchChangedOrders = async (since, options = {}) => {
+  const changed = [];
+  const deleted = [];
+  let cursor = null;
+  do {
+    const page = await apiFetchOrderPage({ since, cursor, limit: ORDER_PAGE_SIZE }, options);
+    changed.push(...page.orders);
+    deleted.push(...page.deleted);
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  const saved = await upsertCachedOrders(changed);
+  for (const _id of deleted) {
+    await removeCachedOrder({ _id });
+  }
+  return saved;
+};
+
+/**
+ * Bring the cache up to date without downloading every order again
+ * First sync: the newest page only (older pages come from fetchOlderOrders).
+ * Afterwards: only what changed since the last sync.
+ * @returns {Promise<Array>} - The orders received
+ */
+export const syncOrderCache = async (options = {}) => {
+  const { syncedAt } = await getOrderSyncState();
+  const startedAt = Date.now();
+
+  if (syncedAt) {
+    const changed = await fetchChangedOrders(syncedAt - SYNC_OVERLAP, options);
+    await saveOrderSyncState({ syncedAt: startedAt });
+    return changed;
+  }
+
+  const page = await apiFetchOrderPage({ limit: ORDER_PAGE_SIZE }, options);
+  if (page.nextCursor) {
+    await upsertCachedOrders(page.orders);
+  } else {
+    // That was everything the server has, so anything else cached is gone
+    await cacheOrders(page.orders);
+  }
+  await saveOrderSyncState({ syncedAt: startedAt, olderCursor: page.nextCursor });
+  console.log(`📥 Cached newest ${page.orders.length} orders${page.nextCursor ? ' (more on the server)' : ''}`);
+  return page.orders;
+};
+
+/**
+ * Fetch and cache the next page of older orders (scrolling past the end of the list)
+ * @returns {Promise<Object>} - {orders: cached records, hasMore}
+ */
+export const fetchOlderOrders = async (options = {}) => {
+  const { olderCursor } = await getOrderSyncState();
+  if (!olderCursor) return { orders: [], hasMore: false };
+
+  const page = await apiFetchOrderPage({ cursor: olderCursor, limit: ORDER_PAGE_SIZE }, options);
+  const saved = await upsertCachedOrders(page.orders);
+  await saveOrderSyncState({ olderCursor: page.nextCursor });
+  return { orders: saved, hasMore: !!page.nextCursor };
+};
+
 export const syncWithServer = async () => {
   if (!navigator.onLine) {
     console.log('📵 Offline - sync skipped');
@@ -127,7 +552,7 @@ export const syncWithServer = async () => {
 
   try {
     console.log('🔄 Syncing orders from server...');
-    await getAllOrders(); // This already syncs
+    await syncOrderCache();
     console.log('✅ Sync completed');
     return { success: true };
   } catch (error) {
@@ -136,18 +561,17 @@ export const syncWithServer = async () => {
   }
 };
 
-// Get pending (unsynced) orders saved locally (created from Bluetooth)
+// Get pending (unsynced) orders saved locally (created from Bluetooth or offline)
 export const getUnsyncedOrders = async () => {
   const db = await initDB();
   const all = await db.getAll('orders');
-  return all.filter(o => !o.synced);
+  return all.filter(o => o.synced === false);
 };
 
-// Mark an order as synced locally (by orderId or _id)
+// Mark an order as synced locally (by cache id, _id, localId or orderId)
 export const markOrderAsSynced = async (orderId) => {
   const db = await initDB();
-  const orders = await db.getAll('orders');
-  const order = orders.find(o => o.id === orderId || o.orderId === orderId || o._id === orderId);
+  const order = await findCachedOrderByKey(db, orderId);
   if (order) {
     order.synced = true;
     await db.put('orders', order);
@@ -157,6 +581,84 @@ export const markOrderAsSynced = async (orderId) => {
   return null;
 };
 
+/**
+ * Push item edits, status changes and refunds made while offline (orders marked dirty)
+ * Each unsynced statusHistory entry is replayed in order, so the server sees
+ * the same steps the terminal did. Orders that can't be pushed stay dirty.
+ * @returns {Promise<number>} - How many orders were pushed
+ */
+export const pushDirtyOrders = async () => {
+  const db = await initDB();
+  const allOrders = await db.getAll('orders');
+  const dirty = allOrders.filter(o => o.dirty);
+  let pushed = 0;
+
+  for (const d of dirty) {
+    try {
+      // Prefer server _id
+      let serverId = d._id || null;
+      if (!serverId && d.orderId) {
+        const serverOrder = await apiFetchOrderByNumber(d.orderId);
+        serverId = serverOrder?._id || null;
+      }
+      if (!serverId) continue;
+
+      let sent = false;
+      const pushRefund = async (refund) => {
+        const { synced, ...record } = refund;
+        await apiRefundOrder(serverId, record);
+        refund.synced = true;
+        sent = true;
+        await db.put('orders', d);
+      };
+
+      // Item edits first: they were made while the order was still editable
+      if (d.itemsDirty) {
+        const edits = (d.editHistory || []).filter(entry => entry.synced === false);
+        const { synced, ...edit } = edits[edits.length - 1] || {};
+        await apiUpdateOrderItems(serverId, { items: d.items, total: d.total, edit });
+        edits.forEach(entry => { entry.synced = true; });
+        d.itemsDirty = false;
+        sent = true;
+        await db.put('orders', d);
+      }
+
+      const history = d.statusHistory || [];
+      const refunds = d.refunds || [];
+      const unsynced = history.filter(entry => entry.synced === false);
+      for (const entry of unsynced) {
+        if (entry.refundId) {
+          // Status change caused by a full refund - sending the refund does it
+          const refund = refunds.find(r => r.id === entry.refundId);
+          if (refund && refund.synced === false) await pushRefund(refund);
+        } else {
+          const { synced, ...historyEntry } = entry;
+          await apiUpdateOrderStatus(serverId, entry.to, { historyEntry });
+        }
+        entry.synced = true;
+        sent = true;
+        await db.put('orders', d);
+      }
+      for (const refund of refunds.filter(r => r.synced === false)) {
+        await pushRefund(refund);
+      }
+
+      if (!sent) {
+        // Changed before history was recorded - just send the final status
+        await apiUpdateOrderStatus(serverId, d.status);
+      }
+
+      d.dirty = false;
+      await db.put('orders', d);
+      pushed++;
+      console.log('✅ Pushed offline changes to server for', d.orderId || d._id || d.id);
+    } catch (err) {
+      console.warn('⚠️ Failed to push offline changes for', d.orderId || d._id || d.id, err.message);
+    }
+  }
+  return pushed;
+};
+
 // Sync unsynced orders to server (bulk)
 export const syncPendingOrders = async () => {
   if (!navigator.onLine) {
@@ -164,40 +666,20 @@ export const syncPendingOrders = async () => {
     return { success: false, message: 'Offline' };
   }
   try {
-    const db = await initDB();
     const pending = await getUnsyncedOrders();
     if (pending.length === 0) {
       return { success: true, synced: 0 };
     }
     console.log('🔄 Syncing pending orders to server...', pending.length);
-    const result = await apiSyncOrders(pending);
+    // Cache keys are per device - the server matches on localId/orderId
+    const result = await apiSyncOrders(pending.map(({ id, ...order }) => order));
     const syncedOrders = result.orders || (Array.isArray(result) ? result : []);
     for (const o of syncedOrders) {
-      await markOrderAsSynced(o.orderId || o._id || o.id);
-      await saveOrder(o); // update local with server data
+      await reconcileOrder(o); // update local with server data and _id
     }
 
     // Also try to push status updates for locally dirty orders
-    const allOrders = await db.getAll('orders');
-    const dirty = allOrders.filter(o => o.dirty);
-    for (const d of dirty) {
-      try {
-        // Prefer server _id
-        let serverId = d._id || null;
-        if (!serverId && d.orderId) {
-          const serverOrder = await apiFetchOrderByNumber(d.orderId);
-          serverId = serverOrder?._id || null;
-        }
-        if (serverId) {
-          await apiUpdateOrderStatus(serverId, d.status);
-          d.dirty = false;
-          await db.put('orders', d);
-          console.log('✅ Pushed status update to server for', d.orderId || d._id || d.id);
-        }
-      } catch (err) {
-        console.warn('⚠️ Failed to push dirty status for', d.orderId || d._id || d.id, err.message);
-      }
-    }
+    await pushDirtyOrders();
 
     console.log('✅ Pending orders synced:', syncedOrders.length);
     return { success: true, synced: syncedOrders.length };
@@ -207,37 +689,41 @@ export const syncPendingOrders = async () => {
   }
 };
 
-// ==================== EXPORT ====================
+// ==================== BACKUP ====================
 
-export const exportAllData = async () => {
-  const db = await initDB();
-  const orders = await db.getAll('orders');
-  
-  return {
-    orders,
-    exportedAt: Date.now()
-  };
-};
+// Full backups (every store, settings and staff) are built and checked in backup.js
+export const exportAllData = () => createBackup();
 
-export const importAllData = async (data) => {
-  const db = await initDB();
-  
-  if (data.orders && data.orders.length > 0) {
-    const tx = db.transaction('orders', 'readwrite');
-    for (const order of data.orders) {
-      await tx.store.put(order);
-    }
-    await tx.done;
-    console.log('✅ Orders imported');
-  }
-  
-  return true;
-};
+export const importAllData = async (data, options) => restoreBackup(await readBackup(data), options);
 
 const dbExports = {
   initDB,
+  cacheOrders,
+  getCachedOrders,
   getAllOrders,
+  upsertCachedOrders,
+  pruneCachedOrders,
+  getCachedOrderPage,
+  countCachedOrders,
+  getCachedOrder,
+  queryCachedOrders,
+  getOrderSyncState,
+  hasCachedOrdersSince,
+  syncOrderCache,
+  fetchChangedOrders,
+  fetchOlderOrders,
   getOrderById,
+  upsertCachedOrder,
+  removeCachedOrder,
+  recordRefund,
+  updateCachedOrderItems,
+  reconcileOrder,
+  pushDirtyOrders,
+  cacheProducts,
+  getCachedProducts,
+  getCachedProduct,
+  saveCachedProduct,
+  deleteCachedProduct,
   updateOrderStatus,
   saveOrder,
   clearOrders,
@@ -0,0 +1,96 @@
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { fetchOrderPage } from './api';
+import { closeDatabase } from './database';
+import { syncOrderCache, fetchOlderOrders, getCachedOrders, saveOrder, getOrderSyncState, markOrderAsSynced, hasCachedOrdersSince } from './db';
+
+jest.mock('./api', () => ({
+  fetchOrderPage: jest.fn()
+}));
+
+const order = (n, extra = {}) => ({
+  _id: `srv-${n}`,
+  orderId: `ORD-${n}`,
+  status: 'pending',
+  total: n * 100,
+  timestamp: 1700000000000 + n * 1000,
+  ...extra
+});
+
+beforeEach(() => {
+  global.indexedDB = new IDBFactory();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  fetchOrderPage.mockReset();
+});
+
+afterEach(async () => {
+  await closeDatabase();
+  jest.restoreAllMocks();
+});
+
+test('first sync caches the newest page and older pages load on demand', async () => {
+  fetchOrderPage
+    .mockResolvedValueOnce({ orders: [order(4), order(3)], nextCursor: 'c1', deleted: [] })
+    .mockResolvedValueOnce({ orders: [order(2), order(1)], nextCursor: null, deleted: [] });
+
+  await syncOrderCache();
+  expect((await getCachedOrders()).map(o => o.orderId)).toEqual(['ORD-4', 'ORD-3']);
+  expect((await getOrderSyncState()).olderCursor).toBe('c1');
+
+  const { orders, hasMore } = await fetchOlderOrders();
+  expect(fetchOrderPage).toHaveBeenLastCalledWith(expect.objectContaining({ cursor: 'c1' }), {});
+  expect(orders).toHaveLength(2);
+  expect(hasMore).toBe(false);
+  expect((await getCachedOrders()).map(o => o.orderId)).toEqual(['ORD-4', 'ORD-3', 'ORD-2', 'ORD-1']);
+});
+
+test('the cache only covers a range once older pages reach back far enough', async () => {
+  fetchOrderPage
+    .mockResolvedValueOnce({ orders: [order(4), order(3)], nextCursor: 'c1', deleted: [] })
+    .mockResolvedValueOnce({ orders: [order(2), order(1)], nextCursor: null, deleted: [] });
+  await syncOrderCache();
+
+  expect(await hasCachedOrdersSince(order(3).timestamp)).toBe(true);
+  expect(await hasCachedOrdersSince(order(2).timestamp)).toBe(false);
+  expect(await hasCachedOrdersSince()).toBe(false);
+
+  await fetchOlderOrders();
+  expect(await hasCachedOrdersSince()).toBe(true);
+});
+
+test('later syncs only fetch changes and update the cache in place', async () => {
+  fetchOrderPage.mockResolvedValueOnce({ orders: [order(2), order(1)], nextCursor: null, deleted: [] });
+  await syncOrderCache();
+  const local = await saveOrder({ items: [], total: 50, status: 'pending', timestamp: Date.now(), synced: false });
+
+  fetchOrderPage.mockResolvedValueOnce({
+    orders: [order(3), order(2, { status: 'ready' })],
+    nextCursor: null,
+    deleted: ['srv-1']
+  });
+  await syncOrderCache();
+
+  expect(fetchOrderPage).toHaveBeenLastCalledWith(expect.objectContaining({ since: expect.any(Number) }), {});
+  const cached = await getCachedOrders();
+  expect(cached.map(o => o.orderId)).toEqual([local.orderId, 'ORD-3', 'ORD-2']);
+  expect(cached.find(o => o.orderId === 'ORD-2').status).toBe('ready');
+});
+
+test('a plain array from an unpaginated server replaces stale cache entries', async () => {
+  fetchOrderPage.mockResolvedValueOnce({ orders: [order(1)], nextCursor: null, deleted: [] });
+  await saveOrder(order(9));
+
+  await syncOrderCache();
+  expect((await getCachedOrders()).map(o => o.orderId)).toEqual(['ORD-1']);
+});
+
+test('orders are found by cache id, server id, local id or order number', async () => {
+  const saved = await saveOrder(order(1, { localId: 'loc-1', synced: false }));
+  await saveOrder(order(2, { localId: 'loc-2', synced: false }));
+
+  for (const key of [saved.id, 'srv-1', 'loc-1', 'ORD-1']) {
+    expect((await markOrderAsSynced(key)).orderId).toBe('ORD-1');
+  }
+  expect(await markOrderAsSynced('nope')).toBeNull();
+  expect((await getCachedOrders()).find(o => o.orderId === 'ORD-2').synced).toBe(false);
+});
@@ -0,0 +1,426 @@
+/**
+ * Exporters - CSV, XLSX and PDF files from a table, with no dependencies
+ *
+ * Every format takes the same table:
+ *   {title, subtitle?, summary?: [[label, value]], columns: [{label, type?}], rows: [[...]]}
+ * where a column type is 'text' (default) or 'number'. Rows are written in
+ * chunks that hand control back to the browser in between, so exporting tens
+ * of thousands of orders doesn't freeze the tab; the file is assembled from
+ * the chunks as a Blob rather than one giant string.
+ */
+
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', type: 'text/csv;charset=utf-8' },
+  xlsx: { label: 'Excel', extension: 'xlsx', type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  pdf: { label: 'PDF', extension: 'pdf', type: 'application/pdf' }
+};
+
+const CHUNK_SIZE = 1000;
+
+const yieldToBrowser = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Map rows to strings a chunk at a time, yielding between chunks
+ * @returns {Promise<Array<string>>} - One string per chunk
+ */
+async function writeInChunks(rows, writeRow, chunkSize = CHUNK_SIZE) {
+  const parts = [];
+  for (let start = 0; start < rows.length; start += chunkSize) {
+    if (start > 0) await yieldToBrowser();
+    let chunk = '';
+    const end = Math.min(rows.length, start + chunkSize);
+    for (let i = start; i < end; i++) chunk += writeRow(rows[i], i);
+    parts.push(chunk);
+  }
+  return parts;
+}
+
+// ---------------------------------------------------------------- CSV
+
+/**
+ * One CSV cell: quoted when needed, and text that a spreadsheet would run as
+ * a formula (=, +, -, @) is prefixed with an apostrophe
+ * @param {*} value
+ * @returns {string}
+ */
+export function csvCell(value) {
+  if (value == null) return '';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : '';
+  let str = String(value);
+  if (/^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+const csvLine = (cells) => `${cells.map(csvCell).join(',')}\r\n`;
+
+/**
+ * CSV with a UTF-8 byte order mark, so Excel shows Urdu names correctly
+ * @param {Object} table
+ * @returns {Promise<Blob>}
+ */
+export async function toCsv({ columns, rows }) {
+  const parts = await writeInChunks(rows, csvLine);
+  return new Blob(['\uFEFF', csvLine(columns.map(column => column.label)), ...parts], { type: EXPORT_FORMATS.csv.type });
+}
+
+// ---------------------------------------------------------------- XLSX
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32 over several byte arrays (as the zip format needs), yielding
+ * between them since a sheet's chunks add up to megabytes
+ * @param {Array<Uint8Array>} chunks
+ * @returns {Promise<number>}
+ */
+export async function crc32(chunks) {
+  let crc = 0xffffffff;
+  for (let c = 0; c < chunks.length; c++) {
+    if (c > 0) await yieldToBrowser();
+    const bytes = chunks[c];
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date = new Date()) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+function zipHeader(size, fields) {
+  const bytes = new Uint8Array(size);
+  const view = new DataView(bytes.buffer);
+  fields.forEach(([offset, value, width]) => {
+    if (width === 2) view.setUint16(offset, value, true);
+    else view.setUint32(offset, value, true);
+  });
+  return bytes;
+}
+
+/**
+ * Zip archive of uncompressed ("stored") files
+ * @param {Array<Object>} files - [{name, chunks: Array<Uint8Array>}]
+ * @returns {Promise<Array<Uint8Array>>} - Blob parts
+ */
+export async function zipStored(files) {
+  const encoder = new TextEncoder();
+  const { time, date } = dosDateTime();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const { name, chunks } of files) {
+    const nameBytes = encoder.encode(name);
+    const size = chunks.reduce((total, chunk) => total + chunk.length, 0);
+    const crc = await crc32(chunks);
+    const common = [[10, time, 2], [12, date, 2], [14, crc, 4], [18, size, 4], [22, size, 4], [26, nameBytes.length, 2]];
+
+    const local = zipHeader(30, [[0, 0x04034b50, 4], [4, 20, 2], [6, 0x0800, 2], [8, 0, 2], ...common]);
+    parts.push(local, nameBytes, ...chunks);
+
+    central.push(
+      zipHeader(46, [
+        [0, 0x02014b50, 4], [4, 20, 2], [6, 20, 2], [8, 0x0800, 2], [10, 0, 2],
+        ...common.map(([at, value, width]) => [at + 2, value, width]),
+        [42, offset, 4]
+      ]),
+      nameBytes
+    );
+    offset += local.length + nameBytes.length + size;
+  }
+
+  const centralSize = central.reduce((total, chunk) => total + chunk.length, 0);
+  const end = zipHeader(22, [
+    [0, 0x06054b50, 4], [8, files.length, 2], [10, files.length, 2], [12, centralSize, 4], [16, offset, 4]
+  ]);
+  return [...parts, ...central, end];
+}
+
+// Characters XML 1.0 can't contain at all
+// eslint-disable-next-line no-control-regex
+const INVALID_XML = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+const xmlEscape = (value) => String(value)
+  .replace(INVALID_XML, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Spreadsheet column letters: 0 → A, 25 → Z, 26 → AA
+ */
+export function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function xlsxCell(value, ref, style) {
+  const s = style ? ` s="${style}"` : '';
+  if (value == null || value === '') return '';
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"${s}><v>${value}</v></c>`;
+  return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`;
+}
+
+const xlsxRow = (cells, rowIndex, style) =>
+  `<row r="${rowIndex + 1}">${cells.map((value, i) => xlsxCell(value, `${columnName(i)}${rowIndex + 1}`, style)).join('')}</row>`;
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const SHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+// Style 1 is bold, for header rows
+const STYLES = `${XML_HEADER}<styleSheet xmlns="${SHEET_NS}">`
+  + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+  + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+  + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+  + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+  + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+  + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+  + '</styleSheet>';
+
+async function sheetXml(header, rows, encoder) {
+  const body = await writeInChunks(rows, (row, i) => xlsxRow(row, i + 1));
+  return [
+    `${XML_HEADER}<worksheet xmlns="${SHEET_NS}"><sheetData>${xlsxRow(header, 0, 1)}`,
+    ...body,
+    '</sheetData></worksheet>'
+  ].map(part => encoder.encode(part));
+}
+
+/**
+ * Excel workbook: the rows on one sheet, and the summary (if any) on another
+ * @param {Object} table
+ * @returns {Promise<Blob>}
+ */
+export async function toXlsx({ title, subtitle, summary = [], columns, rows }) {
+  const encoder = new TextEncoder();
+  const sheets = [{ name: 'Data', chunks: await sheetXml(columns.map(column => column.label), rows, encoder) }];
+  if (summary.length > 0) {
+    const summaryRows = [...(subtitle ? [[subtitle, '']] : []), ...summary];
+    sheets.push({ name: 'Summary', chunks: await sheetXml([title, ''], summaryRows, encoder) });
+  }
+
+  const file = (name, text) => ({ name, chunks: [encoder.encode(text)] });
+  const contentTypes = `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+    + sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+    + '</Types>';
+  const rootRels = `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+    + `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/></Relationships>`;
+  const workbook = `${XML_HEADER}<workbook xmlns="${SHEET_NS}" xmlns:r="${REL_NS}"><sheets>`
+    + sheets.map((sheet, i) => `<sheet name="${sheet.name}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')
+    + '</sheets></workbook>';
+  const workbookRels = `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+    + sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="${REL_NS}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+    + `<Relationship Id="rId${sheets.length + 1}" Type="${REL_NS}/styles" Target="styles.xml"/></Relationships>`;
+
+  const parts = await zipStored([
+    file('[Content_Types].xml', contentTypes),
+    file('_rels/.rels', rootRels),
+    file('xl/workbook.xml', workbook),
+    file('xl/_rels/workbook.xml.rels', workbookRels),
+    file('xl/styles.xml', STYLES),
+    ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, chunks: sheet.chunks }))
+  ]);
+  return new Blob(parts, { type: EXPORT_FORMATS.xlsx.type });
+}
+
+// ---------------------------------------------------------------- PDF
+
+const PAGE = { width: 842, height: 595, margin: 36 }; // A4 landscape, in points
+const FONT_SIZE = 8;
+const LINE_HEIGHT = 10;
+const CHAR_WIDTH = FONT_SIZE * 0.6; // Courier
+const LINES_PER_PAGE = Math.floor((PAGE.height - 2 * PAGE.margin) / LINE_HEIGHT);
+const CHARS_PER_LINE = Math.floor((PAGE.width - 2 * PAGE.margin) / CHAR_WIDTH);
+
+/**
+ * The built-in PDF fonts only cover Latin-1; anything else (Urdu names, for
+ * one) prints as '?' - use CSV or Excel for those
+ */
+const pdfText = (value) => String(value ?? '').replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+const pdfString = (text) => `(${text.replace(/([\\()])/g, '\\$1')})`;
+
+const fit = (text, width, alignRight) => {
+  const clipped = text.length > width ? `${text.slice(0, width - 1)}~` : text;
+  return alignRight ? clipped.padStart(width) : clipped.padEnd(width);
+};
+
+/**
+ * Fixed-width column layout: each column gets the width of its longest
+ * value, shrinking the widest ones until the line fits the page
+ */
+function columnWidths(columns, rows) {
+  const widths = columns.map((column, i) => rows.reduce(
+    (max, row) => Math.max(max, pdfText(row[i]).length),
+    column.label.length
+  ));
+  const available = CHARS_PER_LINE - (columns.length - 1) * 2;
+  while (widths.reduce((a, b) => a + b, 0) > available) {
+    const widest = widths.indexOf(Math.max(...widths));
+    if (widths[widest] <= 6) break;
+    widths[widest]--;
+  }
+  return widths;
+}
+
+/**
+ * Printable PDF: title, summary and the rows as a fixed-width table
+ * @param {Object} table
+ * @returns {Promise<Blob>}
+ */
+export async function toPdf({ title, subtitle, summary = [], columns, rows }) {
+  const widths = columnWidths(columns, rows.length > 5000 ? rows.slice(0, 5000) : rows);
+  const formatRow = (cells) => cells
+    .map((value, i) => fit(pdfText(value), widths[i], columns[i].type === 'number'))
+    .join('  ');
+
+  const lines = [
+    { text: pdfText(title), bold: true },
+    ...(subtitle ? [{ text: pdfText(subtitle) }] : []),
+    { text: '' },
+    ...summary.map(([label, value]) => ({ text: `${fit(pdfText(label), 28)}${pdfText(value)}` })),
+    ...(summary.length > 0 ? [{ text: '' }] : [])
+  ];
+  const header = { text: formatRow(columns.map(column => column.label)), bold: true };
+  const rule = { text: '-'.repeat(Math.min(CHARS_PER_LINE, header.text.length)) };
+  if (rows.length > 0) lines.push(header, rule);
+
+  const rowLines = await writeInChunks(rows, row => `${formatRow(row)}\n`);
+  rowLines.forEach(chunk => chunk.split('\n').slice(0, -1).forEach(text => lines.push({ text })));
+
+  // Repeat the column header at the top of every page
+  const pages = [];
+  let page = [];
+  lines.forEach(line => {
+    if (page.length === LINES_PER_PAGE) {
+      pages.push(page);
+      page = rows.length > 0 ? [header, rule] : [];
+    }
+    page.push(line);
+  });
+  pages.push(page);
+
+  // Objects: 1 catalog, 2 page tree, 3 regular font, 4 bold font, then a page and its content per page
+  const objects = [];
+  const pageIds = pages.map((_, i) => 5 + i * 2);
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>';
+
+  for (let p = 0; p < pages.length; p++) {
+    if (p > 0 && p % 50 === 0) await yieldToBrowser();
+    const footer = `Page ${p + 1} of ${pages.length}`;
+    const content = [
+      'BT',
+      `${LINE_HEIGHT} TL`,
+      `${PAGE.margin} ${PAGE.height - PAGE.margin} Td`,
+      ...pages[p].map(line => `/${line.bold ? 'F2' : 'F1'} ${FONT_SIZE} Tf ${pdfString(line.text)} '`),
+      'ET',
+      `BT /F1 ${FONT_SIZE} Tf ${PAGE.width - PAGE.margin - footer.length * CHAR_WIDTH} ${PAGE.margin / 2} Td ${pdfString(footer)} Tj ET`
+    ].join('\n');
+
+    objects[pageIds[p]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] `
+      + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[p] + 1} 0 R >>`;
+    objects[pageIds[p] + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+  }
+
+  // Everything is Latin-1 by now, so string length is byte length
+  const parts = ['%PDF-1.4\n%âãÏÓ\n'];
+  const offsets = [];
+  let length = parts[0].length;
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = length;
+    const part = `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    parts.push(part);
+    length += part.length;
+  }
+  const xref = [
+    'xref',
+    `0 ${objects.length}`,
+    '0000000000 65535 f ',
+    ...offsets.slice(1).map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length} /Root 1 0 R >>`,
+    'startxref',
+    String(length),
+    '%%EOF'
+  ].join('\n');
+  parts.push(xref);
+
+  const latin1 = (text) => {
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i);
+    return bytes;
+  };
+  return new Blob(parts.map(latin1), { type: EXPORT_FORMATS.pdf.type });
+}
+
+/**
+ * Build a file in any of EXPORT_FORMATS
+ * @param {Object} table
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @returns {Promise<Blob>}
+ */
+export function exportTable(table, format) {
+  switch (format) {
+    case 'csv':
+      return toCsv(table);
+    case 'xlsx':
+      return toXlsx(table);
+    case 'pdf':
+      return toPdf(table);
+    default:
+      return Promise.reject(new Error(`Unknown export format: ${format}`));
+  }
+}
+
+/**
+ * File name for an export, e.g. orders-2024-05-15.xlsx
+ */
+export const exportFilename = (name, format) =>
+  `${name}-${new Date().toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`;
+
+/**
+ * Save a Blob through the browser's download prompt
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Revoking straight away can cancel large downloads in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+export default {
+  EXPORT_FORMATS,
+  csvCell,
+  toCsv,
+  toXlsx,
+  toPdf,
+  exportTable,
+  exportFilename,
+  downloadBlob
+};
@@ -0,0 +1,99 @@
+import { TextEncoder, TextDecoder } from 'util';
+import { csvCell, toCsv, toXlsx, toPdf, crc32, columnName } from './exporters';
+
+// jsdom has Blob and FileReader but not the encoders
+Object.assign(global, { TextEncoder, TextDecoder });
+
+const bytesOf = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(new Uint8Array(reader.result));
+  reader.onerror = () => reject(reader.error);
+  reader.readAsArrayBuffer(blob);
+});
+const latin1 = (bytes) => Array.from(bytes, b => String.fromCharCode(b)).join('');
+
+const table = {
+  title: 'Orders',
+  subtitle: 'All cached orders',
+  summary: [['Orders', 2], ['Net sales (Rs.)', 1500]],
+  columns: [{ label: 'Order #' }, { label: 'Customer' }, { label: 'Total', type: 'number' }],
+  rows: [
+    ['K7QX-20240515-001', 'علی "Ali", Khan', 1000],
+    ['K7QX-20240515-002', '=HYPERLINK("x")', 500]
+  ]
+};
+
+test('CSV cells are quoted, escaped and safe from formula injection', () => {
+  expect(csvCell('plain')).toBe('plain');
+  expect(csvCell('a,b')).toBe('"a,b"');
+  expect(csvCell('say "hi"')).toBe('"say ""hi"""');
+  expect(csvCell('two\nlines')).toBe('"two\nlines"');
+  expect(csvCell('=SUM(A1)')).toBe("'=SUM(A1)");
+  expect(csvCell(-5)).toBe('-5');
+  expect(csvCell(null)).toBe('');
+});
+
+test('CSV starts with a BOM and keeps Urdu text', async () => {
+  const text = new TextDecoder('utf-8', { ignoreBOM: true }).decode(await bytesOf(await toCsv(table)));
+
+  expect(text.charCodeAt(0)).toBe(0xfeff);
+  expect(text.slice(1).split('\r\n')).toEqual([
+    'Order #,Customer,Total',
+    'K7QX-20240515-001,"علی ""Ali"", Khan",1000',
+    `K7QX-20240515-002,"'=HYPERLINK(""x"")",500`,
+    ''
+  ]);
+});
+
+test('XLSX is a zip with the workbook parts', async () => {
+  expect(await crc32([new TextEncoder().encode('123456789')])).toBe(0xcbf43926);
+  expect(await crc32(['1234', '56789'].map(text => new TextEncoder().encode(text)))).toBe(0xcbf43926);
+  expect(columnName(0)).toBe('A');
+  expect(columnName(27)).toBe('AB');
+
+  const bytes = await bytesOf(await toXlsx(table));
+  const view = new DataView(bytes.buffer);
+  expect(view.getUint32(0, true)).toBe(0x04034b50);
+
+  // Walk the central directory from the end-of-archive record
+  const end = bytes.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+  const count = view.getUint16(end + 10, true);
+  let at = view.getUint32(end + 16, true);
+  const names = [];
+  for (let i = 0; i < count; i++) {
+    const nameLength = view.getUint16(at + 28, true);
+    names.push(new TextDecoder().decode(bytes.slice(at + 46, at + 46 + nameLength)));
+    at += 46 + nameLength;
+  }
+  expect(names).toEqual([
+    '[Content_Types].xml',
+    '_rels/.rels',
+    'xl/workbook.xml',
+    'xl/_rels/workbook.xml.rels',
+    'xl/styles.xml',
+    'xl/worksheets/sheet1.xml',
+    'xl/worksheets/sheet2.xml'
+  ]);
+
+  const text = new TextDecoder().decode(bytes);
+  expect(text).toContain('<c r="B2" t="inlineStr"><is><t xml:space="preserve">علی &quot;Ali&quot;, Khan</t></is></c>');
+  expect(text).toContain('<c r="C3"><v>500</v></c>');
+});
+
+test('PDF has a valid cross-reference table and paginates', async () => {
+  const rows = Array.from({ length: 120 }, (_, i) => [`ORD-${i}`, 'Walk-in (table 4)', i * 10]);
+  const pdf = latin1(await bytesOf(await toPdf({ ...table, rows })));
+
+  expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+  expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+  expect(pdf).toMatch(/\/Count 3 /);
+  expect(pdf).toContain('Walk-in \\(table 4\\)');
+
+  const startxref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+  expect(pdf.slice(startxref, startxref + 4)).toBe('xref');
+  const offsets = pdf.slice(startxref).match(/^\d{10} 00000 n $/gm).map(line => Number(line.slice(0, 10)));
+  offsets.forEach((offset, i) => {
+    expect(pdf.slice(offset, offset + `${i + 1} 0 obj`.length)).toBe(`${i + 1} 0 obj`);
+  });
+});
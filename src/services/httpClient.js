@@ -0,0 +1,201 @@
+/**
+ * HTTP Client - single request layer for backend calls
+ * Throws ApiError with the status/body/request id intact, applies a
+ * per-call timeout, honours AbortSignal and retries idempotent calls
+ */
+import { exponentialBackoff, isRetryableError } from './retry';
+
+export const DEFAULT_TIMEOUT = 15000;
+
+// Safe to repeat without side effects, so retried by default
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+const DEFAULT_RETRY = {
+  maxAttempts: 3,
+  baseDelay: 500,
+  maxDelay: 5000
+};
+
+/**
+ * Error thrown for every failed request
+ * - status: HTTP status (0 when no response was received)
+ * - code: 'HTTP_ERROR' | 'ERR_NETWORK' | 'ETIMEDOUT' | 'ABORTED'
+ * - body: parsed response body (JSON or text), if any
+ * - requestId: X-Request-Id from the response, if any
+ */
+export class ApiError extends Error {
+  constructor(message, { status = 0, code = 'HTTP_ERROR', body = null, requestId = null, method = 'GET', url = '' } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.body = body;
+    this.requestId = requestId;
+    this.method = method;
+    this.url = url;
+  }
+
+  get isTimeout() {
+    return this.code === 'ETIMEDOUT';
+  }
+
+  get isAborted() {
+    return this.code === 'ABORTED';
+  }
+}
+
+const isPlainObject = (value) =>
+  value != null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * Append query params, skipping null/undefined/empty values
+ */
+export function buildUrl(url, query) {
+  if (!query) return url;
+
+  const params = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== null && value !== undefined && value !== '') {
+      params.append(key, value);
+    }
+  });
+
+  const qs = params.toString();
+  if (!qs) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}${qs}`;
+}
+
+async function parseBody(response) {
+  if (response.status === 204) return null;
+
+  const text = await response.text();
+  if (!text) return null;
+
+  const contentType = response.headers?.get?.('content-type') || '';
+  if (contentType.includes('json') || /^[[{]/.test(text.trim())) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  }
+  return text;
+}
+
+/**
+ * Run one attempt with its own timeout, linked to the caller's signal
+ */
+async function attempt(url, init, { timeout, signal, fetchImpl }) {
+  const method = init.method;
+
+  if (signal?.aborted) {
+    throw new ApiError('Request was cancelled', { code: 'ABORTED', method, url });
+  }
+
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = timeout > 0
+    ? setTimeout(() => { timedOut = true; controller.abort(); }, timeout)
+    : null;
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort);
+
+  try {
+    let response;
+    try {
+      response = await fetchImpl(url, { ...init, signal: controller.signal });
+    } catch (err) {
+      if (timedOut) {
+        throw new ApiError(`Request timed out after ${timeout}ms`, { code: 'ETIMEDOUT', method, url });
+      }
+      if (signal?.aborted) {
+        throw new ApiError('Request was cancelled', { code: 'ABORTED', method, url });
+      }
+      throw new ApiError(`Network Error: ${err.message}`, { code: 'ERR_NETWORK', method, url });
+    }
+
+    const body = await parseBody(response);
+    if (!response.ok) {
+      const requestId = response.headers?.get?.('x-request-id') || body?.requestId || null;
+      const serverMessage = body?.error || body?.message || (typeof body === 'string' ? body : '');
+      throw new ApiError(
+        serverMessage || `${method} ${url} failed with status ${response.status}`,
+        { status: response.status, body, requestId, method, url }
+      );
+    }
+    return body;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Make an HTTP request and return the parsed response body
+ * @param {string} url - Absolute URL
+ * @param {Object} options
+ *   - method: HTTP method (default GET)
+ *   - body: Plain objects/arrays are sent as JSON
+ *   - query: Object of query params
+ *   - headers: Extra headers
+ *   - timeout: Per-attempt timeout in ms (default 15000, 0 disables)
+ *   - signal: AbortSignal to cancel the request
+ *   - retry: true/false or exponentialBackoff options (default: on for idempotent methods)
+ *   - fetchImpl: fetch-compatible function (default window.fetch)
+ * @returns {Promise<any>} - Parsed JSON, text, or null for empty responses
+ * @throws {ApiError}
+ */
+export async function request(url, options = {}) {
+  const {
+    method = 'GET',
+    body,
+    query,
+    headers = {},
+    timeout = DEFAULT_TIMEOUT,
+    signal,
+    retry,
+    fetchImpl = (...args) => fetch(...args)
+  } = options;
+
+  const upperMethod = method.toUpperCase();
+  const init = { method: upperMethod, headers: { ...headers } };
+
+  if (body !== undefined) {
+    if (isPlainObject(body) || Array.isArray(body)) {
+      init.body = JSON.stringify(body);
+      init.headers['Content-Type'] = init.headers['Content-Type'] || 'application/json';
+    } else {
+      init.body = body;
+    }
+  }
+
+  const fullUrl = buildUrl(url, query);
+  const run = () => attempt(fullUrl, init, { timeout, signal, fetchImpl });
+
+  const shouldRetry = retry ?? IDEMPOTENT_METHODS.includes(upperMethod);
+  if (!shouldRetry) return run();
+
+  return exponentialBackoff(run, {
+    ...DEFAULT_RETRY,
+    ...(isPlainObject(retry) ? retry : {}),
+    shouldRetry: (err) => !err.isAborted && isRetryableError(err)
+  });
+}
+
+export const get = (url, options = {}) => request(url, { ...options, method: 'GET' });
+export const post = (url, body, options = {}) => request(url, { ...options, method: 'POST', body });
+export const patch = (url, body, options = {}) => request(url, { ...options, method: 'PATCH', body });
+export const put = (url, body, options = {}) => request(url, { ...options, method: 'PUT', body });
+export const del = (url, options = {}) => request(url, { ...options, method: 'DELETE' });
+
+const httpClient = {
+  ApiError,
+  request,
+  get,
+  post,
+  patch,
+  put,
+  del
+};
+
+export default httpClient;
@@ -0,0 +1,120 @@
+import { request, buildUrl, ApiError } from './httpClient';
+import { isServerError, isRateLimitError } from './retry';
+
+const jsonResponse = (status, body, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: (name) => ({ 'content-type': 'application/json', ...headers })[name.toLowerCase()] },
+  text: async () => (body === undefined ? '' : JSON.stringify(body))
+});
+
+// Never resolves on its own; rejects when the request is aborted
+const hangingFetch = (url, init) => new Promise((resolve, reject) => {
+  init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('httpClient', () => {
+  test('returns parsed JSON and sends plain objects as JSON', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue(jsonResponse(200, { ok: true }));
+
+    const data = await request('https://api.test/orders', {
+      method: 'POST',
+      body: { a: 1 },
+      fetchImpl
+    });
+
+    expect(data).toEqual({ ok: true });
+    const [, init] = fetchImpl.mock.calls[0];
+    expect(init.body).toBe('{"a":1}');
+    expect(init.headers['Content-Type']).toBe('application/json');
+  });
+
+  test('throws ApiError with status, body and request id', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue(
+      jsonResponse(422, { error: 'Invalid status' }, { 'x-request-id': 'req-42' })
+    );
+
+    const error = await request('https://api.test/orders/1', { method: 'PATCH', fetchImpl }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.status).toBe(422);
+    expect(error.body).toEqual({ error: 'Invalid status' });
+    expect(error.requestId).toBe('req-42');
+    expect(error.message).toBe('Invalid status');
+  });
+
+  test('status codes reach the retry predicates', async () => {
+    const serverError = await request('https://api.test', {
+      fetchImpl: async () => jsonResponse(503, {}),
+      retry: false
+    }).catch(e => e);
+    const rateLimited = await request('https://api.test', {
+      fetchImpl: async () => jsonResponse(429, {}),
+      retry: false
+    }).catch(e => e);
+
+    expect(isServerError(serverError)).toBe(true);
+    expect(isRateLimitError(rateLimited)).toBe(true);
+  });
+
+  test('retries idempotent calls on server errors', async () => {
+    const fetchImpl = jest.fn()
+      .mockResolvedValueOnce(jsonResponse(503, {}))
+      .mockResolvedValueOnce(jsonResponse(200, [1, 2]));
+
+    const data = await request('https://api.test/orders', {
+      fetchImpl,
+      retry: { baseDelay: 1 }
+    });
+
+    expect(data).toEqual([1, 2]);
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+  });
+
+  test('does not retry non-idempotent calls or client errors', async () => {
+    const post = jest.fn().mockResolvedValue(jsonResponse(503, {}));
+    await expect(request('https://api.test', { method: 'POST', fetchImpl: post })).rejects.toThrow(ApiError);
+    expect(post).toHaveBeenCalledTimes(1);
+
+    const get = jest.fn().mockResolvedValue(jsonResponse(404, {}));
+    await expect(request('https://api.test', { fetchImpl: get })).rejects.toThrow(ApiError);
+    expect(get).toHaveBeenCalledTimes(1);
+  });
+
+  test('times out slow requests', async () => {
+    const error = await request('https://api.test', {
+      fetchImpl: hangingFetch,
+      timeout: 10,
+      retry: false
+    }).catch(e => e);
+
+    expect(error.isTimeout).toBe(true);
+    expect(error.code).toBe('ETIMEDOUT');
+  });
+
+  test('honours a caller AbortSignal without retrying', async () => {
+    const controller = new AbortController();
+    const fetchImpl = jest.fn(hangingFetch);
+    const pending = request('https://api.test', { fetchImpl, signal: controller.signal });
+
+    controller.abort();
+    const error = await pending.catch(e => e);
+
+    expect(error.isAborted).toBe(true);
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+  });
+
+  test('buildUrl skips empty query values', () => {
+    expect(buildUrl('https://api.test/orders', { status: null })).toBe('https://api.test/orders');
+    expect(buildUrl('https://api.test/orders', { status: 'pending', page: 2 }))
+      .toBe('https://api.test/orders?status=pending&page=2');
+  });
+});
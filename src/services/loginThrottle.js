@@ -0,0 +1,94 @@
+/**
+ * Login Throttle Service - progressive lockout after repeated failed logins
+ * Tracked per username in localStorage so a page reload doesn't reset it
+ */
+
+const ATTEMPTS_KEY = 'loginAttempts';
+
+// Failures allowed before the first lockout
+export const FREE_ATTEMPTS = 3;
+
+const BASE_LOCKOUT = 30 * 1000;
+const MAX_LOCKOUT = 15 * 60 * 1000;
+
+function loadAttempts() {
+  try {
+    const raw = localStorage.getItem(ATTEMPTS_KEY);
+    return raw ? JSON.parse(raw) : {};
+  } catch {
+    return {};
+  }
+}
+
+function saveAttempts(attempts) {
+  localStorage.setItem(ATTEMPTS_KEY, JSON.stringify(attempts));
+}
+
+const keyFor = (username) => String(username || '').trim().toLowerCase();
+
+/**
+ * Current lockout state for a username
+ * @param {string} username
+ * @returns {Object} - {locked, retryIn (ms), failures}
+ */
+export function getLockout(username) {
+  const entry = loadAttempts()[keyFor(username)];
+  if (!entry) return { locked: false, retryIn: 0, failures: 0 };
+
+  const retryIn = Math.max(0, (entry.lockedUntil || 0) - Date.now());
+  return { locked: retryIn > 0, retryIn, failures: entry.failures };
+}
+
+/**
+ * Record a failed login; locks the username once FREE_ATTEMPTS is exceeded
+ * Each further failure doubles the lockout (30s, 1m, 2m ... up to 15m)
+ * @param {string} username
+ * @returns {Object} - {locked, retryIn, failures}
+ */
+export function recordFailure(username) {
+  const attempts = loadAttempts();
+  const key = keyFor(username);
+  const failures = (attempts[key]?.failures || 0) + 1;
+
+  let lockedUntil = null;
+  if (failures > FREE_ATTEMPTS) {
+    const duration = Math.min(BASE_LOCKOUT * Math.pow(2, failures - FREE_ATTEMPTS - 1), MAX_LOCKOUT);
+    lockedUntil = Date.now() + duration;
+  }
+
+  attempts[key] = { failures, lockedUntil, lastFailure: Date.now() };
+  saveAttempts(attempts);
+
+  return {
+    locked: !!lockedUntil,
+    retryIn: lockedUntil ? lockedUntil - Date.now() : 0,
+    failures
+  };
+}
+
+/**
+ * A lockout's remaining time for messages ("45s", "2 min")
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatRetry(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  return seconds >= 60 ? `${Math.ceil(seconds / 60)} min` : `${seconds}s`;
+}
+
+/**
+ * Clear the failure counter after a successful login
+ * @param {string} username
+ */
+export function recordSuccess(username) {
+  const attempts = loadAttempts();
+  delete attempts[keyFor(username)];
+  saveAttempts(attempts);
+}
+
+export default {
+  getLockout,
+  recordFailure,
+  recordSuccess,
+  formatRetry
+};
@@ -0,0 +1,45 @@
+import { FREE_ATTEMPTS, getLockout, recordFailure, recordSuccess } from './loginThrottle';
+
+beforeEach(() => {
+  localStorage.clear();
+  jest.useFakeTimers();
+  jest.setSystemTime(1700000000000);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('the first FREE_ATTEMPTS failures are free and the next one locks', () => {
+  for (let i = 0; i < FREE_ATTEMPTS; i++) {
+    expect(recordFailure('Sana').locked).toBe(false);
+  }
+  expect(getLockout('sana')).toEqual({ locked: false, retryIn: 0, failures: FREE_ATTEMPTS });
+
+  expect(recordFailure('sana')).toEqual({ locked: true, retryIn: 30 * 1000, failures: FREE_ATTEMPTS + 1 });
+  expect(getLockout(' SANA ').locked).toBe(true);
+
+  jest.advanceTimersByTime(30 * 1000);
+  expect(getLockout('sana').locked).toBe(false);
+});
+
+test('each further failure doubles the lockout up to 15 minutes', () => {
+  for (let i = 0; i < FREE_ATTEMPTS; i++) recordFailure('sana');
+
+  expect(recordFailure('sana').retryIn).toBe(30 * 1000);
+  expect(recordFailure('sana').retryIn).toBe(60 * 1000);
+  expect(recordFailure('sana').retryIn).toBe(2 * 60 * 1000);
+  for (let i = 0; i < 10; i++) recordFailure('sana');
+  expect(getLockout('sana').retryIn).toBe(15 * 60 * 1000);
+});
+
+test('a success clears only that username', () => {
+  for (let i = 0; i <= FREE_ATTEMPTS; i++) {
+    recordFailure('sana');
+    recordFailure('ali');
+  }
+
+  recordSuccess('sana');
+  expect(getLockout('sana')).toEqual({ locked: false, retryIn: 0, failures: 0 });
+  expect(getLockout('ali').locked).toBe(true);
+});
@@ -0,0 +1,261 @@
+/**
+ * Notifications Service - chimes, desktop alerts and the title badge for
+ * incoming orders. Sound settings are stored per user, so each cashier keeps
+ * their own mute/volume on a shared terminal.
+ */
+import { getSession } from './auth';
+
+const SETTINGS_KEY = 'notificationSettings';
+
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+  muted: false,
+  sound: 'chime',
+  volume: 0.7,
+  desktop: true,
+  escalateAfterMinutes: 5
+};
+
+/**
+ * Available sounds: each is a list of [frequency Hz, start s, duration s]
+ */
+export const SOUNDS = {
+  chime: { label: 'Chime', notes: [[880, 0, 0.25], [1318.5, 0.18, 0.45]] },
+  bell: { label: 'Bell', notes: [[1046.5, 0, 0.8], [1568, 0, 0.6]] },
+  beep: { label: 'Beep', notes: [[1000, 0, 0.12], [1000, 0.2, 0.12]] },
+  // Used for escalations only
+  urgent: { label: 'Urgent', notes: [[988, 0, 0.15], [740, 0.18, 0.15], [988, 0.36, 0.15], [740, 0.54, 0.15]] }
+};
+
+// ==================== SETTINGS ====================
+
+function loadAllSettings() {
+  try {
+    const raw = localStorage.getItem(SETTINGS_KEY);
+    return raw ? JSON.parse(raw) : {};
+  } catch {
+    return {};
+  }
+}
+
+const currentUserKey = () => getSession()?.userId || 'default';
+
+/**
+ * Notification settings for the logged-in user
+ * @returns {Object} - {muted, sound, volume, desktop, escalateAfterMinutes}
+ */
+export function getNotificationSettings() {
+  return { ...DEFAULT_NOTIFICATION_SETTINGS, ...(loadAllSettings()[currentUserKey()] || {}) };
+}
+
+/**
+ * Update the logged-in user's notification settings
+ * @param {Object} patch
+ * @returns {Object} - The full saved settings
+ */
+export function saveNotificationSettings(patch) {
+  const next = { ...getNotificationSettings(), ...patch };
+
+  next.volume = Math.min(1, Math.max(0, Number(next.volume)));
+  next.escalateAfterMinutes = Number(next.escalateAfterMinutes);
+  if (!SOUNDS[next.sound]) next.sound = DEFAULT_NOTIFICATION_SETTINGS.sound;
+  if (!(next.escalateAfterMinutes >= 0)) {
+    throw new Error('Escalation time must be 0 (off) or more minutes');
+  }
+
+  const all = loadAllSettings();
+  all[currentUserKey()] = next;
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(all));
+  return next;
+}
+
+// ==================== SOUND ====================
+
+let audioContext = null;
+
+function getAudioContext() {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return null;
+  if (!audioContext) {
+    audioContext = new AudioContextClass();
+  }
+  return audioContext;
+}
+
+/**
+ * Browsers only allow audio after a user gesture; call this from a click/keypress
+ */
+export function unlockAudio() {
+  const ctx = getAudioContext();
+  if (ctx?.state === 'suspended') {
+    ctx.resume().catch(() => {});
+  }
+}
+
+/**
+ * Play one of SOUNDS through Web Audio (no audio files needed)
+ * @param {string} soundName
+ * @param {number} volume - 0..1
+ */
+export function playSound(soundName = 'chime', volume = 0.7) {
+  const ctx = getAudioContext();
+  const sound = SOUNDS[soundName] || SOUNDS.chime;
+  if (!ctx || volume <= 0) return;
+
+  const start = ctx.currentTime + 0.01;
+  sound.notes.forEach(([frequency, offset, duration]) => {
+    const oscillator = ctx.createOscillator();
+    const gain = ctx.createGain();
+
+    oscillator.type = 'sine';
+    oscillator.frequency.value = frequency;
+
+    // Quick attack, exponential fade so notes don't click
+    gain.gain.setValueAtTime(0.0001, start + offset);
+    gain.gain.exponentialRampToValueAtTime(volume, start + offset + 0.02);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + offset + duration);
+
+    oscillator.connect(gain);
+    gain.connect(ctx.destination);
+    oscillator.start(start + offset);
+    oscillator.stop(start + offset + duration + 0.05);
+  });
+}
+
+// ==================== DESKTOP NOTIFICATIONS ====================
+
+export const desktopNotificationsSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+/**
+ * Ask the browser for permission to show desktop notifications
+ * @returns {Promise<string>} - 'granted' | 'denied' | 'default' | 'unsupported'
+ */
+export async function requestDesktopPermission() {
+  if (!desktopNotificationsSupported()) return 'unsupported';
+  if (Notification.permission !== 'default') return Notification.permission;
+  return Notification.requestPermission();
+}
+
+/**
+ * Show a desktop notification, only while the tab is in the background
+ * @param {string} title
+ * @param {Object} options - {body, tag}
+ */
+export function showDesktopNotification(title, { body = '', tag } = {}) {
+  if (!desktopNotificationsSupported() || Notification.permission !== 'granted') return null;
+  if (!document.hidden) return null;
+
+  const notification = new Notification(title, { body, tag, renotify: !!tag });
+  notification.onclick = () => {
+    window.focus();
+    notification.close();
+  };
+  return notification;
+}
+
+// ==================== TITLE BADGE ====================
+
+let baseTitle = null;
+
+/**
+ * Prefix the tab title with the pending order count, e.g. "(3) POS Admin"
+ * @param {number} count
+ */
+export function setTitleBadge(count) {
+  if (baseTitle === null) {
+    baseTitle = document.title.replace(/^\(\d+\)\s*/, '');
+  }
+  document.title = count > 0 ? `(${count}) ${baseTitle}` : baseTitle;
+}
+
+// ==================== ORDER ALERTS ====================
+
+const describeOrder = (order) =>
+  [order.customerName, order.total != null ? `Rs. ${order.total}` : null].filter(Boolean).join(' • ');
+
+/**
+ * Alert staff to a newly placed order
+ * @param {Object} order
+ */
+export function notifyNewOrder(order) {
+  const settings = getNotificationSettings();
+  if (settings.muted) return;
+
+  playSound(settings.sound, settings.volume);
+  if (settings.desktop) {
+    showDesktopNotification(`🔔 New order #${order.orderId || ''}`, {
+      body: describeOrder(order),
+      tag: `order-${order.orderId || order._id}`
+    });
+  }
+}
+
+/**
+ * Pending orders that have waited longer than the threshold
+ * @param {Array} orders
+ * @param {number} minutes - 0 disables escalation
+ * @param {number} now
+ * @returns {Array}
+ */
+export function findStalePendingOrders(orders, minutes, now = Date.now()) {
+  if (!(minutes > 0)) return [];
+  const cutoff = now - minutes * 60 * 1000;
+  return orders.filter(o => o.status === 'pending' && new Date(o.timestamp).getTime() <= cutoff);
+}
+
+/**
+ * Which stale orders to remind about now, and the reminder times to keep
+ * Each order is reminded again every repeatMs until it leaves pending; only
+ * currently stale orders are kept, so the record doesn't grow.
+ * @param {Array} stale - From findStalePendingOrders
+ * @param {Object} escalated - {orderKey: last reminder time}
+ * @param {Object} options - {keyOf, repeatMs, now, seed (record without reminding, for orders already stale on first load)}
+ * @returns {Object} - {due, escalated}
+ */
+export function planEscalations(stale, escalated, { keyOf, repeatMs, now = Date.now(), seed = false }) {
+  const next = {};
+  const due = [];
+  stale.forEach(order => {
+    const key = keyOf(order);
+    const last = escalated[key];
+    if (!seed && (last == null || now - last >= repeatMs)) {
+      due.push(order);
+      next[key] = now;
+    } else {
+      next[key] = last ?? now;
+    }
+  });
+  return { due, escalated: next };
+}
+
+/**
+ * Reminder for orders nobody has picked up
+ * @param {Array} orders - Stale pending orders
+ */
+export function notifyEscalation(orders) {
+  const settings = getNotificationSettings();
+  if (settings.muted || orders.length === 0) return;
+
+  playSound('urgent', settings.volume);
+  if (settings.desktop) {
+    const oldest = orders.reduce((a, b) => (new Date(a.timestamp) <= new Date(b.timestamp) ? a : b));
+    const minutes = Math.floor((Date.now() - new Date(oldest.timestamp).getTime()) / 60000);
+    showDesktopNotification(`⏰ ${orders.length} order${orders.length === 1 ? '' : 's'} still pending`, {
+      body: `#${oldest.orderId || ''} has been waiting ${minutes} min`,
+      tag: 'pending-escalation'
+    });
+  }
+}
+
+export default {
+  getNotificationSettings,
+  saveNotificationSettings,
+  unlockAudio,
+  playSound,
+  requestDesktopPermission,
+  showDesktopNotification,
+  setTitleBadge,
+  notifyNewOrder,
+  findStalePendingOrders,
+  planEscalations,
+  notifyEscalation
+};
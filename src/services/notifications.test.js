@@ -0,0 +1,61 @@
+import {
+  DEFAULT_NOTIFICATION_SETTINGS,
+  getNotificationSettings,
+  saveNotificationSettings,
+  findStalePendingOrders,
+  planEscalations
+} from './notifications';
+
+const MINUTE = 60 * 1000;
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('settings are kept separately for each user', () => {
+  localStorage.setItem('adminSession', JSON.stringify({ userId: 'u1', username: 'ali' }));
+  saveNotificationSettings({ muted: true, volume: 3 });
+
+  localStorage.setItem('adminSession', JSON.stringify({ userId: 'u2', username: 'sara' }));
+  expect(getNotificationSettings()).toEqual(DEFAULT_NOTIFICATION_SETTINGS);
+
+  localStorage.setItem('adminSession', JSON.stringify({ userId: 'u1', username: 'ali' }));
+  expect(getNotificationSettings()).toMatchObject({ muted: true, volume: 1 });
+});
+
+test('rejects a negative escalation time', () => {
+  expect(() => saveNotificationSettings({ escalateAfterMinutes: -1 })).toThrow();
+});
+
+test('finds pending orders older than the threshold', () => {
+  const now = Date.now();
+  const orders = [
+    { orderId: 'A', status: 'pending', timestamp: now - 10 * MINUTE },
+    { orderId: 'B', status: 'pending', timestamp: now - 2 * MINUTE },
+    { orderId: 'C', status: 'ready', timestamp: now - 30 * MINUTE }
+  ];
+
+  expect(findStalePendingOrders(orders, 5, now).map(o => o.orderId)).toEqual(['A']);
+  expect(findStalePendingOrders(orders, 0, now)).toEqual([]);
+});
+
+test('escalations are seeded on first load, repeat per period and forget orders that left pending', () => {
+  const now = Date.now();
+  const options = { keyOf: o => o.orderId, repeatMs: 5 * MINUTE };
+  const a = { orderId: 'A' };
+  const b = { orderId: 'B' };
+
+  // Already stale when the dashboard opened: no burst of alerts
+  let plan = planEscalations([a], {}, { ...options, now, seed: true });
+  expect(plan.due).toEqual([]);
+
+  plan = planEscalations([a, b], plan.escalated, { ...options, now: now + MINUTE });
+  expect(plan.due).toEqual([b]);
+
+  plan = planEscalations([a, b], plan.escalated, { ...options, now: now + 5 * MINUTE });
+  expect(plan.due).toEqual([a]);
+
+  // B was picked up
+  plan = planEscalations([a], plan.escalated, { ...options, now: now + 6 * MINUTE });
+  expect(plan.escalated).toEqual({ A: now + 5 * MINUTE });
+});
@@ -3,36 +3,15 @@
  * Syncs with server when connection available
  */
 
-import { openDB } from 'idb';
+import { openDatabase } from './database';
 
-const DB_NAME = 'POS_ADMIN_DB';
-const STORE_NAME = 'orders';
+// Lives in the shared app database (see database.js)
+const STORE_NAME = 'offlineQueue';
 
-let db = null;
+const initDB = () => openDatabase();
 
-/**
- * Initialize IndexedDB
- */
-async function initDB() {
-  if (db) return db;
-
-  try {
-    db = await openDB(DB_NAME, 1, {
-      upgrade(db) {
-        if (!db.objectStoreNames.contains(STORE_NAME)) {
-          const store = db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
-          // Index for synced status and timestamp
-          store.createIndex('synced', 'synced', { unique: false });
-          store.createIndex('timestamp', 'timestamp', { unique: false });
-        }
-      }
-    });
-    return db;
-  } catch (err) {
-    console.error('Failed to initialize IndexedDB:', err);
-    throw err;
-  }
-}
+// Queue ids being sent right now, so overlapping syncs never post one twice
+const inFlight = new Set();
 
 /**
  * Add an order to the offline queue
@@ -71,19 +50,10 @@ export async function enqueueOrder(order) {
 export async function getQueuedOrders(unsynced = false) {
   try {
     const database = await initDB();
-    const tx = database.transaction(STORE_NAME, 'readonly');
-    const store = tx.objectStore(STORE_NAME);
-    const index = store.index('synced');
-
-    let orders;
-    if (unsynced) {
-      orders = await index.getAll(false);
-    } else {
-      orders = await store.getAll();
-    }
+    const orders = await database.getAll(STORE_NAME);
 
-    await tx.done;
-    return orders;
+    // Booleans aren't valid IndexedDB keys, so `synced` is filtered here
+    return unsynced ? orders.filter(order => !order.synced) : orders;
   } catch (err) {
     console.error('Failed to get queued orders:', err);
     throw err;
@@ -124,9 +94,14 @@ export async function markOrdersAsSynced(orderIds) {
  * @returns {Promise<Object>} - {synced: number, failed: number}
  */
 export async function syncQueuedOrders(syncFn) {
+  const claimed = [];
   try {
-    const unsynced = await getQueuedOrders(true);
-    
+    const unsynced = (await getQueuedOrders(true)).filter(order => !inFlight.has(order.id));
+    unsynced.forEach(order => {
+      inFlight.add(order.id);
+      claimed.push(order.id);
+    });
+
     if (unsynced.length === 0) {
       console.log('📭 No orders to sync');
       return { synced: 0, failed: 0 };
@@ -166,6 +141,8 @@ export async function syncQueuedOrders(syncFn) {
   } catch (err) {
     console.error('Sync failed:', err);
     throw err;
+  } finally {
+    claimed.forEach(id => inFlight.delete(id));
   }
 }
 
@@ -178,8 +155,7 @@ export async function clearSyncedOrders() {
     const database = await initDB();
     const tx = database.transaction(STORE_NAME, 'readwrite');
     const store = tx.objectStore(STORE_NAME);
-    const index = store.index('synced');
-    const synced = await index.getAll(true);
+    const synced = (await store.getAll()).filter(order => order.synced);
 
     for (const order of synced) {
       await store.delete(order.id);
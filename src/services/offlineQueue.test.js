@@ -0,0 +1,39 @@
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { closeDatabase } from './database';
+import { enqueueOrder, syncQueuedOrders, getQueueStats } from './offlineQueue';
+
+beforeEach(() => {
+  global.indexedDB = new IDBFactory();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  await closeDatabase();
+  jest.restoreAllMocks();
+});
+
+test('overlapping syncs post each queued order once', async () => {
+  await enqueueOrder({ localId: 'L-1', total: 450 });
+  await enqueueOrder({ localId: 'L-2', total: 900 });
+
+  const posted = [];
+  const post = async (order) => {
+    posted.push(order.localId);
+    await new Promise(resolve => setTimeout(resolve, 10));
+  };
+
+  const [first, second] = await Promise.all([syncQueuedOrders(post), syncQueuedOrders(post)]);
+
+  expect(posted.sort()).toEqual(['L-1', 'L-2']);
+  expect(first.synced + second.synced).toBe(2);
+  expect(await getQueueStats()).toEqual({ total: 2, synced: 2, unsynced: 0 });
+});
+
+test('a failed order is released for the next sync', async () => {
+  await enqueueOrder({ localId: 'L-1', total: 450 });
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  expect(await syncQueuedOrders(async () => { throw new Error('offline'); })).toEqual({ synced: 0, failed: 1 });
+  expect(await syncQueuedOrders(async () => {})).toEqual({ synced: 1, failed: 0 });
+});
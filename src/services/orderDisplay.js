@@ -0,0 +1,172 @@
+/**
+ * Order Display - data for the public "order ready" screen
+ * The screen runs without a login, so it only ever keeps order numbers and
+ * statuses. Everything else in an order (customer name, phone, items, totals)
+ * is dropped the moment an event arrives.
+ */
+import { initSocket } from './socket';
+import { shortOrderNumber } from './orderNumbers';
+
+export const DISPLAY_EVENTS = {
+  // Join the public display room (no token needed)
+  SUBSCRIBE: 'display:subscribe',
+  // Server reply with every order currently in progress
+  SNAPSHOT: 'display:snapshot',
+  // Display room only: {_id, orderNumber, status}, never the full order
+  UPDATED: 'display:updated',
+  REMOVED: 'display:removed'
+};
+
+// Statuses shown on the screen, and the column each one goes in
+export const DISPLAY_COLUMNS = {
+  pending: 'preparing',
+  'on-hold': 'preparing',
+  preparing: 'preparing',
+  ready: 'ready'
+};
+
+/**
+ * Reduce an order to what may be shown in public
+ * @param {Object} order
+ * @returns {Object|null} - {key, number, status, updatedAt}
+ */
+export function toDisplayOrder(order) {
+  if (!order) return null;
+  const number = order.orderNumber || shortOrderNumber(order.orderId);
+  const key = order._id || order.localId || number;
+  if (!key) return null;
+
+  return {
+    key: String(key),
+    number: number ? String(number) : '',
+    status: order.status || 'pending',
+    updatedAt: Date.now()
+  };
+}
+
+/**
+ * Apply one order change to the board
+ * Completed (or cancelled, deleted, unknown) orders leave the screen
+ * @param {Object} board - key -> display order
+ * @param {Object} order - Display order from toDisplayOrder
+ * @param {boolean} removed - True for a delete event
+ * @returns {Object} - New board
+ */
+export function applyDisplayUpdate(board, order, removed = false) {
+  if (!order) return board;
+  const next = { ...board };
+
+  const existing = board[order.key];
+
+  if (removed || !DISPLAY_COLUMNS[order.status]) {
+    delete next[order.key];
+  } else if (existing?.status === order.status) {
+    // Same column - keep its place and highlight timing
+    return board;
+  } else {
+    next[order.key] = order;
+  }
+  return next;
+}
+
+/**
+ * Build a fresh board from a snapshot of orders
+ * @param {Array} orders
+ * @returns {Object}
+ */
+export function buildDisplayBoard(orders = []) {
+  return orders.map(toDisplayOrder).reduce((board, order) => applyDisplayUpdate(board, order), {});
+}
+
+/**
+ * Listen for order changes on the public display channel
+ * @param {Function} listener - Called with {type: 'snapshot', orders}
+ *   | {type: 'update', order, removed} | {type: 'status', connected}
+ * @returns {Function} - Cleanup function
+ */
+export function subscribeToDisplay(listener) {
+  let socket = null;
+  let closed = false;
+
+  const onSnapshot = (orders) => {
+    listener({ type: 'snapshot', orders: (Array.isArray(orders) ? orders : []).map(toDisplayOrder).filter(Boolean) });
+  };
+  const onChange = (order) => listener({ type: 'update', order: toDisplayOrder(order), removed: false });
+  const onDeleted = (payload) => {
+    const order = toDisplayOrder(typeof payload === 'string' ? { _id: payload } : payload);
+    listener({ type: 'update', order, removed: true });
+  };
+  const onConnect = () => {
+    // Ask again on every reconnect so orders missed meanwhile are corrected
+    socket.emit(DISPLAY_EVENTS.SUBSCRIBE);
+    listener({ type: 'status', connected: true });
+  };
+  const onDisconnect = () => listener({ type: 'status', connected: false });
+
+  const handlers = [
+    [DISPLAY_EVENTS.SNAPSHOT, onSnapshot],
+    [DISPLAY_EVENTS.UPDATED, onChange],
+    [DISPLAY_EVENTS.REMOVED, onDeleted],
+    ['connect', onConnect],
+    ['disconnect', onDisconnect]
+  ];
+
+  initSocket()
+    .then(s => {
+      if (closed) return;
+      socket = s;
+      handlers.forEach(([event, handler]) => socket.on(event, handler));
+      if (socket.connected) onConnect();
+    })
+    .catch(err => {
+      console.warn('⚠️ Display feed unavailable:', err.message);
+      listener({ type: 'status', connected: false });
+    });
+
+  // The socket is shared with the staff screens, so only our handlers go
+  return () => {
+    closed = true;
+    if (socket) handlers.forEach(([event, handler]) => socket.off(event, handler));
+  };
+}
+
+// ==================== ANNOUNCEMENTS ====================
+
+export const speechSupported = () => typeof window !== 'undefined' && 'speechSynthesis' in window;
+
+/**
+ * Say something through SpeechSynthesis (no-op where unsupported)
+ * @param {string} text
+ * @param {string} lang - BCP 47 language tag
+ */
+export function speak(text, lang = 'en-US') {
+  if (!speechSupported() || !text) return;
+
+  const utterance = new SpeechSynthesisUtterance(text);
+  utterance.lang = lang;
+  utterance.rate = 0.9;
+  window.speechSynthesis.speak(utterance);
+}
+
+/**
+ * Read an order number out loud
+ * @param {string} number
+ * @param {string} lang
+ */
+export function announceReady(number, lang = 'en-US') {
+  if (!number) return;
+  // Space the characters so "A102" is read as "A 1 0 2", not "a hundred and two"
+  const spoken = number.replace(/[^a-z0-9]/gi, '').split('').join(' ');
+  speak(`Order number ${spoken} is ready`, lang);
+}
+
+export default {
+  DISPLAY_EVENTS,
+  DISPLAY_COLUMNS,
+  toDisplayOrder,
+  applyDisplayUpdate,
+  buildDisplayBoard,
+  subscribeToDisplay,
+  speak,
+  announceReady
+};
@@ -0,0 +1,64 @@
+import { initSocket, disconnectSocket } from './socket';
+import { toDisplayOrder, applyDisplayUpdate, buildDisplayBoard, subscribeToDisplay, DISPLAY_EVENTS } from './orderDisplay';
+
+jest.mock('./socket', () => ({
+  initSocket: jest.fn(),
+  disconnectSocket: jest.fn()
+}));
+
+const order = {
+  _id: 'srv-1',
+  orderId: 'A102',
+  status: 'preparing',
+  customerName: 'Ali Khan',
+  customerPhone: '03001234567',
+  total: 1450,
+  items: [{ name: 'Biryani', quantity: 2, price: 725 }]
+};
+
+test('keeps only the order number and status', () => {
+  const shown = toDisplayOrder(order);
+  expect(Object.keys(shown).sort()).toEqual(['key', 'number', 'status', 'updatedAt']);
+  expect(JSON.stringify(shown)).not.toMatch(/Ali|1450|0300|Biryani/);
+});
+
+test('moves orders between columns and drops them once completed', () => {
+  let board = buildDisplayBoard([order]);
+  expect(board['srv-1'].status).toBe('preparing');
+
+  board = applyDisplayUpdate(board, toDisplayOrder({ ...order, status: 'ready' }));
+  expect(board['srv-1'].status).toBe('ready');
+
+  board = applyDisplayUpdate(board, toDisplayOrder({ ...order, status: 'completed' }));
+  expect(board).toEqual({});
+});
+
+test('removes deleted orders', () => {
+  const board = buildDisplayBoard([order]);
+  expect(applyDisplayUpdate(board, toDisplayOrder({ _id: 'srv-1' }), true)).toEqual({});
+});
+
+test('listens on the display channel only and leaves the shared socket open', async () => {
+  const handlers = {};
+  const socket = {
+    connected: true,
+    emit: jest.fn(),
+    on: jest.fn((event, handler) => { handlers[event] = handler; }),
+    off: jest.fn((event) => { delete handlers[event]; })
+  };
+  initSocket.mockResolvedValue(socket);
+
+  const listener = jest.fn();
+  const unsubscribe = subscribeToDisplay(listener);
+  await Promise.resolve();
+
+  expect(Object.keys(handlers).sort()).toEqual(['connect', 'disconnect', 'display:removed', 'display:snapshot', 'display:updated']);
+  expect(socket.emit).toHaveBeenCalledWith(DISPLAY_EVENTS.SUBSCRIBE);
+
+  handlers[DISPLAY_EVENTS.UPDATED]({ _id: 'srv-1', orderNumber: 'A102', status: 'ready' });
+  expect(listener).toHaveBeenLastCalledWith({ type: 'update', order: expect.objectContaining({ number: 'A102', status: 'ready' }), removed: false });
+
+  unsubscribe();
+  expect(handlers).toEqual({});
+  expect(disconnectSocket).not.toHaveBeenCalled();
+});
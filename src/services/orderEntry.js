@@ -0,0 +1,73 @@
+/**
+ * Order Entry - building orders taken at the counter or over the phone
+ * (the admin-side POS), as opposed to orders placed in the customer app
+ */
+import { getCurrentUser } from './auth';
+import { getWorkflow, createHistoryEntry } from './orderWorkflow';
+import { calculateTotal, validateItems } from './orderItems';
+import { assignOrderNumber } from './orderNumbers';
+
+export const ORDER_TYPES = {
+  'dine-in': 'Dine-in',
+  takeaway: 'Takeaway',
+  delivery: 'Delivery'
+};
+
+// Digits, spaces, dashes and an optional leading +
+const PHONE_PATTERN = /^\+?[\d\s-]{7,15}$/;
+
+/**
+ * Problems that stop an order being placed
+ * @param {Object} draft - {items, customerName, customerPhone, orderType}
+ * @returns {Array<string>} - Empty when valid
+ */
+export function validateOrderDraft({ items, customerPhone = '', orderType } = {}) {
+  const problems = validateItems(items);
+  const phone = customerPhone.trim();
+
+  if (!ORDER_TYPES[orderType]) {
+    problems.push('Choose dine-in, takeaway or delivery');
+  }
+  if (orderType === 'delivery' && !phone) {
+    problems.push('Delivery orders need a phone number');
+  }
+  if (phone && !PHONE_PATTERN.test(phone)) {
+    problems.push('Phone number doesn\'t look right');
+  }
+  return problems;
+}
+
+/**
+ * Turn a POS draft into an order ready for createOrder or the offline queue
+ * @param {Object} draft - {items, customerName, customerPhone, orderType}
+ * @returns {Object} - Order in the same shape the customer app sends, numbered for this device
+ */
+export function buildOrder({ items, customerName = '', customerPhone = '', orderType }) {
+  const problems = validateOrderDraft({ items, customerPhone, orderType });
+  if (problems.length > 0) {
+    throw new Error(problems.join('\n'));
+  }
+
+  const user = getCurrentUser();
+  const status = getWorkflow().initial;
+  const cleaned = items.map(item => ({ ...item, notes: (item.notes || '').trim() }));
+
+  return assignOrderNumber({
+    customerName: customerName.trim() || 'Walk-in',
+    customerPhone: customerPhone.trim(),
+    orderType,
+    items: cleaned,
+    total: calculateTotal(cleaned),
+    status,
+    timestamp: Date.now(),
+    source: 'pos',
+    createdBy: { userId: user?.userId || null, username: user?.username || null },
+    statusHistory: [createHistoryEntry(null, status)]
+  });
+}
+
+export default {
+  ORDER_TYPES,
+  validateOrderDraft,
+  buildOrder
+};
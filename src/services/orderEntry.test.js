@@ -0,0 +1,28 @@
+import { buildOrder, validateOrderDraft } from './orderEntry';
+
+jest.mock('./auth', () => ({
+  getCurrentUser: () => ({ userId: 'u1', username: 'sara', role: 'cashier' })
+}));
+
+const items = [{ productId: 'p1', name: 'Burger', price: 400, quantity: 2, notes: ' no onions ' }];
+
+beforeEach(() => localStorage.clear());
+
+test('delivery orders need a valid phone number', () => {
+  expect(validateOrderDraft({ items, orderType: 'delivery' })).toContain('Delivery orders need a phone number');
+  expect(validateOrderDraft({ items, orderType: 'delivery', customerPhone: 'call me' })).toHaveLength(1);
+  expect(validateOrderDraft({ items, orderType: 'delivery', customerPhone: '+94 77 123 4567' })).toEqual([]);
+});
+
+test('built orders start in the initial status with totals and history', () => {
+  const order = buildOrder({ items, orderType: 'takeaway' });
+
+  expect(order.status).toBe('pending');
+  expect(order.total).toBe(800);
+  expect(order.customerName).toBe('Walk-in');
+  expect(order.items[0].notes).toBe('no onions');
+  expect(order.statusHistory[0]).toMatchObject({ from: null, to: 'pending', username: 'sara' });
+  expect(order.createdBy.username).toBe('sara');
+  expect(order.orderId).toMatch(/^[0-9A-Z]{4}-\d{8}-001$/);
+  expect(order.localId).toHaveLength(26);
+});
@@ -0,0 +1,156 @@
+/**
+ * Order Export - orders and sales reports as tables for exporters.js
+ * Orders are read from the IndexedDB cache with the dashboard's search query,
+ * so an export covers the chosen date range and filters even offline. Older
+ * pages the range needs are fetched first; when they can't be, the export is
+ * marked partial.
+ */
+import { searchOrders } from './orderRepository';
+import { hasCachedOrdersSince, fetchOlderOrders } from './db';
+import { hasExtraFilters, timestampRange } from './orderSearch';
+import { refundedAmount } from './refunds';
+import { getStatusMeta } from './orderWorkflow';
+import { ORDER_TYPES } from './orderEntry';
+import { REPORT_PERIODS, GRANULARITIES } from './reports';
+import { exportTable } from './exporters';
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Local date and time as YYYY-MM-DD HH:MM, which spreadsheets sort correctly
+ */
+export function formatExportDate(time) {
+  const d = new Date(time);
+  if (Number.isNaN(d.getTime())) return '';
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+export const ORDER_COLUMNS = [
+  { label: 'Order #', value: order => order.orderId || '' },
+  { label: 'Date', value: order => formatExportDate(order.timestamp) },
+  { label: 'Customer', value: order => order.customerName || '' },
+  { label: 'Phone', value: order => order.customerPhone || '' },
+  { label: 'Type', value: order => ORDER_TYPES[order.orderType] || order.orderType || '' },
+  { label: 'Status', value: order => getStatusMeta(order.status).label },
+  {
+    label: 'Items',
+    value: order => (order.items || []).map(item => `${item.quantity} x ${item.name}`).join('; ')
+  },
+  { label: 'Total', type: 'number', value: order => Number(order.total) || 0 },
+  { label: 'Refunded', type: 'number', value: order => refundedAmount(order) },
+  {
+    label: 'Net',
+    type: 'number',
+    value: order => (order.status === 'cancelled' ? 0 : (Number(order.total) || 0) - refundedAmount(order))
+  }
+];
+
+// Human-readable description of the filters behind an export
+function describeQuery(query) {
+  const parts = [];
+  if (query.from || query.to) parts.push(`${query.from || 'start'} to ${query.to || 'today'}`);
+  if (query.timeFrom || query.timeTo) parts.push(`between ${query.timeFrom || '00:00'} and ${query.timeTo || '23:59'}`);
+  if (query.status && query.status !== 'all') parts.push(`status: ${getStatusMeta(query.status).label}`);
+  if (query.q) parts.push(`matching "${query.q}"`);
+  if (query.minTotal || query.maxTotal) parts.push(`total Rs. ${query.minTotal || 0} to ${query.maxTotal || 'any'}`);
+  return parts.length > 0 ? parts.join(', ') : 'All cached orders';
+}
+
+/**
+ * Orders as an export table, with a sales summary
+ * @param {Array} orders
+ * @param {Object} query - The search query they were selected with
+ * @param {Object} options - {partial: older orders couldn't be fetched}
+ * @returns {Object} - Table for exporters.exportTable
+ */
+export function ordersTable(orders, query = {}, { partial = false } = {}) {
+  const sum = (list, value) => list.reduce((total, order) => total + value(order), 0);
+  const sales = orders.filter(order => order.status !== 'cancelled');
+  const gross = sum(sales, order => Number(order.total) || 0);
+  const refunds = sum(orders, refundedAmount);
+
+  return {
+    title: 'Orders',
+    subtitle: `${describeQuery(query)} | exported ${formatExportDate(Date.now())}`
+      + (partial ? ' | INCOMPLETE: older orders could not be fetched' : ''),
+    summary: [
+      ['Orders', orders.length],
+      ['Cancelled', orders.length - sales.length],
+      ['Gross sales (Rs.)', gross],
+      ['Refunds (Rs.)', refunds],
+      ['Net sales (Rs.)', gross - refunds]
+    ],
+    columns: ORDER_COLUMNS.map(({ label, type }) => ({ label, type })),
+    rows: orders.map(order => ORDER_COLUMNS.map(column => column.value(order)))
+  };
+}
+
+/**
+ * Page older orders into the cache until it reaches back to `since`
+ * (all of history when null)
+ * @returns {Promise<boolean>} - False when offline or a page failed
+ */
+async function cacheOrdersSince(since) {
+  while (!(await hasCachedOrdersSince(since))) {
+    if (!navigator.onLine) return false;
+    try {
+      await fetchOlderOrders();
+    } catch (error) {
+      console.warn('⚠️ Could not fetch older orders for export:', error.message);
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Export the orders matching a dashboard query
+ * @param {Object} query - See orderSearch.EMPTY_ORDER_QUERY
+ * @param {string} format - Key of exporters.EXPORT_FORMATS
+ * @returns {Promise<Object>} - {blob, count, partial}
+ */
+export async function exportOrders(query, format) {
+  const partial = !(await cacheOrdersSince(timestampRange(query)?.lower ?? null));
+  const orders = await searchOrders(query);
+  const blob = await exportTable(ordersTable(orders, query, { partial }), format);
+  console.log(`✅ Exported ${orders.length} orders as ${format}${hasExtraFilters(query) ? ' (filtered)' : ''}${partial ? ' (incomplete)' : ''}`);
+  return { blob, count: orders.length, partial };
+}
+
+/**
+ * A sales report (reports.buildReport) as an export table: the summary and
+ * the revenue series
+ * @param {Object} report
+ * @param {Object} params - {period, granularity, range}
+ * @returns {Object}
+ */
+export function salesReportTable(report, { period, granularity, range }) {
+  const { summary, changes } = report;
+  const withChange = (value, change) => (change == null ? value : `${value} (${change > 0 ? '+' : ''}${change}%)`);
+
+  return {
+    title: `Sales report - ${REPORT_PERIODS[period] || period}`,
+    subtitle: `${formatExportDate(range.start)} to ${formatExportDate(range.end)} | ${GRANULARITIES[granularity] || granularity}`,
+    summary: [
+      ['Revenue (Rs.)', withChange(summary.revenue, changes.revenue)],
+      ['Orders', withChange(summary.orderCount, changes.orderCount)],
+      ['Average order (Rs.)', withChange(summary.averageOrderValue, changes.averageOrderValue)],
+      ['Refunds (Rs.)', withChange(summary.refunds, changes.refunds)],
+      ...Object.entries(summary.byStatus).map(([status, count]) => [`${getStatusMeta(status).label} orders`, count])
+    ],
+    columns: [
+      { label: 'Period starting' },
+      { label: 'Orders', type: 'number' },
+      { label: 'Revenue', type: 'number' }
+    ],
+    rows: report.series.map(bucket => [formatExportDate(bucket.start), bucket.orders, bucket.revenue])
+  };
+}
+
+export default {
+  ORDER_COLUMNS,
+  formatExportDate,
+  ordersTable,
+  exportOrders,
+  salesReportTable
+};
@@ -0,0 +1,66 @@
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { fetchOrderPage } from './api';
+import { closeDatabase } from './database';
+import { syncOrderCache } from './db';
+import { exportOrders } from './orderExport';
+
+jest.mock('./api', () => ({
+  fetchOrderPage: jest.fn()
+}));
+
+const DAY = 24 * 60 * 60 * 1000;
+const today = new Date(2026, 9, 18, 12).getTime();
+
+const order = (n, daysAgo) => ({
+  _id: `srv-${n}`,
+  orderId: `ORD-${n}`,
+  status: 'completed',
+  total: 100,
+  items: [],
+  timestamp: today - daysAgo * DAY
+});
+
+const textOf = (blob) => new Promise(resolve => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.readAsText(blob);
+});
+
+beforeEach(async () => {
+  global.indexedDB = new IDBFactory();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  fetchOrderPage.mockReset()
+    .mockResolvedValueOnce({ orders: [order(3, 0), order(2, 2)], nextCursor: 'c1', deleted: [] })
+    .mockResolvedValueOnce({ orders: [order(1, 5)], nextCursor: null, deleted: [] });
+  await syncOrderCache();
+});
+
+afterEach(async () => {
+  await closeDatabase();
+  jest.restoreAllMocks();
+});
+
+test('older pages the date range needs are fetched before exporting', async () => {
+  const { blob, count, partial } = await exportOrders({ from: '2026-10-10' }, 'csv');
+
+  expect(fetchOrderPage).toHaveBeenLastCalledWith(expect.objectContaining({ cursor: 'c1' }), {});
+  expect(count).toBe(3);
+  expect(partial).toBe(false);
+  expect(await textOf(blob)).toContain('ORD-1');
+});
+
+test('ranges the cache already covers are exported without fetching', async () => {
+  expect(await exportOrders({ from: '2026-10-17' }, 'csv')).toMatchObject({ count: 1, partial: false });
+  expect(fetchOrderPage).toHaveBeenCalledTimes(1);
+});
+
+test('offline, the export is flagged partial', async () => {
+  jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+
+  const { blob, count, partial } = await exportOrders({}, 'pdf');
+  expect(count).toBe(2);
+  expect(partial).toBe(true);
+  expect(await textOf(blob)).toContain('INCOMPLETE');
+});
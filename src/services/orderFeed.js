@@ -0,0 +1,195 @@
+/**
+ * Order Feed - live order events from the backend over Socket.io
+ * One socket subscription is shared by every screen that listens. Each event
+ * is written to the IndexedDB cache before listeners hear about it, and after
+ * a reconnect the orders missed while disconnected are fetched and replayed.
+ */
+import { initSocket } from './socket';
+import { upsertCachedOrder, removeCachedOrder, fetchChangedOrders } from './db';
+import { isSameOrder } from './orderNumbers';
+
+export const ORDER_EVENTS = {
+  CREATED: 'order:created',
+  UPDATED: 'order:updated',
+  DELETED: 'order:deleted',
+  // Sent on every (re)connect so the server puts us back in the orders room
+  SUBSCRIBE: 'orders:subscribe'
+};
+
+// Ask for a little extra on backfill in case server and terminal clocks differ
+const BACKFILL_OVERLAP = 60 * 1000;
+
+const listeners = new Set();
+let socket = null;
+let attaching = null;
+let hasConnected = false;
+let lastSeenAt = null;
+
+// Matching lives with the numbering scheme; re-exported for existing callers
+export { isSameOrder };
+
+/**
+ * Replace or insert an order in a list, keeping newest first
+ * @returns {Array} - New array
+ */
+export function mergeOrderInto(orders, order) {
+  const next = orders.filter(existing => !isSameOrder(existing, order));
+  next.push(order);
+  return next.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+}
+
+const identifiers = (order) => [
+  order._id && `_id:${order._id}`,
+  order.localId && `local:${order.localId}`,
+  order.orderId && `number:${order.orderId}`
+].filter(Boolean);
+
+/**
+ * Merge a batch of orders into a list with one sort (large lists, pages of history)
+ * @returns {Array} - New array, newest first
+ */
+export function mergeOrders(orders, incoming) {
+  if (incoming.length === 0) return orders;
+  const seen = new Set(incoming.flatMap(identifiers));
+  const next = orders.filter(existing => !identifiers(existing).some(id => seen.has(id)));
+  next.push(...incoming);
+  return next.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+}
+
+/**
+ * Deleted events may carry just an id string or the whole order
+ */
+const toOrderRef = (payload) => (typeof payload === 'string' ? { _id: payload } : payload || {});
+
+function notify(event) {
+  listeners.forEach(listener => {
+    try {
+      listener(event);
+    } catch (err) {
+      console.error('❌ Order feed listener failed:', err);
+    }
+  });
+}
+
+async function handleUpsert(type, order) {
+  if (!order) return;
+  lastSeenAt = Date.now();
+  try {
+    const cached = await upsertCachedOrder(order);
+    notify({ type, order: cached });
+  } catch (err) {
+    console.error(`❌ Failed to apply ${type} order event:`, err);
+  }
+}
+
+const onCreated = (order) => handleUpsert('created', order);
+const onUpdated = (order) => handleUpsert('updated', order);
+
+async function onDeleted(payload) {
+  const ref = toOrderRef(payload);
+  lastSeenAt = Date.now();
+  try {
+    const removed = await removeCachedOrder(ref);
+    notify({ type: 'deleted', order: removed || ref });
+  } catch (err) {
+    console.error('❌ Failed to apply deleted order event:', err);
+  }
+}
+
+/**
+ * Fetch and cache everything that changed since we last heard from the server
+ */
+async function backfill() {
+  const since = lastSeenAt ? lastSeenAt - BACKFILL_OVERLAP : null;
+  try {
+    const missed = await fetchChangedOrders(since);
+    lastSeenAt = Date.now();
+    console.log(`📥 Backfilled ${missed.length} orders after reconnect`);
+    notify({ type: 'backfill', orders: missed });
+  } catch (err) {
+    console.warn('⚠️ Order backfill failed:', err.message);
+  }
+}
+
+function onConnect() {
+  socket.emit(ORDER_EVENTS.SUBSCRIBE, { since: lastSeenAt });
+  notify({ type: 'status', connected: true });
+
+  if (hasConnected) {
+    backfill();
+  }
+  hasConnected = true;
+}
+
+function onDisconnect() {
+  notify({ type: 'status', connected: false });
+}
+
+const SOCKET_HANDLERS = [
+  [ORDER_EVENTS.CREATED, onCreated],
+  [ORDER_EVENTS.UPDATED, onUpdated],
+  [ORDER_EVENTS.DELETED, onDeleted],
+  ['connect', onConnect],
+  ['disconnect', onDisconnect]
+];
+
+async function attach() {
+  socket = await initSocket();
+  // The caller has just loaded the full list, so only later changes matter
+  lastSeenAt = Date.now();
+  hasConnected = socket.connected;
+
+  SOCKET_HANDLERS.forEach(([event, handler]) => socket.on(event, handler));
+
+  if (socket.connected) {
+    socket.emit(ORDER_EVENTS.SUBSCRIBE, { since: lastSeenAt });
+    notify({ type: 'status', connected: true });
+  }
+}
+
+// The socket is shared (the public display uses it too), so only our handlers go
+function detach() {
+  if (socket) {
+    SOCKET_HANDLERS.forEach(([event, handler]) => socket.off(event, handler));
+  }
+  socket = null;
+  attaching = null;
+  hasConnected = false;
+}
+
+/**
+ * Listen for live order changes
+ * @param {Function} listener - Called with {type: 'created'|'updated'|'deleted', order}
+ *   | {type: 'backfill', orders} | {type: 'status', connected}
+ * @returns {Function} - Cleanup function
+ */
+export function subscribeToOrderFeed(listener) {
+  listeners.add(listener);
+
+  if (!attaching) {
+    attaching = attach().catch(err => {
+      console.warn('⚠️ Live order feed unavailable:', err.message);
+      attaching = null;
+    });
+  } else if (socket?.connected) {
+    listener({ type: 'status', connected: true });
+  }
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      // Wait for a pending attach so its handlers are removed too
+      Promise.resolve(attaching).then(() => {
+        if (listeners.size === 0) detach();
+      });
+    }
+  };
+}
+
+export default {
+  ORDER_EVENTS,
+  isSameOrder,
+  mergeOrderInto,
+  mergeOrders,
+  subscribeToOrderFeed
+};
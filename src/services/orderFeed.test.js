@@ -0,0 +1,106 @@
+import { initSocket } from './socket';
+import { upsertCachedOrder, removeCachedOrder, fetchChangedOrders } from './db';
+import { subscribeToOrderFeed, ORDER_EVENTS } from './orderFeed';
+
+jest.mock('./socket', () => ({
+  initSocket: jest.fn()
+}));
+
+jest.mock('./db', () => ({
+  upsertCachedOrder: jest.fn(),
+  removeCachedOrder: jest.fn(),
+  fetchChangedOrders: jest.fn()
+}));
+
+const MINUTE = 60 * 1000;
+
+// Socket.io stand-in: `fire` plays an event to whoever is listening
+const fakeSocket = () => {
+  const handlers = {};
+  return {
+    connected: true,
+    emit: jest.fn(),
+    on: jest.fn((event, handler) => { handlers[event] = handler; }),
+    off: jest.fn((event) => { delete handlers[event]; }),
+    fire: (event, payload) => handlers[event]?.(payload),
+    handlers
+  };
+};
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+let socket;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+  socket = fakeSocket();
+  initSocket.mockReset().mockResolvedValue(socket);
+  fetchChangedOrders.mockReset();
+  upsertCachedOrder.mockReset().mockImplementation(async (order) => ({ ...order, id: 1 }));
+  removeCachedOrder.mockReset().mockImplementation(async (ref) => ref);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('events are cached before listeners hear about them', async () => {
+  const listener = jest.fn();
+  const unsubscribe = subscribeToOrderFeed(listener);
+  await flush();
+
+  expect(socket.emit).toHaveBeenCalledWith(ORDER_EVENTS.SUBSCRIBE, { since: 1700000000000 });
+  expect(listener).toHaveBeenCalledWith({ type: 'status', connected: true });
+
+  socket.fire(ORDER_EVENTS.CREATED, { _id: 'srv-1', status: 'pending' });
+  await flush();
+  expect(upsertCachedOrder).toHaveBeenCalledWith({ _id: 'srv-1', status: 'pending' });
+  expect(listener).toHaveBeenCalledWith({ type: 'created', order: { _id: 'srv-1', status: 'pending', id: 1 } });
+
+  socket.fire(ORDER_EVENTS.DELETED, 'srv-1');
+  await flush();
+  expect(removeCachedOrder).toHaveBeenCalledWith({ _id: 'srv-1' });
+  expect(listener).toHaveBeenLastCalledWith({ type: 'deleted', order: { _id: 'srv-1' } });
+
+  unsubscribe();
+  await flush();
+  expect(socket.handlers).toEqual({});
+});
+
+test('orders missed while disconnected are backfilled on reconnect', async () => {
+  const listener = jest.fn();
+  const unsubscribe = subscribeToOrderFeed(listener);
+  await flush();
+
+  socket.fire(ORDER_EVENTS.UPDATED, { _id: 'srv-1', status: 'ready' });
+  await flush();
+  socket.fire('disconnect');
+  expect(listener).toHaveBeenLastCalledWith({ type: 'status', connected: false });
+
+  // Back ten minutes later; the server missed nothing but srv-2
+  Date.now.mockReturnValue(1700000000000 + 10 * MINUTE);
+  fetchChangedOrders.mockResolvedValue([{ _id: 'srv-2', status: 'pending' }]);
+  socket.fire('connect');
+  await flush();
+
+  // Asked from the last event, with a minute's overlap for clock drift
+  expect(fetchChangedOrders).toHaveBeenCalledWith(1700000000000 - MINUTE);
+  expect(listener).toHaveBeenLastCalledWith({ type: 'backfill', orders: [{ _id: 'srv-2', status: 'pending' }] });
+
+  unsubscribe();
+  await flush();
+});
+
+test('the first connect after subscribing does not backfill', async () => {
+  socket.connected = false;
+  const unsubscribe = subscribeToOrderFeed(jest.fn());
+  await flush();
+
+  socket.fire('connect');
+  await flush();
+  expect(fetchChangedOrders).not.toHaveBeenCalled();
+
+  unsubscribe();
+  await flush();
+});
@@ -0,0 +1,135 @@
+/**
+ * Order Items - line-item maths and edits shared by order editing and the POS
+ * Every helper returns a new items array; nothing is changed in place.
+ */
+import { getWorkflow } from './orderWorkflow';
+
+export const MAX_NOTE_LENGTH = 140;
+
+/**
+ * Price of one line
+ * @param {Object} item - {price, quantity}
+ * @returns {number}
+ */
+export const lineTotal = (item) => (Number(item.price) || 0) * (Number(item.quantity) || 0);
+
+/**
+ * Order total from its lines
+ * @param {Array} items
+ * @returns {number}
+ */
+export const calculateTotal = (items = []) => items.reduce((sum, item) => sum + lineTotal(item), 0);
+
+/**
+ * Orders can be edited until the kitchen starts on them
+ * (statuses marked `editable` in the workflow)
+ * @param {Object} order
+ * @returns {boolean}
+ */
+export const isOrderEditable = (order) => !!getWorkflow().statuses[order?.status]?.editable;
+
+/**
+ * Add one of a catalog product; joins an existing line for the same product
+ * unless that line has a note ("no onions" shouldn't apply to the new one)
+ * @param {Array} items
+ * @param {Object} product - Catalog product
+ * @returns {Array}
+ */
+export function addCatalogItem(items, product) {
+  const existing = items.findIndex(item => item.productId === product.id && !item.notes);
+  if (existing !== -1) {
+    return items.map((item, i) => (i === existing ? { ...item, quantity: item.quantity + 1 } : item));
+  }
+
+  return [...items, {
+    productId: product.id,
+    name: product.name,
+    price: Number(product.price) || 0,
+    image: product.image,
+    quantity: 1,
+    notes: ''
+  }];
+}
+
+/**
+ * Change one line; a quantity of 0 or less removes it
+ * @param {Array} items
+ * @param {number} index
+ * @param {Object} changes - {quantity?, notes?}
+ * @returns {Array}
+ */
+export function updateLine(items, index, changes) {
+  const next = items.map((item, i) => (i === index ? { ...item, ...changes } : item));
+  return next.filter(item => item.quantity > 0);
+}
+
+export const removeLine = (items, index) => items.filter((_, i) => i !== index);
+
+/**
+ * Problems that stop a list of items being saved
+ * @param {Array} items
+ * @returns {Array<string>} - Empty when valid
+ */
+export function validateItems(items) {
+  const problems = [];
+  if (!items || items.length === 0) {
+    problems.push('An order needs at least one item');
+  }
+  (items || []).forEach(item => {
+    if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+      problems.push(`${item.name}: quantity must be a whole number`);
+    }
+    if ((item.notes || '').length > MAX_NOTE_LENGTH) {
+      problems.push(`${item.name}: note is longer than ${MAX_NOTE_LENGTH} characters`);
+    }
+  });
+  return problems;
+}
+
+const lineKey = (item) => item.productId || item.name;
+
+/**
+ * Human-readable list of what changed between two item lists
+ * @param {Array} before
+ * @param {Array} after
+ * @returns {Array<string>} - e.g. ['+1 Fries', 'Burger 2 → 1', '−Coke', 'Burger: "no onions"']
+ */
+export function describeItemChanges(before = [], after = []) {
+  const changes = [];
+  const count = (list) => list.reduce((map, item) => {
+    map[lineKey(item)] = (map[lineKey(item)] || 0) + item.quantity;
+    return map;
+  }, {});
+  const was = count(before);
+  const now = count(after);
+  const names = {};
+  [...before, ...after].forEach(item => { names[lineKey(item)] = item.name; });
+
+  Object.keys(names).forEach(key => {
+    const from = was[key] || 0;
+    const to = now[key] || 0;
+    if (from === 0) changes.push(`+${to} ${names[key]}`);
+    else if (to === 0) changes.push(`−${names[key]}`);
+    else if (from !== to) changes.push(`${names[key]} ${from} → ${to}`);
+  });
+
+  const notesBefore = new Set(before.filter(i => i.notes).map(i => `${i.name}: "${i.notes}"`));
+  after.filter(i => i.notes).forEach(item => {
+    const note = `${item.name}: "${item.notes}"`;
+    if (!notesBefore.has(note)) changes.push(note);
+  });
+
+  return changes;
+}
+
+export default {
+  MAX_NOTE_LENGTH,
+  lineTotal,
+  calculateTotal,
+  isOrderEditable,
+  addCatalogItem,
+  updateLine,
+  removeLine,
+  validateItems,
+  describeItemChanges
+};
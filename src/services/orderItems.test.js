@@ -0,0 +1,35 @@
+import { addCatalogItem, updateLine, calculateTotal, describeItemChanges, isOrderEditable } from './orderItems';
+
+const burger = { id: 'p1', name: 'Burger', price: 400 };
+const fries = { id: 'p2', name: 'Fries', price: 150 };
+
+test('adding a product joins its line unless that line has a note', () => {
+  let items = addCatalogItem([], burger);
+  items = addCatalogItem(items, burger);
+  expect(items).toHaveLength(1);
+  expect(items[0].quantity).toBe(2);
+
+  items = updateLine(items, 0, { notes: 'no onions' });
+  items = addCatalogItem(items, burger);
+  expect(items).toHaveLength(2);
+  expect(calculateTotal(items)).toBe(1200);
+});
+
+test('a quantity of zero removes the line', () => {
+  const items = updateLine(addCatalogItem([], fries), 0, { quantity: 0 });
+  expect(items).toEqual([]);
+});
+
+test('item changes are described for the edit history', () => {
+  const before = [{ productId: 'p1', name: 'Burger', price: 400, quantity: 2 }];
+  const after = [
+    { productId: 'p1', name: 'Burger', price: 400, quantity: 1, notes: 'no onions' },
+    { productId: 'p2', name: 'Fries', price: 150, quantity: 1 }
+  ];
+  expect(describeItemChanges(before, after)).toEqual(['Burger 2 → 1', '+1 Fries', 'Burger: "no onions"']);
+});
+
+test('only orders the kitchen has not started are editable', () => {
+  expect(isOrderEditable({ status: 'pending' })).toBe(true);
+  expect(isOrderEditable({ status: 'preparing' })).toBe(false);
+});
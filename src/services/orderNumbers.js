@@ -0,0 +1,148 @@
+/**
+ * Order Numbers - identifiers for orders created on this device
+ *
+ * Every order created here gets two:
+ *   - localId: a ULID, unique across devices without any coordination. It is
+ *     how an order is found again until (and after) the server gives it an _id.
+ *   - orderId: the number staff read out, e.g. "K7QX-20261019-007" - this
+ *     device's prefix, the local date and a daily sequence number.
+ *
+ * IndexedDB autoIncrement keys only mean something on the device that made
+ * them, so they are never used to match orders from anywhere else.
+ */
+
+const CROCKFORD = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const DEVICE_KEY = 'devicePrefix';
+const SEQUENCE_KEY = 'orderNumberSequence';
+const PREFIX_LENGTH = 4;
+
+const ORDER_NUMBER_PATTERN = /^([0-9A-Z]+)-(\d{8})-(\d{3,})$/;
+
+function randomValues(count) {
+  const values = new Uint8Array(count);
+  if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+    crypto.getRandomValues(values);
+  } else {
+    for (let i = 0; i < count; i++) values[i] = Math.floor(Math.random() * 256);
+  }
+  return Array.from(values);
+}
+
+const randomChars = (count) => randomValues(count).map(v => CROCKFORD[v % 32]).join('');
+
+/**
+ * Universally unique, lexically sortable id (https://github.com/ulid/spec)
+ * @param {number} time - Epoch milliseconds encoded in the first 10 characters
+ * @returns {string} - 26 characters
+ */
+export function ulid(time = Date.now()) {
+  let timePart = '';
+  let rest = time;
+  for (let i = 0; i < 10; i++) {
+    timePart = CROCKFORD[rest % 32] + timePart;
+    rest = Math.floor(rest / 32);
+  }
+  return timePart + randomChars(16);
+}
+
+/**
+ * This device's order number prefix, created on first use
+ * @returns {string}
+ */
+export function getDevicePrefix() {
+  let prefix = localStorage.getItem(DEVICE_KEY);
+  if (!prefix || !/^[0-9A-Z]+$/.test(prefix)) {
+    prefix = randomChars(PREFIX_LENGTH);
+    localStorage.setItem(DEVICE_KEY, prefix);
+  }
+  return prefix;
+}
+
+// YYYYMMDD in local time, so the sequence restarts at the shop's midnight
+const localDate = (time) => {
+  const d = new Date(time);
+  return `${d.getFullYear()}${String(d.getMonth() + 1).padStart(2, '0')}${String(d.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Next daily sequence number on this device
+ * @param {number} time
+ * @returns {Object} - {date: 'YYYYMMDD', sequence}
+ */
+export function nextSequence(time = Date.now()) {
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(SEQUENCE_KEY)) || {};
+  } catch {
+    stored = {};
+  }
+
+  const date = localDate(time);
+  const sequence = stored.date === date ? (stored.seq || 0) + 1 : 1;
+  localStorage.setItem(SEQUENCE_KEY, JSON.stringify({ date, seq: sequence }));
+  return { date, sequence };
+}
+
+/**
+ * Give an order the identifiers it is missing (existing ones are kept)
+ * @param {Object} order
+ * @returns {Object} - New order with localId, orderId and dailyNumber
+ */
+export function assignOrderNumber(order = {}) {
+  if (order.localId && order.orderId) return order;
+
+  const time = Date.now();
+  const numbered = { ...order, localId: order.localId || ulid(time) };
+  if (!order.orderId) {
+    const { date, sequence } = nextSequence(time);
+    numbered.orderId = `${getDevicePrefix()}-${date}-${String(sequence).padStart(3, '0')}`;
+    numbered.dailyNumber = sequence;
+  }
+  return numbered;
+}
+
+/**
+ * Split a number made by assignOrderNumber
+ * @param {string} orderId
+ * @returns {Object|null} - {device, date, sequence}, or null for other formats
+ */
+export function parseOrderNumber(orderId) {
+  const match = ORDER_NUMBER_PATTERN.exec(orderId || '');
+  if (!match) return null;
+  return { device: match[1], date: match[2], sequence: Number(match[3]) };
+}
+
+/**
+ * Short form for screens and receipts: "K7QX-007" instead of "K7QX-20261019-007"
+ * Numbers in any other format are returned unchanged
+ * @param {string} orderId
+ * @returns {string}
+ */
+export function shortOrderNumber(orderId) {
+  const parsed = parseOrderNumber(orderId);
+  if (!parsed) return orderId || '';
+  return `${parsed.device}-${String(parsed.sequence).padStart(3, '0')}`;
+}
+
+/**
+ * Are two copies (cached, queued, from the server) the same order?
+ * The strongest identifier both copies have decides
+ * @returns {boolean}
+ */
+export function isSameOrder(a, b) {
+  if (!a || !b) return false;
+  if (a._id && b._id) return a._id === b._id;
+  if (a.localId && b.localId) return a.localId === b.localId;
+  if (a.orderId && b.orderId) return a.orderId === b.orderId;
+  return false;
+}
+
+export default {
+  ulid,
+  getDevicePrefix,
+  nextSequence,
+  assignOrderNumber,
+  parseOrderNumber,
+  shortOrderNumber,
+  isSameOrder
+};
@@ -0,0 +1,40 @@
+import { ulid, assignOrderNumber, parseOrderNumber, shortOrderNumber, isSameOrder } from './orderNumbers';
+
+beforeEach(() => localStorage.clear());
+
+test('ulids sort by creation time and do not repeat', () => {
+  const earlier = ulid(1700000000000);
+  const later = ulid(1700000000001);
+  expect(earlier).toMatch(/^[0-9A-HJKMNP-TV-Z]{26}$/);
+  expect(earlier < later).toBe(true);
+  expect(ulid(1700000000000)).not.toBe(earlier);
+});
+
+test('order numbers use this device prefix and a daily sequence', () => {
+  const first = assignOrderNumber({ total: 100 });
+  const second = assignOrderNumber({ total: 200 });
+
+  const a = parseOrderNumber(first.orderId);
+  const b = parseOrderNumber(second.orderId);
+  expect(a.device).toBe(b.device);
+  expect(a.date).toBe(b.date);
+  expect([a.sequence, b.sequence]).toEqual([1, 2]);
+  expect(first.localId).not.toBe(second.localId);
+  expect(shortOrderNumber(second.orderId)).toBe(`${a.device}-002`);
+  expect(shortOrderNumber('ORD-9')).toBe('ORD-9');
+});
+
+test('existing identifiers are kept', () => {
+  const order = { orderId: 'ORD-9', localId: '01ABC' };
+  expect(assignOrderNumber(order)).toBe(order);
+  expect(assignOrderNumber({ orderId: 'ORD-9' }).orderId).toBe('ORD-9');
+});
+
+test('copies are matched on the strongest shared identifier', () => {
+  const local = { id: 3, localId: 'L1', orderId: 'K7QX-20261019-001' };
+  expect(isSameOrder(local, { _id: 'srv-1', localId: 'L1' })).toBe(true);
+  expect(isSameOrder(local, { _id: 'srv-2', orderId: 'K7QX-20261019-001' })).toBe(true);
+  // Same cache key on two devices is not the same order
+  expect(isSameOrder({ id: 3 }, { id: 3 })).toBe(false);
+  expect(isSameOrder({ _id: 'a', orderId: 'X' }, { _id: 'b', orderId: 'X' })).toBe(false);
+});
@@ -0,0 +1,377 @@
+/**
+ * Order Repository - the one place that decides between server and IndexedDB
+ * Components go through this (via useOrders) instead of calling fetch/db directly
+ */
+import {
+  fetchOrderByNumber,
+  updateOrderStatus as apiUpdateOrderStatus,
+  deleteOrder as apiDeleteOrder,
+  refundOrder as apiRefundOrder,
+  updateOrderItems as apiUpdateOrderItems,
+  createOrder as apiCreateOrder,
+  fetchOrderWorkflow
+} from './api';
+import {
+  syncOrderCache,
+  fetchOlderOrders,
+  getOrderSyncState,
+  getCachedOrderPage,
+  countCachedOrders,
+  getCachedOrder,
+  ORDER_PAGE_SIZE,
+  updateOrderStatus as updateCachedStatus,
+  deleteOrder as deleteCachedOrder,
+  recordRefund,
+  updateCachedOrderItems,
+  pushDirtyOrders,
+  saveOrder,
+  reconcileOrder,
+  queryCachedOrders,
+  syncWithServer
+} from './db';
+import { enqueueOrder, syncQueuedOrders, clearSyncedOrders } from './offlineQueue';
+import { buildOrder } from './orderEntry';
+import { applyOrderQuery, timestampRange } from './orderSearch';
+import { assertTransition, configureWorkflow, createHistoryEntry, findTransition, getWorkflow, WorkflowError } from './orderWorkflow';
+import { assertRefundApproved, CANCEL_REASONS } from './refunds';
+import { calculateTotal, describeItemChanges, isOrderEditable, validateItems } from './orderItems';
+import { requirePermission } from './permissions';
+import { getCurrentUser } from './auth';
+
+/**
+ * The server's copy of an order we may already have sent, looked up by the
+ * order number this terminal gave it; null if the server never got it
+ */
+async function findServerCopy(order) {
+  if (!order.orderId) return null;
+  try {
+    const serverOrder = await fetchOrderByNumber(order.orderId);
+    return serverOrder?._id ? serverOrder : null;
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+}
+
+/**
+ * Send orders taken at this terminal while offline, recording the server's
+ * _id against each cached copy (matched by localId, never by cache key)
+ * The only path that posts queued orders: loads and reconnects both use it
+ * @returns {Promise<Object>} - {synced, failed}
+ */
+export async function pushQueuedOrders() {
+  const result = await syncQueuedOrders(async ({ id, synced, retryCount, syncedAt, attempted, ...order }) => {
+    // A post that timed out or lost its response may have landed anyway;
+    // posting it again would make a second order and a second kitchen ticket
+    const existing = attempted || retryCount > 0 ? await findServerCopy(order) : null;
+    const created = existing || await apiCreateOrder(order);
+    await reconcileOrder({ ...order, ...created });
+  });
+  if (result.synced > 0) await clearSyncedOrders();
+  return result;
+}
+
+// Whether there are orders past the first `loaded`: in the cache, or (online) still on the server only
+const hasMoreOrders = async (loaded) => (navigator.onLine && !!(await getOrderSyncState()).olderCursor)
+  || (await countCachedOrders()) > loaded;
+
+/**
+ * Load the newest orders, newest first
+ * Online: push orders and changes made offline, then fetch what changed on
+ * the server into the cache (first time: the newest page only)
+ * Offline or on failure: serve the cache and flag it as stale
+ * Only the newest `limit` cached orders are read; loadOlderOrders pages further
+ * @param {Object} options - {limit, signal}
+ * @returns {Promise<Object>} - {data, source: 'network'|'cache', stale, error, fetchedAt,
+ *   meta: {hasMore}}
+ */
+export async function loadOrders({ limit = ORDER_PAGE_SIZE, ...options } = {}) {
+  const fromCache = async (result) => {
+    const data = await getCachedOrderPage(0, limit);
+    return { data, ...result, meta: { hasMore: await hasMoreOrders(data.length) } };
+  };
+
+  if (navigator.onLine) {
+    try {
+      await pushQueuedOrders();
+      await pushDirtyOrders();
+      const changed = await syncOrderCache(options);
+      console.log(`✅ Got ${changed.length} new or changed orders from backend`);
+      return fromCache({ source: 'network', stale: false, error: null, fetchedAt: Date.now() });
+    } catch (error) {
+      if (error.isAborted) throw error;
+      console.warn('Backend fetch failed, using local:', error.message);
+      return fromCache({ source: 'cache', stale: true, error, fetchedAt: null });
+    }
+  }
+
+  console.log('📱 Using local orders (offline mode)');
+  return fromCache({ source: 'cache', stale: true, error: null, fetchedAt: null });
+}
+
+/**
+ * The next page of orders after the first `offset`: from the cache, with a
+ * page fetched from the server first when the cache runs out (online)
+ * @param {number} offset - How many orders are already loaded
+ * @returns {Promise<Object>} - {orders: the new page, hasMore}
+ */
+export async function loadOlderOrders(offset, options = {}) {
+  let orders = await getCachedOrderPage(offset, ORDER_PAGE_SIZE);
+  if (orders.length < ORDER_PAGE_SIZE && navigator.onLine && (await getOrderSyncState()).olderCursor) {
+    await fetchOlderOrders(options);
+    orders = await getCachedOrderPage(offset, ORDER_PAGE_SIZE);
+  }
+  return { orders, hasMore: await hasMoreOrders(offset + orders.length) };
+}
+
+/**
+ * The cached copy of an order, as it is after a change
+ * @param {Object} order
+ * @returns {Promise<Object|null>} - null once it's gone
+ */
+export const loadOrder = (order) => getCachedOrder(order);
+
+/**
+ * Search the cached orders (works offline)
+ * The date range and status go through IndexedDB indexes; text, time of day
+ * and amounts are filtered on what they return
+ * @param {Object} query - See orderSearch.EMPTY_ORDER_QUERY
+ * @returns {Promise<Array>}
+ */
+export async function searchOrders(query) {
+  const candidates = await queryCachedOrders({ range: timestampRange(query), status: query.status });
+  return applyOrderQuery(candidates, query);
+}
+
+/**
+ * Find the server _id for a cached order (looked up by order number if needed)
+ */
+async function resolveServerId(order) {
+  if (order._id) return order._id;
+  if (!order.orderId) return null;
+
+  const serverOrder = await fetchOrderByNumber(order.orderId);
+  return serverOrder?._id || null;
+}
+
+const localKey = (order) => order.id || order._id || order.orderId;
+
+// Refused (not just unreachable) - don't quietly apply it locally
+const isRejection = (error) => [400, 403, 409, 422].includes(error.status);
+
+/**
+ * Change an order's status on the server, or locally (marked dirty) when
+ * the server can't be reached. The change must be allowed by the workflow.
+ * @param {Object} order - Order as returned by loadOrders
+ * @param {string} status
+ * @param {Object} extra - Extra fields for the statusHistory entry (e.g. reason)
+ * @returns {Promise<string>} - 'server' | 'local'
+ */
+export async function changeOrderStatus(order, status, extra = {}) {
+  assertTransition(order.status, status);
+
+  if (navigator.onLine) {
+    try {
+      const serverId = await resolveServerId(order);
+      if (serverId) {
+        await apiUpdateOrderStatus(serverId, status, {
+          from: order.status,
+          historyEntry: createHistoryEntry(order.status, status, extra)
+        });
+        await syncWithServer();
+        return 'server';
+      }
+    } catch (error) {
+      if (isRejection(error)) throw error;
+      console.log('Server update failed, using local:', error.message);
+    }
+  }
+
+  await updateCachedStatus(localKey(order), status, extra);
+  return 'local';
+}
+
+/**
+ * Cancel an order, keeping it (and its sales record) with the reason
+ * @param {Object} order
+ * @param {Object} details - {reason: key of CANCEL_REASONS, note}
+ * @returns {Promise<string>} - 'server' | 'local'
+ */
+export async function cancelOrder(order, { reason, note = '' }) {
+  if (!CANCEL_REASONS[reason]) {
+    throw new Error('Choose a cancellation reason');
+  }
+  return changeOrderStatus(order, 'cancelled', { reason, note: note.trim() });
+}
+
+/**
+ * Refund some or all of an order
+ * @param {Object} order
+ * @param {Object} refund - From refunds.buildRefund
+ * @param {boolean} full - Nothing left to refund afterwards
+ * @returns {Promise<string>} - 'server' | 'local'
+ */
+export async function refundOrder(order, refund, full) {
+  assertRefundApproved(refund);
+  if (full && !findTransition(order.status, 'refunded')) {
+    throw new WorkflowError(order.status, 'refunded');
+  }
+
+  if (navigator.onLine) {
+    try {
+      const serverId = await resolveServerId(order);
+      if (serverId) {
+        await apiRefundOrder(serverId, refund);
+        await syncWithServer();
+        return 'server';
+      }
+    } catch (error) {
+      if (isRejection(error)) throw error;
+      console.log('Server refund failed, recording locally:', error.message);
+    }
+  }
+
+  await recordRefund(localKey(order), refund, full);
+  return 'local';
+}
+
+/**
+ * Place an order taken at the counter or over the phone
+ * Offline (or when the server can't be reached) it goes into the offline
+ * queue and the cache, and is sent on the next online load. A failed post
+ * that the server didn't refuse may still have created the order, so the
+ * queue checks for it before posting again.
+ * @param {Object} draft - {items, customerName, customerPhone, orderType}
+ * @returns {Promise<Object>} - {order, where: 'server'|'local'}
+ */
+export async function placeOrder(draft) {
+  requirePermission('orders:create');
+  const order = buildOrder(draft);
+  let attempted = false;
+
+  if (navigator.onLine) {
+    try {
+      const created = await apiCreateOrder(order);
+      await syncWithServer();
+      return { order: { ...order, ...created }, where: 'server' };
+    } catch (error) {
+      if (isRejection(error)) throw error;
+      attempted = true;
+      console.log('Server create failed, queueing:', error.message);
+    }
+  }
+
+  await enqueueOrder({ ...order, attempted });
+  await saveOrder({ ...order, synced: false });
+  return { order, where: 'local' };
+}
+
+/**
+ * Replace the items of an order the kitchen hasn't started, recalculating the total
+ * @param {Object} order - Order as returned by loadOrders
+ * @param {Array} items - New line items ({productId, name, price, quantity, notes})
+ * @returns {Promise<string>} - 'server' | 'local'
+ */
+export async function editOrderItems(order, items) {
+  requirePermission('orders:edit');
+  if (!isOrderEditable(order)) {
+    throw new Error('Only orders that haven\'t been started can be edited');
+  }
+
+  const cleaned = items.map(item => ({ ...item, notes: (item.notes || '').trim() }));
+  const problems = validateItems(cleaned);
+  if (problems.length > 0) {
+    throw new Error(problems.join('\n'));
+  }
+
+  const user = getCurrentUser();
+  const total = calculateTotal(cleaned);
+  const edit = {
+    at: Date.now(),
+    userId: user?.userId || null,
+    username: user?.username || null,
+    previousTotal: order.total,
+    total,
+    changes: describeItemChanges(order.items, cleaned)
+  };
+
+  if (navigator.onLine) {
+    try {
+      const serverId = await resolveServerId(order);
+      if (serverId) {
+        await apiUpdateOrderItems(serverId, { items: cleaned, total, edit });
+        await syncWithServer();
+        return 'server';
+      }
+    } catch (error) {
+      if (isRejection(error)) throw error;
+      console.log('Server edit failed, saving locally:', error.message);
+    }
+  }
+
+  await updateCachedOrderItems(localKey(order), { items: cleaned, total, edit });
+  return 'local';
+}
+
+/**
+ * Delete an order from the cache and the server
+ * @param {Object} order - Order as returned by loadOrders
+ */
+export async function removeOrder(order) {
+  await deleteCachedOrder(localKey(order));
+
+  if (!navigator.onLine) return;
+
+  try {
+    const serverId = await resolveServerId(order);
+    if (serverId) {
+      await apiDeleteOrder(serverId);
+      await syncWithServer();
+    }
+  } catch (error) {
+    console.log('Server delete failed:', error.message);
+  }
+}
+
+/**
+ * Pull a fresh copy of all orders from the server into the cache
+ * @returns {Promise<Object>} - {success, error?, message?}
+ */
+export async function syncOrders() {
+  return syncWithServer();
+}
+
+/**
+ * Use the server's status workflow when it publishes one
+ * Keeps the stored (or default) workflow when offline or unavailable
+ * @returns {Promise<Object>} - The workflow in force
+ */
+export async function loadOrderWorkflow(options = {}) {
+  if (!navigator.onLine) return getWorkflow();
+
+  try {
+    const workflow = await fetchOrderWorkflow(options);
+    if (workflow) return configureWorkflow(workflow);
+  } catch (error) {
+    if (error.isAborted) throw error;
+    console.warn('⚠️ Using local order workflow:', error.message);
+  }
+  return getWorkflow();
+}
+
+const orderRepository = {
+  loadOrders,
+  loadOlderOrders,
+  loadOrder,
+  searchOrders,
+  loadOrderWorkflow,
+  placeOrder,
+  changeOrderStatus,
+  cancelOrder,
+  refundOrder,
+  editOrderItems,
+  removeOrder,
+  syncOrders
+};
+
+export default orderRepository;
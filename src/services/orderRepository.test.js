@@ -0,0 +1,132 @@
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { createOrder, fetchOrderByNumber, fetchOrderPage } from './api';
+import { ApiError } from './httpClient';
+import { closeDatabase } from './database';
+import { getCachedOrders, upsertCachedOrders, ORDER_PAGE_SIZE } from './db';
+import { getQueuedOrders } from './offlineQueue';
+import { placeOrder, pushQueuedOrders, loadOrders, loadOlderOrders, loadOrder } from './orderRepository';
+
+jest.mock('./api', () => ({
+  ...jest.requireActual('./api'),
+  createOrder: jest.fn(),
+  fetchOrderByNumber: jest.fn(),
+  fetchOrderPage: jest.fn()
+}));
+
+jest.mock('./auth', () => ({
+  getCurrentUser: () => ({ userId: 'u1', username: 'sana', role: 'cashier' })
+}));
+
+const draft = { items: [{ productId: 'p1', name: 'Tea', price: 100, quantity: 2 }], orderType: 'takeaway' };
+
+const timeout = () => new ApiError('Request timed out after 15000ms', { code: 'ETIMEDOUT', method: 'POST' });
+const notFound = () => new ApiError('Order not found', { status: 404 });
+
+beforeEach(() => {
+  global.indexedDB = new IDBFactory();
+  localStorage.clear();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  createOrder.mockReset();
+  fetchOrderByNumber.mockReset();
+  fetchOrderPage.mockReset().mockResolvedValue({ orders: [], nextCursor: null, deleted: [] });
+});
+
+afterEach(async () => {
+  await closeDatabase();
+  jest.restoreAllMocks();
+});
+
+test('an order whose post timed out after reaching the server is not posted again', async () => {
+  createOrder.mockRejectedValueOnce(timeout());
+  const { order, where } = await placeOrder(draft);
+  expect(where).toBe('local');
+
+  // The first post did land
+  fetchOrderByNumber.mockResolvedValue({ ...order, _id: 'srv-9' });
+  expect(await pushQueuedOrders()).toEqual({ synced: 1, failed: 0 });
+
+  expect(fetchOrderByNumber).toHaveBeenCalledWith(order.orderId);
+  expect(createOrder).toHaveBeenCalledTimes(1);
+  expect((await getCachedOrders()).map(o => [o.orderId, o._id, o.synced])).toEqual([[order.orderId, 'srv-9', true]]);
+  expect(await getQueuedOrders()).toEqual([]);
+});
+
+test('an order whose post timed out before reaching the server is posted once more', async () => {
+  createOrder.mockRejectedValueOnce(timeout()).mockResolvedValueOnce({ _id: 'srv-10' });
+  const { order } = await placeOrder(draft);
+
+  fetchOrderByNumber.mockRejectedValue(notFound());
+  expect(await pushQueuedOrders()).toEqual({ synced: 1, failed: 0 });
+
+  expect(createOrder).toHaveBeenCalledTimes(2);
+  expect(createOrder.mock.calls[1][0]).not.toHaveProperty('attempted');
+  expect((await getCachedOrders())[0]).toMatchObject({ orderId: order.orderId, _id: 'srv-10' });
+});
+
+test('a failed lookup leaves the order queued rather than guessing', async () => {
+  createOrder.mockRejectedValueOnce(timeout());
+  await placeOrder(draft);
+
+  fetchOrderByNumber.mockRejectedValue(timeout());
+  expect(await pushQueuedOrders()).toEqual({ synced: 0, failed: 1 });
+  expect(createOrder).toHaveBeenCalledTimes(1);
+  expect(await getQueuedOrders(true)).toHaveLength(1);
+});
+
+test('orders taken offline are posted without a lookup', async () => {
+  const offline = jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+  await placeOrder(draft);
+  offline.mockRestore();
+
+  createOrder.mockResolvedValue({ _id: 'srv-11' });
+  expect(await pushQueuedOrders()).toEqual({ synced: 1, failed: 0 });
+  expect(fetchOrderByNumber).not.toHaveBeenCalled();
+  expect(createOrder).toHaveBeenCalledTimes(1);
+});
+
+test('orders the server refuses are not queued', async () => {
+  createOrder.mockRejectedValueOnce(new ApiError('Invalid order', { status: 422 }));
+  await expect(placeOrder(draft)).rejects.toThrow('Invalid order');
+  expect(await getQueuedOrders()).toEqual([]);
+});
+
+describe('order window', () => {
+  const cached = (n) => ({ _id: `srv-${n}`, orderId: `ORD-${n}`, status: 'completed', total: 100, timestamp: 1700000000000 + n * 1000 });
+  const numbers = (orders) => orders.map(o => o.orderId);
+
+  test('loads read the newest page of the cache and older pages come from the cache', async () => {
+    jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    const total = ORDER_PAGE_SIZE + 50;
+    await upsertCachedOrders(Array.from({ length: total }, (_, i) => cached(i + 1)));
+
+    const first = await loadOrders();
+    expect(first.data).toHaveLength(ORDER_PAGE_SIZE);
+    expect(first.data[0].orderId).toBe(`ORD-${total}`);
+    expect(first.meta.hasMore).toBe(true);
+    expect((await loadOrders({ limit: 10 })).data).toHaveLength(10);
+
+    const next = await loadOlderOrders(ORDER_PAGE_SIZE);
+    expect(numbers(next.orders)).toEqual(Array.from({ length: 50 }, (_, i) => `ORD-${50 - i}`));
+    expect(next.hasMore).toBe(false);
+  });
+
+  test('a page past the end of the cache is fetched from the server', async () => {
+    fetchOrderPage.mockResolvedValueOnce({ orders: [cached(3), cached(2)], nextCursor: 'c1', deleted: [] });
+    await loadOrders();
+
+    fetchOrderPage.mockResolvedValueOnce({ orders: [cached(1)], nextCursor: null, deleted: [] });
+    const next = await loadOlderOrders(2);
+    expect(numbers(next.orders)).toEqual(['ORD-1']);
+    expect(next.hasMore).toBe(false);
+  });
+
+  test('a changed order is read back by any of its identifiers', async () => {
+    const [saved] = await upsertCachedOrders([cached(1)]);
+    expect(await loadOrder({ _id: 'srv-1' })).toMatchObject({ id: saved.id, orderId: 'ORD-1' });
+    expect(await loadOrder({ id: saved.id })).toMatchObject({ _id: 'srv-1' });
+    expect(await loadOrder({ orderId: 'ORD-9' })).toBeNull();
+  });
+});
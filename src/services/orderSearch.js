@@ -0,0 +1,173 @@
+/**
+ * Order Search - text search, filters and sorting for the orders list
+ * A query is a flat object of strings so it round-trips through the URL
+ * (a filtered view can be bookmarked or shared).
+ */
+
+export const SORT_OPTIONS = {
+  newest: 'Newest first',
+  oldest: 'Oldest first',
+  'total-desc': 'Highest total',
+  'total-asc': 'Lowest total',
+  customer: 'Customer A–Z'
+};
+
+export const EMPTY_ORDER_QUERY = {
+  q: '',
+  status: 'all',
+  from: '', // YYYY-MM-DD, inclusive
+  to: '', // YYYY-MM-DD, inclusive
+  timeFrom: '', // HH:MM; a range past midnight (22:00-02:00) is allowed
+  timeTo: '',
+  minTotal: '',
+  maxTotal: '',
+  sort: 'newest'
+};
+
+const QUERY_KEYS = Object.keys(EMPTY_ORDER_QUERY);
+
+/**
+ * Read a query from URL search params; unknown or missing values fall back to defaults
+ * @param {URLSearchParams} params
+ * @returns {Object}
+ */
+export function parseOrderQuery(params) {
+  const query = { ...EMPTY_ORDER_QUERY };
+  QUERY_KEYS.forEach(key => {
+    const value = params.get(key);
+    if (value != null) query[key] = value;
+  });
+  if (!SORT_OPTIONS[query.sort]) query.sort = EMPTY_ORDER_QUERY.sort;
+  return query;
+}
+
+/**
+ * URL search params for a query, leaving out defaults so URLs stay short
+ * @param {Object} query
+ * @returns {URLSearchParams}
+ */
+export function toQueryParams(query) {
+  const params = new URLSearchParams();
+  QUERY_KEYS.forEach(key => {
+    const value = query[key];
+    if (value != null && value !== '' && value !== EMPTY_ORDER_QUERY[key]) params.set(key, value);
+  });
+  return params;
+}
+
+/**
+ * True when anything other than status or sort narrows the list
+ */
+export const hasExtraFilters = (query) =>
+  ['q', 'from', 'to', 'timeFrom', 'timeTo', 'minTotal', 'maxTotal'].some(key => query[key]);
+
+// Local midnight of a YYYY-MM-DD date
+const startOfDay = (date) => {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(y, m - 1, d).getTime();
+};
+
+/**
+ * Timestamp bounds of the date range, for the IndexedDB timestamp index
+ * @param {Object} query
+ * @returns {Object|null} - {lower?, upper?} in epoch ms, or null when no dates are set
+ */
+export function timestampRange({ from, to }) {
+  if (!from && !to) return null;
+  const range = {};
+  if (from) range.lower = startOfDay(from);
+  if (to) range.upper = startOfDay(to) + 24 * 60 * 60 * 1000 - 1;
+  return range;
+}
+
+const toMinutes = (time) => {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+};
+
+function inTimeOfDay(timestamp, timeFrom, timeTo) {
+  if (!timeFrom && !timeTo) return true;
+  const d = new Date(timestamp);
+  const minutes = d.getHours() * 60 + d.getMinutes();
+  const start = timeFrom ? toMinutes(timeFrom) : 0;
+  const end = timeTo ? toMinutes(timeTo) : 24 * 60 - 1;
+  return start <= end
+    ? minutes >= start && minutes <= end
+    : minutes >= start || minutes <= end; // Overnight, e.g. 22:00-02:00
+}
+
+const searchText = (order) => [
+  order.orderId,
+  order.customerName,
+  ...(order.items || []).map(item => item.name)
+].filter(Boolean).join(' ').toLowerCase();
+
+const timeOf = (order) => new Date(order.timestamp).getTime();
+
+/**
+ * Does an order pass every filter in the query?
+ * Every word of the search text must appear in the order number,
+ * customer name or an item name
+ * @param {Object} order
+ * @param {Object} query
+ * @returns {boolean}
+ */
+export function matchesOrderQuery(order, query) {
+  if (query.status && query.status !== 'all' && order.status !== query.status) return false;
+
+  const words = (query.q || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length > 0) {
+    const text = searchText(order);
+    if (!words.every(word => text.includes(word))) return false;
+  }
+
+  const range = timestampRange(query);
+  const time = timeOf(order);
+  if (range?.lower != null && time < range.lower) return false;
+  if (range?.upper != null && time > range.upper) return false;
+  if (!inTimeOfDay(time, query.timeFrom, query.timeTo)) return false;
+
+  const total = Number(order.total) || 0;
+  if (query.minTotal !== '' && query.minTotal != null && total < Number(query.minTotal)) return false;
+  if (query.maxTotal !== '' && query.maxTotal != null && total > Number(query.maxTotal)) return false;
+
+  return true;
+}
+
+const COMPARATORS = {
+  newest: (a, b) => timeOf(b) - timeOf(a),
+  oldest: (a, b) => timeOf(a) - timeOf(b),
+  'total-desc': (a, b) => (Number(b.total) || 0) - (Number(a.total) || 0),
+  'total-asc': (a, b) => (Number(a.total) || 0) - (Number(b.total) || 0),
+  customer: (a, b) => (a.customerName || '').localeCompare(b.customerName || '') || timeOf(b) - timeOf(a)
+};
+
+/**
+ * Sorted copy of a list of orders
+ * @param {Array} orders
+ * @param {string} sort - Key of SORT_OPTIONS
+ * @returns {Array}
+ */
+export const sortOrders = (orders, sort = 'newest') =>
+  [...orders].sort(COMPARATORS[sort] || COMPARATORS.newest);
+
+/**
+ * Filter and sort a list of orders
+ * @param {Array} orders
+ * @param {Object} query
+ * @returns {Array}
+ */
+export const applyOrderQuery = (orders, query) =>
+  sortOrders(orders.filter(order => matchesOrderQuery(order, query)), query.sort);
+
+export default {
+  SORT_OPTIONS,
+  EMPTY_ORDER_QUERY,
+  parseOrderQuery,
+  toQueryParams,
+  hasExtraFilters,
+  timestampRange,
+  matchesOrderQuery,
+  sortOrders,
+  applyOrderQuery
+};
@@ -0,0 +1,38 @@
+import { parseOrderQuery, toQueryParams, applyOrderQuery, matchesOrderQuery, timestampRange, EMPTY_ORDER_QUERY } from './orderSearch';
+
+const at = (date, time) => new Date(`${date}T${time}:00`).getTime();
+
+const orders = [
+  { orderId: 'ORD-1', customerName: 'Ali', total: 450, status: 'pending', timestamp: at('2026-10-18', '09:15'), items: [{ name: 'Chicken Burger' }] },
+  { orderId: 'ORD-2', customerName: 'Sara', total: 1200, status: 'completed', timestamp: at('2026-10-18', '23:30'), items: [{ name: 'Pizza' }] },
+  { orderId: 'ORD-3', customerName: 'Bilal', total: 800, status: 'completed', timestamp: at('2026-10-19', '13:00'), items: [{ name: 'Beef Burger' }] }
+];
+
+const query = (changes) => ({ ...EMPTY_ORDER_QUERY, ...changes });
+const ids = (list) => list.map(order => order.orderId);
+
+test('queries round-trip through the URL without defaults', () => {
+  const params = toQueryParams(query({ q: 'burger', minTotal: '500', sort: 'total-desc' }));
+  expect(params.toString()).toBe('q=burger&minTotal=500&sort=total-desc');
+  expect(parseOrderQuery(params)).toEqual(query({ q: 'burger', minTotal: '500', sort: 'total-desc' }));
+  expect(parseOrderQuery(new URLSearchParams('sort=bogus')).sort).toBe('newest');
+});
+
+test('every search word must match the number, customer or an item', () => {
+  expect(ids(applyOrderQuery(orders, query({ q: 'burger' })))).toEqual(['ORD-3', 'ORD-1']);
+  expect(ids(applyOrderQuery(orders, query({ q: 'burger ali' })))).toEqual(['ORD-1']);
+  expect(ids(applyOrderQuery(orders, query({ q: 'ord-2' })))).toEqual(['ORD-2']);
+});
+
+test('date, time-of-day and amount ranges', () => {
+  expect(ids(applyOrderQuery(orders, query({ from: '2026-10-18', to: '2026-10-18' })))).toEqual(['ORD-2', 'ORD-1']);
+  expect(ids(applyOrderQuery(orders, query({ timeFrom: '22:00', timeTo: '10:00' })))).toEqual(['ORD-2', 'ORD-1']);
+  expect(ids(applyOrderQuery(orders, query({ minTotal: '500', maxTotal: '1000' })))).toEqual(['ORD-3']);
+  expect(timestampRange(query({ to: '2026-10-18' }))).toEqual({ upper: at('2026-10-19', '00:00') - 1 });
+});
+
+test('sorting by total and customer', () => {
+  expect(ids(applyOrderQuery(orders, query({ sort: 'total-asc' })))).toEqual(['ORD-1', 'ORD-3', 'ORD-2']);
+  expect(ids(applyOrderQuery(orders, query({ sort: 'customer' })))).toEqual(['ORD-1', 'ORD-3', 'ORD-2']);
+  expect(matchesOrderQuery(orders[0], query({ status: 'completed' }))).toBe(false);
+});
@@ -0,0 +1,235 @@
+/**
+ * Order Workflow - the order status state machine
+ *
+ * Statuses, the transitions between them, who may make each transition and
+ * how each status looks all live here, so screens render buttons and badges
+ * from data instead of hard-coding them. The server can publish its own
+ * workflow (GET /orders/workflow); until it does, DEFAULT_WORKFLOW applies.
+ */
+import { getCurrentUser } from './auth';
+import { PERMISSIONS, PermissionError, can } from './permissions';
+
+const STORAGE_KEY = 'orderWorkflow';
+
+/**
+ * statuses: key -> {label, color, final?, editable?}
+ *   editable - items can still be changed (the kitchen hasn't started)
+ * transitions: {from, to, action, permission, primary?, recall?, confirm?}
+ *   primary - the usual next step (KDS bump, dashboard main button)
+ *   recall  - a step back to undo a bump; hidden on the dashboard
+ *   confirm - question to ask before making the change
+ */
+export const DEFAULT_WORKFLOW = {
+  initial: 'pending',
+  statuses: {
+    pending: { label: 'Pending', color: '#f59e0b', editable: true },
+    'on-hold': { label: 'On Hold', color: '#6b7280', editable: true },
+    preparing: { label: 'Preparing', color: '#0ea5e9' },
+    ready: { label: 'Ready', color: '#10b981' },
+    completed: { label: 'Completed', color: '#16a34a', final: true },
+    cancelled: { label: 'Cancelled', color: '#dc2626', final: true },
+    refunded: { label: 'Refunded', color: '#7c3aed', final: true }
+  },
+  transitions: [
+    { from: 'pending', to: 'preparing', action: 'Start Preparing', permission: 'orders:status', primary: true },
+    { from: 'pending', to: 'on-hold', action: 'Put On Hold', permission: 'orders:status' },
+    { from: 'on-hold', to: 'pending', action: 'Resume', permission: 'orders:status', primary: true },
+    { from: 'preparing', to: 'ready', action: 'Mark Ready', permission: 'orders:status', primary: true },
+    { from: 'preparing', to: 'on-hold', action: 'Put On Hold', permission: 'orders:status' },
+    { from: 'preparing', to: 'pending', action: 'Back to Pending', permission: 'orders:status', recall: true },
+    { from: 'ready', to: 'completed', action: 'Complete', permission: 'orders:status', primary: true },
+    { from: 'ready', to: 'preparing', action: 'Back to Preparing', permission: 'orders:status', recall: true },
+    // Cancelling and refunding ask for a reason (see OrderAdjustmentDialog)
+    { from: 'pending', to: 'cancelled', action: 'Cancel', permission: 'orders:cancel' },
+    { from: 'on-hold', to: 'cancelled', action: 'Cancel', permission: 'orders:cancel' },
+    { from: 'preparing', to: 'cancelled', action: 'Cancel', permission: 'orders:cancel' },
+    { from: 'ready', to: 'cancelled', action: 'Cancel', permission: 'orders:cancel' },
+    { from: 'completed', to: 'refunded', action: 'Refund', permission: 'orders:refund' }
+  ]
+};
+
+/**
+ * Error thrown for a status change the workflow doesn't allow
+ */
+export class WorkflowError extends Error {
+  constructor(from, to) {
+    super(`Cannot change order from "${from}" to "${to}"`);
+    this.name = 'WorkflowError';
+    this.from = from;
+    this.to = to;
+    this.status = 409;
+  }
+}
+
+/**
+ * Check a workflow definition; returns a list of problems (empty when valid)
+ * @param {Object} workflow
+ * @returns {Array<string>}
+ */
+export function validateWorkflow(workflow) {
+  const problems = [];
+  const statuses = workflow?.statuses || {};
+
+  if (Object.keys(statuses).length === 0) problems.push('No statuses defined');
+  if (!statuses[workflow?.initial]) problems.push(`Unknown initial status "${workflow?.initial}"`);
+  if (!Array.isArray(workflow?.transitions)) {
+    problems.push('transitions must be a list');
+    return problems;
+  }
+
+  workflow.transitions.forEach((t, i) => {
+    if (!statuses[t.from]) problems.push(`Transition ${i}: unknown status "${t.from}"`);
+    if (!statuses[t.to]) problems.push(`Transition ${i}: unknown status "${t.to}"`);
+    if (!PERMISSIONS[t.permission]) problems.push(`Transition ${i}: unknown permission "${t.permission}"`);
+  });
+  return problems;
+}
+
+function loadStoredWorkflow() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    return stored && validateWorkflow(stored).length === 0 ? stored : null;
+  } catch {
+    return null;
+  }
+}
+
+let activeWorkflow = null;
+
+/**
+ * The workflow in force (server-provided if we have one, else the default)
+ * @returns {Object}
+ */
+export function getWorkflow() {
+  if (!activeWorkflow) {
+    activeWorkflow = loadStoredWorkflow() || DEFAULT_WORKFLOW;
+  }
+  return activeWorkflow;
+}
+
+/**
+ * Replace the workflow (e.g. with the server's); pass null to go back to the default
+ * @param {Object|null} workflow
+ * @returns {Object} - The workflow now in force
+ */
+export function configureWorkflow(workflow) {
+  if (!workflow) {
+    localStorage.removeItem(STORAGE_KEY);
+    activeWorkflow = DEFAULT_WORKFLOW;
+    return activeWorkflow;
+  }
+
+  const problems = validateWorkflow(workflow);
+  if (problems.length > 0) {
+    throw new Error(`Invalid order workflow: ${problems.join('; ')}`);
+  }
+
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(workflow));
+  activeWorkflow = workflow;
+  return activeWorkflow;
+}
+
+// ==================== QUERIES ====================
+
+/**
+ * Display info for a status; unknown statuses get a neutral badge
+ * @param {string} status
+ * @param {Object} workflow - Defaults to the workflow in force
+ * @returns {Object} - {key, label, color, final}
+ */
+export function getStatusMeta(status, workflow = getWorkflow()) {
+  const meta = workflow.statuses[status];
+  return {
+    key: status,
+    label: meta?.label || status || 'Unknown',
+    color: meta?.color || '#9ca3af',
+    final: !!meta?.final
+  };
+}
+
+/**
+ * All status keys, in workflow order
+ * @returns {Array<string>}
+ */
+export const getStatuses = (workflow = getWorkflow()) => Object.keys(workflow.statuses);
+
+export const isKnownStatus = (status) => !!getWorkflow().statuses[status];
+
+export const isFinalStatus = (status) => !!getWorkflow().statuses[status]?.final;
+
+/**
+ * Transitions out of a status that a role may make
+ * @param {string} from
+ * @param {string} role - Defaults to the logged-in user's role
+ * @param {Object} workflow - Defaults to the workflow in force
+ * @returns {Array}
+ */
+export function getTransitions(from, role = getCurrentUser()?.role, workflow = getWorkflow()) {
+  return workflow.transitions.filter(t => t.from === from && can(role, t.permission));
+}
+
+export const getPrimaryTransition = (from, role, workflow) => getTransitions(from, role, workflow).find(t => t.primary) || null;
+
+export const getRecallTransition = (from, role, workflow) => getTransitions(from, role, workflow).find(t => t.recall) || null;
+
+/**
+ * Find the transition definition between two statuses (ignoring permissions)
+ */
+export const findTransition = (from, to, workflow = getWorkflow()) =>
+  workflow.transitions.find(t => t.from === from && t.to === to) || null;
+
+/**
+ * Throw unless the logged-in user may move an order from one status to another
+ * @param {string} from
+ * @param {string} to
+ * @returns {Object} - The transition
+ */
+export function assertTransition(from, to) {
+  const transition = findTransition(from, to);
+  if (!transition) {
+    throw new WorkflowError(from, to);
+  }
+
+  const role = getCurrentUser()?.role || null;
+  if (!can(role, transition.permission)) {
+    throw new PermissionError(transition.permission, role);
+  }
+  return transition;
+}
+
+/**
+ * Build a statusHistory entry for a change made by the logged-in user
+ * @param {string|null} from
+ * @param {string} to
+ * @param {Object} extra - Extra fields to record (e.g. reason)
+ * @returns {Object} - {from, to, at, userId, username, ...extra}
+ */
+export function createHistoryEntry(from, to, extra = {}) {
+  const user = getCurrentUser();
+  return {
+    from: from ?? null,
+    to,
+    at: Date.now(),
+    userId: user?.userId || null,
+    username: user?.username || null,
+    ...extra
+  };
+}
+
+export default {
+  DEFAULT_WORKFLOW,
+  WorkflowError,
+  validateWorkflow,
+  getWorkflow,
+  configureWorkflow,
+  getStatusMeta,
+  getStatuses,
+  isKnownStatus,
+  isFinalStatus,
+  getTransitions,
+  getPrimaryTransition,
+  getRecallTransition,
+  findTransition,
+  assertTransition,
+  createHistoryEntry
+};
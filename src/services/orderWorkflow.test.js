@@ -0,0 +1,62 @@
+import { getCurrentUser } from './auth';
+import {
+  DEFAULT_WORKFLOW,
+  WorkflowError,
+  assertTransition,
+  configureWorkflow,
+  createHistoryEntry,
+  getPrimaryTransition,
+  getTransitions,
+  validateWorkflow
+} from './orderWorkflow';
+import { PermissionError } from './permissions';
+
+jest.mock('./auth', () => ({ getCurrentUser: jest.fn() }));
+
+const loginAs = (role) => getCurrentUser.mockReturnValue({ userId: 'u1', username: 'ali', role });
+
+beforeEach(() => {
+  localStorage.clear();
+  configureWorkflow(null);
+});
+
+test('the default workflow is valid', () => {
+  expect(validateWorkflow(DEFAULT_WORKFLOW)).toEqual([]);
+});
+
+test('only offers transitions the role may make', () => {
+  const targets = (from, role) => getTransitions(from, role).map(t => t.to);
+
+  expect(targets('completed', 'cashier')).toEqual([]);
+  expect(targets('completed', 'manager')).toEqual(['refunded']);
+  expect(targets('pending', 'kitchen')).not.toContain('cancelled');
+  expect(getPrimaryTransition('preparing', 'kitchen').to).toBe('ready');
+});
+
+test('rejects transitions the workflow does not define', () => {
+  loginAs('owner');
+  expect(() => assertTransition('pending', 'completed')).toThrow(WorkflowError);
+  expect(() => assertTransition('refunded', 'pending')).toThrow(WorkflowError);
+  expect(assertTransition('pending', 'preparing').to).toBe('preparing');
+});
+
+test('checks the permission attached to a transition', () => {
+  loginAs('cashier');
+  expect(() => assertTransition('completed', 'refunded')).toThrow(PermissionError);
+});
+
+test('history entries record who made the change', () => {
+  loginAs('cashier');
+  expect(createHistoryEntry('pending', 'preparing')).toMatchObject({
+    from: 'pending',
+    to: 'preparing',
+    userId: 'u1',
+    username: 'ali',
+    at: expect.any(Number)
+  });
+});
+
+test('refuses a server workflow that references unknown statuses', () => {
+  const broken = { ...DEFAULT_WORKFLOW, transitions: [{ from: 'pending', to: 'teleported', permission: 'orders:status' }] };
+  expect(() => configureWorkflow(broken)).toThrow(/unknown status "teleported"/);
+});
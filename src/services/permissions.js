@@ -0,0 +1,112 @@
+/**
+ * Permissions Service - single role → permission matrix
+ * Used by route guards, components (hide/disable actions) and the service layer
+ */
+import { getCurrentUser } from './auth';
+
+export const ROLES = {
+  OWNER: 'owner',
+  MANAGER: 'manager',
+  CASHIER: 'cashier',
+  KITCHEN: 'kitchen'
+};
+
+export const ROLE_LABELS = {
+  owner: 'Owner',
+  manager: 'Manager',
+  cashier: 'Cashier',
+  kitchen: 'Kitchen'
+};
+
+const { OWNER, MANAGER, CASHIER, KITCHEN } = ROLES;
+
+// Which roles hold each permission
+export const PERMISSIONS = {
+  'orders:view': [OWNER, MANAGER, CASHIER, KITCHEN],
+  'orders:status': [OWNER, MANAGER, CASHIER, KITCHEN],
+  'orders:create': [OWNER, MANAGER, CASHIER],
+  'orders:edit': [OWNER, MANAGER, CASHIER],
+  'orders:cancel': [OWNER, MANAGER, CASHIER],
+  'orders:refund': [OWNER, MANAGER],
+  'orders:delete': [OWNER, MANAGER],
+  'orders:sync': [OWNER, MANAGER, CASHIER],
+  'stats:view': [OWNER, MANAGER, CASHIER],
+  'shifts:manage': [OWNER, MANAGER, CASHIER],
+  'products:manage': [OWNER, MANAGER],
+  'staff:manage': [OWNER],
+  'settings:manage': [OWNER, MANAGER],
+  // Backups carry staff password hashes
+  'backup:manage': [OWNER],
+  'audit:view': [OWNER, MANAGER]
+};
+
+/**
+ * Error thrown when the current user lacks a permission
+ */
+export class PermissionError extends Error {
+  constructor(permission, role) {
+    super(`Permission denied: ${permission}`);
+    this.name = 'PermissionError';
+    this.permission = permission;
+    this.role = role;
+    this.status = 403;
+  }
+}
+
+/**
+ * Map stored roles onto the current role set
+ * Accounts created before roles existed were saved as 'staff'
+ * @param {string} role
+ * @returns {string}
+ */
+export function normalizeRole(role) {
+  if (Object.values(ROLES).includes(role)) return role;
+  return CASHIER;
+}
+
+/**
+ * Check whether a role holds a permission
+ * @param {string} role
+ * @param {string} permission - Key of PERMISSIONS
+ * @returns {boolean}
+ */
+export function can(role, permission) {
+  const allowed = PERMISSIONS[permission];
+  if (!allowed) {
+    console.warn('Unknown permission:', permission);
+    return false;
+  }
+  return !!role && allowed.includes(normalizeRole(role));
+}
+
+/**
+ * Check a permission for the logged-in user
+ * @param {string} permission
+ * @returns {boolean}
+ */
+export function hasPermission(permission) {
+  const user = getCurrentUser();
+  return !!user && can(user.role, permission);
+}
+
+/**
+ * Throw a PermissionError unless the logged-in user holds the permission
+ * @param {string} permission
+ */
+export function requirePermission(permission) {
+  const user = getCurrentUser();
+  if (!user || !can(user.role, permission)) {
+    throw new PermissionError(permission, user?.role || null);
+  }
+}
+
+export default {
+  ROLES,
+  ROLE_LABELS,
+  PERMISSIONS,
+  PermissionError,
+  normalizeRole,
+  can,
+  hasPermission,
+  requirePermission
+};
@@ -0,0 +1,35 @@
+import { can, normalizeRole, requirePermission, PermissionError } from './permissions';
+
+describe('permission matrix', () => {
+  test('kitchen can only view orders and change status', () => {
+    expect(can('kitchen', 'orders:view')).toBe(true);
+    expect(can('kitchen', 'orders:status')).toBe(true);
+    expect(can('kitchen', 'orders:delete')).toBe(false);
+    expect(can('kitchen', 'stats:view')).toBe(false);
+    expect(can('kitchen', 'products:manage')).toBe(false);
+  });
+
+  test('cashier cannot delete orders or manage products', () => {
+    expect(can('cashier', 'orders:status')).toBe(true);
+    expect(can('cashier', 'orders:delete')).toBe(false);
+    expect(can('cashier', 'products:manage')).toBe(false);
+  });
+
+  test('manager manages products but not staff', () => {
+    expect(can('manager', 'products:manage')).toBe(true);
+    expect(can('manager', 'orders:delete')).toBe(true);
+    expect(can('manager', 'staff:manage')).toBe(false);
+    expect(can('owner', 'staff:manage')).toBe(true);
+  });
+
+  test('unknown roles fall back to cashier and unknown permissions are denied', () => {
+    expect(normalizeRole('staff')).toBe('cashier');
+    expect(can(null, 'orders:view')).toBe(false);
+    expect(can('owner', 'orders:teleport')).toBe(false);
+  });
+
+  test('requirePermission throws PermissionError when logged out', () => {
+    localStorage.clear();
+    expect(() => requirePermission('orders:view')).toThrow(PermissionError);
+  });
+});
@@ -0,0 +1,288 @@
+/**
+ * Product Outbox - durable queue of catalog changes made on this terminal
+ * Entries are replayed in order when the backend is reachable. Updates and
+ * deletes remember the server version they were based on, so a product that
+ * was changed elsewhere in the meantime is flagged as a conflict instead of
+ * being silently overwritten.
+ */
+import { initDB, saveCachedProduct, deleteCachedProduct } from './db';
+import { fetchProducts, syncProducts, updateProduct, deleteProduct } from './api';
+import { hasPermission } from './permissions';
+import { isNetworkError } from './retry';
+
+const STORE_NAME = 'productOutbox';
+
+export const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  CONFLICT: 'conflict',
+  FAILED: 'failed'
+};
+
+// Fields the server owns/edits that make up a product's "version"
+const VERSION_FIELDS = ['name', 'price', 'category', 'image', 'description', 'available'];
+
+// Bookkeeping kept on cached products, never sent to the server
+const LOCAL_FIELDS = ['_syncedVersion', '_pending', '_conflict'];
+
+const hashString = (str) => {
+  let hash = 5381;
+  for (let i = 0; i < str.length; i++) {
+    hash = ((hash << 5) + hash + str.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+};
+
+/**
+ * Content fingerprint of a product, used for conflict detection
+ * @param {Object} product
+ * @returns {string|null}
+ */
+export function productVersion(product) {
+  if (!product) return null;
+  return hashString(JSON.stringify(VERSION_FIELDS.map(field => product[field] ?? null)));
+}
+
+/**
+ * Strip local bookkeeping before sending a product to the server
+ */
+export function toServerProduct(product) {
+  const clean = { ...product };
+  LOCAL_FIELDS.forEach(field => delete clean[field]);
+  return clean;
+}
+
+/**
+ * Cache a product exactly as the server has it
+ */
+export const cacheServerProduct = (product) =>
+  saveCachedProduct({ ...toServerProduct(product), _syncedVersion: productVersion(product) });
+
+/**
+ * All outbox entries, oldest first
+ * @returns {Promise<Array>}
+ */
+export async function getOutboxEntries() {
+  const db = await initDB();
+  return await db.getAll(STORE_NAME);
+}
+
+/**
+ * Queue a product change
+ * Consecutive changes to the same product are folded into one entry:
+ * create+update → create, create+delete → nothing, update+delete → delete
+ * @param {string} type - 'create' | 'update' | 'delete'
+ * @param {Object} product - Full product (only `id` is needed for delete)
+ * @param {string|null} baseVersion - productVersion of the server copy being changed
+ */
+export async function enqueueProductChange(type, product, baseVersion = null) {
+  const db = await initDB();
+  const tx = db.transaction(STORE_NAME, 'readwrite');
+  const now = Date.now();
+  const payload = type === 'delete' ? null : toServerProduct(product);
+
+  const existing = (await tx.store.index('productId').getAll(product.id))
+    .find(entry => entry.status === OUTBOX_STATUS.PENDING);
+
+  if (existing?.type === 'create') {
+    if (type === 'delete') {
+      // Never reached the server, so there is nothing to delete there
+      await tx.store.delete(existing.id);
+    } else {
+      await tx.store.put({ ...existing, payload, updatedAt: now });
+    }
+  } else if (existing) {
+    await tx.store.put({ ...existing, type, payload, updatedAt: now });
+  } else {
+    await tx.store.add({
+      type,
+      productId: product.id,
+      payload,
+      baseVersion,
+      status: OUTBOX_STATUS.PENDING,
+      attempts: 0,
+      lastError: null,
+      serverProduct: null,
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  await tx.done;
+  console.log(`📥 Product ${type} queued:`, product.id);
+}
+
+async function removeEntry(entryId) {
+  const db = await initDB();
+  await db.delete(STORE_NAME, entryId);
+}
+
+async function markEntry(entry, status, lastError, serverProduct = null) {
+  const db = await initDB();
+  await db.put(STORE_NAME, {
+    ...entry,
+    status,
+    lastError,
+    serverProduct,
+    attempts: entry.attempts + 1,
+    updatedAt: Date.now()
+  });
+}
+
+/**
+ * Replay one update/delete against the current server copy
+ * @returns {Promise<string>} - 'synced' | 'conflict'
+ */
+async function replayEntry(entry, serverProduct) {
+  const changedOnServer = entry.baseVersion && serverProduct &&
+    productVersion(serverProduct) !== entry.baseVersion;
+
+  if (entry.type === 'delete') {
+    if (!serverProduct) {
+      // Already gone on the server
+      await removeEntry(entry.id);
+      return 'synced';
+    }
+    if (changedOnServer) {
+      await markEntry(entry, OUTBOX_STATUS.CONFLICT, 'Changed on the server after you deleted it', serverProduct);
+      return 'conflict';
+    }
+    await deleteProduct(entry.productId);
+    await removeEntry(entry.id);
+    return 'synced';
+  }
+
+  if (!serverProduct) {
+    await markEntry(entry, OUTBOX_STATUS.CONFLICT, 'Deleted on the server after you edited it');
+    return 'conflict';
+  }
+  if (changedOnServer) {
+    await markEntry(entry, OUTBOX_STATUS.CONFLICT, 'Changed on the server after you edited it', serverProduct);
+    return 'conflict';
+  }
+
+  const saved = await updateProduct(entry.productId, entry.payload);
+  await cacheServerProduct(saved?.id ? saved : entry.payload);
+  await removeEntry(entry.id);
+  return 'synced';
+}
+
+async function replay() {
+  const summary = { synced: 0, conflicts: 0, failed: 0, remaining: 0 };
+
+  const pending = (await getOutboxEntries()).filter(e => e.status === OUTBOX_STATUS.PENDING);
+  if (pending.length === 0) return summary;
+
+  summary.remaining = pending.length;
+  if (!navigator.onLine || !hasPermission('products:manage')) return summary;
+
+  console.log(`📤 Replaying ${pending.length} product changes...`);
+
+  try {
+    // New products go up together through the bulk endpoint
+    const creates = pending.filter(e => e.type === 'create');
+    if (creates.length > 0) {
+      try {
+        const result = await syncProducts(creates.map(e => e.payload));
+        const savedById = new Map((result?.products || []).map(p => [p.id, p]));
+
+        for (const entry of creates) {
+          await cacheServerProduct(savedById.get(entry.productId) || entry.payload);
+          await removeEntry(entry.id);
+          summary.synced++;
+        }
+      } catch (error) {
+        if (isNetworkError(error)) throw error;
+        for (const entry of creates) {
+          await markEntry(entry, OUTBOX_STATUS.FAILED, error.message);
+          summary.failed++;
+        }
+      }
+      summary.remaining -= creates.length;
+    }
+
+    const changes = pending.filter(e => e.type !== 'create');
+    if (changes.length === 0) return summary;
+
+    const serverProducts = await fetchProducts();
+    const serverById = new Map(serverProducts.map(p => [p.id, p]));
+
+    for (const entry of changes) {
+      try {
+        const outcome = await replayEntry(entry, serverById.get(entry.productId));
+        summary[outcome === 'synced' ? 'synced' : 'conflicts']++;
+      } catch (error) {
+        if (isNetworkError(error)) throw error;
+        // The server refused this one change; keep it for the user to retry or discard
+        await markEntry(entry, OUTBOX_STATUS.FAILED, error.message);
+        summary.failed++;
+      }
+      summary.remaining--;
+    }
+  } catch (error) {
+    // Connection dropped mid-replay; whatever is left stays queued
+    console.warn('⚠️ Product outbox replay stopped:', error.message);
+  }
+
+  console.log('✅ Product outbox replayed:', summary);
+  return summary;
+}
+
+let replaying = null;
+
+/**
+ * Push queued product changes to the server (no-op offline or when empty)
+ * Concurrent callers share one replay
+ * @returns {Promise<Object>} - {synced, conflicts, failed, remaining}
+ */
+export function flushProductOutbox() {
+  if (!replaying) {
+    replaying = replay().finally(() => {
+      replaying = null;
+    });
+  }
+  return replaying;
+}
+
+/**
+ * Settle a conflicted or failed entry
+ * @param {number} entryId
+ * @param {string} choice - 'local' (retry / keep my change) | 'server' (discard my change)
+ */
+export async function resolveOutboxEntry(entryId, choice) {
+  const db = await initDB();
+  const entry = await db.get(STORE_NAME, entryId);
+  if (!entry) return;
+
+  if (choice === 'server') {
+    await removeEntry(entry.id);
+    if (entry.serverProduct) {
+      await cacheServerProduct(entry.serverProduct);
+    } else if (entry.type === 'create' || entry.status === OUTBOX_STATUS.CONFLICT) {
+      // Never made it to the server, or the server deleted it
+      await deleteCachedProduct(entry.productId);
+    }
+    return;
+  }
+
+  const next = { ...entry, status: OUTBOX_STATUS.PENDING, lastError: null, serverProduct: null };
+  if (entry.status === OUTBOX_STATUS.CONFLICT) {
+    if (entry.serverProduct) {
+      // Overwrite the server copy we were shown
+      next.baseVersion = productVersion(entry.serverProduct);
+    } else {
+      // Deleted on the server; put it back
+      next.type = 'create';
+      next.baseVersion = null;
+    }
+  }
+  await db.put(STORE_NAME, next);
+}
+
+export default {
+  OUTBOX_STATUS,
+  productVersion,
+  getOutboxEntries,
+  enqueueProductChange,
+  flushProductOutbox,
+  resolveOutboxEntry
+};
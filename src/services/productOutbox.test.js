@@ -0,0 +1,166 @@
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { fetchProducts, syncProducts, updateProduct, deleteProduct } from './api';
+import { closeDatabase } from './database';
+import { getCachedProduct } from './db';
+import {
+  OUTBOX_STATUS,
+  productVersion,
+  getOutboxEntries,
+  enqueueProductChange,
+  flushProductOutbox,
+  resolveOutboxEntry,
+  cacheServerProduct
+} from './productOutbox';
+import { loadProducts, saveProduct, addProduct, removeProduct } from './productRepository';
+
+jest.mock('./api', () => ({
+  fetchProducts: jest.fn(),
+  syncProducts: jest.fn(),
+  updateProduct: jest.fn(),
+  deleteProduct: jest.fn()
+}));
+
+jest.mock('./permissions', () => ({
+  hasPermission: () => true,
+  requirePermission: () => {}
+}));
+
+const tea = { id: 'p1', name: 'Tea', price: 100, category: 'Drinks', available: true };
+const coffee = { id: 'p2', name: 'Coffee', price: 250, category: 'Drinks', available: true };
+
+const summaryOf = (entries) => entries.map(e => [e.type, e.productId, e.payload?.price ?? null]);
+
+beforeEach(() => {
+  global.indexedDB = new IDBFactory();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  fetchProducts.mockReset();
+  syncProducts.mockReset();
+  updateProduct.mockReset().mockImplementation(async (id, product) => product);
+  deleteProduct.mockReset();
+});
+
+afterEach(async () => {
+  await closeDatabase();
+  jest.restoreAllMocks();
+});
+
+describe('queueing', () => {
+  test('create then update stays one create with the latest fields', async () => {
+    await enqueueProductChange('create', tea);
+    await enqueueProductChange('update', { ...tea, price: 120 });
+
+    expect(summaryOf(await getOutboxEntries())).toEqual([['create', 'p1', 120]]);
+  });
+
+  test('create then delete leaves nothing to send', async () => {
+    await enqueueProductChange('create', tea);
+    await enqueueProductChange('delete', { id: 'p1' });
+
+    expect(await getOutboxEntries()).toEqual([]);
+  });
+
+  test('update then delete becomes a delete based on the original version', async () => {
+    const base = productVersion(tea);
+    await enqueueProductChange('update', { ...tea, price: 120 }, base);
+    await enqueueProductChange('delete', { id: 'p1' }, productVersion({ ...tea, price: 120 }));
+
+    const [entry] = await getOutboxEntries();
+    expect(summaryOf([entry])).toEqual([['delete', 'p1', null]]);
+    expect(entry.baseVersion).toBe(base);
+  });
+
+  test('local bookkeeping never reaches the payload', async () => {
+    await enqueueProductChange('update', { ...tea, _pending: true, _syncedVersion: 'x', _conflict: null });
+    expect(Object.keys((await getOutboxEntries())[0].payload)).not.toContain('_pending');
+  });
+});
+
+describe('replay', () => {
+  test('new products go up in one bulk request and are cached as the server saved them', async () => {
+    await enqueueProductChange('create', tea);
+    await enqueueProductChange('create', coffee);
+    syncProducts.mockResolvedValue({ products: [{ ...tea, image: '/tea.png' }] });
+
+    expect(await flushProductOutbox()).toEqual({ synced: 2, conflicts: 0, failed: 0, remaining: 0 });
+    expect(syncProducts).toHaveBeenCalledTimes(1);
+    expect(syncProducts.mock.calls[0][0].map(p => p.id)).toEqual(['p1', 'p2']);
+    expect(await getCachedProduct('p1')).toMatchObject({ image: '/tea.png', _syncedVersion: productVersion({ ...tea, image: '/tea.png' }) });
+    expect(await getOutboxEntries()).toEqual([]);
+    expect(fetchProducts).not.toHaveBeenCalled();
+  });
+
+  test('edits replay when the server copy is unchanged and conflict when it moved on', async () => {
+    await cacheServerProduct(tea);
+    await cacheServerProduct(coffee);
+    await enqueueProductChange('update', { ...tea, price: 120 }, productVersion(tea));
+    await enqueueProductChange('update', { ...coffee, price: 300 }, productVersion(coffee));
+    // Someone else changed coffee meanwhile
+    fetchProducts.mockResolvedValue([tea, { ...coffee, price: 275 }]);
+
+    expect(await flushProductOutbox()).toEqual({ synced: 1, conflicts: 1, failed: 0, remaining: 0 });
+    expect(updateProduct).toHaveBeenCalledWith('p1', expect.objectContaining({ price: 120 }));
+
+    const [conflict] = await getOutboxEntries();
+    expect(conflict).toMatchObject({ productId: 'p2', status: OUTBOX_STATUS.CONFLICT, serverProduct: { price: 275 } });
+
+    // Keeping the server copy drops the edit and caches what the server has
+    await resolveOutboxEntry(conflict.id, 'server');
+    expect(await getOutboxEntries()).toEqual([]);
+    expect((await getCachedProduct('p2')).price).toBe(275);
+  });
+
+  test('keeping a local edit over a server change retries against that server copy', async () => {
+    await enqueueProductChange('update', { ...tea, price: 120 }, productVersion(tea));
+    fetchProducts.mockResolvedValue([{ ...tea, price: 110 }]);
+    await flushProductOutbox();
+
+    const [conflict] = await getOutboxEntries();
+    await resolveOutboxEntry(conflict.id, 'local');
+    expect(await flushProductOutbox()).toMatchObject({ synced: 1, conflicts: 0 });
+    expect(updateProduct).toHaveBeenCalledWith('p1', expect.objectContaining({ price: 120 }));
+  });
+
+  test('deletes skip products already gone and conflict with ones changed since', async () => {
+    await enqueueProductChange('delete', { id: 'p1' }, productVersion(tea));
+    await enqueueProductChange('delete', { id: 'p2' }, productVersion(coffee));
+    fetchProducts.mockResolvedValue([{ ...coffee, available: false }]);
+
+    expect(await flushProductOutbox()).toEqual({ synced: 1, conflicts: 1, failed: 0, remaining: 0 });
+    expect(deleteProduct).not.toHaveBeenCalled();
+  });
+
+  test('a dropped connection keeps the rest queued', async () => {
+    await enqueueProductChange('create', tea);
+    syncProducts.mockRejectedValue(Object.assign(new TypeError('Failed to fetch'), { code: 'ERR_NETWORK' }));
+
+    expect(await flushProductOutbox()).toMatchObject({ synced: 0, failed: 0, remaining: 1 });
+    expect((await getOutboxEntries())[0].status).toBe(OUTBOX_STATUS.PENDING);
+  });
+});
+
+describe('product repository', () => {
+  test('offline changes show in the catalog and are laid over the server copy once back online', async () => {
+    await cacheServerProduct(tea);
+    await cacheServerProduct(coffee);
+
+    const offline = jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    expect(await saveProduct('p1', { price: 120 })).toMatchObject({ product: { price: 120 }, synced: false });
+    const { product: cake } = await addProduct({ name: 'Cake', price: 400, category: 'Desserts' });
+    await removeProduct('p2');
+
+    const cached = await loadProducts();
+    expect(cached.data.map(p => [p.name, p.price, p._pending])).toEqual([['Cake', 400, true], ['Tea', 120, true]]);
+    expect(updateProduct).not.toHaveBeenCalled();
+
+    // Back online, but the connection drops during the replay: local changes still win on screen
+    offline.mockRestore();
+    syncProducts.mockRejectedValue(Object.assign(new TypeError('Failed to fetch'), { code: 'ERR_NETWORK' }));
+    fetchProducts.mockResolvedValue([tea, coffee]);
+
+    const merged = await loadProducts();
+    expect(merged.source).toBe('network');
+    expect(merged.data.map(p => [p.id, p.price])).toEqual([[cake.id, 400], ['p1', 120]]);
+  });
+});
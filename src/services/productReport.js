@@ -0,0 +1,224 @@
+/**
+ * Product Report - best sellers, slow movers and category mix
+ * Built from order line items and cross-referenced with the catalog. Lines
+ * from the POS carry a productId; older and customer-app lines only have a
+ * name, so those are matched to the catalog by name.
+ */
+import { PRODUCT_CATEGORIES } from './productRepository';
+import { exportTable } from './exporters';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_SLOW_DAYS = 14;
+
+// Catalog state of a product seen in orders
+export const PRODUCT_STATES = {
+  active: 'Available',
+  unavailable: 'Unavailable',
+  deleted: 'Not in catalog'
+};
+
+const nameKey = (name) => String(name || '').trim().toLowerCase();
+
+/**
+ * Look a line item up in the catalog
+ * @param {Object} item - Order line
+ * @param {Object} catalog - {byId: Map, byName: Map}
+ * @returns {Object|null} - Catalog product
+ */
+function findProduct(item, { byId, byName }) {
+  if (item.productId != null && byId.has(String(item.productId))) return byId.get(String(item.productId));
+  return byName.get(nameKey(item.name)) || null;
+}
+
+// Quantity refunded per line index of an order
+function refundedQuantities(order) {
+  const refunded = {};
+  (order.refunds || []).forEach(refund => {
+    (refund.items || []).forEach(item => {
+      refunded[item.index] = (refunded[item.index] || 0) + (item.quantity || 0);
+    });
+  });
+  return refunded;
+}
+
+/**
+ * Units and revenue per product
+ * Cancelled orders and refunded quantities don't count as sold.
+ * @param {Array} orders - Orders since the earlier of the range start and the
+ *   slow-mover cutoff (last-sold dates come from all of them)
+ * @param {Array} products - The catalog
+ * @param {Object} params
+ *   - range: {start, end} of the report period
+ *   - slowDays: products unsold for this many days are slow movers
+ *   - now: epoch ms
+ * @returns {Object} - {products, categories, slowMovers, totals}
+ */
+export function buildProductReport(orders, products, { range, slowDays = DEFAULT_SLOW_DAYS, now = Date.now() }) {
+  const catalog = {
+    byId: new Map(products.map(product => [String(product.id), product])),
+    byName: new Map(products.map(product => [nameKey(product.name), product]))
+  };
+  const rows = new Map();
+  const lastSold = new Map();
+
+  const rowFor = (item) => {
+    const product = findProduct(item, catalog);
+    const key = product ? `id:${product.id}` : `name:${nameKey(item.name)}`;
+    if (!rows.has(key)) {
+      rows.set(key, {
+        key,
+        productId: product?.id ?? null,
+        name: product?.name || item.name || 'Unknown item',
+        category: product?.category || 'uncategorized',
+        state: !product ? 'deleted' : product.available === false ? 'unavailable' : 'active',
+        units: 0,
+        revenue: 0,
+        orders: 0,
+        lastSoldAt: null
+      });
+    }
+    return rows.get(key);
+  };
+
+  orders.forEach(order => {
+    if (order.status === 'cancelled') return;
+    const time = new Date(order.timestamp).getTime();
+    const inRange = time >= range.start && time < range.end;
+    const refunded = refundedQuantities(order);
+    const counted = new Set();
+
+    (order.items || []).forEach((item, index) => {
+      const units = (Number(item.quantity) || 0) - (refunded[index] || 0);
+      if (units <= 0) return;
+      const row = rowFor(item);
+      lastSold.set(row.key, Math.max(lastSold.get(row.key) || 0, time));
+      if (!inRange) return;
+
+      row.units += units;
+      row.revenue += units * (Number(item.price) || 0);
+      if (!counted.has(row.key)) {
+        row.orders++;
+        counted.add(row.key);
+      }
+    });
+  });
+
+  rows.forEach(row => { row.lastSoldAt = lastSold.get(row.key) || null; });
+
+  const sold = [...rows.values()].filter(row => row.units > 0);
+  const totals = sold.reduce(
+    (sum, row) => ({ units: sum.units + row.units, revenue: sum.revenue + row.revenue }),
+    { units: 0, revenue: 0 }
+  );
+
+  const categories = [...PRODUCT_CATEGORIES, { value: 'uncategorized', label: 'Other' }]
+    .map(({ value, label }) => {
+      const inCategory = sold.filter(row => row.category === value);
+      const revenue = inCategory.reduce((sum, row) => sum + row.revenue, 0);
+      return {
+        category: value,
+        label,
+        units: inCategory.reduce((sum, row) => sum + row.units, 0),
+        revenue,
+        share: totals.revenue > 0 ? revenue / totals.revenue : 0
+      };
+    })
+    .filter(category => category.category !== 'uncategorized' || category.units > 0);
+
+  // Catalog products that haven't sold since the cutoff, longest-idle first
+  const cutoff = now - slowDays * DAY;
+  const slowMovers = products
+    .map(product => ({
+      productId: product.id,
+      name: product.name,
+      category: product.category,
+      state: product.available === false ? 'unavailable' : 'active',
+      lastSoldAt: lastSold.get(`id:${product.id}`) || null
+    }))
+    .filter(product => !product.lastSoldAt || product.lastSoldAt < cutoff)
+    .sort((a, b) => (a.lastSoldAt || 0) - (b.lastSoldAt || 0) || String(a.name).localeCompare(String(b.name)));
+
+  return { products: sold, categories, slowMovers, totals };
+}
+
+/**
+ * Products ranked by revenue or units sold
+ * @param {Array} rows - report.products
+ * @param {string} by - 'revenue' | 'units'
+ * @returns {Array}
+ */
+export function rankProducts(rows, by = 'revenue') {
+  const tieBreak = by === 'units' ? 'revenue' : 'units';
+  return [...rows].sort((a, b) => b[by] - a[by] || b[tieBreak] - a[tieBreak]);
+}
+
+/**
+ * The ranking and slow movers as an export table (see exporters.js)
+ * @param {Object} report - From buildProductReport
+ * @param {Object} options - {partial: older orders aren't on this device}
+ * @returns {Object}
+ */
+export function productReportTable(report, { partial = false } = {}) {
+  const ranked = rankProducts(report.products).map((row, index) => [
+    index + 1,
+    row.name,
+    row.category,
+    row.units,
+    row.revenue,
+    row.orders,
+    row.lastSoldAt ? new Date(row.lastSoldAt).toISOString() : '',
+    PRODUCT_STATES[row.state]
+  ]);
+  const slow = report.slowMovers.map(product => [
+    '',
+    product.name,
+    product.category,
+    '',
+    '',
+    '',
+    product.lastSoldAt ? new Date(product.lastSoldAt).toISOString() : '',
+    `${PRODUCT_STATES[product.state]} (slow mover)`
+  ]);
+
+  return {
+    title: 'Product performance',
+    ...(partial ? { subtitle: 'Incomplete: older orders haven\'t been synced to this device' } : {}),
+    summary: [
+      ['Units sold', report.totals.units],
+      ['Revenue (Rs.)', report.totals.revenue],
+      ...report.categories.map(category => [`${category.label} (Rs.)`, category.revenue]),
+      ['Slow movers', report.slowMovers.length]
+    ],
+    columns: [
+      { label: 'Rank', type: 'number' },
+      { label: 'Product' },
+      { label: 'Category' },
+      { label: 'Units', type: 'number' },
+      { label: 'Revenue', type: 'number' },
+      { label: 'Orders', type: 'number' },
+      { label: 'Last Sold' },
+      { label: 'Catalog' }
+    ],
+    rows: [...ranked, ...slow]
+  };
+}
+
+/**
+ * Export the product report
+ * @param {Object} report - From buildProductReport
+ * @param {string} format - Key of exporters.EXPORT_FORMATS
+ * @param {Object} options - See productReportTable
+ * @returns {Promise<Blob>}
+ */
+export const exportProductReport = (report, format = 'csv', options = {}) =>
+  exportTable(productReportTable(report, options), format);
+
+export default {
+  DEFAULT_SLOW_DAYS,
+  PRODUCT_STATES,
+  buildProductReport,
+  rankProducts,
+  productReportTable,
+  exportProductReport
+};
@@ -0,0 +1,89 @@
+import { buildProductReport, rankProducts, exportProductReport } from './productReport';
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date(2024, 4, 15, 18).getTime();
+const range = { start: now - 7 * DAY, end: now };
+
+const products = [
+  { id: 'p1', name: 'Zinger Burger', category: 'food', price: 600, available: true },
+  { id: 'p2', name: 'Cola', category: 'drinks', price: 150, available: true },
+  { id: 'p3', name: 'Brownie', category: 'desserts', price: 300, available: false },
+  { id: 'p4', name: 'Samosa', category: 'snacks', price: 80, available: true }
+];
+
+const orders = [
+  {
+    orderId: 'A',
+    status: 'completed',
+    timestamp: now - DAY,
+    items: [
+      { productId: 'p1', name: 'Zinger Burger', price: 600, quantity: 2 },
+      { name: 'cola', price: 150, quantity: 3 } // Matched by name
+    ],
+    // One burger refunded
+    refunds: [{ id: 'r1', at: now, amount: 600, items: [{ index: 0, name: 'Zinger Burger', price: 600, quantity: 1 }] }]
+  },
+  {
+    orderId: 'B',
+    status: 'completed',
+    timestamp: now - 2 * DAY,
+    items: [
+      { productId: 'p3', name: 'Brownie', price: 300, quantity: 1 },
+      { name: 'Old Special', price: 1000, quantity: 1 } // Since removed from the menu
+    ]
+  },
+  {
+    orderId: 'C',
+    status: 'cancelled',
+    timestamp: now - DAY,
+    items: [{ productId: 'p4', name: 'Samosa', price: 80, quantity: 10 }]
+  },
+  {
+    // Before the period, only used for last-sold dates
+    orderId: 'D',
+    status: 'completed',
+    timestamp: now - 20 * DAY,
+    items: [{ productId: 'p4', name: 'Samosa', price: 80, quantity: 1 }]
+  }
+];
+
+test('units and revenue per product, net of refunds and cancellations', () => {
+  const report = buildProductReport(orders, products, { range, slowDays: 14, now });
+  const byName = Object.fromEntries(report.products.map(row => [row.name, row]));
+
+  expect(byName['Zinger Burger']).toMatchObject({ units: 1, revenue: 600, orders: 1, state: 'active' });
+  expect(byName.Cola).toMatchObject({ units: 3, revenue: 450, category: 'drinks' });
+  expect(byName.Brownie.state).toBe('unavailable');
+  expect(byName['Old Special']).toMatchObject({ state: 'deleted', category: 'uncategorized' });
+  expect(byName.Samosa).toBeUndefined();
+  expect(report.totals).toEqual({ units: 6, revenue: 2350 });
+});
+
+test('category mix covers every menu category', () => {
+  const { categories } = buildProductReport(orders, products, { range, slowDays: 14, now });
+
+  expect(categories.map(c => c.category)).toEqual(['food', 'drinks', 'desserts', 'snacks', 'uncategorized']);
+  expect(categories.find(c => c.category === 'snacks')).toMatchObject({ units: 0, revenue: 0, share: 0 });
+  expect(categories.find(c => c.category === 'uncategorized').share).toBeCloseTo(1000 / 2350);
+});
+
+test('slow movers are catalog products unsold for N days', () => {
+  const { slowMovers } = buildProductReport(orders, products, { range, slowDays: 14, now });
+
+  expect(slowMovers).toEqual([
+    { productId: 'p4', name: 'Samosa', category: 'snacks', state: 'active', lastSoldAt: now - 20 * DAY }
+  ]);
+});
+
+test('ranking and CSV export', async () => {
+  const report = buildProductReport(orders, products, { range, slowDays: 14, now });
+
+  expect(rankProducts(report.products).map(row => row.name)).toEqual(['Old Special', 'Zinger Burger', 'Cola', 'Brownie']);
+  expect(rankProducts(report.products, 'units')[0].name).toBe('Cola');
+
+  const csv = await new Response(await exportProductReport(report)).text();
+  const lines = csv.replace(/^\uFEFF/, '').split('\r\n');
+  expect(lines[0]).toBe('Rank,Product,Category,Units,Revenue,Orders,Last Sold,Catalog');
+  expect(lines[1]).toMatch(/^1,Old Special,uncategorized,1,1000,1,/);
+  expect(lines[lines.length - 2]).toMatch(/^,Samosa,snacks,,,,.*Available \(slow mover\)$/);
+});
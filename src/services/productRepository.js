@@ -0,0 +1,193 @@
+/**
+ * Product Repository - offline-first catalog for the admin screens
+ * Reads come from IndexedDB (refreshed from the server when online);
+ * writes land in the local cache immediately and go through the product
+ * outbox, which pushes them to the server now or when the connection returns
+ */
+import { fetchProducts } from './api';
+import {
+  cacheProducts,
+  getCachedProducts,
+  getCachedProduct,
+  saveCachedProduct,
+  deleteCachedProduct
+} from './db';
+import {
+  OUTBOX_STATUS,
+  productVersion,
+  toServerProduct,
+  getOutboxEntries,
+  enqueueProductChange,
+  flushProductOutbox,
+  resolveOutboxEntry
+} from './productOutbox';
+import { requirePermission } from './permissions';
+
+// Menu categories, in display order
+export const PRODUCT_CATEGORIES = [
+  { value: 'food', label: 'Food' },
+  { value: 'drinks', label: 'Drinks' },
+  { value: 'desserts', label: 'Desserts' },
+  { value: 'snacks', label: 'Snacks' }
+];
+
+const byName = (a, b) => String(a.name || '').localeCompare(String(b.name || ''));
+
+/**
+ * Flag products that still have unsynced changes or conflicts
+ */
+function decorate(products, outbox) {
+  const entries = new Map(outbox.map(entry => [entry.productId, entry]));
+  return products
+    .map(product => {
+      const entry = entries.get(product.id);
+      if (!entry) return product;
+      return {
+        ...product,
+        _pending: entry.status === OUTBOX_STATUS.PENDING,
+        _conflict: entry.status !== OUTBOX_STATUS.PENDING
+      };
+    })
+    .sort(byName);
+}
+
+/**
+ * Server catalog with this terminal's unsynced changes laid on top
+ */
+async function mergeWithLocalChanges(serverProducts, outbox) {
+  const entries = new Map(outbox.map(entry => [entry.productId, entry]));
+  const cached = new Map((await getCachedProducts()).map(p => [p.id, p]));
+
+  const merged = serverProducts
+    .filter(product => entries.get(product.id)?.type !== 'delete')
+    .map(product => (entries.has(product.id) && cached.has(product.id)
+      ? cached.get(product.id)
+      : { ...product, _syncedVersion: productVersion(product) }));
+
+  // Products created here that the server hasn't seen yet
+  outbox
+    .filter(entry => entry.type === 'create' && cached.has(entry.productId))
+    .forEach(entry => merged.push(cached.get(entry.productId)));
+
+  return merged;
+}
+
+/**
+ * Load the product catalog
+ * Online: replay queued changes, then refresh the cache from the server
+ * Offline or on failure: serve the cache and flag it as stale
+ * @returns {Promise<Object>} - {data, source: 'network'|'cache', stale, error, fetchedAt}
+ */
+export async function loadProducts(options = {}) {
+  let error = null;
+
+  if (navigator.onLine) {
+    try {
+      await flushProductOutbox();
+      const serverProducts = await fetchProducts(options);
+      const outbox = await getOutboxEntries();
+      const merged = await mergeWithLocalChanges(serverProducts, outbox);
+      await cacheProducts(merged);
+      console.log('✅ Loaded products:', serverProducts.length);
+      return {
+        data: decorate(merged, outbox),
+        source: 'network',
+        stale: false,
+        error: null,
+        fetchedAt: Date.now()
+      };
+    } catch (err) {
+      if (err.isAborted) throw err;
+      console.warn('Product fetch failed, using local catalog:', err.message);
+      error = err;
+    }
+  }
+
+  const [cached, outbox] = await Promise.all([getCachedProducts(), getOutboxEntries()]);
+  return { data: decorate(cached, outbox), source: 'cache', stale: true, error, fetchedAt: null };
+}
+
+/**
+ * Push the outbox and report how a given product fared
+ * @returns {Promise<Object>} - {synced, conflict, error}
+ */
+async function commit(productId) {
+  await flushProductOutbox();
+  const entry = (await getOutboxEntries()).find(e => e.productId === productId);
+  return {
+    synced: !entry,
+    conflict: entry?.status === OUTBOX_STATUS.CONFLICT,
+    error: entry?.lastError || null
+  };
+}
+
+const generateProductId = () => {
+  return 'prod_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+};
+
+/**
+ * Add a product (a new id is generated)
+ * @returns {Promise<Object>} - {product, synced, conflict, error}
+ */
+export async function addProduct(product) {
+  requirePermission('products:manage');
+  const created = { ...product, id: generateProductId() };
+
+  await saveCachedProduct(created);
+  await enqueueProductChange('create', created);
+  return { product: created, ...(await commit(created.id)) };
+}
+
+/**
+ * Update a product
+ * @returns {Promise<Object>} - {product, synced, conflict, error}
+ */
+export async function saveProduct(productId, changes) {
+  requirePermission('products:manage');
+  const cached = await getCachedProduct(productId);
+  const updated = { ...cached, ...changes, id: productId };
+
+  await saveCachedProduct(updated);
+  await enqueueProductChange('update', updated, cached?._syncedVersion || null);
+  return { product: toServerProduct(updated), ...(await commit(productId)) };
+}
+
+/**
+ * Delete a product
+ * @returns {Promise<Object>} - {synced, conflict, error}
+ */
+export async function removeProduct(productId) {
+  requirePermission('products:manage');
+  const cached = await getCachedProduct(productId);
+
+  await deleteCachedProduct(productId);
+  await enqueueProductChange('delete', { id: productId }, cached?._syncedVersion || null);
+  return commit(productId);
+}
+
+/**
+ * Unsynced product changes, including conflicts waiting on the user
+ */
+export const getProductOutbox = getOutboxEntries;
+
+/**
+ * Keep this terminal's change ('local') or take the server copy ('server')
+ */
+export async function resolveProductChange(entryId, choice) {
+  requirePermission('products:manage');
+  await resolveOutboxEntry(entryId, choice);
+  if (choice === 'local') {
+    await flushProductOutbox();
+  }
+}
+
+const productRepository = {
+  loadProducts,
+  addProduct,
+  saveProduct,
+  removeProduct,
+  getProductOutbox,
+  resolveProductChange
+};
+
+export default productRepository;
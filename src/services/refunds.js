@@ -0,0 +1,205 @@
+/**
+ * Refunds Service - cancellation reasons, refund calculation and approval
+ *
+ * Cancelling or refunding keeps the order (so sales history stays intact) and
+ * records why, what was refunded, for how much and who approved it.
+ * A refund covering every remaining item moves the order to `refunded`;
+ * a partial refund leaves the status alone.
+ */
+import { getCurrentUser } from './auth';
+import { listUsers, getUserById, verifyPin, authenticate } from './users';
+import { can, PermissionError } from './permissions';
+import { logAuthEvent, AUTH_EVENTS } from './authAudit';
+import { getLockout, recordFailure, recordSuccess, formatRetry } from './loginThrottle';
+
+export const CANCEL_REASONS = {
+  customer_request: 'Customer changed their mind',
+  duplicate: 'Duplicate order',
+  out_of_stock: 'Item out of stock',
+  payment_issue: 'Payment problem',
+  kitchen_delay: 'Took too long',
+  other: 'Other'
+};
+
+export const REFUND_REASONS = {
+  wrong_item: 'Wrong item served',
+  quality: 'Quality complaint',
+  missing_item: 'Item missing',
+  overcharged: 'Customer overcharged',
+  customer_request: 'Customer request',
+  other: 'Other'
+};
+
+/**
+ * Total already refunded on an order
+ * @param {Object} order
+ * @returns {number}
+ */
+export const refundedAmount = (order) =>
+  (order.refunds || []).reduce((sum, refund) => sum + (refund.amount || 0), 0);
+
+/**
+ * What an order is worth after cancellation and refunds
+ * @param {Object} order
+ * @returns {number}
+ */
+export function netTotal(order) {
+  if (order.status === 'cancelled') return 0;
+  return Math.max(0, (order.total || 0) - refundedAmount(order));
+}
+
+/**
+ * Items with the quantity that can still be refunded
+ * @param {Object} order
+ * @returns {Array} - [{index, name, price, quantity, refunded, remaining}]
+ */
+export function refundableItems(order) {
+  const refunded = {};
+  (order.refunds || []).forEach(refund => {
+    (refund.items || []).forEach(item => {
+      refunded[item.index] = (refunded[item.index] || 0) + item.quantity;
+    });
+  });
+
+  return (order.items || []).map((item, index) => ({
+    index,
+    name: item.name,
+    price: item.price || 0,
+    quantity: item.quantity || 0,
+    refunded: refunded[index] || 0,
+    remaining: Math.max(0, (item.quantity || 0) - (refunded[index] || 0))
+  }));
+}
+
+/**
+ * Build a refund record
+ * @param {Object} order
+ * @param {Object} request
+ *   - lines: [{index, quantity}] items to refund (empty = refund everything left)
+ *   - reason: key of REFUND_REASONS
+ *   - note: free text
+ *   - approver: {userId, username} from verifyApprover (defaults to the current user)
+ * @returns {Object} - {refund, full} - full is true when nothing is left to refund
+ */
+export function buildRefund(order, { lines = [], reason, note = '', approver = null } = {}) {
+  if (!REFUND_REASONS[reason]) {
+    throw new Error('Choose a refund reason');
+  }
+
+  const available = refundableItems(order);
+  const requested = lines.length > 0
+    ? lines.filter(line => line.quantity > 0)
+    : available.filter(item => item.remaining > 0).map(item => ({ index: item.index, quantity: item.remaining }));
+
+  if (requested.length === 0) {
+    throw new Error('Nothing to refund');
+  }
+
+  const items = requested.map(line => {
+    const item = available[line.index];
+    if (!item) throw new Error(`Unknown item #${line.index}`);
+    if (!Number.isInteger(line.quantity) || line.quantity > item.remaining) {
+      throw new Error(`Only ${item.remaining} × ${item.name} can be refunded`);
+    }
+    return { index: item.index, name: item.name, price: item.price, quantity: line.quantity };
+  });
+
+  const amount = Math.min(
+    items.reduce((sum, item) => sum + item.price * item.quantity, 0),
+    netTotal(order)
+  );
+
+  const user = getCurrentUser();
+  const refund = {
+    id: `rf-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    at: Date.now(),
+    reason,
+    note: note.trim(),
+    items,
+    amount,
+    requestedBy: { userId: user?.userId || null, username: user?.username || null },
+    approvedBy: approver || { userId: user?.userId || null, username: user?.username || null }
+  };
+
+  const full = available.every(item => {
+    const refunding = items.find(i => i.index === item.index)?.quantity || 0;
+    return item.remaining - refunding === 0;
+  });
+
+  return { refund, full };
+}
+
+/**
+ * Check a manager's credentials for approving a refund at someone else's terminal
+ * Wrong PINs and passwords count towards the approver's login lockout
+ * @param {string} username
+ * @param {string} secret - The approver's PIN or password
+ * @returns {Promise<Object>} - {success, approver?: {userId, username}, error?}
+ */
+export async function verifyApprover(username, secret) {
+  const normalized = String(username || '').trim().toLowerCase();
+  const user = listUsers().find(u => u.username === normalized);
+
+  if (!user || user.disabled || !can(user.role, 'orders:refund')) {
+    return { success: false, error: 'That account cannot approve refunds' };
+  }
+
+  const lockout = getLockout(normalized);
+  if (lockout.locked) {
+    return { success: false, error: `Too many failed attempts. Try again in ${formatRetry(lockout.retryIn)}` };
+  }
+
+  const valid = (user.hasPin && await verifyPin(user.id, secret)) ||
+    (await authenticate(normalized, secret)).success;
+
+  if (!valid) {
+    const current = getCurrentUser();
+    logAuthEvent(AUTH_EVENTS.APPROVAL_FAILED, {
+      username: normalized,
+      userId: user.id,
+      detail: `Refund approval requested by ${current?.username || 'unknown'}`
+    });
+
+    const failure = recordFailure(normalized);
+    if (failure.locked) {
+      logAuthEvent(AUTH_EVENTS.LOCKOUT, {
+        username: normalized,
+        userId: user.id,
+        detail: `${failure.failures} failed attempts, locked for ${formatRetry(failure.retryIn)}`
+      });
+      return { success: false, error: `Too many failed attempts. Try again in ${formatRetry(failure.retryIn)}` };
+    }
+    return { success: false, error: 'Wrong PIN or password' };
+  }
+
+  recordSuccess(normalized);
+
+  logAuthEvent(AUTH_EVENTS.APPROVAL, {
+    username: user.username,
+    userId: user.id,
+    detail: `Approved a refund for ${getCurrentUser()?.username || 'unknown'}`
+  });
+  return { success: true, approver: { userId: user.id, username: user.username } };
+}
+
+/**
+ * Throw unless the refund's approver is allowed to approve refunds
+ * @param {Object} refund - From buildRefund
+ */
+export function assertRefundApproved(refund) {
+  const approver = getUserById(refund?.approvedBy?.userId);
+  if (!approver || approver.disabled || !can(approver.role, 'orders:refund')) {
+    throw new PermissionError('orders:refund', approver?.role || null);
+  }
+}
+
+export default {
+  CANCEL_REASONS,
+  REFUND_REASONS,
+  refundedAmount,
+  netTotal,
+  refundableItems,
+  buildRefund,
+  verifyApprover,
+  assertRefundApproved
+};
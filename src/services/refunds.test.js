@@ -0,0 +1,74 @@
+import { buildRefund, refundableItems, netTotal, verifyApprover } from './refunds';
+import { verifyPin, authenticate } from './users';
+import { logAuthEvent, AUTH_EVENTS } from './authAudit';
+import { FREE_ATTEMPTS, getLockout } from './loginThrottle';
+
+jest.mock('./auth', () => ({
+  getCurrentUser: () => ({ userId: 'u1', username: 'sara', role: 'manager' })
+}));
+
+jest.mock('./users', () => ({
+  listUsers: () => [{ id: 'u2', username: 'omar', role: 'manager', hasPin: true, disabled: false }],
+  getUserById: jest.fn(),
+  verifyPin: jest.fn(),
+  authenticate: jest.fn()
+}));
+
+jest.mock('./authAudit', () => ({
+  ...jest.requireActual('./authAudit'),
+  logAuthEvent: jest.fn()
+}));
+
+const order = {
+  orderId: 'ORD-7',
+  status: 'completed',
+  total: 1100,
+  items: [
+    { name: 'Burger', price: 400, quantity: 2 },
+    { name: 'Fries', price: 150, quantity: 2 }
+  ]
+};
+
+test('partial refunds reduce what is left to refund', () => {
+  const { refund, full } = buildRefund(order, { lines: [{ index: 0, quantity: 1 }], reason: 'quality' });
+
+  expect(full).toBe(false);
+  expect(refund.amount).toBe(400);
+  expect(refund.approvedBy.username).toBe('sara');
+
+  const after = { ...order, refunds: [refund] };
+  expect(refundableItems(after).map(item => item.remaining)).toEqual([1, 2]);
+  expect(netTotal(after)).toBe(700);
+});
+
+test('refunding everything left is a full refund', () => {
+  const first = buildRefund(order, { lines: [{ index: 1, quantity: 2 }], reason: 'wrong_item' }).refund;
+  const { refund, full } = buildRefund({ ...order, refunds: [first] }, { reason: 'customer_request' });
+
+  expect(full).toBe(true);
+  expect(refund.items).toEqual([{ index: 0, name: 'Burger', price: 400, quantity: 2 }]);
+});
+
+test('cannot refund more than was sold or without a reason', () => {
+  expect(() => buildRefund(order, { lines: [{ index: 0, quantity: 3 }], reason: 'quality' })).toThrow(/Only 2/);
+  expect(() => buildRefund(order, { lines: [{ index: 0, quantity: 1 }] })).toThrow(/reason/);
+});
+
+test('guessing an approver PIN locks the approver out like a failed login', async () => {
+  localStorage.clear();
+  verifyPin.mockResolvedValue(false);
+  authenticate.mockResolvedValue({ success: false });
+
+  for (let i = 0; i < FREE_ATTEMPTS; i++) {
+    expect(await verifyApprover('omar', '0000')).toEqual({ success: false, error: 'Wrong PIN or password' });
+  }
+  expect((await verifyApprover('omar', '0000')).error).toMatch('Too many failed attempts');
+  expect(getLockout('omar').locked).toBe(true);
+  expect(logAuthEvent).toHaveBeenCalledWith(AUTH_EVENTS.LOCKOUT, expect.objectContaining({ username: 'omar' }));
+
+  // The right PIN is refused without being checked while locked
+  verifyPin.mockClear();
+  verifyPin.mockResolvedValue(true);
+  expect((await verifyApprover('omar', '4821')).success).toBe(false);
+  expect(verifyPin).not.toHaveBeenCalled();
+});
@@ -0,0 +1,305 @@
+/**
+ * Reports - sales analytics built from a list of orders
+ * Pure functions over the cached orders, so reports work offline. Sales use
+ * the same rules as the dashboard (statsRepository): cancelled orders don't
+ * count and refunds come off the day they were given.
+ */
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+export const REPORT_PERIODS = {
+  today: 'Today',
+  '7d': 'Last 7 days',
+  '30d': 'Last 30 days',
+  '90d': 'Last 90 days',
+  '12m': 'Last 12 months'
+};
+
+export const GRANULARITIES = {
+  hour: 'By hour',
+  day: 'By day',
+  week: 'By week',
+  month: 'By month'
+};
+
+// Sensible chart granularity for each period
+export const DEFAULT_GRANULARITY = {
+  today: 'hour',
+  '7d': 'day',
+  '30d': 'day',
+  '90d': 'week',
+  '12m': 'month'
+};
+
+const startOfDay = (time) => {
+  const d = new Date(time);
+  d.setHours(0, 0, 0, 0);
+  return d.getTime();
+};
+
+/**
+ * Start of the bucket a time falls in (local time; weeks start on Monday)
+ * @param {number} time - Epoch ms
+ * @param {string} granularity - Key of GRANULARITIES
+ * @returns {number}
+ */
+export function bucketStart(time, granularity) {
+  const d = new Date(time);
+  switch (granularity) {
+    case 'hour':
+      d.setMinutes(0, 0, 0);
+      break;
+    case 'week':
+      d.setHours(0, 0, 0, 0);
+      d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+      break;
+    case 'month':
+      d.setHours(0, 0, 0, 0);
+      d.setDate(1);
+      break;
+    default:
+      d.setHours(0, 0, 0, 0);
+  }
+  return d.getTime();
+}
+
+function nextBucket(start, granularity) {
+  const d = new Date(start);
+  switch (granularity) {
+    case 'hour':
+      d.setHours(d.getHours() + 1);
+      break;
+    case 'week':
+      d.setDate(d.getDate() + 7);
+      break;
+    case 'month':
+      d.setMonth(d.getMonth() + 1);
+      break;
+    default:
+      d.setDate(d.getDate() + 1);
+  }
+  return d.getTime();
+}
+
+/**
+ * Time range of a report period ending now
+ * @param {string} period - Key of REPORT_PERIODS
+ * @param {number} now
+ * @returns {Object} - {start, end} epoch ms, end exclusive
+ */
+export function periodRange(period, now = Date.now()) {
+  const end = now;
+  switch (period) {
+    case 'today':
+      return { start: startOfDay(now), end };
+    case '12m': {
+      const d = new Date(startOfDay(now));
+      d.setFullYear(d.getFullYear() - 1);
+      d.setDate(d.getDate() + 1);
+      return { start: d.getTime(), end };
+    }
+    default: {
+      const days = parseInt(period, 10) || 7;
+      return { start: startOfDay(now) - (days - 1) * DAY, end };
+    }
+  }
+}
+
+/**
+ * The period just before a range, the same length (for comparisons)
+ * @param {Object} range - {start, end}
+ * @returns {Object} - {start, end}
+ */
+export const previousRange = ({ start, end }) => ({ start: start - (end - start), end: start });
+
+const timeOf = (order) => new Date(order.timestamp).getTime();
+const inRange = (time, { start, end }) => time >= start && time < end;
+const countsAsSale = (order) => order.status !== 'cancelled';
+
+// Refunds given within a range, from any of the orders
+const refundsIn = (orders, range) => orders.flatMap(order =>
+  (order.refunds || []).filter(refund => inRange(new Date(refund.at).getTime(), range))
+);
+
+/**
+ * Headline figures for a range
+ * @param {Array} orders - May include orders outside the range (their refunds still count)
+ * @param {Object} range - {start, end}
+ * @returns {Object} - {orderCount, grossSales, refunds, revenue, averageOrderValue, byStatus}
+ */
+export function summarize(orders, range) {
+  const placed = orders.filter(order => inRange(timeOf(order), range));
+  const sales = placed.filter(countsAsSale);
+  const grossSales = sales.reduce((sum, order) => sum + (Number(order.total) || 0), 0);
+  const refunds = refundsIn(orders, range).reduce((sum, refund) => sum + (refund.amount || 0), 0);
+
+  const byStatus = {};
+  placed.forEach(order => {
+    byStatus[order.status] = (byStatus[order.status] || 0) + 1;
+  });
+
+  return {
+    orderCount: placed.length,
+    grossSales,
+    refunds,
+    revenue: grossSales - refunds,
+    averageOrderValue: sales.length > 0 ? Math.round(grossSales / sales.length) : 0,
+    byStatus
+  };
+}
+
+/**
+ * Revenue and order count per bucket, with empty buckets included
+ * @param {Array} orders
+ * @param {Object} range - {start, end}
+ * @param {string} granularity - Key of GRANULARITIES
+ * @returns {Array} - [{start, orders, revenue}]
+ */
+export function revenueSeries(orders, range, granularity) {
+  const buckets = new Map();
+  for (let t = bucketStart(range.start, granularity); t < range.end; t = nextBucket(t, granularity)) {
+    buckets.set(t, { start: t, orders: 0, revenue: 0 });
+  }
+
+  orders.forEach(order => {
+    const time = timeOf(order);
+    if (!inRange(time, range)) return;
+    const bucket = buckets.get(bucketStart(time, granularity));
+    if (!bucket) return;
+    bucket.orders++;
+    if (countsAsSale(order)) bucket.revenue += Number(order.total) || 0;
+  });
+
+  refundsIn(orders, range).forEach(refund => {
+    const bucket = buckets.get(bucketStart(new Date(refund.at).getTime(), granularity));
+    if (bucket) bucket.revenue -= refund.amount || 0;
+  });
+
+  return [...buckets.values()];
+}
+
+/**
+ * Orders and sales by weekday and hour, for a peak-hours heatmap
+ * @param {Array} orders
+ * @param {Object} range - {start, end}
+ * @returns {Object} - {cells: [7][24] of {orders, revenue}, max: busiest cell's order count}
+ *   Rows run Monday..Sunday
+ */
+export function peakHours(orders, range) {
+  const cells = Array.from({ length: 7 }, () => Array.from({ length: 24 }, () => ({ orders: 0, revenue: 0 })));
+  let max = 0;
+
+  orders.forEach(order => {
+    const time = timeOf(order);
+    if (!inRange(time, range) || !countsAsSale(order)) return;
+    const d = new Date(time);
+    const cell = cells[(d.getDay() + 6) % 7][d.getHours()];
+    cell.orders++;
+    cell.revenue += Number(order.total) || 0;
+    max = Math.max(max, cell.orders);
+  });
+
+  return { cells, max };
+}
+
+/**
+ * Percentage change from the previous period, or null when there was nothing before
+ * @param {number} current
+ * @param {number} previous
+ * @returns {number|null}
+ */
+export const percentChange = (current, previous) =>
+  (previous ? Math.round(((current - previous) / Math.abs(previous)) * 1000) / 10 : null);
+
+/**
+ * Everything the reports page shows for one period
+ * @param {Array} orders - Orders covering this period and the one before
+ * @param {Object} range - {start, end}
+ * @param {string} granularity
+ * @returns {Object} - {summary, previous, changes, series, heatmap}
+ */
+export function buildReport(orders, range, granularity) {
+  const summary = summarize(orders, range);
+  const previous = summarize(orders, previousRange(range));
+
+  return {
+    summary,
+    previous,
+    changes: {
+      revenue: percentChange(summary.revenue, previous.revenue),
+      orderCount: percentChange(summary.orderCount, previous.orderCount),
+      averageOrderValue: percentChange(summary.averageOrderValue, previous.averageOrderValue),
+      refunds: percentChange(summary.refunds, previous.refunds)
+    },
+    series: revenueSeries(orders, range, granularity),
+    heatmap: peakHours(orders, range)
+  };
+}
+
+const SUMMARY_FIELDS = ['orderCount', 'grossSales', 'refunds', 'revenue', 'averageOrderValue'];
+
+/**
+ * Prefer the server's aggregates where it sent them - it sees every order,
+ * not just the ones cached on this device
+ * @param {Object} report - From buildReport
+ * @param {Object|null} serverStats - From api.fetchStats for the same range
+ * @returns {Object} - The report, with `fromServer` set when anything was replaced
+ */
+export function applyServerStats(report, serverStats) {
+  if (!serverStats) return report;
+
+  const summary = { ...report.summary };
+  let fromServer = false;
+  SUMMARY_FIELDS.forEach(field => {
+    if (typeof serverStats[field] === 'number') {
+      summary[field] = serverStats[field];
+      fromServer = true;
+    }
+  });
+  if (serverStats.byStatus && typeof serverStats.byStatus === 'object') {
+    summary.byStatus = serverStats.byStatus;
+    fromServer = true;
+  }
+
+  // Server buckets are matched to ours by start time, so gaps stay filled
+  let series = report.series;
+  if (Array.isArray(serverStats.series)) {
+    const byStart = new Map(serverStats.series.map(bucket => [new Date(bucket.start).getTime(), bucket]));
+    series = report.series.map(bucket => {
+      const remote = byStart.get(bucket.start);
+      return remote
+        ? { start: bucket.start, orders: remote.orders ?? bucket.orders, revenue: remote.revenue ?? bucket.revenue }
+        : bucket;
+    });
+    fromServer = fromServer || serverStats.series.length > 0;
+  }
+
+  return {
+    ...report,
+    summary,
+    series,
+    changes: {
+      ...report.changes,
+      revenue: percentChange(summary.revenue, report.previous.revenue),
+      orderCount: percentChange(summary.orderCount, report.previous.orderCount),
+      averageOrderValue: percentChange(summary.averageOrderValue, report.previous.averageOrderValue),
+      refunds: percentChange(summary.refunds, report.previous.refunds)
+    },
+    fromServer
+  };
+}
+
+export default {
+  REPORT_PERIODS,
+  GRANULARITIES,
+  DEFAULT_GRANULARITY,
+  bucketStart,
+  periodRange,
+  previousRange,
+  summarize,
+  revenueSeries,
+  peakHours,
+  percentChange,
+  buildReport,
+  applyServerStats
+};
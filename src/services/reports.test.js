@@ -0,0 +1,107 @@
+import {
+  bucketStart,
+  periodRange,
+  previousRange,
+  summarize,
+  revenueSeries,
+  peakHours,
+  percentChange,
+  buildReport,
+  applyServerStats
+} from './reports';
+
+const HOUR = 60 * 60 * 1000;
+// Wednesday 15 May 2024, 14:30 local time
+const now = new Date(2024, 4, 15, 14, 30).getTime();
+const at = (day, hour) => new Date(2024, 4, day, hour).getTime();
+
+const orders = [
+  { orderId: 'A', status: 'completed', total: 1000, timestamp: at(15, 9) },
+  { orderId: 'B', status: 'cancelled', total: 500, timestamp: at(15, 9) },
+  {
+    orderId: 'C',
+    status: 'completed',
+    total: 800,
+    timestamp: at(15, 12),
+    refunds: [{ id: 'r1', at: at(15, 13), amount: 300, items: [] }]
+  },
+  // Yesterday's order refunded today - the refund counts today
+  {
+    orderId: 'D',
+    status: 'refunded',
+    total: 400,
+    timestamp: at(14, 20),
+    refunds: [{ id: 'r2', at: at(15, 10), amount: 400, items: [] }]
+  }
+];
+
+test('buckets start on the hour, day, Monday and first of the month', () => {
+  const time = at(15, 14) + 30 * 60 * 1000;
+  expect(bucketStart(time, 'hour')).toBe(at(15, 14));
+  expect(bucketStart(time, 'day')).toBe(at(15, 0));
+  expect(bucketStart(time, 'week')).toBe(at(13, 0));
+  expect(bucketStart(time, 'month')).toBe(at(1, 0));
+});
+
+test('periods end now and the previous period has the same length', () => {
+  const today = periodRange('today', now);
+  expect(today).toEqual({ start: at(15, 0), end: now });
+  expect(periodRange('7d', now).start).toBe(at(9, 0));
+  expect(previousRange(today)).toEqual({ start: at(15, 0) - (now - at(15, 0)), end: at(15, 0) });
+});
+
+test('summary leaves out cancelled orders and takes refunds off when given', () => {
+  const summary = summarize(orders, periodRange('today', now));
+
+  expect(summary.orderCount).toBe(3);
+  expect(summary.grossSales).toBe(1800);
+  expect(summary.refunds).toBe(700);
+  expect(summary.revenue).toBe(1100);
+  expect(summary.averageOrderValue).toBe(900);
+  expect(summary.byStatus).toEqual({ completed: 2, cancelled: 1 });
+});
+
+test('revenue series fills empty buckets', () => {
+  const series = revenueSeries(orders, periodRange('today', now), 'hour');
+
+  expect(series).toHaveLength(15);
+  expect(series[0]).toEqual({ start: at(15, 0), orders: 0, revenue: 0 });
+  expect(series[9]).toEqual({ start: at(15, 9), orders: 2, revenue: 1000 });
+  expect(series[10].revenue).toBe(-400);
+  expect(series[13].revenue).toBe(-300);
+});
+
+test('peak hours count sales by weekday and hour', () => {
+  const { cells, max } = peakHours(orders, periodRange('7d', now));
+
+  expect(cells[2][9].orders).toBe(1); // Wednesday 9am, the cancelled order left out
+  expect(cells[1][20]).toEqual({ orders: 1, revenue: 400 }); // Tuesday 8pm
+  expect(max).toBe(1);
+});
+
+test('comparison with the previous period', () => {
+  expect(percentChange(150, 100)).toBe(50);
+  expect(percentChange(50, 100)).toBe(-50);
+  expect(percentChange(100, 0)).toBeNull();
+
+  const report = buildReport(orders, { start: at(15, 0), end: at(16, 0) }, 'day');
+  expect(report.previous.orderCount).toBe(1);
+  expect(report.changes.orderCount).toBe(200);
+});
+
+test('server aggregates replace the cached totals', () => {
+  const range = { start: at(15, 0), end: at(15, 0) + 3 * HOUR };
+  const report = buildReport(orders, range, 'hour');
+  const merged = applyServerStats(report, {
+    orderCount: 10,
+    revenue: 5000,
+    series: [{ start: new Date(at(15, 1)).toISOString(), orders: 4, revenue: 2000 }]
+  });
+
+  expect(merged.fromServer).toBe(true);
+  expect(merged.summary.orderCount).toBe(10);
+  expect(merged.summary.refunds).toBe(report.summary.refunds);
+  expect(merged.series[1]).toEqual({ start: at(15, 1), orders: 4, revenue: 2000 });
+  expect(merged.series[0]).toBe(report.series[0]);
+  expect(applyServerStats(report, null)).toBe(report);
+});
@@ -0,0 +1,276 @@
+/**
+ * Session Service - idle lock, PIN quick-unlock and cross-tab sign-out
+ * Lock state lives in the shared adminSession entry, so every tab locks,
+ * unlocks and signs out together through storage events
+ */
+import { getSession, updateSession, logout } from './auth';
+import { authenticate, verifyPin } from './users';
+import { revokeAllSessions } from './api';
+import { setUnauthorizedHandler } from './tokens';
+import { logAuthEvent, AUTH_EVENTS } from './authAudit';
+import { getLockout, recordFailure, recordSuccess, formatRetry } from './loginThrottle';
+
+const SETTINGS_KEY = 'sessionSettings';
+const SESSION_KEY = 'adminSession';
+
+// Don't rewrite localStorage on every mouse move
+const ACTIVITY_WRITE_INTERVAL = 5000;
+
+export const MAX_PIN_ATTEMPTS = 5;
+
+export const DEFAULT_SESSION_SETTINGS = {
+  lockAfterMinutes: 5,
+  logoutAfterMinutes: 15
+};
+
+const parseSession = (raw) => {
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+};
+
+// ==================== SETTINGS ====================
+
+/**
+ * Idle timeouts for this terminal
+ * @returns {Object} - {lockAfterMinutes, logoutAfterMinutes}
+ */
+export function getSessionSettings() {
+  try {
+    const raw = localStorage.getItem(SETTINGS_KEY);
+    return { ...DEFAULT_SESSION_SETTINGS, ...(raw ? JSON.parse(raw) : {}) };
+  } catch {
+    return { ...DEFAULT_SESSION_SETTINGS };
+  }
+}
+
+export function saveSessionSettings(settings) {
+  const lockAfterMinutes = Number(settings.lockAfterMinutes);
+  const logoutAfterMinutes = Number(settings.logoutAfterMinutes);
+
+  if (!(lockAfterMinutes >= 1) || !(logoutAfterMinutes >= 1)) {
+    throw new Error('Timeouts must be at least 1 minute');
+  }
+
+  const next = { lockAfterMinutes, logoutAfterMinutes };
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(next));
+  return next;
+}
+
+// ==================== IDLE TRACKING ====================
+
+/**
+ * Record user activity (throttled)
+ */
+export function recordActivity() {
+  const session = getSession();
+  if (!session || session.locked) return;
+
+  const now = Date.now();
+  if (now - (session.lastActivity || 0) > ACTIVITY_WRITE_INTERVAL) {
+    updateSession({ lastActivity: now });
+  }
+}
+
+/**
+ * Work out where the current session stands
+ * @returns {Object} - {state: 'none'|'active'|'locked'|'expired', lockIn, logoutIn}
+ */
+export function getIdleStatus() {
+  const session = getSession();
+  if (!session) return { state: 'none' };
+
+  const { lockAfterMinutes, logoutAfterMinutes } = getSessionSettings();
+  const now = Date.now();
+
+  if (session.locked) {
+    const logoutIn = session.lockedAt + logoutAfterMinutes * 60 * 1000 - now;
+    return logoutIn <= 0
+      ? { state: 'expired' }
+      : { state: 'locked', logoutIn };
+  }
+
+  const lastActivity = session.lastActivity || session.timestamp;
+  const lockIn = lastActivity + lockAfterMinutes * 60 * 1000 - now;
+  return lockIn <= 0
+    ? { state: 'locked', lockIn: 0 }
+    : { state: 'active', lockIn };
+}
+
+// ==================== LOCK / UNLOCK ====================
+
+export function lockSession() {
+  const session = getSession();
+  if (!session || session.locked) return;
+
+  updateSession({ locked: true, lockedAt: Date.now(), pinAttempts: 0 });
+  console.log('🔒 Session locked after inactivity');
+}
+
+function unlock() {
+  updateSession({ locked: false, lockedAt: null, pinAttempts: 0, lastActivity: Date.now() });
+  console.log('🔓 Session unlocked');
+}
+
+/**
+ * Unlock with the logged-in user's PIN
+ * Too many wrong PINs disables PIN unlock until the full password is used
+ * @param {string} pin
+ * @returns {Promise<Object>} - {success, error?, pinBlocked?}
+ */
+export async function unlockWithPin(pin) {
+  const session = getSession();
+  if (!session) return { success: false, error: 'Session has ended' };
+
+  if ((session.pinAttempts || 0) >= MAX_PIN_ATTEMPTS) {
+    return { success: false, pinBlocked: true, error: 'Too many wrong PINs - use your password' };
+  }
+
+  if (await verifyPin(session.userId, pin)) {
+    unlock();
+    return { success: true };
+  }
+
+  const pinAttempts = (session.pinAttempts || 0) + 1;
+  updateSession({ pinAttempts });
+  logAuthEvent(AUTH_EVENTS.UNLOCK_FAILED, { ...session, detail: `Wrong PIN (${pinAttempts}/${MAX_PIN_ATTEMPTS})` });
+  return {
+    success: false,
+    pinBlocked: pinAttempts >= MAX_PIN_ATTEMPTS,
+    error: pinAttempts >= MAX_PIN_ATTEMPTS
+      ? 'Too many wrong PINs - use your password'
+      : 'Wrong PIN'
+  };
+}
+
+/**
+ * Unlock with the logged-in user's full password
+ * Wrong passwords count towards the same per-username lockout as login;
+ * once the account is locked out the session ends
+ * @param {string} password
+ * @returns {Promise<Object>} - {success, error?, signedOut?}
+ */
+export async function unlockWithPassword(password) {
+  const session = getSession();
+  if (!session) return { success: false, error: 'Session has ended' };
+
+  const lockout = getLockout(session.username);
+  if (lockout.locked) {
+    return endLockedOutSession(session, lockout.retryIn);
+  }
+
+  const result = await authenticate(session.username, password);
+  if (!result.success || result.user.id !== session.userId) {
+    logAuthEvent(AUTH_EVENTS.UNLOCK_FAILED, { ...session, detail: 'Wrong password' });
+
+    const failure = recordFailure(session.username);
+    if (failure.locked) {
+      logAuthEvent(AUTH_EVENTS.LOCKOUT, {
+        ...session,
+        detail: `${failure.failures} failed attempts, locked for ${formatRetry(failure.retryIn)}`
+      });
+      return endLockedOutSession(session, failure.retryIn);
+    }
+    return { success: false, error: result.error || 'Wrong password' };
+  }
+
+  recordSuccess(session.username);
+  unlock();
+  return { success: true };
+}
+
+// ==================== SIGN OUT ====================
+
+const END_REASON_EVENTS = {
+  logout: AUTH_EVENTS.LOGOUT,
+  expired: AUTH_EVENTS.SESSION_EXPIRED,
+  revoked: AUTH_EVENTS.SESSION_REVOKED
+};
+
+/**
+ * End the session in this browser (all tabs follow via storage events)
+ * @param {string} reason - 'logout' | 'expired' | 'revoked'
+ * @param {string} detail - Extra context for the audit trail
+ */
+export function endSession(reason = 'logout', detail = '') {
+  const session = getSession();
+  console.log('👋 Session ended:', reason);
+  logout();
+
+  if (session) {
+    logAuthEvent(END_REASON_EVENTS[reason] || AUTH_EVENTS.LOGOUT, { ...session, detail });
+  }
+}
+
+// The lock screen can't be used to keep guessing a locked-out account's password
+function endLockedOutSession(session, retryIn) {
+  endSession('revoked', 'Locked out on the lock screen');
+  return {
+    success: false,
+    signedOut: true,
+    error: `Too many failed attempts. Try again in ${formatRetry(retryIn)}`
+  };
+}
+
+/**
+ * Sign out every tab here and revoke backend tokens on other devices
+ */
+export async function signOutEverywhere() {
+  try {
+    await revokeAllSessions();
+  } catch (error) {
+    // Still sign out locally; other devices drop off when their token is refused
+    console.warn('⚠️ Could not revoke backend sessions:', error.message);
+  }
+  endSession('revoked', 'Signed out everywhere');
+}
+
+// A 401 from the backend ends the local session too
+setUnauthorizedHandler(() => {
+  endSession('revoked', 'Backend rejected token');
+  if (window.location.pathname !== '/login') {
+    window.location.assign('/login');
+  }
+});
+
+/**
+ * Listen for session changes made in other tabs
+ * @param {Function} handler - Called with 'signout' | 'lock' | 'unlock'
+ * @returns {Function} - Cleanup function
+ */
+export function subscribeToSessionEvents(handler) {
+  const onStorage = (e) => {
+    if (e.key !== SESSION_KEY && e.key !== null) return;
+
+    // An unreadable session counts as signed out, as it does for getSession
+    const before = parseSession(e.oldValue);
+    const after = parseSession(e.newValue);
+
+    if (!after) {
+      handler('signout');
+    } else if (!before?.locked && after.locked) {
+      handler('lock');
+    } else if (before?.locked && !after.locked) {
+      handler('unlock');
+    }
+  };
+
+  window.addEventListener('storage', onStorage);
+  return () => window.removeEventListener('storage', onStorage);
+}
+
+export default {
+  getSessionSettings,
+  saveSessionSettings,
+  recordActivity,
+  getIdleStatus,
+  lockSession,
+  unlockWithPin,
+  unlockWithPassword,
+  endSession,
+  signOutEverywhere,
+  subscribeToSessionEvents
+};
@@ -0,0 +1,134 @@
+import { verifyPin, authenticate } from './users';
+import { logAuthEvent } from './authAudit';
+import { getSession } from './auth';
+import { lockSession, unlockWithPin, unlockWithPassword, getIdleStatus, subscribeToSessionEvents, saveSessionSettings, MAX_PIN_ATTEMPTS } from './session';
+import { FREE_ATTEMPTS, getLockout } from './loginThrottle';
+
+jest.mock('./users', () => ({
+  authenticate: jest.fn(),
+  verifyPin: jest.fn(),
+  getUserById: () => ({ id: 'u1', username: 'sana', role: 'cashier' }),
+  hasUsers: () => true
+}));
+
+jest.mock('./api', () => ({
+  loginBackend: jest.fn(),
+  revokeAllSessions: jest.fn()
+}));
+
+jest.mock('./authAudit', () => ({
+  ...jest.requireActual('./authAudit'),
+  logAuthEvent: jest.fn()
+}));
+
+const MINUTE = 60 * 1000;
+
+const startSession = () => localStorage.setItem('adminSession', JSON.stringify({
+  userId: 'u1',
+  username: 'sana',
+  role: 'cashier',
+  timestamp: Date.now(),
+  lastActivity: Date.now(),
+  locked: false
+}));
+
+beforeEach(() => {
+  localStorage.clear();
+  jest.useFakeTimers();
+  jest.setSystemTime(1700000000000);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  verifyPin.mockReset();
+  authenticate.mockReset();
+  logAuthEvent.mockReset();
+  startSession();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+test('the session locks after the idle timeout and expires while locked', () => {
+  saveSessionSettings({ lockAfterMinutes: 5, logoutAfterMinutes: 15 });
+  expect(getIdleStatus()).toEqual({ state: 'active', lockIn: 5 * MINUTE });
+
+  jest.advanceTimersByTime(5 * MINUTE);
+  expect(getIdleStatus().state).toBe('locked');
+
+  lockSession();
+  jest.advanceTimersByTime(15 * MINUTE);
+  expect(getIdleStatus()).toEqual({ state: 'expired' });
+});
+
+test('the right PIN unlocks and too many wrong ones block PIN unlock', async () => {
+  lockSession();
+  verifyPin.mockResolvedValue(false);
+
+  for (let i = 1; i < MAX_PIN_ATTEMPTS; i++) {
+    expect(await unlockWithPin('0000')).toEqual({ success: false, pinBlocked: false, error: 'Wrong PIN' });
+  }
+  expect(await unlockWithPin('0000')).toMatchObject({ success: false, pinBlocked: true });
+  expect(logAuthEvent).toHaveBeenCalledTimes(MAX_PIN_ATTEMPTS);
+
+  // Even the right PIN is refused now
+  verifyPin.mockResolvedValue(true);
+  expect(await unlockWithPin('4821')).toMatchObject({ success: false, pinBlocked: true });
+  expect(getSession().locked).toBe(true);
+});
+
+test('a PIN unlock resets the idle timer', async () => {
+  lockSession();
+  verifyPin.mockResolvedValue(true);
+  jest.advanceTimersByTime(MINUTE);
+
+  expect(await unlockWithPin('4821')).toEqual({ success: true });
+  expect(getSession()).toMatchObject({ locked: false, pinAttempts: 0, lastActivity: Date.now() });
+});
+
+test('wrong passwords on the lock screen count towards the login lockout and end the session', async () => {
+  lockSession();
+  authenticate.mockResolvedValue({ success: false, error: 'Invalid username or password' });
+
+  for (let i = 0; i < FREE_ATTEMPTS; i++) {
+    expect(await unlockWithPassword('guess')).toEqual({ success: false, error: 'Invalid username or password' });
+  }
+  expect(getSession().locked).toBe(true);
+
+  expect(await unlockWithPassword('guess')).toMatchObject({ success: false, signedOut: true });
+  expect(getLockout('sana').locked).toBe(true);
+  expect(getSession()).toBeNull();
+
+  // Signing in again can't get round the lockout
+  startSession();
+  lockSession();
+  authenticate.mockResolvedValue({ success: true, user: { id: 'u1' } });
+  expect(await unlockWithPassword('right')).toMatchObject({ success: false, signedOut: true });
+  expect(authenticate).toHaveBeenCalledTimes(FREE_ATTEMPTS + 1);
+});
+
+test('a correct password unlocks and clears earlier failures', async () => {
+  lockSession();
+  authenticate.mockResolvedValueOnce({ success: false, error: 'Invalid username or password' });
+  await unlockWithPassword('guess');
+  expect(getLockout('sana').failures).toBe(1);
+
+  authenticate.mockResolvedValueOnce({ success: true, user: { id: 'u1' } });
+  expect(await unlockWithPassword('right')).toEqual({ success: true });
+  expect(getLockout('sana').failures).toBe(0);
+});
+
+test('session changes from other tabs are read safely', () => {
+  const handler = jest.fn();
+  const unsubscribe = subscribeToSessionEvents(handler);
+  const fire = (oldValue, newValue) =>
+    window.dispatchEvent(new StorageEvent('storage', { key: 'adminSession', oldValue, newValue }));
+
+  fire(JSON.stringify({ locked: false }), JSON.stringify({ locked: true }));
+  expect(handler).toHaveBeenLastCalledWith('lock');
+
+  // A corrupt value doesn't throw; it reads as signed out
+  fire('{not json', '{not json');
+  expect(handler).toHaveBeenLastCalledWith('signout');
+
+  unsubscribe();
+});
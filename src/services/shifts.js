@@ -0,0 +1,369 @@
+/**
+ * Shifts - till open/close and the end-of-shift Z-report
+ * Shifts belong to this terminal and live in IndexedDB, so a till can be
+ * opened and closed offline; they're pushed to the server whenever we're
+ * online. The Z-report is computed from this till's cached orders settled
+ * during the shift and frozen into the shift record when it closes.
+ */
+import { initDB, queryCachedOrders, hasCachedOrdersSince, syncOrderCache, fetchOlderOrders } from './db';
+import { syncShifts as apiSyncShifts } from './api';
+import { getCurrentUser } from './auth';
+import { requirePermission } from './permissions';
+import { ulid, getDevicePrefix, parseOrderNumber } from './orderNumbers';
+
+const STORE_NAME = 'shifts';
+
+// Orders that count as sales: completed, or completed and then refunded
+const SETTLED_STATUSES = ['completed', 'refunded'];
+
+// An order can be paid for, cancelled or refunded after it was placed; ones
+// placed up to this long before the shift opened are looked at too
+const SHIFT_LOOKBACK = 7 * 24 * 60 * 60 * 1000;
+
+export class ShiftError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'ShiftError';
+    this.code = code;
+  }
+}
+
+/**
+ * This till's orders that may fall in a shift, read by timestamp
+ * The till is the device prefix of the order number (orderNumbers.js)
+ * @param {Object} shift - {device, openedAt}
+ * @param {number} closedAt
+ * @returns {Promise<Array>}
+ */
+const loadShiftOrders = async (shift, closedAt) => {
+  const device = shift.device || getDevicePrefix();
+  const orders = await queryCachedOrders({ range: { lower: shift.openedAt - SHIFT_LOOKBACK, upper: closedAt } });
+  return orders.filter(order => parseOrderNumber(order.orderId)?.device === device);
+};
+
+/**
+ * Bring the order cache up to date for a shift before its report is frozen:
+ * sync changes, then page in older orders until the cache covers the lookback
+ * @param {Object} shift
+ * @returns {Promise<boolean>} - Whether the cache reaches back far enough
+ */
+async function cacheShiftOrders(shift) {
+  const since = shift.openedAt - SHIFT_LOOKBACK;
+  if (navigator.onLine) {
+    try {
+      await syncOrderCache();
+      while (!(await hasCachedOrdersSince(since))) await fetchOlderOrders();
+    } catch (error) {
+      console.warn('⚠️ Could not sync orders before closing the shift:', error.message);
+    }
+  }
+  return hasCachedOrdersSince(since);
+}
+
+const currentUserRef = () => {
+  const user = getCurrentUser();
+  return { userId: user?.userId || null, username: user?.username || null };
+};
+
+const toAmount = (value, label) => {
+  const amount = Number(value);
+  if (value === '' || value == null || !Number.isFinite(amount) || amount < 0) {
+    throw new Error(`Enter the ${label}`);
+  }
+  return Math.round(amount * 100) / 100;
+};
+
+const paymentMethodOf = (order) => order.paymentMethod || 'cash';
+
+/**
+ * When an order last entered a status, from its statusHistory
+ * Falls back to when it was placed for orders recorded before history was kept
+ * @param {Object} order
+ * @param {string} status
+ * @returns {number|string}
+ */
+const enteredStatusAt = (order, status) => {
+  const entry = (order.statusHistory || []).filter(e => e.to === status).pop();
+  return entry ? entry.at : order.timestamp;
+};
+
+// Refunded orders were paid when they were completed
+const paidAt = (order) => order.paidAt || order.completedAt || enteredStatusAt(order, 'completed');
+
+/**
+ * Z-report figures for a shift window
+ * Sales count when they were paid and cancellations when they happened;
+ * refunds count when they were given. Whichever shift took the order doesn't
+ * matter. Orders without a payment method are treated as cash.
+ * @param {Object} shift - {openingFloat, openedAt}
+ * @param {Array} orders - Orders that may fall in the window (others are ignored)
+ * @param {Object} params - {closedAt, countedCash (null while the shift is open)}
+ * @returns {Object}
+ */
+export function computeZReport(shift, orders, { closedAt = Date.now(), countedCash = null } = {}) {
+  const from = shift.openedAt;
+  const to = closedAt;
+  const inWindow = (time) => {
+    const t = new Date(time).getTime();
+    return t >= from && t < to;
+  };
+  const sum = (list) => list.reduce((total, order) => total + (Number(order.total) || 0), 0);
+
+  const settled = orders.filter(order => SETTLED_STATUSES.includes(order.status) && inWindow(paidAt(order)));
+  const cancelled = orders.filter(order => order.status === 'cancelled' && inWindow(enteredStatusAt(order, 'cancelled')));
+  const open = orders.filter(order =>
+    !SETTLED_STATUSES.includes(order.status) && order.status !== 'cancelled' && inWindow(order.timestamp));
+
+  const byPaymentMethod = {};
+  settled.forEach(order => {
+    const method = paymentMethodOf(order);
+    byPaymentMethod[method] = (byPaymentMethod[method] || 0) + (Number(order.total) || 0);
+  });
+
+  const refunds = [];
+  orders.forEach(order => {
+    (order.refunds || []).filter(refund => inWindow(refund.at)).forEach(refund => {
+      refunds.push({ orderId: order.orderId, amount: refund.amount || 0, method: paymentMethodOf(order) });
+    });
+  });
+  const refundTotal = refunds.reduce((total, refund) => total + refund.amount, 0);
+  const cashRefunds = refunds.filter(refund => refund.method === 'cash').reduce((total, refund) => total + refund.amount, 0);
+
+  const grossSales = sum(settled);
+  const expectedCash = (shift.openingFloat || 0) + (byPaymentMethod.cash || 0) - cashRefunds;
+
+  return {
+    from,
+    to,
+    completed: { count: settled.length, total: grossSales },
+    cancelled: { count: cancelled.length, total: sum(cancelled) },
+    open: { count: open.length, total: sum(open) },
+    refunds: { count: refunds.length, total: refundTotal, cash: cashRefunds },
+    byPaymentMethod,
+    grossSales,
+    netSales: grossSales - refundTotal,
+    openingFloat: shift.openingFloat || 0,
+    expectedCash,
+    countedCash,
+    variance: countedCash == null ? null : countedCash - expectedCash
+  };
+}
+
+/**
+ * The shift currently open on this terminal, if any
+ * @returns {Promise<Object|null>}
+ */
+export async function getOpenShift() {
+  const db = await initDB();
+  const [shift] = await db.getAllFromIndex(STORE_NAME, 'status', 'open');
+  return shift || null;
+}
+
+/**
+ * Shifts on this terminal, newest first
+ * @param {Object} options - {limit}
+ * @returns {Promise<Array>}
+ */
+export async function getShifts({ limit = 30 } = {}) {
+  const db = await initDB();
+  const shifts = await db.getAllFromIndex(STORE_NAME, 'openedAt');
+  return shifts.reverse().slice(0, limit);
+}
+
+const saveShift = async (shift) => {
+  const db = await initDB();
+  const record = { ...shift, synced: false, updatedAt: Date.now() };
+  await db.put(STORE_NAME, record);
+  return record;
+};
+
+/**
+ * Live Z-report figures for a shift (the open one, before counting the till)
+ * @param {Object} shift
+ * @returns {Promise<Object>}
+ */
+export async function previewZReport(shift) {
+  const closedAt = Date.now();
+  const orders = await loadShiftOrders(shift, closedAt);
+  return computeZReport(shift, orders, { closedAt });
+}
+
+/**
+ * Open the till
+ * @param {Object} params - {openingFloat, note}
+ * @returns {Promise<Object>} - The new shift
+ */
+export async function openShift({ openingFloat, note = '' } = {}) {
+  requirePermission('shifts:manage');
+  if (await getOpenShift()) {
+    throw new Error('A shift is already open on this till');
+  }
+
+  const shift = await saveShift({
+    id: ulid(),
+    device: getDevicePrefix(),
+    status: 'open',
+    openedAt: Date.now(),
+    openedBy: currentUserRef(),
+    openingFloat: toAmount(openingFloat, 'opening float'),
+    openingNote: note.trim(),
+    closedAt: null,
+    closedBy: null,
+    closingNote: '',
+    report: null
+  });
+  console.log('✅ Shift opened:', shift.id);
+
+  syncShifts().catch(() => {});
+  return shift;
+}
+
+/**
+ * Close the till: sync orders, count the cash and freeze the Z-report into the shift
+ * Throws a ShiftError with code 'incomplete' when older orders couldn't be
+ * synced, unless `allowIncomplete` is set; the report is then marked incomplete.
+ * @param {Object} params - {countedCash, note, allowIncomplete}
+ * @returns {Promise<Object>} - The closed shift, with `report`
+ */
+export async function closeShift({ countedCash, note = '', allowIncomplete = false } = {}) {
+  requirePermission('shifts:manage');
+  const shift = await getOpenShift();
+  if (!shift) {
+    throw new Error('No shift is open on this till');
+  }
+
+  const counted = toAmount(countedCash, 'counted cash');
+  const complete = await cacheShiftOrders(shift);
+  if (!complete && !allowIncomplete) {
+    throw new ShiftError('Older orders haven\'t been synced to this till, so the Z-report may miss sales or refunds', 'incomplete');
+  }
+
+  const closedAt = Date.now();
+  const orders = await loadShiftOrders(shift, closedAt);
+
+  const closed = await saveShift({
+    ...shift,
+    status: 'closed',
+    closedAt,
+    closedBy: currentUserRef(),
+    closingNote: note.trim(),
+    report: { ...computeZReport(shift, orders, { closedAt, countedCash: counted }), incomplete: !complete }
+  });
+  console.log('✅ Shift closed:', closed.id, 'variance', closed.report.variance);
+
+  syncShifts().catch(() => {});
+  return closed;
+}
+
+/**
+ * Push shifts the server hasn't seen (or that changed since) to /shifts/sync
+ * @returns {Promise<number>} - How many were synced
+ */
+export async function syncShifts() {
+  if (!navigator.onLine) return 0;
+
+  const db = await initDB();
+  const pending = (await db.getAll(STORE_NAME)).filter(shift => !shift.synced);
+  if (pending.length === 0) return 0;
+
+  await apiSyncShifts(pending);
+
+  const tx = db.transaction(STORE_NAME, 'readwrite');
+  for (const shift of pending) {
+    const current = await tx.store.get(shift.id);
+    // Leave it dirty if it changed while the request was in flight
+    if (current && current.updatedAt === shift.updatedAt) {
+      await tx.store.put({ ...current, synced: true });
+    }
+  }
+  await tx.done;
+
+  console.log(`✅ Synced ${pending.length} shift(s)`);
+  return pending.length;
+}
+
+/**
+ * Everything the shifts screen shows, syncing first when online
+ * @returns {Promise<Object>} - {data: {current, preview, history}, source, stale, error, fetchedAt}
+ */
+export async function loadShifts() {
+  let error = null;
+  try {
+    await syncShifts();
+  } catch (err) {
+    console.warn('⚠️ Shift sync failed, will retry:', err.message);
+    error = err;
+  }
+
+  const [current, history] = await Promise.all([getOpenShift(), getShifts()]);
+  return {
+    data: {
+      current,
+      preview: current ? await previewZReport(current) : null,
+      history: history.filter(shift => shift.status === 'closed')
+    },
+    source: 'cache',
+    stale: false,
+    error,
+    fetchedAt: Date.now()
+  };
+}
+
+/**
+ * Printable Z-report as plain text (fits a receipt printer at 40 columns)
+ * @param {Object} shift - A closed shift
+ * @returns {string}
+ */
+export function formatZReport(shift) {
+  const report = shift.report;
+  const width = 40;
+  const money = (amount) => `Rs. ${(amount || 0).toLocaleString('en-PK', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  const line = (label, value = '') => {
+    const text = String(value);
+    return `${label}${' '.repeat(Math.max(1, width - label.length - text.length))}${text}`;
+  };
+  const rule = '-'.repeat(width);
+  const time = (value) => new Date(value).toLocaleString('en-PK');
+
+  return [
+    'Z-REPORT',
+    ...(report.incomplete ? ['INCOMPLETE: older orders were not synced'] : []),
+    rule,
+    line('Till', shift.device),
+    line('Shift', shift.id.slice(-8)),
+    line('Opened', time(shift.openedAt)),
+    line('Opened by', shift.openedBy?.username || '—'),
+    line('Closed', time(shift.closedAt)),
+    line('Closed by', shift.closedBy?.username || '—'),
+    rule,
+    line(`Completed orders (${report.completed.count})`, money(report.completed.total)),
+    ...Object.entries(report.byPaymentMethod).map(([method, amount]) => line(`  ${method}`, money(amount))),
+    line(`Refunds (${report.refunds.count})`, `-${money(report.refunds.total)}`),
+    line('Net sales', money(report.netSales)),
+    line(`Cancelled (${report.cancelled.count})`, money(report.cancelled.total)),
+    line(`Still open (${report.open.count})`, money(report.open.total)),
+    rule,
+    line('Opening float', money(report.openingFloat)),
+    line('+ Cash sales', money(report.byPaymentMethod.cash || 0)),
+    line('- Cash refunds', money(report.refunds.cash)),
+    line('Expected cash', money(report.expectedCash)),
+    line('Counted cash', money(report.countedCash)),
+    line('Variance', `${report.variance > 0 ? '+' : ''}${money(report.variance)}`),
+    rule,
+    ...(shift.closingNote ? [`Note: ${shift.closingNote}`] : []),
+    `Printed ${time(Date.now())}`
+  ].join('\n');
+}
+
+export default {
+  ShiftError,
+  computeZReport,
+  getOpenShift,
+  getShifts,
+  previewZReport,
+  openShift,
+  closeShift,
+  syncShifts,
+  loadShifts,
+  formatZReport
+};
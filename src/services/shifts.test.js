@@ -0,0 +1,171 @@
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { syncShifts as apiSyncShifts, fetchOrderPage } from './api';
+import { closeDatabase } from './database';
+import { upsertCachedOrders } from './db';
+import { getDevicePrefix } from './orderNumbers';
+import { computeZReport, openShift, closeShift, getOpenShift, syncShifts, formatZReport } from './shifts';
+
+jest.mock('./api', () => ({
+  syncShifts: jest.fn(),
+  fetchOrderPage: jest.fn()
+}));
+
+jest.mock('./auth', () => ({
+  getCurrentUser: () => ({ userId: 'u1', username: 'sana', role: 'manager' })
+}));
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const openedAt = 1700000000000;
+const shift = { openedAt, openingFloat: 5000 };
+
+const orders = [
+  { orderId: 'A', status: 'completed', total: 1200, timestamp: openedAt + HOUR },
+  { orderId: 'B', status: 'completed', total: 800, timestamp: openedAt + 2 * HOUR, paymentMethod: 'card' },
+  { orderId: 'C', status: 'cancelled', total: 500, timestamp: openedAt + HOUR },
+  { orderId: 'D', status: 'preparing', total: 300, timestamp: openedAt + 3 * HOUR },
+  {
+    // Yesterday's order refunded in cash during this shift
+    orderId: 'E',
+    status: 'refunded',
+    total: 400,
+    timestamp: openedAt - 10 * HOUR,
+    refunds: [{ id: 'r1', at: openedAt + 2 * HOUR, amount: 400, items: [] }]
+  },
+  { orderId: 'F', status: 'completed', total: 999, timestamp: openedAt + 9 * HOUR } // After close
+];
+
+beforeEach(() => {
+  global.indexedDB = new IDBFactory();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  apiSyncShifts.mockReset();
+  fetchOrderPage.mockReset().mockResolvedValue({ orders: [], nextCursor: null, deleted: [] });
+});
+
+afterEach(async () => {
+  jest.useRealTimers();
+  await closeDatabase();
+  jest.restoreAllMocks();
+});
+
+test('Z-report totals, expected cash and variance for the shift window', () => {
+  const report = computeZReport(shift, orders, { closedAt: openedAt + 8 * HOUR, countedCash: 5750 });
+
+  expect(report.completed).toEqual({ count: 2, total: 2000 });
+  expect(report.byPaymentMethod).toEqual({ cash: 1200, card: 800 });
+  expect(report.cancelled).toEqual({ count: 1, total: 500 });
+  expect(report.open).toEqual({ count: 1, total: 300 });
+  expect(report.refunds).toEqual({ count: 1, total: 400, cash: 400 });
+  expect(report.netSales).toBe(1600);
+  expect(report.expectedCash).toBe(5000 + 1200 - 400);
+  expect(report.variance).toBe(-50);
+});
+
+test('orders count in the shift they were paid or cancelled in, not the one they were placed in', () => {
+  const history = (...entries) => entries.map(([to, at]) => ({ to, at }));
+  const report = computeZReport(shift, [
+    // Placed last night, paid this morning
+    { orderId: 'G', status: 'completed', total: 700, timestamp: openedAt - 2 * HOUR, statusHistory: history(['completed', openedAt + HOUR]) },
+    // Placed during the shift, paid after it closed
+    { orderId: 'H', status: 'completed', total: 900, timestamp: openedAt + HOUR, statusHistory: history(['completed', openedAt + 9 * HOUR]) },
+    // Placed earlier, cancelled during the shift
+    { orderId: 'I', status: 'cancelled', total: 250, timestamp: openedAt - HOUR, statusHistory: history(['cancelled', openedAt + HOUR]) }
+  ], { closedAt: openedAt + 8 * HOUR });
+
+  expect(report.completed).toEqual({ count: 1, total: 700 });
+  expect(report.cancelled).toEqual({ count: 1, total: 250 });
+});
+
+test('refunds on orders from days before the shift are in its Z-report, other tills\' orders are not', async () => {
+  jest.useFakeTimers();
+  jest.setSystemTime(openedAt);
+  jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+  await openShift({ openingFloat: 1000 });
+
+  await upsertCachedOrders([
+    {
+      _id: 'srv-old',
+      orderId: `${getDevicePrefix()}-20231111-004`,
+      status: 'refunded',
+      total: 600,
+      timestamp: openedAt - 3 * DAY,
+      refunds: [{ id: 'r1', at: openedAt + HOUR, amount: 600, items: [] }]
+    },
+    { _id: 'srv-other', orderId: 'ZZZZ-20231114-001', status: 'completed', total: 900, timestamp: openedAt + HOUR }
+  ]);
+
+  jest.setSystemTime(openedAt + 2 * HOUR);
+  const closed = await closeShift({ countedCash: 400 });
+  expect(closed.report.refunds).toEqual({ count: 1, total: 600, cash: 600 });
+  expect(closed.report.completed.count).toBe(0);
+  expect(closed.report.variance).toBe(0);
+  expect(closed.report.incomplete).toBe(false);
+});
+
+test('closing syncs orders first and refuses while older ones are missing', async () => {
+  jest.useFakeTimers();
+  jest.setSystemTime(openedAt);
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  apiSyncShifts.mockRejectedValue(new Error('offline'));
+  await openShift({ openingFloat: 0 });
+
+  // Paid at this till from another screen, not cached here yet
+  const sale = { _id: 'srv-1', orderId: `${getDevicePrefix()}-20231114-001`, status: 'completed', total: 300, timestamp: openedAt + HOUR };
+  const older = { _id: 'srv-0', orderId: `${getDevicePrefix()}-20231105-001`, status: 'completed', total: 100, timestamp: openedAt - 8 * DAY };
+  let olderPageFails = true;
+  fetchOrderPage.mockImplementation(async ({ cursor, since }) => {
+    if (cursor === 'c1') {
+      if (olderPageFails) throw new Error('Network error');
+      return { orders: [older], nextCursor: null, deleted: [] };
+    }
+    return since ? { orders: [], nextCursor: null, deleted: [] } : { orders: [sale], nextCursor: 'c1', deleted: [] };
+  });
+
+  jest.setSystemTime(openedAt + 2 * HOUR);
+  await expect(closeShift({ countedCash: 300 })).rejects.toMatchObject({ code: 'incomplete' });
+  expect(await getOpenShift()).not.toBeNull();
+
+  olderPageFails = false;
+  const closed = await closeShift({ countedCash: 300 });
+  expect(closed.report).toMatchObject({ completed: { count: 1, total: 300 }, variance: 0, incomplete: false });
+});
+
+test('a shift can be closed on an incomplete cache when asked', async () => {
+  apiSyncShifts.mockRejectedValue(new Error('offline'));
+  await openShift({ openingFloat: 0 });
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  fetchOrderPage.mockRejectedValue(new Error('Network error'));
+  await upsertCachedOrders([{ _id: 'srv-1', orderId: 'X', status: 'completed', total: 100, timestamp: Date.now() }]);
+  // A first sync that got only the newest page
+  fetchOrderPage.mockResolvedValueOnce({ orders: [], nextCursor: 'c1', deleted: [] });
+
+  const closed = await closeShift({ countedCash: 0, allowIncomplete: true });
+  expect(closed.report.incomplete).toBe(true);
+  expect(formatZReport(closed)).toContain('INCOMPLETE');
+});
+
+test('open, close and sync a shift', async () => {
+  apiSyncShifts.mockRejectedValue(new Error('offline'));
+
+  const opened = await openShift({ openingFloat: '5000' });
+  expect(opened).toMatchObject({ status: 'open', openingFloat: 5000, openedBy: { username: 'sana' } });
+  await expect(openShift({ openingFloat: 100 })).rejects.toThrow('already open');
+
+  const closed = await closeShift({ countedCash: 5000, note: ' all good ' });
+  expect(closed).toMatchObject({ status: 'closed', closingNote: 'all good', synced: false });
+  expect(closed.report.variance).toBe(0);
+  expect(await getOpenShift()).toBeNull();
+  expect(formatZReport(closed)).toContain('Variance');
+
+  apiSyncShifts.mockReset().mockResolvedValue({ success: true });
+  expect(await syncShifts()).toBe(1);
+  expect(apiSyncShifts.mock.calls[0][0]).toEqual([expect.objectContaining({ id: closed.id, status: 'closed' })]);
+  expect(await syncShifts()).toBe(0);
+});
+
+test('closing needs a cash count', async () => {
+  await expect(closeShift({ countedCash: 100 })).rejects.toThrow('No shift is open');
+  await openShift({ openingFloat: 0 });
+  await expect(closeShift({ countedCash: '' })).rejects.toThrow('Enter the counted cash');
+});
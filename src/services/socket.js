@@ -1,20 +1,35 @@
 import io from 'socket.io-client';
 import { getServerUrl, invalidateServerCache } from '../utils/network';
+import { getAccessToken } from './tokens';
 
 let socket = null;
 let currentUrl = null;
+// Set while a call is resolving the server, so callers at the same time share it
+let pending = null;
 
 /**
  * Initialize Socket.io connection to the best available server
- * Auto-reconnects if server changes
+ * Auto-reconnects if server changes. The socket is shared: callers get the
+ * existing one (even while it is still connecting) unless the server moved.
  * @returns {Promise<Socket>} - Socket.io instance
  */
-export async function initSocket() {
+export function initSocket() {
+  if (!pending) {
+    pending = connectSocket().finally(() => {
+      pending = null;
+    });
+  }
+  return pending;
+}
+
+async function connectSocket() {
   try {
     // Disconnect existing socket if different server
     const { url: newUrl } = await getServerUrl();
-    
-    if (socket && currentUrl === newUrl && socket.connected) {
+
+    // Keep a socket that is connected, connecting or retrying; only one the
+    // server dropped (which socket.io won't retry) is replaced
+    if (socket && currentUrl === newUrl && (socket.connected || socket.active)) {
       return socket;
     }
 
@@ -31,7 +46,9 @@ export async function initSocket() {
       reconnectionAttempts: Infinity,
       transports: ['websocket', 'polling'],
       timeout: 60000,
-      autoConnect: true
+      autoConnect: true,
+      // Evaluated on every (re)connect so a refreshed token is picked up
+      auth: (cb) => cb({ token: getAccessToken() })
     });
 
     currentUrl = newUrl;
@@ -0,0 +1,53 @@
+import io from 'socket.io-client';
+import { getServerUrl } from '../utils/network';
+import { initSocket, disconnectSocket } from './socket';
+
+jest.mock('socket.io-client', () => jest.fn());
+
+jest.mock('../utils/network', () => ({
+  getServerUrl: jest.fn(),
+  invalidateServerCache: jest.fn()
+}));
+
+const fakeSocket = () => ({ connected: false, active: true, on: jest.fn(), disconnect: jest.fn() });
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  io.mockReset().mockImplementation(fakeSocket);
+  getServerUrl.mockReset().mockResolvedValue({ url: 'http://till.local:3001', mode: 'local' });
+});
+
+afterEach(() => {
+  disconnectSocket();
+  jest.restoreAllMocks();
+});
+
+test('callers at the same time share one socket', async () => {
+  const [first, second] = await Promise.all([initSocket(), initSocket()]);
+  expect(first).toBe(second);
+  expect(io).toHaveBeenCalledTimes(1);
+});
+
+test('a socket that is still connecting is reused, not replaced', async () => {
+  const first = await initSocket();
+  expect(first.connected).toBe(false);
+
+  expect(await initSocket()).toBe(first);
+  expect(first.disconnect).not.toHaveBeenCalled();
+});
+
+test('a socket the server dropped is replaced', async () => {
+  const first = await initSocket();
+  first.active = false;
+
+  expect(await initSocket()).not.toBe(first);
+});
+
+test('a new server gets a new socket', async () => {
+  const first = await initSocket();
+  getServerUrl.mockResolvedValue({ url: 'http://cloud.example:3001', mode: 'cloud' });
+
+  const second = await initSocket();
+  expect(second).not.toBe(first);
+  expect(first.disconnect).toHaveBeenCalled();
+});
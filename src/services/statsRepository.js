@@ -0,0 +1,145 @@
+/**
+ * Stats Repository - dashboard figures derived from the loaded orders
+ * Computed locally so the numbers always match the list on screen,
+ * online or offline
+ */
+import { fetchStats } from './api';
+import { queryCachedOrders, hasCachedOrdersSince } from './db';
+import { refundedAmount } from './refunds';
+import { periodRange, previousRange, buildReport, applyServerStats } from './reports';
+import { buildProductReport, DEFAULT_SLOW_DAYS } from './productReport';
+import { loadProducts } from './productRepository';
+
+const startOfToday = () => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today;
+};
+
+/**
+ * Summarise a list of orders
+ * Cancelled orders don't count as sales. Refunds come off the day they were
+ * given, so a refund today for yesterday's order lowers today's figure.
+ * @param {Array} orders
+ * @returns {Object} - {totalOrders, pendingOrders, preparingOrders, completedOrders,
+ *   cancelledOrders, totalSales, totalRefunds, todayOrders, todaySales, todayRefunds}
+ */
+export function computeOrderStats(orders) {
+  const today = startOfToday();
+  const todayOrders = orders.filter(o => new Date(o.timestamp) >= today);
+  const sum = (list) => list
+    .filter(o => o.status !== 'cancelled')
+    .reduce((total, o) => total + (o.total || 0), 0);
+
+  const totalRefunds = orders.reduce((total, o) => total + refundedAmount(o), 0);
+  const todayRefunds = orders.reduce((total, o) => total + (o.refunds || [])
+    .filter(refund => new Date(refund.at) >= today)
+    .reduce((amount, refund) => amount + (refund.amount || 0), 0), 0);
+
+  return {
+    totalOrders: orders.length,
+    pendingOrders: orders.filter(o => o.status === 'pending').length,
+    preparingOrders: orders.filter(o => o.status === 'preparing').length,
+    completedOrders: orders.filter(o => o.status === 'completed').length,
+    cancelledOrders: orders.filter(o => o.status === 'cancelled').length,
+    totalSales: sum(orders) - totalRefunds,
+    totalRefunds,
+    todayOrders: todayOrders.length,
+    todaySales: sum(todayOrders) - todayRefunds,
+    todayRefunds
+  };
+}
+
+/**
+ * Server-side stats when online, otherwise null
+ * @returns {Promise<Object|null>}
+ */
+export async function loadServerStats(options = {}) {
+  if (!navigator.onLine) return null;
+
+  try {
+    return await fetchStats(options);
+  } catch (error) {
+    if (error.isAborted) throw error;
+    return null;
+  }
+}
+
+/**
+ * Sales report for a period, built from the IndexedDB cache so it works
+ * offline; online, the server's aggregates for the period replace the local
+ * totals. Orders placed before the comparison period aren't loaded, so their
+ * late refunds are left out of the local figures.
+ * @param {Object} params - {period, granularity} (see reports.js)
+ * @param {Object} options - Request options (signal)
+ * @returns {Promise<Object>} - {data: {report, range, partial}, source, stale, fetchedAt}
+ *   `partial` is true when older orders haven't been synced to this device yet
+ */
+export async function loadReport({ period, granularity }, options = {}) {
+  const range = periodRange(period);
+  const previous = previousRange(range);
+
+  const [orders, complete] = await Promise.all([
+    queryCachedOrders({ range: { lower: previous.start } }),
+    hasCachedOrdersSince(previous.start)
+  ]);
+  const partial = !complete;
+
+  const serverStats = await loadServerStats({
+    ...options,
+    from: range.start,
+    to: range.end,
+    groupBy: granularity
+  });
+  const report = applyServerStats(buildReport(orders, range, granularity), serverStats);
+
+  return {
+    data: { report, range, partial },
+    source: serverStats ? 'network' : 'cache',
+    stale: !serverStats,
+    fetchedAt: Date.now()
+  };
+}
+
+/**
+ * Product performance for a period, from the cached orders and the catalog
+ * (refreshed from the server when online)
+ * @param {Object} params - {period, slowDays}
+ * @param {Object} options - Request options (signal)
+ * @returns {Promise<Object>} - {data: {report, range, slowDays, partial}, source, stale, error, fetchedAt}
+ *   `partial` is true when older orders haven't been synced to this device yet,
+ *   so units, revenue and slow movers may be wrong
+ */
+export async function loadProductReport({ period, slowDays = DEFAULT_SLOW_DAYS }, options = {}) {
+  const now = Date.now();
+  const range = periodRange(period, now);
+  const since = Math.min(range.start, now - slowDays * 24 * 60 * 60 * 1000);
+
+  const [orders, complete, catalog] = await Promise.all([
+    queryCachedOrders({ range: { lower: since } }),
+    hasCachedOrdersSince(since),
+    loadProducts(options)
+  ]);
+
+  return {
+    data: {
+      report: buildProductReport(orders, catalog.data, { range, slowDays, now }),
+      range,
+      slowDays,
+      partial: !complete
+    },
+    source: catalog.source,
+    stale: catalog.stale,
+    error: catalog.error,
+    fetchedAt: now
+  };
+}
+
+const statsRepository = {
+  computeOrderStats,
+  loadServerStats,
+  loadReport,
+  loadProductReport
+};
+
+export default statsRepository;
@@ -0,0 +1,32 @@
+import { computeOrderStats } from './statsRepository';
+
+const now = Date.now();
+const yesterday = now - 24 * 60 * 60 * 1000;
+
+test('cancelled orders and refunds come off the sales figures', () => {
+  const stats = computeOrderStats([
+    { orderId: 'A', status: 'completed', total: 1000, timestamp: now },
+    { orderId: 'B', status: 'cancelled', total: 500, timestamp: now },
+    {
+      orderId: 'C',
+      status: 'completed',
+      total: 800,
+      timestamp: now,
+      refunds: [{ id: 'r1', at: now, amount: 300, items: [] }]
+    },
+    {
+      // Yesterday's order refunded today - counts against today
+      orderId: 'D',
+      status: 'refunded',
+      total: 400,
+      timestamp: yesterday,
+      refunds: [{ id: 'r2', at: now, amount: 400, items: [] }]
+    }
+  ]);
+
+  expect(stats.cancelledOrders).toBe(1);
+  expect(stats.totalRefunds).toBe(700);
+  expect(stats.totalSales).toBe(1000 + 800 + 400 - 700);
+  expect(stats.todayRefunds).toBe(700);
+  expect(stats.todaySales).toBe(1000 + 800 - 700);
+});
@@ -0,0 +1,94 @@
+/**
+ * Token Service - stores the backend bearer token pair
+ * Kept dependency-free so api.js, socket.js and auth.js can all use it
+ */
+
+const TOKEN_KEY = 'adminToken';
+
+// Refresh this long before the access token actually expires
+const REFRESH_MARGIN = 60 * 1000;
+
+let unauthorizedHandler = null;
+
+/**
+ * Read the stored token pair
+ * @returns {Object|null} - {accessToken, refreshToken, expiresAt}
+ */
+export function getTokens() {
+  try {
+    const raw = localStorage.getItem(TOKEN_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Store a token response from the backend
+ * Accepts {token|accessToken, refreshToken, expiresIn (seconds)}
+ * @param {Object} data
+ */
+export function setTokens(data) {
+  const accessToken = data.accessToken || data.token;
+  if (!accessToken) {
+    throw new Error('Token response did not include an access token');
+  }
+
+  const previous = getTokens();
+  const tokens = {
+    accessToken,
+    // Backends that don't rotate refresh tokens omit it on refresh
+    refreshToken: data.refreshToken || previous?.refreshToken || null,
+    expiresAt: data.expiresIn ? Date.now() + data.expiresIn * 1000 : null
+  };
+
+  localStorage.setItem(TOKEN_KEY, JSON.stringify(tokens));
+}
+
+export function clearTokens() {
+  localStorage.removeItem(TOKEN_KEY);
+}
+
+export function getAccessToken() {
+  return getTokens()?.accessToken || null;
+}
+
+export function getRefreshToken() {
+  return getTokens()?.refreshToken || null;
+}
+
+/**
+ * Whether the access token is expired or about to expire
+ * @returns {boolean}
+ */
+export function isTokenExpiring() {
+  const tokens = getTokens();
+  if (!tokens?.expiresAt) return false;
+  return Date.now() > tokens.expiresAt - REFRESH_MARGIN;
+}
+
+/**
+ * Merge an Authorization header into a headers object
+ * @param {Object} headers - Existing headers
+ * @returns {Object}
+ */
+export function authHeaders(headers = {}) {
+  const token = getAccessToken();
+  return token ? { ...headers, Authorization: `Bearer ${token}` } : { ...headers };
+}
+
+/**
+ * Register what happens when the backend rejects our credentials (401)
+ * @param {Function} handler
+ */
+export function setUnauthorizedHandler(handler) {
+  unauthorizedHandler = handler;
+}
+
+export function handleUnauthorized() {
+  console.warn('🔒 Backend rejected credentials - signing out');
+  clearTokens();
+  if (unauthorizedHandler) {
+    unauthorizedHandler();
+  }
+}
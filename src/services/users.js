@@ -0,0 +1,408 @@
+/**
+ * Staff Accounts Service - local user store with salted PBKDF2 password hashes
+ * Users are kept in localStorage so login works without a backend connection
+ * Managing accounts needs staff:manage, except creating the first owner at
+ * setup and staff changing their own password or PIN
+ */
+import { getCurrentUser } from './auth';
+import { requirePermission } from './permissions';
+
+const USERS_KEY = 'adminUsers';
+const PBKDF2_ITERATIONS = 150000;
+const SALT_BYTES = 16;
+const HASH_BITS = 256;
+
+export const MIN_PASSWORD_LENGTH = 8;
+export const PIN_PATTERN = /^\d{4,6}$/;
+
+// ==================== STORAGE ====================
+
+function loadUsers() {
+  try {
+    const raw = localStorage.getItem(USERS_KEY);
+    return raw ? JSON.parse(raw) : [];
+  } catch (err) {
+    console.error('Failed to read user store:', err);
+    return [];
+  }
+}
+
+function saveUsers(users) {
+  localStorage.setItem(USERS_KEY, JSON.stringify(users));
+}
+
+// Strip credential fields before handing a user to the UI
+function toPublicUser(user) {
+  const { passwordHash, salt, iterations, pinHash, pinSalt, pinIterations, ...rest } = user;
+  return { ...rest, hasPin: !!pinHash };
+}
+
+function normalizeUsername(username) {
+  return String(username || '').trim().toLowerCase();
+}
+
+function generateUserId() {
+  return 'user_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+// ==================== HASHING ====================
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Derive a PBKDF2-SHA256 hash for a password
+ * @param {string} password - Plain-text password
+ * @param {string} [salt] - Base64 salt (a new random salt is generated if omitted)
+ * @param {number} [iterations] - PBKDF2 iteration count
+ * @returns {Promise<Object>} - {hash, salt, iterations}
+ */
+export async function hashPassword(password, salt = null, iterations = PBKDF2_ITERATIONS) {
+  const saltBytes = salt
+    ? base64ToBytes(salt)
+    : crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+
+  const keyMaterial = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(password),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', salt: saltBytes, iterations, hash: 'SHA-256' },
+    keyMaterial,
+    HASH_BITS
+  );
+
+  return {
+    hash: bytesToBase64(new Uint8Array(bits)),
+    salt: bytesToBase64(saltBytes),
+    iterations
+  };
+}
+
+// Compare without bailing out on the first differing character
+function safeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+async function verifyPassword(password, user) {
+  const { hash } = await hashPassword(password, user.salt, user.iterations);
+  return safeEqual(hash, user.passwordHash);
+}
+
+function validatePassword(password) {
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+// ==================== QUERIES ====================
+
+/**
+ * Check whether any staff account exists (false means first-run setup is needed)
+ * @returns {boolean}
+ */
+export function hasUsers() {
+  return loadUsers().length > 0;
+}
+
+/**
+ * List all staff accounts without credential fields
+ * @returns {Array<Object>}
+ */
+export function listUsers() {
+  return loadUsers().map(toPublicUser);
+}
+
+/**
+ * Get a single staff account by id
+ * @param {string} userId
+ * @returns {Object|null}
+ */
+export function getUserById(userId) {
+  const user = loadUsers().find(u => u.id === userId);
+  return user ? toPublicUser(user) : null;
+}
+
+// ==================== MUTATIONS ====================
+
+// Staff may change their own credentials; anyone else's needs staff:manage
+const requireSelfOrStaffManager = (userId) => {
+  if (getCurrentUser()?.userId !== userId) requirePermission('staff:manage');
+};
+
+/**
+ * Create a staff account
+ * @param {Object} data - {username, displayName, password, role}
+ * @returns {Promise<Object>} - Created user (without credentials)
+ */
+export async function createUser({ username, displayName, password, role = 'cashier' }) {
+  // Anyone may create the first account: that is the owner set up on first run
+  if (hasUsers()) requirePermission('staff:manage');
+
+  const normalized = normalizeUsername(username);
+  if (!normalized) {
+    throw new Error('Username is required');
+  }
+  if (!/^[a-z0-9._-]+$/.test(normalized)) {
+    throw new Error('Username may only contain letters, numbers, dots, dashes and underscores');
+  }
+  validatePassword(password);
+
+  const users = loadUsers();
+  if (users.some(u => u.username === normalized)) {
+    throw new Error('Username already exists');
+  }
+
+  const { hash, salt, iterations } = await hashPassword(password);
+  const user = {
+    id: generateUserId(),
+    username: normalized,
+    displayName: (displayName || '').trim() || normalized,
+    role,
+    disabled: false,
+    passwordHash: hash,
+    salt,
+    iterations,
+    createdAt: Date.now(),
+    passwordChangedAt: Date.now()
+  };
+
+  users.push(user);
+  saveUsers(users);
+  console.log('✅ Staff account created:', normalized);
+  return toPublicUser(user);
+}
+
+/**
+ * Enable or disable a staff account
+ * The last active owner can never be disabled
+ * @param {string} userId
+ * @param {boolean} disabled
+ * @returns {Object} - Updated user
+ */
+export function setUserDisabled(userId, disabled) {
+  requirePermission('staff:manage');
+  const users = loadUsers();
+  const user = users.find(u => u.id === userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  if (disabled && user.role === 'owner') {
+    const activeOwners = users.filter(u => u.role === 'owner' && !u.disabled);
+    if (activeOwners.length <= 1) {
+      throw new Error('Cannot disable the last active owner');
+    }
+  }
+
+  user.disabled = !!disabled;
+  saveUsers(users);
+  console.log(`✅ Staff account ${disabled ? 'disabled' : 'enabled'}:`, user.username);
+  return toPublicUser(user);
+}
+
+/**
+ * Change a staff account's role
+ * The last active owner can never be demoted
+ * @param {string} userId
+ * @param {string} role
+ * @returns {Object} - Updated user
+ */
+export function setUserRole(userId, role) {
+  requirePermission('staff:manage');
+  const users = loadUsers();
+  const user = users.find(u => u.id === userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  if (user.role === 'owner' && role !== 'owner' && !user.disabled) {
+    const activeOwners = users.filter(u => u.role === 'owner' && !u.disabled);
+    if (activeOwners.length <= 1) {
+      throw new Error('Cannot change the role of the last active owner');
+    }
+  }
+
+  user.role = role;
+  saveUsers(users);
+  console.log('✅ Role changed:', user.username, '→', role);
+  return toPublicUser(user);
+}
+
+/**
+ * Replace a staff account's password
+ * @param {string} userId
+ * @param {string} newPassword
+ * @returns {Promise<Object>} - Updated user
+ */
+export async function resetPassword(userId, newPassword) {
+  requireSelfOrStaffManager(userId);
+  validatePassword(newPassword);
+
+  const users = loadUsers();
+  const user = users.find(u => u.id === userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const { hash, salt, iterations } = await hashPassword(newPassword);
+  user.passwordHash = hash;
+  user.salt = salt;
+  user.iterations = iterations;
+  user.passwordChangedAt = Date.now();
+  saveUsers(users);
+  console.log('✅ Password reset for:', user.username);
+  return toPublicUser(user);
+}
+
+/**
+ * Set a quick-unlock PIN (4-6 digits) for a staff account
+ * @param {string} userId
+ * @param {string} pin
+ * @returns {Promise<Object>} - Updated user
+ */
+export async function setUserPin(userId, pin) {
+  requireSelfOrStaffManager(userId);
+  if (!PIN_PATTERN.test(pin || '')) {
+    throw new Error('PIN must be 4 to 6 digits');
+  }
+
+  const users = loadUsers();
+  const user = users.find(u => u.id === userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const { hash, salt, iterations } = await hashPassword(pin);
+  user.pinHash = hash;
+  user.pinSalt = salt;
+  user.pinIterations = iterations;
+  saveUsers(users);
+  console.log('✅ PIN set for:', user.username);
+  return toPublicUser(user);
+}
+
+/**
+ * Remove a staff account's quick-unlock PIN
+ * @param {string} userId
+ * @returns {Object} - Updated user
+ */
+export function clearUserPin(userId) {
+  requireSelfOrStaffManager(userId);
+  const users = loadUsers();
+  const user = users.find(u => u.id === userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  delete user.pinHash;
+  delete user.pinSalt;
+  delete user.pinIterations;
+  saveUsers(users);
+  console.log('✅ PIN cleared for:', user.username);
+  return toPublicUser(user);
+}
+
+// ==================== AUTHENTICATION ====================
+
+/**
+ * Check a quick-unlock PIN
+ * @param {string} userId
+ * @param {string} pin
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPin(userId, pin) {
+  const user = loadUsers().find(u => u.id === userId);
+  if (!user || !user.pinHash || user.disabled) return false;
+
+  const { hash } = await hashPassword(pin || '', user.pinSalt, user.pinIterations);
+  return safeEqual(hash, user.pinHash);
+}
+
+/**
+ * Check a username/password pair against the local store
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<Object>} - {success, user?, error?}
+ */
+export async function authenticate(username, password) {
+  const normalized = normalizeUsername(username);
+  const user = loadUsers().find(u => u.username === normalized);
+
+  // Hash anyway for unknown users so response time doesn't reveal which usernames exist
+  if (!user) {
+    await hashPassword(password || '');
+    return { success: false, error: 'Invalid username or password' };
+  }
+
+  const valid = await verifyPassword(password || '', user);
+  if (!valid) {
+    return { success: false, error: 'Invalid username or password' };
+  }
+
+  if (user.disabled) {
+    return { success: false, error: 'This account has been disabled' };
+  }
+
+  return { success: true, user: toPublicUser(user) };
+}
+
+// ==================== BACKUP ====================
+
+/**
+ * Every staff account including credential hashes, for backups (see backup.js)
+ * @returns {Array<Object>}
+ */
+export function exportUserRecords() {
+  return loadUsers();
+}
+
+/**
+ * Replace the staff store with accounts from a backup
+ * @param {Array<Object>} users - Full records, as from exportUserRecords
+ */
+export function importUserRecords(users) {
+  if (!users.some(u => u.role === 'owner' && !u.disabled)) {
+    throw new Error('There must be at least one active owner');
+  }
+  saveUsers(users);
+  console.log(`✅ Staff accounts restored (${users.length})`);
+}
+
+export default {
+  hasUsers,
+  listUsers,
+  getUserById,
+  createUser,
+  setUserDisabled,
+  setUserRole,
+  resetPassword,
+  setUserPin,
+  clearUserPin,
+  verifyPin,
+  authenticate,
+  hashPassword,
+  exportUserRecords,
+  importUserRecords
+};
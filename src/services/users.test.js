@@ -0,0 +1,100 @@
+import { TextEncoder } from 'util';
+import { webcrypto } from 'crypto';
+import {
+  createUser,
+  authenticate,
+  listUsers,
+  setUserDisabled,
+  setUserRole,
+  setUserPin,
+  verifyPin,
+  resetPassword,
+  clearUserPin
+} from './users';
+import { getCurrentUser } from './auth';
+
+jest.mock('./auth', () => ({
+  getCurrentUser: jest.fn()
+}));
+
+// jsdom has neither the encoder nor SubtleCrypto
+Object.assign(global, { TextEncoder });
+Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+
+const OWNER = { userId: 'owner-id', username: 'owner', role: 'owner' };
+
+beforeEach(() => {
+  localStorage.clear();
+  getCurrentUser.mockReset().mockReturnValue(OWNER);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('passwords are stored hashed and checked on login', async () => {
+  const user = await createUser({ username: ' Sana ', password: 'correct horse', role: 'owner' });
+  expect(user).toMatchObject({ username: 'sana', displayName: 'sana', role: 'owner', hasPin: false });
+  expect(user.passwordHash).toBeUndefined();
+
+  const stored = JSON.parse(localStorage.getItem('adminUsers'))[0];
+  expect(stored.passwordHash).toEqual(expect.any(String));
+  expect(JSON.stringify(stored)).not.toContain('correct horse');
+
+  expect(await authenticate('SANA', 'correct horse')).toMatchObject({ success: true, user: { id: user.id } });
+  expect(await authenticate('sana', 'wrong password')).toEqual({ success: false, error: 'Invalid username or password' });
+  expect(await authenticate('nobody', 'correct horse')).toEqual({ success: false, error: 'Invalid username or password' });
+
+  await resetPassword(user.id, 'battery staple');
+  expect((await authenticate('sana', 'correct horse')).success).toBe(false);
+  expect((await authenticate('sana', 'battery staple')).success).toBe(true);
+});
+
+test('accounts are validated and the last active owner is protected', async () => {
+  await expect(createUser({ username: 'a b', password: 'long enough' })).rejects.toThrow('letters, numbers');
+  await expect(createUser({ username: 'ali', password: 'short' })).rejects.toThrow('at least 8');
+
+  const owner = await createUser({ username: 'owner', password: 'owner pass', role: 'owner' });
+  const cashier = await createUser({ username: 'ali', password: 'cashier pass' });
+  await expect(createUser({ username: 'ALI', password: 'another pass' })).rejects.toThrow('already exists');
+
+  expect(() => setUserDisabled(owner.id, true)).toThrow('last active owner');
+  expect(() => setUserRole(owner.id, 'manager')).toThrow('last active owner');
+
+  setUserDisabled(cashier.id, true);
+  expect(await authenticate('ali', 'cashier pass')).toEqual({ success: false, error: 'This account has been disabled' });
+  expect(listUsers().map(u => [u.username, u.role, u.disabled])).toEqual([['owner', 'owner', false], ['ali', 'cashier', true]]);
+});
+
+test('PINs must be 4 to 6 digits and are verified per user', async () => {
+  const user = await createUser({ username: 'sana', password: 'sana password' });
+  await expect(setUserPin(user.id, '12a4')).rejects.toThrow('4 to 6 digits');
+
+  expect((await setUserPin(user.id, '4821')).hasPin).toBe(true);
+  expect(await verifyPin(user.id, '4821')).toBe(true);
+  expect(await verifyPin(user.id, '1234')).toBe(false);
+  expect(await verifyPin('someone-else', '4821')).toBe(false);
+});
+
+test('only staff managers manage other accounts once the owner exists', async () => {
+  getCurrentUser.mockReturnValue(null);
+  // First run: nobody is signed in yet
+  const owner = await createUser({ username: 'owner', password: 'owner pass', role: 'owner' });
+  await expect(createUser({ username: 'ali', password: 'cashier pass' })).rejects.toThrow('Permission denied');
+
+  getCurrentUser.mockReturnValue({ ...OWNER, userId: owner.id });
+  const cashier = await createUser({ username: 'ali', password: 'cashier pass' });
+
+  getCurrentUser.mockReturnValue({ userId: cashier.id, username: 'ali', role: 'cashier' });
+  await expect(createUser({ username: 'sana', password: 'sana password', role: 'owner' })).rejects.toThrow('Permission denied');
+  expect(() => setUserRole(cashier.id, 'owner')).toThrow('Permission denied');
+  expect(() => setUserDisabled(owner.id, true)).toThrow('Permission denied');
+  await expect(resetPassword(owner.id, 'taken over')).rejects.toThrow('Permission denied');
+  expect(() => clearUserPin(owner.id)).toThrow('Permission denied');
+
+  // Their own credentials are theirs to change
+  await resetPassword(cashier.id, 'new cashier pass');
+  expect((await setUserPin(cashier.id, '4821')).hasPin).toBe(true);
+  expect((await authenticate('ali', 'new cashier pass')).success).toBe(true);
+});